@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Grant a staff role from the command line
+ *
+ * Bootstraps the first admin, who can then grant roles through
+ * POST /api/admin/users/:userId/roles. The grant is written to the staff
+ * audit log with no actor.
+ *
+ * Usage: npm run grant-role -- <email> <role>
+ * Roles: admin, moderator, event_manager, analyst
+ */
+
+import db from '../src/db/index.js';
+import roleService from '../src/services/role.service.js';
+import auditService from '../src/services/audit.service.js';
+
+async function grant() {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !role) {
+        console.error('Usage: npm run grant-role -- <email> <role>');
+        console.error(`Roles: ${roleService.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    try {
+        const user = await db.query('SELECT id FROM users WHERE email = $1', [email.toLowerCase()]);
+        if (user.rows.length === 0) {
+            throw new Error(`No user with email ${email}`);
+        }
+
+        const userId = user.rows[0].id;
+        const roles = await roleService.grantRole(userId, role);
+
+        await auditService.recordAction({
+            actorId: null,
+            permission: 'roles:manage',
+            method: 'CLI',
+            path: 'scripts/grant-role.js',
+            statusCode: 200,
+            body: { userId, role }
+        });
+
+        console.log(`${email} now has roles: ${roles.join(', ')}`);
+    } catch (err) {
+        console.error('Grant failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await db.closePool();
+    }
+}
+
+grant();
@@ -8,6 +8,10 @@ import app from './src/app.js';
 import config from './src/config/index.js';
 import cryptoService from './src/services/crypto.service.js';
 import db from './src/db/index.js';
+import jobs from './src/jobs/index.js';
+import scoringModelService from './src/services/scoringModel.service.js';
+import paymentService from './src/services/payment.service.js';
+import smsService from './src/services/sms.service.js';
 
 async function start() {
     try {
@@ -18,6 +22,17 @@ async function start() {
         await db.query('SELECT 1');
         console.log('Database connected');
 
+        // Load the active trust-score model
+        const model = await scoringModelService.loadActiveModel();
+        console.log(`Scoring model v${model.version} active`);
+
+        if (!paymentService.isEnabled()) {
+            console.warn('Payment provider not configured - ticket orders disabled');
+        }
+        if (!smsService.isEnabled()) {
+            console.warn('SMS provider not configured - phone verification disabled');
+        }
+
         // Start server
         app.listen(config.port, () => {
             console.log(`\nTrustBridge API running on http://localhost:${config.port}`);
@@ -30,6 +45,9 @@ async function start() {
             console.log(`  Badge:      POST http://localhost:${config.port}/api/badges/generate`);
             console.log(`  Verify:     POST http://localhost:${config.port}/api/badges/verify`);
         });
+
+        // Webhook deliveries, expiry sweeps and scoring model refresh
+        jobs.startJobs();
     } catch (err) {
         console.error('Failed to start server:', err.message);
         process.exit(1);
@@ -39,12 +57,14 @@ async function start() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\nShutting down...');
+    jobs.stopJobs();
     await db.closePool();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\nShutting down...');
+    jobs.stopJobs();
     await db.closePool();
     process.exit(0);
 });
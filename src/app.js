@@ -112,7 +112,7 @@ app.use(cors({
         callback(new Error('Not allowed by CORS'));
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
     credentials: true, // Required for cookies/sessions with OAuth
     preflightContinue: false,
     optionsSuccessStatus: 204
@@ -0,0 +1,99 @@
+/**
+ * GitHub OAuth Strategy
+ *
+ * Plain OAuth2 against github.com. The profile comes from the REST API
+ * /user endpoint; the verified primary email from /user/emails.
+ *
+ * Like the LinkedIn strategy, state is passed through unvalidated so the
+ * user's JWT can travel in it.
+ */
+
+import { Strategy as OAuth2Strategy } from 'passport-oauth2';
+
+const API_URL = 'https://api.github.com';
+
+class GitHubStrategy extends OAuth2Strategy {
+    constructor(options, verify) {
+        options = options || {};
+        options.authorizationURL = options.authorizationURL || 'https://github.com/login/oauth/authorize';
+        options.tokenURL = options.tokenURL || 'https://github.com/login/oauth/access_token';
+        options.scope = options.scope || ['read:user', 'user:email'];
+        // GitHub's API rejects requests without a User-Agent
+        options.customHeaders = { 'User-Agent': 'EnPassant', ...options.customHeaders };
+        // Disable passport's built-in state verification - we handle state ourselves for token passing
+        options.state = false;
+
+        super(options, verify);
+
+        this.name = 'github';
+    }
+
+    /**
+     * Override authenticate to pass through state without validation
+     * This allows us to encode our JWT token in the state parameter
+     */
+    authenticate(req, options) {
+        if (options && options.state) {
+            this._stateStore = {
+                store: (req, cb) => cb(null, options.state),
+                verify: (req, state, cb) => cb(null, true, state) // Always pass verification
+            };
+        }
+        return super.authenticate(req, options);
+    }
+
+    /**
+     * Fetch the user's GitHub profile and verified primary email
+     */
+    userProfile(accessToken, done) {
+        this._oauth2.useAuthorizationHeaderforGET(true);
+
+        this._oauth2.get(`${API_URL}/user`, accessToken, (err, body) => {
+            if (err) {
+                console.error('[GitHub OAuth] Error fetching user:', err);
+                return done(new Error('Failed to fetch user profile from GitHub'));
+            }
+
+            let json;
+            try {
+                json = JSON.parse(body);
+            } catch (e) {
+                return done(new Error('Failed to parse GitHub profile response'));
+            }
+
+            const profile = {
+                provider: 'github',
+                id: String(json.id),
+                username: json.login,
+                displayName: json.name || json.login,
+                profileUrl: json.html_url,
+                email: json.email,
+                picture: json.avatar_url,
+                _raw: body,
+                _json: json
+            };
+
+            // The public profile email may be hidden; ask for the verified primary one
+            this._oauth2.get(`${API_URL}/user/emails`, accessToken, (emailErr, emailBody) => {
+                if (!emailErr) {
+                    try {
+                        const primary = JSON.parse(emailBody).find(e => e.primary && e.verified);
+                        if (primary) {
+                            profile.email = primary.email;
+                        }
+                    } catch (e) {
+                        // Keep the public profile email
+                    }
+                }
+
+                if (profile.email) {
+                    profile.emails = [{ value: profile.email }];
+                }
+
+                return done(null, profile);
+            });
+        });
+    }
+}
+
+export default GitHubStrategy;
@@ -14,6 +14,17 @@ function optionalEnv(name, defaultValue) {
     return process.env[name] || defaultValue;
 }
 
+// Stand-in providers are the default locally but never used in production:
+// there the setting is null until a real provider is configured, and the
+// feature that needs it stays off
+function devDefaultEnv(name, devDefault) {
+    const value = optionalEnv(name, devDefault);
+    if (optionalEnv('NODE_ENV', 'development') === 'production' && value === devDefault) {
+        return null;
+    }
+    return value;
+}
+
 const config = {
     // Server
     port: parseInt(optionalEnv('PORT', '3000'), 10),
@@ -47,9 +58,16 @@ const config = {
     ed25519PrivateKey: requireEnv('ED25519_PRIVATE_KEY'),
     ed25519PublicKey: requireEnv('ED25519_PUBLIC_KEY'),
 
+    // Retired Ed25519 public keys still accepted for verification
+    // JSON array: [{ "public_key": "<base64>", "retired_at": "<ISO date>" }]
+    ed25519RetiredKeys: optionalEnv('ED25519_RETIRED_KEYS', '[]'),
+
     // Badge settings
     badgeExpiryDays: parseInt(optionalEnv('BADGE_EXPIRY_DAYS', '7'), 10),
 
+    // Longest lifetime a delegated agent credential may have
+    delegationMaxHours: parseInt(optionalEnv('DELEGATION_MAX_HOURS', '24'), 10),
+
     // Google OAuth & Cloud
     google: {
         clientId: optionalEnv('GOOGLE_CLIENT_ID', ''),
@@ -66,12 +84,80 @@ const config = {
         callbackUrl: optionalEnv('LINKEDIN_CALLBACK_URL', 'http://localhost:3000/api/auth/linkedin/callback')
     },
 
+    // GitHub OAuth
+    github: {
+        clientId: optionalEnv('GITHUB_CLIENT_ID', ''),
+        clientSecret: optionalEnv('GITHUB_CLIENT_SECRET', ''),
+        callbackUrl: optionalEnv('GITHUB_CALLBACK_URL', 'http://localhost:3000/api/auth/github/callback')
+    },
+
+    // Microsoft OAuth (personal and work/school accounts)
+    microsoft: {
+        clientId: optionalEnv('MICROSOFT_CLIENT_ID', ''),
+        clientSecret: optionalEnv('MICROSOFT_CLIENT_SECRET', ''),
+        callbackUrl: optionalEnv('MICROSOFT_CALLBACK_URL', 'http://localhost:3000/api/auth/microsoft/callback')
+    },
+
+    // Sign in with Apple (client secret is minted from the team's private key)
+    apple: {
+        clientId: optionalEnv('APPLE_CLIENT_ID', ''),       // Services ID
+        teamId: optionalEnv('APPLE_TEAM_ID', ''),
+        keyId: optionalEnv('APPLE_KEY_ID', ''),
+        privateKey: optionalEnv('APPLE_PRIVATE_KEY', '').replace(/\\n/g, '\n'),  // PEM, \n-escaped in env
+        callbackUrl: optionalEnv('APPLE_CALLBACK_URL', 'http://localhost:3000/api/auth/apple/callback')
+    },
+
+    // SMS delivery for phone verification codes ('console' logs them instead of sending; phone verification is off in production without a real provider)
+    sms: {
+        provider: devDefaultEnv('SMS_PROVIDER', 'console'),
+        codeTtlMinutes: parseInt(optionalEnv('PHONE_CODE_TTL_MINUTES', '10'), 10),
+        maxAttempts: parseInt(optionalEnv('PHONE_CODE_MAX_ATTEMPTS', '5'), 10)
+    },
+
+    // Escrowed ticket orders ('fake' keeps escrow in memory instead of charging anyone; orders are off in production without a real provider)
+    payments: {
+        provider: devDefaultEnv('PAYMENT_PROVIDER', 'fake')
+    },
+    orders: {
+        reservationTtlMinutes: parseInt(optionalEnv('ORDER_RESERVATION_TTL_MINUTES', '15'), 10),
+        transferWindowHours: parseInt(optionalEnv('ORDER_TRANSFER_WINDOW_HOURS', '48'), 10),
+        confirmWindowHours: parseInt(optionalEnv('ORDER_CONFIRM_WINDOW_HOURS', '72'), 10)
+    },
+
+    // Dispute center: the seller's time to respond before moderators decide
+    disputes: {
+        responseWindowHours: parseInt(optionalEnv('DISPUTE_RESPONSE_WINDOW_HOURS', '48'), 10)
+    },
+
+    // Magic links for institution (.edu) email verification
+    magicLinkTtlMinutes: parseInt(optionalEnv('MAGIC_LINK_TTL_MINUTES', '30'), 10),
+
+    // Background jobs (webhook deliveries, badge expiry sweeps, scoring model refresh, anchor re-verification, sybil analysis, order timeouts, anchor change retries)
+    jobs: {
+        enabled: optionalEnv('JOBS_ENABLED', 'true') === 'true',
+        webhookDeliveryIntervalMs: parseInt(optionalEnv('WEBHOOK_DELIVERY_INTERVAL_MS', '15000'), 10),
+        expirySweepIntervalMs: parseInt(optionalEnv('EXPIRY_SWEEP_INTERVAL_MS', '60000'), 10),
+        scoringModelRefreshIntervalMs: parseInt(optionalEnv('SCORING_MODEL_REFRESH_INTERVAL_MS', '60000'), 10),
+        anchorReverificationIntervalMs: parseInt(optionalEnv('ANCHOR_REVERIFICATION_INTERVAL_MS', '3600000'), 10),
+        sybilAnalysisIntervalMs: parseInt(optionalEnv('SYBIL_ANALYSIS_INTERVAL_MS', '21600000'), 10),
+        orderTimeoutIntervalMs: parseInt(optionalEnv('ORDER_TIMEOUT_INTERVAL_MS', '60000'), 10),
+        anchorChangeRetryIntervalMs: parseInt(optionalEnv('ANCHOR_CHANGE_RETRY_INTERVAL_MS', '300000'), 10)
+    },
+
+    // Sybil detection: refuse to bind a provider account that another user already holds
+    sybil: {
+        blockDuplicateAnchors: optionalEnv('SYBIL_BLOCK_DUPLICATE_ANCHORS', 'true') === 'true'
+    },
+
     // Session
     sessionSecret: optionalEnv('SESSION_SECRET', 'dev-session-secret-change-in-production'),
 
     // Frontend URL (for OAuth redirects)
     frontendUrl: optionalEnv('FRONTEND_URL', 'http://localhost:5173'),
 
+    // Public URL of this API (for links in emails)
+    apiUrl: optionalEnv('API_URL', 'http://localhost:3000'),
+
     // AWS S3 Configuration
     aws: {
         accessKeyId: optionalEnv('AWS_ACCESS_KEY_ID', ''),
@@ -0,0 +1,94 @@
+/**
+ * Known Educational Institutions
+ *
+ * Maps an institution's email domain to its display name, so verification
+ * pages can show the school rather than a bare domain. Institution anchors
+ * for domains not listed here still verify; they are shown by domain.
+ *
+ * Subdomains resolve to their institution (cs.stanford.edu -> stanford.edu).
+ */
+
+export const INSTITUTIONS = {
+    // United States
+    'harvard.edu': 'Harvard University',
+    'mit.edu': 'Massachusetts Institute of Technology',
+    'stanford.edu': 'Stanford University',
+    'berkeley.edu': 'University of California, Berkeley',
+    'ucla.edu': 'University of California, Los Angeles',
+    'columbia.edu': 'Columbia University',
+    'nyu.edu': 'New York University',
+    'princeton.edu': 'Princeton University',
+    'yale.edu': 'Yale University',
+    'upenn.edu': 'University of Pennsylvania',
+    'cornell.edu': 'Cornell University',
+    'uchicago.edu': 'University of Chicago',
+    'cmu.edu': 'Carnegie Mellon University',
+    'caltech.edu': 'California Institute of Technology',
+    'umich.edu': 'University of Michigan',
+    'utexas.edu': 'The University of Texas at Austin',
+    'gatech.edu': 'Georgia Institute of Technology',
+    'illinois.edu': 'University of Illinois Urbana-Champaign',
+    'uw.edu': 'University of Washington',
+    'wisc.edu': 'University of Wisconsin-Madison',
+    'duke.edu': 'Duke University',
+    'northwestern.edu': 'Northwestern University',
+    'usc.edu': 'University of Southern California',
+    'asu.edu': 'Arizona State University',
+    'osu.edu': 'The Ohio State University',
+    'psu.edu': 'Pennsylvania State University',
+    'bu.edu': 'Boston University',
+
+    // United Kingdom
+    'ox.ac.uk': 'University of Oxford',
+    'cam.ac.uk': 'University of Cambridge',
+    'imperial.ac.uk': 'Imperial College London',
+    'ucl.ac.uk': 'University College London',
+    'ed.ac.uk': 'The University of Edinburgh',
+    'manchester.ac.uk': 'The University of Manchester',
+    'kcl.ac.uk': "King's College London",
+    'lse.ac.uk': 'London School of Economics and Political Science',
+
+    // Elsewhere
+    'unimelb.edu.au': 'The University of Melbourne',
+    'sydney.edu.au': 'The University of Sydney',
+    'anu.edu.au': 'The Australian National University',
+    'u-tokyo.ac.jp': 'The University of Tokyo',
+    'kyoto-u.ac.jp': 'Kyoto University',
+    'tsinghua.edu.cn': 'Tsinghua University',
+    'pku.edu.cn': 'Peking University',
+    'nus.edu.sg': 'National University of Singapore',
+    'auckland.ac.nz': 'The University of Auckland',
+    'iitb.ac.in': 'Indian Institute of Technology Bombay',
+    'technion.ac.il': 'Technion - Israel Institute of Technology'
+};
+
+// The institution's own domain: one label before .edu, .edu.xx or .ac.xx
+const INSTITUTION_DOMAIN_PATTERN = /([a-z0-9-]+\.(?:edu|edu\.[a-z]{2}|ac\.[a-z]{2}))$/i;
+
+/**
+ * Reduce an email domain to its institution's domain
+ *
+ * @param {string} domain - Email domain, e.g. "cs.stanford.edu"
+ * @returns {string|null} Institution domain, e.g. "stanford.edu", or null if not educational
+ */
+export function getInstitutionDomain(domain) {
+    const match = (domain || '').toLowerCase().match(INSTITUTION_DOMAIN_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Look up the institution for an email domain
+ *
+ * @param {string} domain - Email domain
+ * @returns {Object|null} { domain, name } (name is null for unlisted institutions), or null if not educational
+ */
+export function findInstitution(domain) {
+    const institutionDomain = getInstitutionDomain(domain);
+    if (!institutionDomain) {
+        return null;
+    }
+
+    return { domain: institutionDomain, name: INSTITUTIONS[institutionDomain] || null };
+}
+
+export default INSTITUTIONS;
@@ -0,0 +1,84 @@
+/**
+ * Microsoft OAuth Strategy (Microsoft identity platform v2.0)
+ *
+ * Uses the "common" tenant so both personal Microsoft accounts (Outlook,
+ * Hotmail, Xbox) and work/school accounts can sign in. The profile comes
+ * from Microsoft Graph /me.
+ *
+ * Like the LinkedIn strategy, state is passed through unvalidated so the
+ * user's JWT can travel in it.
+ */
+
+import { Strategy as OAuth2Strategy } from 'passport-oauth2';
+
+const AUTHORITY_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0';
+
+class MicrosoftStrategy extends OAuth2Strategy {
+    constructor(options, verify) {
+        options = options || {};
+        options.authorizationURL = options.authorizationURL || `${AUTHORITY_URL}/authorize`;
+        options.tokenURL = options.tokenURL || `${AUTHORITY_URL}/token`;
+        options.scope = options.scope || ['openid', 'profile', 'email', 'offline_access', 'User.Read', 'Mail.ReadBasic'];
+        // Disable passport's built-in state verification - we handle state ourselves for token passing
+        options.state = false;
+
+        super(options, verify);
+
+        this.name = 'microsoft';
+        this._userProfileURL = 'https://graph.microsoft.com/v1.0/me';
+    }
+
+    /**
+     * Override authenticate to pass through state without validation
+     * This allows us to encode our JWT token in the state parameter
+     */
+    authenticate(req, options) {
+        if (options && options.state) {
+            this._stateStore = {
+                store: (req, cb) => cb(null, options.state),
+                verify: (req, state, cb) => cb(null, true, state) // Always pass verification
+            };
+        }
+        return super.authenticate(req, options);
+    }
+
+    /**
+     * Fetch the user's profile from Microsoft Graph
+     */
+    userProfile(accessToken, done) {
+        this._oauth2.useAuthorizationHeaderforGET(true);
+
+        this._oauth2.get(this._userProfileURL, accessToken, (err, body) => {
+            if (err) {
+                console.error('[Microsoft OAuth] Error fetching profile:', err);
+                return done(new Error('Failed to fetch user profile from Microsoft'));
+            }
+
+            try {
+                const json = JSON.parse(body);
+                // Personal accounts have no mail attribute; their sign-in name is the address
+                const email = json.mail || json.userPrincipalName;
+
+                const profile = {
+                    provider: 'microsoft',
+                    id: json.id,
+                    displayName: json.displayName,
+                    email,
+                    _raw: body,
+                    _json: json
+                };
+
+                if (email) {
+                    profile.emails = [{ value: email }];
+                }
+
+                return done(null, profile);
+            } catch (e) {
+                console.error('[Microsoft OAuth] Error parsing profile:', e);
+                return done(new Error('Failed to parse Microsoft profile response'));
+            }
+        });
+    }
+}
+
+export default MicrosoftStrategy;
@@ -1,13 +1,16 @@
 /**
  * Passport.js Configuration
  *
- * Configures Google OAuth 2.0 strategy for identity verification.
- * This is used to connect Gmail accounts as identity anchors.
+ * Configures the OAuth strategies used to connect identity anchors:
+ * Google (Gmail), LinkedIn, GitHub, Microsoft and Apple.
  */
 
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import LinkedInOIDCStrategy from './linkedin-oidc-strategy.js';
+import GitHubStrategy from './github-strategy.js';
+import MicrosoftStrategy from './microsoft-strategy.js';
+import AppleStrategy from './apple-strategy.js';
 import config from './index.js';
 import db from '../db/index.js';
 import authService from '../services/auth.service.js';
@@ -121,6 +124,102 @@ const linkedInStrategy = new LinkedInOIDCStrategy(
     }
 );
 
+/**
+ * GitHub OAuth Strategy
+ *
+ * Scopes requested:
+ * - read:user: Profile (account age, public repos, followers)
+ * - user:email: Verified primary email
+ *
+ * Created only when configured (OAuth2Strategy requires a client ID).
+ */
+function createGitHubStrategy() {
+    return new GitHubStrategy(
+        {
+            clientID: config.github.clientId,
+            clientSecret: config.github.clientSecret,
+            callbackURL: config.github.callbackUrl
+        },
+        (accessToken, refreshToken, profile, done) => {
+            return done(null, {
+                providerId: profile.id,
+                email: profile.email,
+                username: profile.username,
+                displayName: profile.displayName,
+                profilePhoto: profile.picture,
+                profileUrl: profile.profileUrl,
+                accessToken,
+                refreshToken
+            });
+        }
+    );
+}
+
+/**
+ * Microsoft OAuth Strategy
+ *
+ * Scopes requested:
+ * - openid, profile, email, User.Read: Basic profile
+ * - offline_access: Refresh token for re-verification
+ * - Mail.ReadBasic: Mailbox counts only - NO message bodies
+ */
+function createMicrosoftStrategy() {
+    return new MicrosoftStrategy(
+        {
+            clientID: config.microsoft.clientId,
+            clientSecret: config.microsoft.clientSecret,
+            callbackURL: config.microsoft.callbackUrl
+        },
+        (accessToken, refreshToken, profile, done) => {
+            return done(null, {
+                providerId: profile.id,
+                email: profile.email,
+                displayName: profile.displayName,
+                accessToken,
+                refreshToken
+            });
+        }
+    );
+}
+
+/**
+ * Sign in with Apple Strategy
+ *
+ * Identity comes from the id_token in the token response. Apple shares
+ * little beyond a (possibly relayed) email address.
+ */
+function createAppleStrategy() {
+    return new AppleStrategy(
+        {
+            clientID: config.apple.clientId,
+            teamId: config.apple.teamId,
+            keyId: config.apple.keyId,
+            privateKey: config.apple.privateKey,
+            callbackURL: config.apple.callbackUrl
+        },
+        (accessToken, refreshToken, params, profile, done) => {
+            try {
+                const identity = AppleStrategy.parseIdToken(params.id_token);
+                if (!identity.id) {
+                    return done(new Error('Apple id_token has no subject'), null);
+                }
+
+                return done(null, {
+                    providerId: identity.id,
+                    email: identity.email,
+                    emailVerified: identity.emailVerified,
+                    isPrivateEmail: identity.isPrivateEmail,
+                    realUserStatus: identity.realUserStatus,
+                    accessToken,
+                    refreshToken
+                });
+            } catch (err) {
+                return done(err, null);
+            }
+        }
+    );
+}
+
 /**
  * Serialize user to session
  * We store minimal data - just enough to identify the OAuth session
@@ -137,7 +236,7 @@ passport.deserializeUser((oauthData, done) => {
 });
 
 /**
- * Initialize Passport with Google and LinkedIn strategies
+ * Initialize Passport with the strategies whose credentials are configured
  */
 export function initializePassport() {
     if (config.google.clientId && config.google.clientSecret) {
@@ -153,6 +252,27 @@ export function initializePassport() {
     } else {
         console.warn('LinkedIn OAuth credentials not configured - LinkedIn OAuth disabled');
     }
+
+    if (config.github.clientId && config.github.clientSecret) {
+        passport.use(createGitHubStrategy());
+        console.log('Passport GitHub OAuth initialized');
+    } else {
+        console.warn('GitHub OAuth credentials not configured - GitHub OAuth disabled');
+    }
+
+    if (config.microsoft.clientId && config.microsoft.clientSecret) {
+        passport.use(createMicrosoftStrategy());
+        console.log('Passport Microsoft OAuth initialized');
+    } else {
+        console.warn('Microsoft OAuth credentials not configured - Microsoft OAuth disabled');
+    }
+
+    if (config.apple.clientId && config.apple.teamId && config.apple.keyId && config.apple.privateKey) {
+        passport.use(createAppleStrategy());
+        console.log('Passport Apple OAuth initialized');
+    } else {
+        console.warn('Apple OAuth credentials not configured - Apple OAuth disabled');
+    }
 }
 
 export default passport;
@@ -0,0 +1,49 @@
+/**
+ * Vertical (Rank Guard) Configuration
+ *
+ * Each vertical scopes an Auth-Badge to one marketplace. A badge for a vertical
+ * can only be issued when the user meets that vertical's clearance and anchor
+ * requirements, and it expires on the vertical's own schedule.
+ *
+ * minClearance: minimum clearance level (1 Spectator - 4 Grandmaster)
+ * requiredAnchors: identity providers that must all be connected; a nested
+ *   array is satisfied by any one of its providers
+ * expiryDays: badge lifetime for this vertical
+ */
+
+export const VERTICALS = {
+    tickets: {
+        name: 'Tickets',
+        minClearance: 2,
+        requiredAnchors: ['gmail'],
+        expiryDays: 3
+    },
+    apartments: {
+        name: 'Apartments',
+        minClearance: 3,
+        requiredAnchors: ['gmail', 'linkedin'],
+        expiryDays: 30
+    },
+    jobs: {
+        name: 'Jobs',
+        minClearance: 3,
+        requiredAnchors: [['linkedin', 'github']],
+        expiryDays: 14
+    },
+    dating: {
+        name: 'Dating',
+        minClearance: 2,
+        requiredAnchors: ['gmail'],
+        expiryDays: 7
+    },
+    freelance: {
+        name: 'Freelance',
+        minClearance: 2,
+        requiredAnchors: [['linkedin', 'github']],
+        expiryDays: 14
+    }
+};
+
+export const VERTICAL_NAMES = Object.keys(VERTICALS);
+
+export default VERTICALS;
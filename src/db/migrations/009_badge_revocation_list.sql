@@ -0,0 +1,23 @@
+-- Migration: 009_badge_revocation_list.sql
+-- Description: Versioned revocation log for the signed badge revocation list
+-- Created: 2026-10-19
+
+-- Every revocation appends a row; the serial version lets offline verifiers
+-- fetch only the entries added since the last list they saw.
+CREATE TABLE IF NOT EXISTS badge_revocations (
+    version BIGSERIAL PRIMARY KEY,
+    badge_id UUID NOT NULL REFERENCES auth_badges(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL,        -- SHA-256 of badge_token, hex encoded
+    reason VARCHAR(255),
+    revoked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL  -- Badge expiry; entry can be dropped after this
+);
+
+CREATE INDEX IF NOT EXISTS idx_badge_revocations_expires_at ON badge_revocations(expires_at);
+
+-- Backfill badges revoked before this migration that have not expired yet
+INSERT INTO badge_revocations (badge_id, token_hash, reason, revoked_at, expires_at)
+SELECT id, encode(sha256(badge_token::bytea), 'hex'), revocation_reason, revoked_at, expires_at
+FROM auth_badges
+WHERE revoked_at IS NOT NULL AND expires_at > NOW()
+ORDER BY revoked_at;
@@ -0,0 +1,22 @@
+-- Migration: 010_verifier_platforms.sql
+-- Description: Registered verifier platforms with API keys and per-platform rate limits
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS verifier_platforms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    website_url VARCHAR(500),
+    api_key_prefix VARCHAR(16) NOT NULL,        -- First characters of the key, for display
+    api_key_hash VARCHAR(64) UNIQUE NOT NULL,   -- SHA-256 of the full API key
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_verifier_platforms_owner ON verifier_platforms(owner_user_id);
+
+-- badge_verifications.platform_id holds verifier_platforms.id for keyed requests
+CREATE INDEX IF NOT EXISTS idx_badge_verifications_platform_id ON badge_verifications(platform_id, verified_at);
@@ -0,0 +1,7 @@
+-- Migration: 011_badge_disclosed_claims.sql
+-- Description: Selective-disclosure badges that carry only predicate claims
+-- Created: 2026-10-19
+
+-- NULL = full disclosure (trust_score, clearance_level, edu_verified in the payload)
+-- Otherwise the predicate claims the user chose to disclose, e.g. {"clearance_gte_master": true}
+ALTER TABLE auth_badges ADD COLUMN IF NOT EXISTS disclosed_claims JSONB;
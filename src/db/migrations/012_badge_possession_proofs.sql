@@ -0,0 +1,20 @@
+-- Migration: 012_badge_possession_proofs.sql
+-- Description: Bind badges to an agent-held Ed25519 key and track possession challenges
+-- Created: 2026-10-19
+
+-- Base64 Ed25519 public key held by the agent carrying the badge (NULL = bearer badge)
+ALTER TABLE auth_badges ADD COLUMN IF NOT EXISTS agent_public_key VARCHAR(64);
+
+-- Server-issued nonces that an agent must sign to prove it holds the bound key
+CREATE TABLE IF NOT EXISTS badge_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    badge_id UUID NOT NULL REFERENCES auth_badges(id) ON DELETE CASCADE,
+    nonce VARCHAR(64) UNIQUE NOT NULL,
+    platform_id VARCHAR(100),               -- Verifier platform that requested it, if keyed
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE         -- Nonces are single-use
+);
+
+CREATE INDEX IF NOT EXISTS idx_badge_challenges_badge_id ON badge_challenges(badge_id);
+CREATE INDEX IF NOT EXISTS idx_badge_challenges_expires_at ON badge_challenges(expires_at);
@@ -0,0 +1,11 @@
+-- Migration: 013_badge_delegations.sql
+-- Description: Delegated agent credentials - short-lived child badges scoped by the user
+-- Created: 2026-10-19
+
+-- A delegated credential is an auth_badges row linked to the badge it was minted from
+ALTER TABLE auth_badges ADD COLUMN IF NOT EXISTS parent_badge_id UUID REFERENCES auth_badges(id) ON DELETE CASCADE;
+
+-- Maximum the agent may spend on the user's behalf (NULL = no spending)
+ALTER TABLE auth_badges ADD COLUMN IF NOT EXISTS spend_limit_cents INTEGER CHECK (spend_limit_cents > 0);
+
+CREATE INDEX IF NOT EXISTS idx_auth_badges_parent_badge_id ON auth_badges(parent_badge_id);
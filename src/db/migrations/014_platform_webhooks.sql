@@ -0,0 +1,44 @@
+-- Migration: 014_platform_webhooks.sql
+-- Description: Webhook subscriptions and delivery log for verifier platforms
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    platform_id UUID NOT NULL REFERENCES verifier_platforms(id) ON DELETE CASCADE,
+    url VARCHAR(500) NOT NULL,
+    events TEXT[] NOT NULL DEFAULT ARRAY['badge.revoked', 'badge.expired'],
+    signing_method VARCHAR(10) NOT NULL DEFAULT 'hmac' CHECK (signing_method IN ('hmac', 'ed25519')),
+    secret VARCHAR(100),                     -- HMAC secret (NULL for ed25519 subscriptions)
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_platform ON webhook_subscriptions(platform_id);
+
+-- One row per event per subscription; retried with backoff until delivered or failed
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+
+-- Expiry sweeps mark badges once they have been announced as expired
+ALTER TABLE auth_badges ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP WITH TIME ZONE;
+
+-- Don't announce badges that expired before webhooks existed
+UPDATE auth_badges SET expiry_notified_at = expires_at
+WHERE expires_at <= CURRENT_TIMESTAMP AND expiry_notified_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auth_badges_expiry_sweep ON auth_badges(expires_at) WHERE expiry_notified_at IS NULL;
@@ -0,0 +1,41 @@
+-- Migration: 015_scoring_models.sql
+-- Description: Versioned trust-score models, and the model version behind each badge
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS scoring_models (
+    version SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    points JSONB NOT NULL,                   -- { "BASE": 20, "GMAIL": 25, ... }
+    max_score INTEGER NOT NULL CHECK (max_score > 0 AND max_score <= 100),
+    clearance_thresholds JSONB NOT NULL,     -- { "PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100 }
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+    seed_key VARCHAR(50) UNIQUE,             -- Set on models seeded by migrations, so later ones can find them
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one model scores users at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_models_one_active ON scoring_models(status) WHERE status = 'active';
+
+-- Version 1 is the model that was hardcoded in trustScore.service.js
+INSERT INTO scoring_models (version, seed_key, name, description, points, max_score, clearance_thresholds, status, created_by, activated_at)
+VALUES (
+    1,
+    'launch',
+    'Launch model',
+    'Base account plus Gmail, LinkedIn and .edu bonus points',
+    '{"BASE": 20, "GMAIL": 25, "LINKEDIN": 30, "EDU_BONUS": 25}',
+    100,
+    '{"PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100}',
+    'active',
+    'migration',
+    CURRENT_TIMESTAMP
+)
+ON CONFLICT DO NOTHING;
+
+SELECT setval('scoring_models_version_seq', GREATEST((SELECT MAX(version) FROM scoring_models), 1));
+
+-- Which model scored each badge (existing badges were all scored by version 1)
+ALTER TABLE auth_badges ADD COLUMN IF NOT EXISTS model_version INTEGER DEFAULT 1;
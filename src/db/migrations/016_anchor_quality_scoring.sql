@@ -0,0 +1,28 @@
+-- Migration: 016_anchor_quality_scoring.sql
+-- Description: Graduated anchor-quality scoring (account age, activity, network) with penalties
+-- Created: 2026-10-19
+
+ALTER TABLE scoring_models ADD COLUMN IF NOT EXISTS penalties JSONB NOT NULL DEFAULT '{}';
+
+-- Existing models predate the quality factors: pin any they don't set to zero so
+-- they keep scoring as they did
+UPDATE scoring_models
+SET points = '{"GMAIL_AGE": 0, "GMAIL_ACTIVITY": 0, "LINKEDIN_AGE": 0, "LINKEDIN_NETWORK": 0}' || points,
+    penalties = '{"NEW_ACCOUNT": 0, "EMPTY_ACCOUNT": 0}' || penalties;
+
+-- Splits the flat Gmail/LinkedIn points into connection + quality factors.
+-- Seeded as a draft: review it with the preview endpoint, then switch to it with
+-- POST /api/admin/scoring-models/:version/activate
+INSERT INTO scoring_models (seed_key, name, description, points, penalties, max_score, clearance_thresholds, status, created_by)
+VALUES (
+    'anchor_quality',
+    'Anchor quality',
+    'Rewards account age, email activity and LinkedIn network size; penalizes brand-new and empty accounts',
+    '{"BASE": 20, "GMAIL": 10, "GMAIL_AGE": 8, "GMAIL_ACTIVITY": 7, "LINKEDIN": 12, "LINKEDIN_AGE": 8, "LINKEDIN_NETWORK": 10, "EDU_BONUS": 25}',
+    '{"NEW_ACCOUNT": 10, "EMPTY_ACCOUNT": 10}',
+    100,
+    '{"PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100}',
+    'draft',
+    'migration'
+)
+ON CONFLICT (seed_key) DO NOTHING;
@@ -0,0 +1,48 @@
+-- Migration: 017_marketplace_reputation.sql
+-- Description: Marketplace reputation component of the trust score
+-- Created: 2026-10-19
+
+-- Fraud analyses were only returned to the uploader; keep them per user
+CREATE TABLE IF NOT EXISTS fraud_analyses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    receipt_id UUID REFERENCES receipt_uploads(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    risk_score DECIMAL(5,4) NOT NULL,
+    recommendation VARCHAR(20) NOT NULL,    -- approve, manual_review, reject
+    signals JSONB DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fraud_analyses_user_id ON fraud_analyses(user_id);
+
+-- Rejected prices never become listings, so record who asked
+ALTER TABLE price_verifications ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+UPDATE price_verifications pv
+SET user_id = tl.user_id
+FROM ticket_listings tl
+WHERE tl.id = pv.listing_id AND pv.user_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_price_verifications_user_id ON price_verifications(user_id);
+
+-- Existing models predate marketplace reputation: pin it to zero
+-- where they don't set it, so they keep scoring as they did
+UPDATE scoring_models
+SET points = '{"MARKETPLACE_SALES": 0}' || points,
+    penalties = '{"UPHELD_FLAG": 0, "REJECTED_PRICE": 0, "FRAUD_REJECT": 0, "FRAUD_REVIEW": 0}' || penalties;
+
+-- Seeded as a draft: review it with the preview endpoint, then switch to it with
+-- POST /api/admin/scoring-models/:version/activate
+INSERT INTO scoring_models (seed_key, name, description, points, penalties, max_score, clearance_thresholds, status, created_by)
+VALUES (
+    'marketplace_reputation',
+    'Marketplace reputation',
+    'Moves 5 .edu points to completed sales and deducts upheld flags, rejected price verifications and fraud recommendations, decaying with age',
+    '{"BASE": 20, "GMAIL": 10, "GMAIL_AGE": 8, "GMAIL_ACTIVITY": 7, "LINKEDIN": 12, "LINKEDIN_AGE": 8, "LINKEDIN_NETWORK": 10, "EDU_BONUS": 20, "MARKETPLACE_SALES": 5}',
+    '{"NEW_ACCOUNT": 10, "EMPTY_ACCOUNT": 10, "UPHELD_FLAG": 10, "REJECTED_PRICE": 3, "FRAUD_REJECT": 15, "FRAUD_REVIEW": 3}',
+    100,
+    '{"PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100}',
+    'draft',
+    'migration'
+)
+ON CONFLICT (seed_key) DO NOTHING;
@@ -0,0 +1,17 @@
+-- Migration: 018_score_history.sql
+-- Description: Trust score history with the breakdown, model version and trigger of each recomputation
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS score_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    trust_score INTEGER NOT NULL,
+    clearance_level INTEGER NOT NULL,
+    breakdown JSONB NOT NULL,
+    model_version INTEGER NOT NULL,
+    trigger VARCHAR(50) NOT NULL,           -- anchor_connected, anchor_disconnected, flag_upheld, listing_sold, price_rejected, fraud_flagged, recomputed
+    trigger_details VARCHAR(255),           -- e.g. the anchor provider
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_history_user_created ON score_history(user_id, created_at DESC);
@@ -0,0 +1,24 @@
+-- Migration: 019_additional_anchor_providers.sql
+-- Description: GitHub, Microsoft and Apple identity anchors and their trust-score weights
+-- Created: 2026-10-19
+
+-- Existing models predate these providers: pin them to zero
+-- where they don't set them, so they keep scoring as they did
+UPDATE scoring_models
+SET points = '{"GITHUB": 0, "GITHUB_AGE": 0, "GITHUB_ACTIVITY": 0, "MICROSOFT": 0, "MICROSOFT_AGE": 0, "MICROSOFT_ACTIVITY": 0, "APPLE": 0}' || points;
+
+-- Seeded as a draft: review it with the preview endpoint, then switch to it with
+-- POST /api/admin/scoring-models/:version/activate
+INSERT INTO scoring_models (seed_key, name, description, points, penalties, max_score, clearance_thresholds, status, created_by)
+VALUES (
+    'additional_anchor_providers',
+    'GitHub, Microsoft and Apple anchors',
+    'Scores GitHub (account age, repos, followers), Microsoft (account age, mailbox size) and Apple anchors',
+    '{"BASE": 20, "GMAIL": 10, "GMAIL_AGE": 8, "GMAIL_ACTIVITY": 7, "LINKEDIN": 12, "LINKEDIN_AGE": 8, "LINKEDIN_NETWORK": 10, "GITHUB": 8, "GITHUB_AGE": 6, "GITHUB_ACTIVITY": 6, "MICROSOFT": 6, "MICROSOFT_AGE": 4, "MICROSOFT_ACTIVITY": 4, "APPLE": 5, "EDU_BONUS": 20, "MARKETPLACE_SALES": 5}',
+    '{"NEW_ACCOUNT": 10, "EMPTY_ACCOUNT": 10, "UPHELD_FLAG": 10, "REJECTED_PRICE": 3, "FRAUD_REJECT": 15, "FRAUD_REVIEW": 3}',
+    100,
+    '{"PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100}',
+    'draft',
+    'migration'
+)
+ON CONFLICT (seed_key) DO NOTHING;
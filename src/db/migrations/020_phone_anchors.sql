@@ -0,0 +1,45 @@
+-- Migration: 020_phone_anchors.sql
+-- Description: Phone number anchors verified by SMS one-time codes, and their trust-score weight
+-- Created: 2026-10-19
+
+-- One-time codes sent to a phone number; only a hash of the code is stored
+CREATE TABLE IF NOT EXISTS phone_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    phone_number VARCHAR(20) NOT NULL,      -- E.164
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    sms_provider VARCHAR(50),
+    sms_message_id VARCHAR(255),
+    expires_at TIMESTAMP NOT NULL,
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_user_created ON phone_verifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_phone_created ON phone_verifications(phone_number, created_at DESC);
+
+-- A phone number can anchor only one account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_identity_anchors_phone_number
+    ON identity_anchors(provider_user_id) WHERE provider = 'phone';
+
+-- Existing models predate phone anchors: pin PHONE to zero
+-- where they don't set it, so they keep scoring as they did
+UPDATE scoring_models
+SET points = '{"PHONE": 0}' || points;
+
+-- Seeded as a draft: review it with the preview endpoint, then switch to it with
+-- POST /api/admin/scoring-models/:version/activate
+INSERT INTO scoring_models (seed_key, name, description, points, penalties, max_score, clearance_thresholds, status, created_by)
+VALUES (
+    'phone_anchors',
+    'Phone anchors',
+    'Adds points for a phone number verified by SMS code',
+    '{"BASE": 20, "GMAIL": 10, "GMAIL_AGE": 8, "GMAIL_ACTIVITY": 7, "LINKEDIN": 12, "LINKEDIN_AGE": 8, "LINKEDIN_NETWORK": 10, "GITHUB": 8, "GITHUB_AGE": 6, "GITHUB_ACTIVITY": 6, "MICROSOFT": 6, "MICROSOFT_AGE": 4, "MICROSOFT_ACTIVITY": 4, "APPLE": 5, "PHONE": 5, "EDU_BONUS": 20, "MARKETPLACE_SALES": 5}',
+    '{"NEW_ACCOUNT": 10, "EMPTY_ACCOUNT": 10, "UPHELD_FLAG": 10, "REJECTED_PRICE": 3, "FRAUD_REJECT": 15, "FRAUD_REVIEW": 3}',
+    100,
+    '{"PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100}',
+    'draft',
+    'migration'
+)
+ON CONFLICT (seed_key) DO NOTHING;
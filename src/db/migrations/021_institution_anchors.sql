@@ -0,0 +1,22 @@
+-- Migration: 021_institution_anchors.sql
+-- Description: Institution (.edu) anchors verified by emailed magic links
+-- Created: 2026-10-19
+
+-- Magic links sent to institution email addresses; only a hash of each token is stored
+CREATE TABLE IF NOT EXISTS institution_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    institution_domain VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_institution_verifications_user_created ON institution_verifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_institution_verifications_email_created ON institution_verifications(email, created_at DESC);
+
+-- An institution email address can anchor only one account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_identity_anchors_institution_email
+    ON identity_anchors(provider_user_id) WHERE provider = 'institution';
@@ -0,0 +1,31 @@
+-- Migration: 022_anchor_reverification.sql
+-- Description: Background re-verification of OAuth anchors and staleness decay of unverified ones
+-- Created: 2026-10-19
+
+ALTER TABLE identity_anchors ADD COLUMN IF NOT EXISTS last_reverification_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE identity_anchors ADD COLUMN IF NOT EXISTS reverification_status VARCHAR(20);   -- verified, changed, revoked, error, unsupported
+ALTER TABLE identity_anchors ADD COLUMN IF NOT EXISTS reverification_error VARCHAR(255);
+ALTER TABLE identity_anchors ADD COLUMN IF NOT EXISTS stale_nudged_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_identity_anchors_provider_verified ON identity_anchors(provider, last_verified_at);
+
+-- Existing models predate staleness decay: pin it to zero
+-- where they don't set it, so they keep scoring as they did
+UPDATE scoring_models
+SET penalties = '{"STALE_ANCHOR": 0}' || penalties;
+
+-- Seeded as a draft: review it with the preview endpoint, then switch to it with
+-- POST /api/admin/scoring-models/:version/activate
+INSERT INTO scoring_models (seed_key, name, description, points, penalties, max_score, clearance_thresholds, status, created_by)
+VALUES (
+    'anchor_staleness',
+    'Anchor staleness',
+    'OAuth anchors not re-verified for 90 days lose half their points, and all of them after 180 days',
+    '{"BASE": 20, "GMAIL": 10, "GMAIL_AGE": 8, "GMAIL_ACTIVITY": 7, "LINKEDIN": 12, "LINKEDIN_AGE": 8, "LINKEDIN_NETWORK": 10, "GITHUB": 8, "GITHUB_AGE": 6, "GITHUB_ACTIVITY": 6, "MICROSOFT": 6, "MICROSOFT_AGE": 4, "MICROSOFT_ACTIVITY": 4, "APPLE": 5, "PHONE": 5, "EDU_BONUS": 20, "MARKETPLACE_SALES": 5}',
+    '{"NEW_ACCOUNT": 10, "EMPTY_ACCOUNT": 10, "UPHELD_FLAG": 10, "REJECTED_PRICE": 3, "FRAUD_REJECT": 15, "FRAUD_REVIEW": 3, "STALE_ANCHOR": 50}',
+    100,
+    '{"PLAYER": 50, "MASTER": 75, "GRANDMASTER": 100}',
+    'draft',
+    'migration'
+)
+ON CONFLICT (seed_key) DO NOTHING;
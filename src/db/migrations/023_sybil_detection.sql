@@ -0,0 +1,34 @@
+-- Migration: 023_sybil_detection.sql
+-- Description: Cross-account linkage analysis (shared anchors, emails, phones and IPs) and per-user sybil risk
+-- Created: 2026-10-19
+
+-- IP address each account registered from (one of the linkage signals)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS registration_ip VARCHAR(45);
+CREATE INDEX IF NOT EXISTS idx_users_registration_ip ON users(registration_ip);
+
+-- Provider accounts are looked up across users before binding
+CREATE INDEX IF NOT EXISTS idx_identity_anchors_provider_user ON identity_anchors(provider, provider_user_id);
+
+-- One row per analysis run, with the clusters of linked accounts it found
+CREATE TABLE IF NOT EXISTS sybil_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    users_analyzed INTEGER NOT NULL,
+    cluster_count INTEGER NOT NULL,
+    flagged_users INTEGER NOT NULL,
+    clusters JSONB NOT NULL,                -- [{ user_ids, size, risk_level, signals: [{ type, value, user_ids }] }]
+    generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sybil_reports_generated ON sybil_reports(generated_at DESC);
+
+-- Latest risk for each user linked to at least one other account
+CREATE TABLE IF NOT EXISTS sybil_risk (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    risk_score INTEGER NOT NULL,
+    risk_level VARCHAR(10) NOT NULL,        -- low, medium, high
+    signals JSONB NOT NULL,                 -- [{ type, value, linked_user_ids }]
+    report_id UUID REFERENCES sybil_reports(id) ON DELETE SET NULL,
+    analyzed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sybil_risk_level ON sybil_risk(risk_level);
@@ -0,0 +1,16 @@
+-- Migration: 024_profile_privacy.sql
+-- Description: Privacy settings for the public verification profile and manageable shareable links
+-- Created: 2026-10-19
+
+-- Users without a row get the defaults: every anchor and the exact score shown, no email lookup
+CREATE TABLE IF NOT EXISTS profile_settings (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    visible_anchors TEXT[],                 -- NULL shows every connected anchor
+    show_score BOOLEAN NOT NULL DEFAULT TRUE,
+    allow_email_lookup BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE verification_links ADD COLUMN IF NOT EXISTS label VARCHAR(100);
+ALTER TABLE verification_links ADD COLUMN IF NOT EXISTS last_viewed_at TIMESTAMP;
+ALTER TABLE verification_links ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
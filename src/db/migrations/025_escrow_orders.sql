@@ -0,0 +1,57 @@
+-- Migration: 025_escrow_orders.sql
+-- Description: Escrowed ticket orders between buyer and seller, and listing quantity tracking
+-- Created: 2026-10-19
+
+-- Tickets still available to reserve (quantity minus units held by open or completed orders)
+ALTER TABLE ticket_listings ADD COLUMN IF NOT EXISTS quantity_available INTEGER;
+UPDATE ticket_listings
+SET quantity_available = CASE WHEN is_sold THEN 0 ELSE quantity END
+WHERE quantity_available IS NULL;
+ALTER TABLE ticket_listings ALTER COLUMN quantity_available SET NOT NULL;
+ALTER TABLE ticket_listings DROP CONSTRAINT IF EXISTS ticket_listings_quantity_available_check;
+ALTER TABLE ticket_listings ADD CONSTRAINT ticket_listings_quantity_available_check
+    CHECK (quantity_available >= 0 AND quantity_available <= quantity);
+
+CREATE TABLE IF NOT EXISTS orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    listing_id UUID NOT NULL REFERENCES ticket_listings(id) ON DELETE RESTRICT,
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    seller_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price_cents INTEGER NOT NULL,
+    amount_cents INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved',  -- reserved, paid, transferred, completed, cancelled, expired, refunded
+    payment_provider VARCHAR(50),
+    payment_id VARCHAR(255),                -- Provider's ID for the escrow hold
+    payout_id VARCHAR(255),                 -- Provider's ID for the release to the seller
+    refund_id VARCHAR(255),
+    reservation_expires_at TIMESTAMP NOT NULL,
+    paid_at TIMESTAMP,
+    transfer_deadline TIMESTAMP,            -- Seller must transfer the tickets by then
+    transferred_at TIMESTAMP,
+    confirm_deadline TIMESTAMP,             -- Funds are released automatically after this
+    completed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancelled_by UUID REFERENCES users(id),
+    cancel_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_buyer ON orders(buyer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_seller ON orders(seller_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_listing ON orders(listing_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+
+-- Every state change, for support and disputes
+CREATE TABLE IF NOT EXISTS order_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_id UUID REFERENCES users(id),     -- NULL for the timeout job
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);
@@ -0,0 +1,28 @@
+-- Migration: 026_transfer_proofs.sql
+-- Description: Vendor transfer confirmations uploaded by sellers, matched against the listing and accepted or disputed by buyers
+-- Created: 2026-10-19
+
+-- orders.status gains 'disputed': the buyer contested the transfer proof
+-- and escrow stays held until the dispute is resolved
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS transfer_proofs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    receipt_id UUID NOT NULL REFERENCES receipt_uploads(id),
+    submitted_by UUID NOT NULL REFERENCES users(id),
+    vendor VARCHAR(100),                    -- ticketmaster, axs, seatgeek, ... as detected by OCR
+    section VARCHAR(100),                   -- As read from the confirmation
+    row_name VARCHAR(50),
+    seat_numbers VARCHAR(100),
+    confidence_score DECIMAL(5,4),
+    match_result VARCHAR(20) NOT NULL,      -- matched, partial, unverified, mismatch
+    match_checks JSONB NOT NULL DEFAULT '{}',  -- { section, row, seats }: match, mismatch, missing, not_listed
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- rejected, pending, accepted, disputed
+    dispute_reason VARCHAR(500),
+    responded_at TIMESTAMP,                 -- Buyer accepted or disputed (or the window passed)
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_proofs_order ON transfer_proofs(order_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transfer_proofs_receipt ON transfer_proofs(receipt_id);
@@ -0,0 +1,70 @@
+-- Migration: 027_disputes.sql
+-- Description: Dispute center for order disputes and listing flags, with evidence, moderator decisions and an audit trail
+-- Created: 2026-10-19
+
+-- Moderator sanctions
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason VARCHAR(255);
+ALTER TABLE ticket_listings ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS disputes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(20) NOT NULL,              -- order (buyer disputed a transfer), listing (flagged listing)
+    order_id UUID REFERENCES orders(id) ON DELETE RESTRICT,
+    listing_id UUID NOT NULL REFERENCES ticket_listings(id) ON DELETE CASCADE,
+    opened_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    seller_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(100) NOT NULL,           -- order: not_received, wrong_tickets, invalid_tickets, other; listing: the flag reason
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'awaiting_response',  -- awaiting_response, under_review, resolved
+    response_deadline TIMESTAMP NOT NULL,   -- Seller's time to respond before moderators decide
+    seller_response TEXT,
+    seller_responded_at TIMESTAMP,
+    outcome VARCHAR(20),                    -- refund, release, suspend_listing, suspend_seller, dismiss
+    upheld BOOLEAN,                         -- Decided against the seller
+    resolution_notes TEXT,
+    decided_by UUID REFERENCES users(id),
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One dispute per order, and one open dispute per listing that further flags join
+CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_order ON disputes(order_id) WHERE order_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_open_listing ON disputes(listing_id)
+    WHERE kind = 'listing' AND status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_disputes_status ON disputes(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_disputes_seller ON disputes(seller_id);
+CREATE INDEX IF NOT EXISTS idx_disputes_opened_by ON disputes(opened_by);
+
+ALTER TABLE listing_flags ADD COLUMN IF NOT EXISTS dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_listing_flags_dispute ON listing_flags(dispute_id);
+
+CREATE TABLE IF NOT EXISTS dispute_evidence (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    party VARCHAR(20) NOT NULL,             -- complainant, seller
+    s3_key VARCHAR(500) NOT NULL,
+    original_filename VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size_bytes INTEGER,
+    file_hash VARCHAR(64),
+    note TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_evidence_dispute ON dispute_evidence(dispute_id, created_at);
+
+-- Audit trail of everything that happened to a dispute
+CREATE TABLE IF NOT EXISTS dispute_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL,        -- complainant, seller, moderator
+    action VARCHAR(30) NOT NULL,            -- opened, flag_added, responded, evidence_added, resolved
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_events_dispute ON dispute_events(dispute_id, created_at);
@@ -0,0 +1,17 @@
+-- Migration: 028_moderation_queue.sql
+-- Description: Staff roles, claims on listings awaiting manual review, and moderator notes on price verifications
+-- Created: 2026-10-19
+
+-- Staff roles (moderator, admin); regular users have none
+ALTER TABLE users ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT '{}';
+
+-- A moderator working a manual_review listing; claims lapse so abandoned items return to the queue
+ALTER TABLE ticket_listings ADD COLUMN IF NOT EXISTS review_claimed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE ticket_listings ADD COLUMN IF NOT EXISTS review_claimed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_ticket_listings_review_queue ON ticket_listings(updated_at)
+    WHERE verification_status = 'manual_review';
+
+-- Moderator decisions are recorded as price verifications with the reviewer's notes
+ALTER TABLE price_verifications ADD COLUMN IF NOT EXISTS review_notes TEXT;
+CREATE INDEX IF NOT EXISTS idx_price_verifications_reviewer ON price_verifications(reviewer_id) WHERE reviewer_id IS NOT NULL;
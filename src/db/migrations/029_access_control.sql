@@ -0,0 +1,22 @@
+-- Migration: 029_access_control.sql
+-- Description: Staff roles replace the shared admin password; every privileged request is audited per user
+-- Created: 2026-10-19
+
+-- users.roles (028) now holds admin, moderator, event_manager, analyst
+CREATE INDEX IF NOT EXISTS idx_users_roles ON users USING GIN (roles) WHERE roles <> '{}';
+
+CREATE TABLE IF NOT EXISTS staff_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,  -- NULL for the command line (scripts/grant-role.js)
+    actor_roles TEXT[] NOT NULL DEFAULT '{}',              -- Roles held at the time
+    permission VARCHAR(50) NOT NULL,                        -- e.g. disputes:resolve, events:manage
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(500) NOT NULL,
+    status_code INTEGER NOT NULL,                           -- 403 when the permission was missing
+    details JSONB DEFAULT '{}',                             -- Request body
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_audit_log_actor ON staff_audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_staff_audit_log_permission ON staff_audit_log(permission, created_at DESC);
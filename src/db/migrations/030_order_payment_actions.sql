@@ -0,0 +1,12 @@
+-- Migration: 030_order_payment_actions.sql
+-- Description: Record an order's escrow hold, release or refund before calling the payment provider, so the call runs outside the order's transaction and can be retried
+-- Created: 2026-10-19
+
+-- hold, release or refund; set before the provider is called and cleared when
+-- the order moves to paid, completed or refunded. The provider receives the
+-- idempotency key "<order id>:<action>", so a retry never moves money twice.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_action VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_action_details JSONB;  -- actor, reason, restock, payment method, transfer deadline
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_action_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_orders_payment_action ON orders(payment_action_at) WHERE payment_action IS NOT NULL;
@@ -0,0 +1,12 @@
+-- Migration: 031_anchor_proof.sql
+-- Description: Record how each identity anchor was proven, so caller-supplied anchors can be told apart
+-- Created: 2026-10-19
+
+-- oauth, sms, magic_link or mock (development); NULL when the data came from the caller
+ALTER TABLE identity_anchors ADD COLUMN IF NOT EXISTS verified_via VARCHAR(20);
+
+-- Phone and institution anchors can only be connected by code or link, which
+-- they already record; OAuth anchors are marked when they are next connected
+UPDATE identity_anchors
+SET verified_via = metadata->>'verified_via'
+WHERE provider IN ('phone', 'institution') AND verified_via IS NULL;
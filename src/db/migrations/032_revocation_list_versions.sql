@@ -0,0 +1,30 @@
+-- Migration: 032_revocation_list_versions.sql
+-- Description: Assign revocation list versions in commit order from a counter row
+-- Created: 2026-10-19
+
+-- Sequence values are taken at insert but commit in any order, so a delta
+-- client could skip a revocation that committed late. The counter row is
+-- locked by the revoking transaction until it commits: versions become
+-- visible in order, and the counter is the list version readers serve.
+CREATE TABLE IF NOT EXISTS badge_revocation_version (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    version BIGINT NOT NULL
+);
+
+INSERT INTO badge_revocation_version (version)
+SELECT COALESCE(MAX(version), 0) FROM badge_revocations
+ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION assign_badge_revocation_version() RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE badge_revocation_version SET version = version + 1 RETURNING version INTO NEW.version;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS badge_revocations_assign_version ON badge_revocations;
+CREATE TRIGGER badge_revocations_assign_version
+    BEFORE INSERT ON badge_revocations
+    FOR EACH ROW EXECUTE FUNCTION assign_badge_revocation_version();
+
+ALTER TABLE badge_revocations ALTER COLUMN version DROP DEFAULT;
@@ -0,0 +1,19 @@
+-- Migration: 033_anchor_change_retries.sql
+-- Description: Anchor change listeners (badge reconciliation, score history) that failed, queued for retry
+-- Created: 2026-10-19
+
+-- The anchor change itself has committed by the time listeners run, so a
+-- failed listener is queued here and re-run by the anchor-change-retry job
+CREATE TABLE IF NOT EXISTS anchor_change_retries (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    listener VARCHAR(50) NOT NULL,          -- Name given to identityService.onAnchorChange
+    provider VARCHAR(50) NOT NULL,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('connected', 'disconnected')),
+    attempts INTEGER NOT NULL DEFAULT 1,    -- Counts the failed call that queued it
+    last_error VARCHAR(255),
+    last_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_anchor_change_retries_created ON anchor_change_retries(created_at);
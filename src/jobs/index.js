@@ -0,0 +1,104 @@
+/**
+ * Background Jobs
+ *
+ * Periodic work that runs inside the API process. Each job runs on its own
+ * interval and never overlaps with itself; errors are logged and the job
+ * tries again on the next tick.
+ */
+
+import config from '../config/index.js';
+import webhookService from '../services/webhook.service.js';
+import scoringModelService from '../services/scoringModel.service.js';
+import anchorReverificationService from '../services/anchorReverification.service.js';
+import sybilService from '../services/sybil.service.js';
+import orderService from '../services/order.service.js';
+import identityService from '../services/identity.service.js';
+
+const JOBS = [
+    {
+        name: 'badge-expiry-sweep',
+        intervalMs: config.jobs.expirySweepIntervalMs,
+        run: webhookService.sweepExpiredBadges
+    },
+    {
+        name: 'webhook-delivery',
+        intervalMs: config.jobs.webhookDeliveryIntervalMs,
+        run: webhookService.deliverDueWebhooks
+    },
+    {
+        // Pick up models activated by other instances
+        name: 'scoring-model-refresh',
+        intervalMs: config.jobs.scoringModelRefreshIntervalMs,
+        run: scoringModelService.loadActiveModel
+    },
+    {
+        // Re-check OAuth anchors with their stored tokens and nudge owners of stale ones
+        name: 'anchor-reverification',
+        intervalMs: config.jobs.anchorReverificationIntervalMs,
+        run: anchorReverificationService.runReverification
+    },
+    {
+        // Link accounts sharing anchors, emails, phones or IPs; badge issuance reads the risk
+        name: 'sybil-analysis',
+        intervalMs: config.jobs.sybilAnalysisIntervalMs,
+        run: sybilService.runAnalysis
+    },
+    {
+        // Expire unpaid reservations, refund untransferred orders, auto-release unconfirmed ones
+        name: 'order-timeouts',
+        intervalMs: config.jobs.orderTimeoutIntervalMs,
+        run: orderService.processTimeouts
+    },
+    {
+        // Re-run badge reconciliation and score history for anchor changes whose listeners failed
+        name: 'anchor-change-retry',
+        intervalMs: config.jobs.anchorChangeRetryIntervalMs,
+        run: identityService.retryAnchorChanges
+    }
+];
+
+const timers = [];
+
+/**
+ * Start all background jobs (no-op when JOBS_ENABLED=false)
+ */
+export function startJobs() {
+    if (!config.jobs.enabled) {
+        console.log('Background jobs disabled');
+        return;
+    }
+
+    for (const job of JOBS) {
+        let running = false;
+
+        const timer = setInterval(async () => {
+            if (running) return;
+            running = true;
+
+            try {
+                await job.run();
+            } catch (err) {
+                console.error(`[Job ${job.name}] Failed:`, err.message);
+            } finally {
+                running = false;
+            }
+        }, job.intervalMs);
+
+        // Don't keep the process alive just for jobs
+        timer.unref();
+        timers.push(timer);
+    }
+
+    console.log(`Background jobs started: ${JOBS.map(job => job.name).join(', ')}`);
+}
+
+/**
+ * Stop all background jobs
+ */
+export function stopJobs() {
+    while (timers.length > 0) {
+        clearInterval(timers.pop());
+    }
+}
+
+export default { startJobs, stopJobs };
@@ -0,0 +1,61 @@
+/**
+ * Authorization Middleware
+ *
+ * Restricts routes to staff whose roles grant a permission, and writes
+ * privileged requests to the staff audit log. Use after authenticate.
+ */
+
+import roleService from '../services/role.service.js';
+import auditService from '../services/audit.service.js';
+
+/**
+ * Require a permission
+ * Attaches the user's roles and permissions to req.user.
+ *
+ * Changes (anything but GET) are audited by default, whether they succeed,
+ * fail or are refused. Pass { audit: true } for sensitive reads.
+ *
+ * @param {string} permission - One of roleService.PERMISSIONS
+ * @param {Object} [options] - { audit }
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission, options = {}) {
+    return async (req, res, next) => {
+        try {
+            const roles = await roleService.getRoles(req.user.id);
+            const audited = options.audit ?? req.method !== 'GET';
+
+            if (audited) {
+                res.on('finish', () => {
+                    auditService.recordAction({
+                        actorId: req.user.id,
+                        roles,
+                        permission,
+                        method: req.method,
+                        path: req.originalUrl,
+                        statusCode: res.statusCode,
+                        body: req.body,
+                        ipAddress: req.ip
+                    }).catch(err => {
+                        console.error(`[Audit] Failed to record ${permission} by ${req.user.id}:`, err.message);
+                    });
+                });
+            }
+
+            if (!roleService.hasPermission(roles, permission)) {
+                return res.status(403).json({
+                    error: 'forbidden',
+                    message: `This requires the ${permission} permission`
+                });
+            }
+
+            req.user.roles = roles;
+            req.user.permissions = roleService.permissionsFor(roles);
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+export default { requirePermission };
@@ -0,0 +1,67 @@
+/**
+ * Verifier Platform Authentication Middleware
+ *
+ * Identifies registered verifier platforms by the X-API-Key header and
+ * applies each platform's own rate limit.
+ */
+
+import rateLimit from 'express-rate-limit';
+import platformService from '../services/platform.service.js';
+
+/**
+ * Optional platform authentication
+ * No key: continue anonymously. Invalid key: reject. Valid key: attach req.platform.
+ */
+export async function optionalPlatformAuth(req, res, next) {
+    const apiKey = req.get('x-api-key');
+
+    if (!apiKey) {
+        return next();
+    }
+
+    try {
+        const platform = await platformService.authenticatePlatform(apiKey);
+
+        if (!platform) {
+            return res.status(401).json({
+                error: 'unauthorized',
+                message: 'Invalid or inactive API key'
+            });
+        }
+
+        req.platform = platform;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Per-platform rate limit (requests per minute, set on each platform)
+ * Anonymous requests fall through to the global limiter.
+ */
+export const platformRateLimit = rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.platform.rate_limit_per_minute,
+    keyGenerator: (req) => `platform:${req.platform.id}`,
+    skip: (req) => !req.platform,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'platform_rate_limit_exceeded',
+        message: 'Platform verification rate limit exceeded, please slow down.'
+    }
+});
+
+/**
+ * Verification context for badge_verifications logging
+ */
+export function getVerificationContext(req) {
+    return {
+        ip: req.ip || req.connection?.remoteAddress,
+        userAgent: req.get('user-agent') || null,
+        platformId: req.platform?.id || null
+    };
+}
+
+export default { optionalPlatformAuth, platformRateLimit, getVerificationContext };
@@ -10,24 +10,41 @@
  * GET /api/admin/leads - Waitlist leads with source data
  * GET /api/admin/export-csv - Download signups as CSV
  * POST /api/admin/query - Run a read-only SQL query (admin only)
+ * GET /api/admin/scoring-models - List trust-score models
+ * POST /api/admin/scoring-models - Create a draft model
+ * GET /api/admin/scoring-models/:version/preview - Clearance changes under a model
+ * POST /api/admin/scoring-models/:version/activate - Make a model active
+ * GET /api/admin/sybil/report - Latest clusters of linked accounts
+ * POST /api/admin/sybil/analyze - Run the linkage analysis now
+ * GET /api/admin/sybil/users/:userId - A user's sybil risk and signals
+ * GET /api/admin/disputes - Dispute queue
+ * GET /api/admin/disputes/:id - A dispute with its evidence and audit trail
+ * POST /api/admin/disputes/:id/resolve - Decide a dispute
+ * PUT /api/admin/platforms/:id/rate-limit - Set a verifier platform's rate limit
+ * GET /api/admin/staff - Users holding a staff role
+ * POST /api/admin/users/:userId/roles - Grant a staff role
+ * DELETE /api/admin/users/:userId/roles/:role - Revoke a staff role
+ * GET /api/admin/audit - Audit log of privileged requests
+ *
+ * Everything but tracking requires a signed-in user whose roles grant the
+ * route's permission (see role.service.js).
  */
 
 import { Router } from 'express';
 import db from '../db/index.js';
 import crypto from 'crypto';
+import scoringModelService from '../services/scoringModel.service.js';
+import sybilService from '../services/sybil.service.js';
+import disputeService from '../services/dispute.service.js';
+import roleService from '../services/role.service.js';
+import platformService from '../services/platform.service.js';
+import auditService from '../services/audit.service.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { requireFields, validateUUID } from '../middleware/validate.js';
 
 const router = Router();
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'changeme123';
-
-function checkAdminAuth(req, res, next) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || authHeader !== `Bearer ${ADMIN_PASSWORD}`) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-    next();
-}
-
 // ============================================
 // PUBLIC TRACKING ENDPOINTS (no auth required)
 // ============================================
@@ -106,14 +123,14 @@ router.post('/track/pageview', async (req, res) => {
 });
 
 // ============================================
-// ADMIN ENDPOINTS (password required)
+// STAFF ENDPOINTS (signed in, with the permission for each)
 // ============================================
 
 /**
  * GET /api/admin/signups
  * All registered users with their attribution data
  */
-router.get('/signups', checkAdminAuth, async (req, res) => {
+router.get('/signups', authenticate, requirePermission('analytics:read'), async (req, res) => {
     try {
         const { limit = 100, offset = 0 } = req.query;
 
@@ -151,7 +168,7 @@ router.get('/signups', checkAdminAuth, async (req, res) => {
  * GET /api/admin/stats
  * Overview dashboard stats
  */
-router.get('/stats', checkAdminAuth, async (req, res) => {
+router.get('/stats', authenticate, requirePermission('analytics:read'), async (req, res) => {
     try {
         const [overview, bySource, byVertical, leadsOverview] = await Promise.all([
             db.query(`
@@ -205,7 +222,7 @@ router.get('/stats', checkAdminAuth, async (req, res) => {
  * GET /api/admin/campaign-performance
  * Campaign breakdown with scan counts and conversion rates
  */
-router.get('/campaign-performance', checkAdminAuth, async (req, res) => {
+router.get('/campaign-performance', authenticate, requirePermission('analytics:read'), async (req, res) => {
     try {
         const result = await db.query(`
             SELECT
@@ -240,7 +257,7 @@ router.get('/campaign-performance', checkAdminAuth, async (req, res) => {
  * GET /api/admin/qr-funnel
  * QR-specific funnel: scans -> code redemptions -> signups
  */
-router.get('/qr-funnel', checkAdminAuth, async (req, res) => {
+router.get('/qr-funnel', authenticate, requirePermission('analytics:read'), async (req, res) => {
     try {
         const [scansBySource, codeStats, recentScans] = await Promise.all([
             db.query(`
@@ -292,7 +309,7 @@ router.get('/qr-funnel', checkAdminAuth, async (req, res) => {
  * GET /api/admin/leads
  * Waitlist leads with source breakdown
  */
-router.get('/leads', checkAdminAuth, async (req, res) => {
+router.get('/leads', authenticate, requirePermission('analytics:read'), async (req, res) => {
     try {
         const { limit = 100, offset = 0, source, vertical } = req.query;
 
@@ -341,7 +358,7 @@ router.get('/leads', checkAdminAuth, async (req, res) => {
  * GET /api/admin/export-csv
  * Export signups + leads as CSV
  */
-router.get('/export-csv', checkAdminAuth, async (req, res) => {
+router.get('/export-csv', authenticate, requirePermission('analytics:export', { audit: true }), async (req, res) => {
     try {
         const { type = 'all' } = req.query;
 
@@ -434,7 +451,7 @@ router.get('/export-csv', checkAdminAuth, async (req, res) => {
  * Execute a read-only SQL query against the database.
  * Only SELECT statements allowed.
  */
-router.post('/query', checkAdminAuth, async (req, res) => {
+router.post('/query', authenticate, requirePermission('analytics:query'), async (req, res) => {
     try {
         const { sql } = req.body;
 
@@ -478,4 +495,311 @@ router.post('/query', checkAdminAuth, async (req, res) => {
     }
 });
 
+// ============================================
+// SCORING MODELS
+// ============================================
+
+/**
+ * GET /api/admin/scoring-models
+ * List all trust-score models (active, drafts, retired)
+ */
+router.get('/scoring-models', authenticate, requirePermission('scoring_models:read'), async (req, res, next) => {
+    try {
+        const models = await scoringModelService.listModels();
+        res.json({ count: models.length, models });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/admin/scoring-models
+ * Create a draft model
+ *
+ * Body: { name, description?, points: { BASE, GMAIL, ... }, penalties?, maxScore?, clearanceThresholds? }
+ */
+router.post('/scoring-models', authenticate, requirePermission('scoring_models:manage'), async (req, res, next) => {
+    try {
+        const { name, description, points, penalties, maxScore, clearanceThresholds } = req.body;
+        const model = await scoringModelService.createModel(
+            { name, description, points, penalties, maxScore, clearanceThresholds },
+            req.user.id
+        );
+
+        console.log(`[Admin] Scoring model ${model.version} created (draft)`);
+        res.status(201).json({ model });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/admin/scoring-models/:version/preview
+ * How many users would change clearance if this model were activated
+ */
+router.get('/scoring-models/:version/preview', authenticate, requirePermission('scoring_models:read'), async (req, res, next) => {
+    try {
+        const preview = await scoringModelService.previewModel(req.params.version);
+
+        if (!preview) {
+            return res.status(404).json({ error: 'Scoring model not found' });
+        }
+
+        res.json(preview);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/admin/scoring-models/:version/activate
+ * Make a model active; the previously active model is retired
+ */
+router.post('/scoring-models/:version/activate', authenticate, requirePermission('scoring_models:manage'), async (req, res, next) => {
+    try {
+        const model = await scoringModelService.activateModel(req.params.version);
+
+        if (!model) {
+            return res.status(404).json({ error: 'Scoring model not found' });
+        }
+
+        console.log(`[Admin] Scoring model ${model.version} activated by ${req.user.id}`);
+        res.json({ model });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ============================================
+// SYBIL DETECTION
+// ============================================
+
+/**
+ * GET /api/admin/sybil/report
+ * Clusters of linked accounts from the latest analysis
+ */
+router.get('/sybil/report', authenticate, requirePermission('sybil:read'), async (req, res, next) => {
+    try {
+        const report = await sybilService.getLatestReport();
+
+        if (!report) {
+            return res.status(404).json({ error: 'No sybil analysis has run yet' });
+        }
+
+        res.json(report);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/admin/sybil/analyze
+ * Run the linkage analysis now instead of waiting for the job
+ */
+router.post('/sybil/analyze', authenticate, requirePermission('sybil:analyze'), async (req, res, next) => {
+    try {
+        const report = await sybilService.runAnalysis();
+
+        console.log(`[Admin] Sybil analysis run: ${report.clusterCount} clusters`);
+        res.status(201).json(report);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/admin/sybil/users/:userId
+ * A user's risk level and the accounts they are linked to
+ */
+router.get('/sybil/users/:userId', authenticate, requirePermission('sybil:read'), async (req, res, next) => {
+    try {
+        const risk = await sybilService.getRisk(req.params.userId);
+        res.json({ userId: req.params.userId, ...risk });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ============================================
+// DISPUTE CENTER
+// ============================================
+
+/**
+ * GET /api/admin/disputes
+ * Dispute queue, oldest first
+ *
+ * Query params:
+ * - status: awaiting_response, under_review, resolved (default: all unresolved)
+ * - kind: order or listing
+ */
+router.get('/disputes', authenticate, requirePermission('disputes:read'), async (req, res, next) => {
+    try {
+        const { status, kind } = req.query;
+        const disputes = await disputeService.listQueue({ status, kind });
+
+        res.json({
+            count: disputes.length,
+            disputes
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/admin/disputes/:id
+ * A dispute with both sides' evidence, the flags behind it and its audit trail
+ */
+router.get('/disputes/:id', authenticate, requirePermission('disputes:read'), validateUUID('id'), async (req, res, next) => {
+    try {
+        const dispute = await disputeService.getDispute(req.params.id);
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'not_found', message: 'Dispute not found' });
+        }
+
+        res.json({ dispute });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/admin/disputes/:id/resolve
+ * Decide a dispute once the seller responded or the response window passed
+ *
+ * Body: { outcome, notes? }
+ * - outcome: refund, release, suspend_listing, suspend_seller (order disputes);
+ *   suspend_listing, suspend_seller, dismiss (listing disputes)
+ */
+router.post('/disputes/:id/resolve', authenticate, requirePermission('disputes:resolve'), validateUUID('id'), requireFields('outcome'), async (req, res, next) => {
+    try {
+        const { outcome, notes } = req.body;
+        const dispute = await disputeService.resolveDispute(req.params.id, {
+            outcome,
+            notes,
+            moderatorId: req.user.id
+        });
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'not_found', message: 'Dispute not found' });
+        }
+
+        console.log(`[Admin] Dispute ${dispute.id} resolved by ${req.user.id}: ${outcome}`);
+        res.json({ dispute });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ============================================
+// VERIFIER PLATFORMS
+// ============================================
+
+/**
+ * PUT /api/admin/platforms/:id/rate-limit
+ * Set how many verifications per minute a platform may make
+ *
+ * Body: { rateLimitPerMinute } (1-6000)
+ */
+router.put('/platforms/:id/rate-limit', authenticate, requirePermission('platforms:manage'), validateUUID('id'), requireFields('rateLimitPerMinute'), async (req, res, next) => {
+    try {
+        const platform = await platformService.setRateLimit(req.params.id, req.body.rateLimitPerMinute);
+
+        if (!platform) {
+            return res.status(404).json({ error: 'not_found', message: 'Platform not found' });
+        }
+
+        console.log(`[Admin] Platform ${platform.id} rate limit set to ${platform.rateLimitPerMinute}/min by ${req.user.id}`);
+        res.json({ platform });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ============================================
+// STAFF ROLES & AUDIT LOG
+// ============================================
+
+/**
+ * GET /api/admin/staff
+ * Users holding a role, with the permissions it grants
+ */
+router.get('/staff', authenticate, requirePermission('roles:manage'), async (req, res, next) => {
+    try {
+        const staff = await roleService.listStaff();
+
+        res.json({
+            count: staff.length,
+            roles: roleService.ROLES,
+            staff
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/admin/users/:userId/roles
+ * Grant a staff role (admin, moderator, event_manager, analyst)
+ *
+ * Body: { role }
+ */
+router.post('/users/:userId/roles', authenticate, requirePermission('roles:manage'), validateUUID('userId'), requireFields('role'), async (req, res, next) => {
+    try {
+        const roles = await roleService.grantRole(req.params.userId, req.body.role);
+
+        if (!roles) {
+            return res.status(404).json({ error: 'not_found', message: 'User not found' });
+        }
+
+        console.log(`[Admin] ${req.user.id} granted ${req.body.role} to user ${req.params.userId}`);
+        res.json({ userId: req.params.userId, roles });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/roles/:role
+ * Revoke a staff role
+ */
+router.delete('/users/:userId/roles/:role', authenticate, requirePermission('roles:manage'), validateUUID('userId'), async (req, res, next) => {
+    try {
+        const roles = await roleService.revokeRole(req.params.userId, req.params.role);
+
+        if (!roles) {
+            return res.status(404).json({ error: 'not_found', message: 'User not found' });
+        }
+
+        console.log(`[Admin] ${req.user.id} revoked ${req.params.role} from user ${req.params.userId}`);
+        res.json({ userId: req.params.userId, roles });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/admin/audit
+ * Privileged requests, newest first
+ *
+ * Query params:
+ * - actorId: one staff member's requests
+ * - permission: requests using one permission (e.g. disputes:resolve)
+ * - limit: max entries (default: 100, max: 500)
+ */
+router.get('/audit', authenticate, requirePermission('audit:read'), async (req, res, next) => {
+    try {
+        const { actorId, permission, limit } = req.query;
+        const entries = await auditService.listActions({ actorId, permission, limit });
+
+        res.json({
+            count: entries.length,
+            entries
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
 export default router;
@@ -5,9 +5,14 @@
  * POST /api/auth/login - Login and get JWT token
  * GET /api/auth/google - Initiate Google OAuth
  * GET /api/auth/google/callback - Google OAuth callback
+ * GET /api/auth/linkedin - Initiate LinkedIn OAuth
+ * GET /api/auth/linkedin/callback - LinkedIn OAuth callback
+ * GET /api/auth/:provider - Initiate GitHub, Microsoft or Apple OAuth
+ * GET /api/auth/:provider/callback - OAuth callback (POST for Apple)
+ * POST /api/auth/:provider/link - Link pending OAuth to the logged-in user
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import passport from 'passport';
 import authService from '../services/auth.service.js';
 import identityService from '../services/identity.service.js';
@@ -45,7 +50,7 @@ router.post('/register', requireFields('email', 'password'), async (req, res, ne
         }
 
         // Register the user
-        const user = await authService.register(email, password);
+        const user = await authService.register(email, password, { ipAddress: req.ip });
 
         // Generate token for immediate use
         const token = authService.generateToken(user);
@@ -254,13 +259,14 @@ router.get('/google/callback',
                     profile_photo: oauthData.profilePhoto,
                     email_count: gmailMetadata.totalEmails,
                     oldest_email_date: gmailMetadata.oldestEmailDate,
+                    recent_email_count: gmailMetadata.recentEmailCount,
                     refresh_token: oauthData.refreshToken,
                     is_edu_email: isEduEmail
                 }
             };
 
             console.log('[Google OAuth] Saving identity anchor...');
-            const savedAnchor = await identityService.connectAnchor(userId, 'gmail', anchorData);
+            const savedAnchor = await identityService.connectAnchor(userId, 'gmail', anchorData, { verifiedVia: 'oauth' });
             console.log('[Google OAuth] Identity anchor saved:', savedAnchor?.id);
 
             // Redirect to dashboard with success
@@ -315,12 +321,13 @@ router.post('/google/link', authenticate, async (req, res, next) => {
                 profile_photo: oauthData.profilePhoto,
                 email_count: gmailMetadata.totalEmails,
                 oldest_email_date: gmailMetadata.oldestEmailDate,
+                recent_email_count: gmailMetadata.recentEmailCount,
                 refresh_token: oauthData.refreshToken,
                 is_edu_email: isEduEmail
             }
         };
 
-        const anchor = await identityService.connectAnchor(req.user.id, 'gmail', anchorData);
+        const anchor = await identityService.connectAnchor(req.user.id, 'gmail', anchorData, { verifiedVia: 'oauth' });
 
         res.json({
             message: 'Gmail connected successfully',
@@ -443,7 +450,7 @@ router.get('/linkedin/callback',
             };
 
             console.log('[LinkedIn OAuth] Saving identity anchor...');
-            const savedAnchor = await identityService.connectAnchor(userId, 'linkedin', anchorData);
+            const savedAnchor = await identityService.connectAnchor(userId, 'linkedin', anchorData, { verifiedVia: 'oauth' });
             console.log('[LinkedIn OAuth] Identity anchor saved:', savedAnchor?.id);
 
             // Redirect to dashboard with success
@@ -488,7 +495,7 @@ router.post('/linkedin/link', authenticate, async (req, res, next) => {
             }
         };
 
-        const anchor = await identityService.connectAnchor(req.user.id, 'linkedin', anchorData);
+        const anchor = await identityService.connectAnchor(req.user.id, 'linkedin', anchorData, { verifiedVia: 'oauth' });
 
         res.json({
             message: 'LinkedIn connected successfully',
@@ -499,4 +506,195 @@ router.post('/linkedin/link', authenticate, async (req, res, next) => {
     }
 });
 
+// ============================================
+// GitHub, Microsoft and Apple OAuth Routes
+// ============================================
+
+const OAUTH_ANCHOR_PROVIDERS = {
+    github: { name: 'GitHub', callbackMethod: 'get' },
+    microsoft: { name: 'Microsoft', callbackMethod: 'get' },
+    // Apple posts the callback (response_mode=form_post)
+    apple: { name: 'Apple', callbackMethod: 'post' }
+};
+
+/**
+ * Build the identity anchor for a GitHub, Microsoft or Apple OAuth result,
+ * fetching provider metadata for trust scoring
+ */
+async function buildAnchorData(provider, oauthData) {
+    switch (provider) {
+        case 'github': {
+            const github = await identityService.fetchGitHubMetadata(oauthData.accessToken);
+            return {
+                providerId: oauthData.providerId,
+                email: oauthData.email,
+                accountCreatedAt: github.accountCreatedAt,
+                profileUrl: github.profileUrl || oauthData.profileUrl,
+                metadata: {
+                    login: github.login || oauthData.username,
+                    display_name: oauthData.displayName,
+                    profile_photo: oauthData.profilePhoto,
+                    public_repos: github.publicRepos,
+                    followers: github.followers,
+                    following: github.following,
+                    access_token: oauthData.accessToken  // GitHub OAuth app tokens don't expire
+                }
+            };
+        }
+
+        case 'microsoft': {
+            const microsoft = await identityService.fetchMicrosoftMetadata(oauthData.accessToken);
+            return {
+                providerId: oauthData.providerId,
+                email: oauthData.email || microsoft.email,
+                accountCreatedAt: microsoft.accountCreatedAt,
+                metadata: {
+                    display_name: oauthData.displayName,
+                    email_count: microsoft.totalEmails,
+                    refresh_token: oauthData.refreshToken
+                }
+            };
+        }
+
+        case 'apple':
+            // Apple has no metadata API; everything comes from the id_token
+            return {
+                providerId: oauthData.providerId,
+                email: oauthData.email,
+                metadata: {
+                    email_verified: oauthData.emailVerified,
+                    is_private_email: oauthData.isPrivateEmail,
+                    real_user_status: oauthData.realUserStatus
+                }
+            };
+
+        default:
+            throw new Error(`No anchor builder for provider: ${provider}`);
+    }
+}
+
+/**
+ * Recover the logged-in user's JWT from the session or the OAuth state
+ * (Apple returns state in the POST body)
+ */
+function recoverUserToken(req) {
+    const userToken = req.session.userToken;
+    delete req.session.userToken;
+    if (userToken) {
+        return userToken;
+    }
+
+    const state = req.query.state || req.body?.state;
+    if (!state || state === 'no_token') {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(state, 'base64').toString()).token || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+for (const [provider, { name, callbackMethod }] of Object.entries(OAUTH_ANCHOR_PROVIDERS)) {
+    const pendingKey = `pending${name}OAuth`;
+    const failureRedirect = `${config.frontendUrl}/dashboard?error=connection_failed&provider=${provider}`;
+
+    /**
+     * GET /api/auth/:provider
+     * Initiate OAuth flow
+     *
+     * Query params:
+     * - token: JWT token of logged-in user (to link the account to it)
+     */
+    router.get(`/${provider}`, (req, res, next) => {
+        const { token } = req.query;
+
+        if (token) {
+            req.session.userToken = token;
+        }
+
+        // Save session BEFORE redirecting to the OAuth provider
+        req.session.save((err) => {
+            if (err) {
+                console.error(`[${name} OAuth] Session save error:`, err);
+                return res.redirect(`${config.frontendUrl}/dashboard?error=session_error`);
+            }
+
+            // Pass token in state parameter so it survives session regeneration
+            const state = token ? Buffer.from(JSON.stringify({ token })).toString('base64') : 'no_token';
+
+            passport.authenticate(provider, { state })(req, res, next);
+        });
+    });
+
+    /**
+     * GET|POST /api/auth/:provider/callback
+     * Handle OAuth callback: fetch provider metadata and connect the anchor
+     */
+    router[callbackMethod](`/${provider}/callback`,
+        express.urlencoded({ extended: false }),
+        passport.authenticate(provider, { failureRedirect, session: true }),
+        async (req, res) => {
+            try {
+                const oauthData = req.user;
+                const userToken = recoverUserToken(req);
+
+                if (!userToken) {
+                    req.session[pendingKey] = oauthData;
+                    return res.redirect(`${config.frontendUrl}/login?oauth=pending-${provider}`);
+                }
+
+                let userId;
+                try {
+                    userId = authService.verifyToken(userToken).userId;
+                } catch (err) {
+                    console.error(`[${name} OAuth] Token verification failed:`, err.message);
+                    return res.redirect(`${config.frontendUrl}/auth/error?message=invalid_token`);
+                }
+
+                const anchorData = await buildAnchorData(provider, oauthData);
+                const savedAnchor = await identityService.connectAnchor(userId, provider, anchorData, { verifiedVia: 'oauth' });
+                console.log(`[${name} OAuth] Identity anchor saved:`, savedAnchor?.id);
+
+                res.redirect(`${config.frontendUrl}/dashboard?connected=${provider}`);
+            } catch (err) {
+                console.error(`[${name} OAuth] Callback error:`, err);
+                res.redirect(failureRedirect);
+            }
+        }
+    );
+
+    /**
+     * POST /api/auth/:provider/link
+     * Link pending OAuth to user account (alternative flow)
+     *
+     * Used when user started OAuth before logging in.
+     */
+    router.post(`/${provider}/link`, authenticate, async (req, res, next) => {
+        try {
+            const oauthData = req.session[pendingKey];
+
+            if (!oauthData) {
+                return res.status(400).json({
+                    error: 'no_pending_oauth',
+                    message: `No pending ${name} OAuth data found. Please start the OAuth flow again.`
+                });
+            }
+
+            delete req.session[pendingKey];
+
+            const anchorData = await buildAnchorData(provider, oauthData);
+            const anchor = await identityService.connectAnchor(req.user.id, provider, anchorData, { verifiedVia: 'oauth' });
+
+            res.json({
+                message: `${name} connected successfully`,
+                anchor
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+}
+
 export default router;
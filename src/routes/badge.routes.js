@@ -3,25 +3,45 @@
  *
  * POST /api/badges/generate - Generate new Auth-Badge
  * POST /api/badges/verify - Verify badge (public endpoint)
+ * POST /api/badges/challenge - Issue a possession challenge for an agent-bound badge (public)
  * POST /api/badges/revoke - Revoke a badge
+ * POST /api/badges/delegate - Delegate a scoped, short-lived credential to an agent
+ * GET /api/badges/delegations - List user's active delegated credentials
  * GET /api/badges - List user's active badges
  * GET /api/badges/public-key - Get public key for verification
+ * GET /api/badges/keys - Get all keys valid for verification (JWKS-style)
+ * GET /api/badges/revocations - Signed revocation list (public)
+ * GET /api/badges/verticals - Badge requirements per vertical (public)
+ * GET /api/badges/claims - Claims available for selective disclosure (public)
  */
 
 import { Router } from 'express';
 import badgeService from '../services/badge.service.js';
+import trustScoreService from '../services/trustScore.service.js';
 import { authenticate, optionalAuth } from '../middleware/authenticate.js';
 import { requireFields } from '../middleware/validate.js';
+import { optionalPlatformAuth, platformRateLimit, getVerificationContext } from '../middleware/platformAuth.js';
 
 const router = Router();
 
 /**
  * POST /api/badges/generate
  * Generate a new Auth-Badge for the authenticated user
+ *
+ * Body (optional):
+ * - vertical: scope the badge to one vertical (tickets, apartments, jobs, dating, freelance)
+ * - disclose: predicate claims to disclose instead of the score (see GET /api/badges/claims)
+ * - agent_public_key: Base64 Ed25519 key of the agent carrying the badge; verifiers
+ *   then require a signed challenge (see POST /api/badges/challenge)
  */
 router.post('/generate', authenticate, async (req, res, next) => {
     try {
-        const badge = await badgeService.generateBadge(req.user.id);
+        const { vertical, disclose, agent_public_key } = req.body || {};
+        const badge = await badgeService.generateBadge(req.user.id, {
+            vertical,
+            disclose,
+            agentPublicKey: agent_public_key
+        });
 
         res.status(201).json({
             message: 'Auth-Badge generated successfully',
@@ -37,8 +57,19 @@ router.post('/generate', authenticate, async (req, res, next) => {
  * Verify an Auth-Badge (public endpoint - no auth required)
  *
  * This is the endpoint that platforms call to verify badges.
+ * Accepts either { badge_token, payload, signature } or a compact JWS as { jws }.
+ * Pass { vertical } to require a badge scoped to that vertical.
+ * Agent-bound badges also need { proof: { nonce, signature } } answering a challenge.
+ *
+ * Registered platforms send their key in the X-API-Key header; their calls are
+ * rate limited per platform and attributed in the verification log.
  */
-router.post('/verify', requireFields('badge_token', 'payload', 'signature'), async (req, res, next) => {
+router.post('/verify', optionalPlatformAuth, platformRateLimit, (req, res, next) => {
+    if (req.body.jws) {
+        return next();
+    }
+    return requireFields('badge_token', 'payload', 'signature')(req, res, next);
+}, async (req, res, next) => {
     const timestamp = new Date().toISOString();
     const origin = req.get('origin') || req.get('referer') || 'unknown';
     const userAgent = req.get('user-agent') || 'unknown';
@@ -47,15 +78,24 @@ router.post('/verify', requireFields('badge_token', 'payload', 'signature'), asy
     console.log(`[${timestamp}] Origin: ${origin}`);
     console.log(`[${timestamp}] User-Agent: ${userAgent}`);
     console.log(`[${timestamp}] IP: ${req.ip || req.connection?.remoteAddress}`);
+    console.log(`[${timestamp}] Platform: ${req.platform ? `${req.platform.name} (${req.platform.id})` : 'anonymous'}`);
 
     try {
-        const { badge_token, payload, signature } = req.body;
+        const { badge_token, payload, signature, jws, vertical, proof } = req.body;
+        const context = getVerificationContext(req);
+        let result;
 
-        console.log(`[${timestamp}] Badge Token: ${badge_token?.substring(0, 16)}...`);
-        console.log(`[${timestamp}] Payload: ${JSON.stringify(payload)}`);
-        console.log(`[${timestamp}] Signature: ${signature?.substring(0, 32)}...`);
+        if (jws) {
+            console.log(`[${timestamp}] JWS: ${String(jws).substring(0, 32)}...`);
 
-        const result = await badgeService.verifyBadge(badge_token, payload, signature);
+            result = await badgeService.verifyBadgeJws(jws, context, { vertical, proof });
+        } else {
+            console.log(`[${timestamp}] Badge Token: ${badge_token?.substring(0, 16)}...`);
+            console.log(`[${timestamp}] Payload: ${JSON.stringify(payload)}`);
+            console.log(`[${timestamp}] Signature: ${signature?.substring(0, 32)}...`);
+
+            result = await badgeService.verifyBadge(badge_token, payload, signature, context, { vertical, proof });
+        }
 
         console.log(`[${timestamp}] Verification Result: ${JSON.stringify(result)}`);
         console.log(`[${timestamp}] ===== END VERIFICATION =====\n`);
@@ -69,6 +109,25 @@ router.post('/verify', requireFields('badge_token', 'payload', 'signature'), asy
     }
 });
 
+/**
+ * POST /api/badges/challenge
+ * Issue a single-use nonce for an agent-bound badge (public endpoint)
+ *
+ * The agent signs the returned message with its bound key and the verifier
+ * submits { proof: { nonce, signature } } to POST /api/badges/verify. Offline
+ * verifiers can use their own nonce and check the signature against the
+ * agent_key claim in the badge payload.
+ */
+router.post('/challenge', optionalPlatformAuth, platformRateLimit, requireFields('badge_token'), async (req, res, next) => {
+    try {
+        const challenge = await badgeService.createChallenge(req.body.badge_token, getVerificationContext(req));
+
+        res.status(201).json(challenge);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * POST /api/badges/revoke
  * Revoke a badge (requires authentication)
@@ -93,6 +152,96 @@ router.post('/revoke', authenticate, requireFields('badge_token'), async (req, r
     }
 });
 
+/**
+ * POST /api/badges/delegate
+ * Mint a short-lived credential an agent can use on the user's behalf
+ *
+ * Body:
+ * - parent_badge_token: the user's badge to delegate from
+ * - vertical: the only vertical the agent may act in
+ * - spend_limit_cents (optional): maximum the agent may spend
+ * - expires_in_hours (optional): lifetime, default 4, capped by DELEGATION_MAX_HOURS
+ * - agent_public_key (optional): bind the credential to the agent's Ed25519 key
+ *
+ * Revoking the parent badge revokes its delegations.
+ */
+router.post('/delegate', authenticate, requireFields('parent_badge_token', 'vertical'), async (req, res, next) => {
+    try {
+        const { parent_badge_token, vertical, spend_limit_cents, expires_in_hours, agent_public_key } = req.body;
+        const delegation = await badgeService.delegateBadge(req.user.id, parent_badge_token, {
+            vertical,
+            spendLimitCents: spend_limit_cents,
+            expiresInHours: expires_in_hours,
+            agentPublicKey: agent_public_key
+        });
+
+        res.status(201).json({
+            message: 'Delegated credential created successfully',
+            delegation
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/badges/delegations
+ * List the user's active delegated credentials
+ */
+router.get('/delegations', authenticate, async (req, res, next) => {
+    try {
+        const delegations = await badgeService.getDelegations(req.user.id);
+
+        res.json({
+            count: delegations.length,
+            delegations
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/badges/revocations
+ * Signed revocation list for offline verifiers (public endpoint)
+ *
+ * Query params:
+ * - since: version from a previous list, to fetch only newer revocations
+ *
+ * Entries carry the SHA-256 hash of each revoked, unexpired badge_token.
+ * Verify the jws field against GET /api/badges/keys before trusting the list.
+ */
+router.get('/revocations', async (req, res, next) => {
+    try {
+        const list = await badgeService.getRevocationList(req.query.since);
+
+        res.set('Cache-Control', 'public, max-age=60');
+        res.json(list);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/badges/verticals
+ * Clearance, anchor and expiry requirements for vertical badges (public endpoint)
+ */
+router.get('/verticals', (req, res) => {
+    res.json({
+        verticals: badgeService.getVerticalRequirements()
+    });
+});
+
+/**
+ * GET /api/badges/claims
+ * Predicate claims a user can disclose instead of their score (public endpoint)
+ */
+router.get('/claims', (req, res) => {
+    res.json({
+        claims: trustScoreService.getDisclosableClaims()
+    });
+});
+
 /**
  * GET /api/badges
  * List user's active (non-expired, non-revoked) badges
@@ -125,4 +274,15 @@ router.get('/public-key', (req, res) => {
     });
 });
 
+/**
+ * GET /api/badges/keys
+ * Get every public key still valid for verification (public endpoint)
+ *
+ * Includes the current signing key and retired keys whose badges may not have
+ * expired yet. Match a badge's public_key_id against each key's kid.
+ */
+router.get('/keys', (req, res) => {
+    res.json(badgeService.getKeySet());
+});
+
 export default router;
@@ -0,0 +1,128 @@
+/**
+ * Dispute Routes
+ *
+ * Disputes are opened by disputing an order (POST /api/orders/:id/dispute)
+ * or flagging a listing (POST /api/listings/:id/flag); moderators decide them
+ * under /api/admin/disputes.
+ *
+ * GET /api/disputes - Disputes you opened, flagged or are the seller in
+ * GET /api/disputes/:id - Get a dispute with its evidence and audit trail
+ * POST /api/disputes/:id/respond - Seller: respond to the dispute
+ * POST /api/disputes/:id/evidence - Attach an evidence file
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import disputeService from '../services/dispute.service.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requireFields, validateUUID } from '../middleware/validate.js';
+
+const router = Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB max
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Allowed: JPEG, PNG, WebP, PDF'));
+        }
+    }
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+function disputeNotFound(res) {
+    return res.status(404).json({
+        error: 'not_found',
+        message: 'Dispute not found'
+    });
+}
+
+/**
+ * GET /api/disputes
+ * List your disputes, newest first
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const disputes = await disputeService.listUserDisputes(req.user.id);
+
+        res.json({
+            count: disputes.length,
+            disputes
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/disputes/:id
+ * Get a dispute (parties only) with evidence, flags and audit trail
+ */
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+    try {
+        const dispute = await disputeService.getDisputeForUser(req.params.id, req.user.id);
+
+        if (!dispute) {
+            return disputeNotFound(res);
+        }
+
+        res.json({ dispute });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/disputes/:id/respond
+ * Seller: give your side before the response deadline
+ *
+ * Body: { response }
+ */
+router.post('/:id/respond', validateUUID('id'), requireFields('response'), async (req, res, next) => {
+    try {
+        const dispute = await disputeService.respond(req.params.id, req.user.id, req.body.response);
+
+        if (!dispute) {
+            return disputeNotFound(res);
+        }
+
+        res.json({
+            message: 'Response recorded. A moderator will review the dispute.',
+            dispute
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/disputes/:id/evidence
+ * Attach a screenshot or PDF to an unresolved dispute (parties only)
+ *
+ * Multipart form: evidence - the file; note - what it shows (optional)
+ */
+router.post('/:id/evidence', validateUUID('id'), upload.single('evidence'), async (req, res, next) => {
+    try {
+        const evidence = await disputeService.addEvidence(req.params.id, req.user.id, req.file, req.body.note);
+
+        if (!evidence) {
+            return disputeNotFound(res);
+        }
+
+        res.status(201).json({
+            message: 'Evidence attached',
+            evidence
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -4,7 +4,8 @@
  * GET /api/events - List events with ticket exchange
  * GET /api/events/search - Search events
  * GET /api/events/:id - Get event with price ceilings
- * POST /api/events/:id/price-ceilings - Set price ceilings (admin)
+ * POST /api/events - Create or update an event (events:manage)
+ * POST /api/events/:id/price-ceilings - Set price ceilings (events:manage)
  */
 
 import { Router } from 'express';
@@ -12,6 +13,7 @@ import eventService from '../services/event.service.js';
 import priceValidationService from '../services/priceValidation.service.js';
 import listingService from '../services/listing.service.js';
 import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
 import { requireFields } from '../middleware/validate.js';
 
 const router = Router();
@@ -102,9 +104,9 @@ router.get('/:id', async (req, res, next) => {
 
 /**
  * POST /api/events
- * Create/update an event (admin only for now, could add auth later)
+ * Create/update an event (event managers)
  */
-router.post('/', authenticate, requireFields('id', 'name', 'date'), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('events:manage'), requireFields('id', 'name', 'date'), async (req, res, next) => {
     try {
         const event = await eventService.upsertEvent(req.body);
 
@@ -119,9 +121,9 @@ router.post('/', authenticate, requireFields('id', 'name', 'date'), async (req,
 
 /**
  * POST /api/events/:id/price-ceilings
- * Set price ceilings for an event (admin)
+ * Set price ceilings for an event (event managers)
  */
-router.post('/:id/price-ceilings', authenticate, requireFields('ceilings'), async (req, res, next) => {
+router.post('/:id/price-ceilings', authenticate, requirePermission('events:manage'), requireFields('ceilings'), async (req, res, next) => {
     try {
         const { eventName, eventDate, venueName, ceilings, source } = req.body;
 
@@ -3,21 +3,116 @@
  *
  * POST /api/identity/connect - Connect identity anchor
  * GET /api/identity/anchors - List connected anchors
+ * POST /api/identity/phone/send-code - Text a verification code to a phone number
+ * POST /api/identity/phone/verify - Verify the code and connect the phone anchor
+ * POST /api/identity/institution/send-link - Email a magic link to a .edu/.ac.xx address
+ * GET /api/identity/institution/verify - Magic link target (public; redirects to the frontend confirm page)
+ * POST /api/identity/institution/verify - Consume the magic link token (public)
  * DELETE /api/identity/:provider - Disconnect anchor
  * POST /api/identity/mock/:provider - Generate mock data (dev only)
  */
 
 import { Router } from 'express';
+import rateLimit from 'express-rate-limit';
 import identityService from '../services/identity.service.js';
+import phoneVerificationService from '../services/phoneVerification.service.js';
+import smsService from '../services/sms.service.js';
+import institutionVerificationService from '../services/institutionVerification.service.js';
 import { authenticate } from '../middleware/authenticate.js';
 import { requireFields } from '../middleware/validate.js';
 import config from '../config/index.js';
 
 const router = Router();
 
-// All routes require authentication
+// Providers that can only be connected by proving control (OAuth, code or link),
+// since their scoring data can't be taken from the caller
+const PROOF_ENDPOINTS = {
+    github: 'GET /api/auth/github',
+    microsoft: 'GET /api/auth/microsoft',
+    apple: 'GET /api/auth/apple',
+    phone: 'POST /api/identity/phone/send-code',
+    institution: 'POST /api/identity/institution/send-link'
+};
+
+/**
+ * GET /api/identity/institution/verify
+ * Magic link target. Mail gateways prefetch links, so opening one only lands
+ * on the frontend confirm page, which posts the token back
+ */
+router.get('/institution/verify', (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    res.redirect(`${config.frontendUrl}/verify-institution?token=${encodeURIComponent(token)}`);
+});
+
+/**
+ * POST /api/identity/institution/verify
+ * Consume the magic link token: it identifies the user, since the link is
+ * usually opened from a mail client without a session
+ */
+router.post('/institution/verify', requireFields('token'), async (req, res, next) => {
+    try {
+        const anchor = await institutionVerificationService.verifyLink(req.body.token);
+
+        res.status(201).json({
+            message: 'institution connected successfully',
+            anchor
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// All other routes require authentication
 router.use(authenticate);
 
+// Per-user limits on phone verification (SMS costs money; codes are short)
+// Phone verification needs an SMS provider; without one it is unavailable
+function requireSmsProvider(req, res, next) {
+    if (!smsService.isEnabled()) {
+        return res.status(503).json({
+            error: 'phone_verification_unavailable',
+            message: 'Phone verification is not available yet'
+        });
+    }
+    next();
+}
+
+const phoneSendLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    keyGenerator: (req) => `phone-send:${req.user.id}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'phone_rate_limit_exceeded',
+        message: 'Too many verification codes requested, please try again later.'
+    }
+});
+
+const phoneVerifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    keyGenerator: (req) => `phone-verify:${req.user.id}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'phone_rate_limit_exceeded',
+        message: 'Too many verification attempts, please try again later.'
+    }
+});
+
+const institutionSendLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    keyGenerator: (req) => `institution-send:${req.user.id}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'institution_rate_limit_exceeded',
+        message: 'Too many verification links requested, please try again later.'
+    }
+});
+
 /**
  * POST /api/identity/connect
  * Connect an identity anchor (Gmail, LinkedIn)
@@ -25,6 +120,14 @@ router.use(authenticate);
 router.post('/connect', requireFields('provider', 'data'), async (req, res, next) => {
     try {
         const { provider, data } = req.body;
+
+        if (PROOF_ENDPOINTS[provider]) {
+            return res.status(400).json({
+                error: 'validation',
+                message: `${provider} anchors must be proven: use ${PROOF_ENDPOINTS[provider]}`
+            });
+        }
+
         const anchor = await identityService.connectAnchor(req.user.id, provider, data);
 
         res.status(201).json({
@@ -53,6 +156,64 @@ router.get('/anchors', async (req, res, next) => {
     }
 });
 
+/**
+ * POST /api/identity/phone/send-code
+ * Text a one-time verification code to a phone number
+ */
+router.post('/phone/send-code', requireSmsProvider, phoneSendLimiter, requireFields('phoneNumber'), async (req, res, next) => {
+    try {
+        const { phoneNumber, expiresAt } = await phoneVerificationService.sendVerificationCode(
+            req.user.id, req.body.phoneNumber
+        );
+
+        res.json({
+            message: 'Verification code sent',
+            phone_number: phoneNumber,
+            expires_at: expiresAt
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/identity/phone/verify
+ * Check the code and connect the phone anchor
+ */
+router.post('/phone/verify', requireSmsProvider, phoneVerifyLimiter, requireFields('code'), async (req, res, next) => {
+    try {
+        const anchor = await phoneVerificationService.verifyCode(req.user.id, req.body.code);
+
+        res.status(201).json({
+            message: 'phone connected successfully',
+            anchor
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/identity/institution/send-link
+ * Email a magic link proving control of an institution address
+ */
+router.post('/institution/send-link', institutionSendLimiter, requireFields('email'), async (req, res, next) => {
+    try {
+        const { email, institution, expiresAt } = await institutionVerificationService.sendVerificationLink(
+            req.user.id, req.body.email
+        );
+
+        res.json({
+            message: 'Verification link sent',
+            email,
+            institution,
+            expires_at: expiresAt
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * DELETE /api/identity/:provider
  * Disconnect an identity anchor
@@ -96,8 +257,8 @@ router.post('/mock/:provider', async (req, res, next) => {
         // Generate mock data
         const mockData = identityService.generateMockData(provider, options);
 
-        // Connect it
-        const anchor = await identityService.connectAnchor(req.user.id, provider, mockData);
+        // Connect it, standing in for a proven connection
+        const anchor = await identityService.connectAnchor(req.user.id, provider, mockData, { verifiedVia: 'mock' });
 
         res.status(201).json({
             message: `Mock ${provider} data connected`,
@@ -12,10 +12,14 @@ import badgeRoutes from './badge.routes.js';
 import waitlistRoutes from './waitlist.routes.js';
 import verifyRoutes from './verify.routes.js';
 import listingsRoutes from './listings.routes.js';
+import ordersRoutes from './orders.routes.js';
+import disputesRoutes from './disputes.routes.js';
+import moderationRoutes from './moderation.routes.js';
 import eventsRoutes from './events.routes.js';
 import receiptsRoutes from './receipts.routes.js';
 import inviteRoutes from './invite.routes.js';
 import adminRoutes from './admin.routes.js';
+import platformRoutes from './platform.routes.js';
 import db from '../db/index.js';
 import config from '../config/index.js';
 import { ALLOWED_ORIGINS } from '../config/cors.js';
@@ -30,10 +34,14 @@ router.use('/badges', badgeRoutes);
 router.use('/waitlist', waitlistRoutes);
 router.use('/verify', verifyRoutes);
 router.use('/listings', listingsRoutes);
+router.use('/orders', ordersRoutes);
+router.use('/disputes', disputesRoutes);
+router.use('/moderation', moderationRoutes);
 router.use('/events', eventsRoutes);
 router.use('/receipts', receiptsRoutes);
 router.use('/invites', inviteRoutes);
 router.use('/admin', adminRoutes);
+router.use('/platforms', platformRoutes);
 
 // Enhanced health check endpoint
 router.get('/health', async (req, res) => {
@@ -80,17 +88,37 @@ router.get('/health', async (req, res) => {
                 googleOAuth: 'GET /api/auth/google'
             },
             badges: {
-                generate: 'POST /api/badges/generate (auth required)',
+                generate: 'POST /api/badges/generate { vertical?, disclose?, agent_public_key? } (auth required)',
                 verify: 'POST /api/badges/verify (public)',
+                challenge: 'POST /api/badges/challenge { badge_token } (public)',
                 list: 'GET /api/badges (auth required)',
-                publicKey: 'GET /api/badges/public-key (public)'
+                delegate: 'POST /api/badges/delegate { parent_badge_token, vertical, spend_limit_cents?, expires_in_hours?, agent_public_key? } (auth required)',
+                delegations: 'GET /api/badges/delegations (auth required)',
+                publicKey: 'GET /api/badges/public-key (public)',
+                keys: 'GET /api/badges/keys (public)',
+                revocations: 'GET /api/badges/revocations?since=<version> (public)',
+                verticals: 'GET /api/badges/verticals (public)',
+                claims: 'GET /api/badges/claims (public)'
+            },
+            platforms: {
+                register: 'POST /api/platforms (auth required)',
+                list: 'GET /api/platforms (auth required)',
+                rotateKey: 'POST /api/platforms/:id/rotate-key (auth required)',
+                dashboard: 'GET /api/platforms/:id/dashboard (auth required)',
+                webhooks: 'POST|GET /api/platforms/:id/webhooks (auth required)',
+                deleteWebhook: 'DELETE /api/platforms/:id/webhooks/:webhookId (auth required)',
+                webhookDeliveries: 'GET /api/platforms/:id/webhooks/:webhookId/deliveries (auth required)'
             },
             user: {
                 score: 'GET /api/user/score (auth required)',
-                profile: 'GET /api/user/profile (auth required)'
+                profile: 'GET /api/user/profile (auth required)',
+                profileSettings: 'GET|PUT /api/user/profile-settings { visibleAnchors?, showScore?, allowEmailLookup? } (auth required)',
+                verificationLinks: 'POST|GET /api/user/verification-links { customSlug?, label?, expiresAt? } (auth required)',
+                verificationLink: 'PUT|DELETE /api/user/verification-links/:id (auth required)'
             },
             verify: {
-                publicProfile: 'GET /api/verify/:username (public)'
+                publicProfile: 'GET /api/verify/:username (public)',
+                link: 'GET /api/verify/link/:slug (public)'
             },
             listings: {
                 create: 'POST /api/listings (auth required)',
@@ -99,10 +127,49 @@ router.get('/health', async (req, res) => {
                 update: 'PUT /api/listings/:id (auth required)',
                 flag: 'POST /api/listings/:id/flag (auth required)'
             },
+            orders: {
+                reserve: 'POST /api/orders { listingId, quantity? } (auth required)',
+                list: 'GET /api/orders?role=&status= (auth required)',
+                get: 'GET /api/orders/:id (auth required)',
+                pay: 'POST /api/orders/:id/pay { paymentMethod } (buyer)',
+                transfer: 'POST /api/orders/:id/transfer multipart proof=<vendor confirmation> (seller)',
+                confirm: 'POST /api/orders/:id/confirm (buyer)',
+                dispute: 'POST /api/orders/:id/dispute { reason, description? } (buyer)',
+                cancel: 'POST /api/orders/:id/cancel { reason? } (buyer or seller)'
+            },
+            disputes: {
+                list: 'GET /api/disputes (auth required)',
+                get: 'GET /api/disputes/:id (auth required)',
+                respond: 'POST /api/disputes/:id/respond { response } (seller)',
+                evidence: 'POST /api/disputes/:id/evidence multipart evidence=<file>, note? (buyer, reporter or seller)'
+            },
+            moderation: {
+                queue: 'GET /api/moderation/queue?claimed=mine|unclaimed (listings:review)',
+                item: 'GET /api/moderation/queue/:listingId (listings:review)',
+                claim: 'POST|DELETE /api/moderation/queue/:listingId/claim (listings:review)',
+                decide: 'POST /api/moderation/queue/:listingId/decision { decision, notes? } (listings:review)',
+                bulk: 'POST /api/moderation/queue/bulk { listingIds, decision, notes? } (listings:review)'
+            },
+            admin: {
+                analytics: 'GET /api/admin/stats|signups|leads|campaign-performance|qr-funnel (analytics:read)',
+                exportCsv: 'GET /api/admin/export-csv (analytics:export)',
+                query: 'POST /api/admin/query (analytics:query)',
+                scoringModels: 'GET /api/admin/scoring-models (scoring_models:read)',
+                manageScoringModels: 'POST /api/admin/scoring-models, POST /api/admin/scoring-models/:version/activate (scoring_models:manage)',
+                sybilReport: 'GET /api/admin/sybil/report, GET /api/admin/sybil/users/:userId (sybil:read)',
+                sybilAnalyze: 'POST /api/admin/sybil/analyze (sybil:analyze)',
+                disputes: 'GET /api/admin/disputes, GET /api/admin/disputes/:id (disputes:read)',
+                resolveDispute: 'POST /api/admin/disputes/:id/resolve { outcome, notes? } (disputes:resolve)',
+                platformRateLimit: 'PUT /api/admin/platforms/:id/rate-limit { rateLimitPerMinute } (platforms:manage)',
+                staff: 'GET /api/admin/staff (roles:manage)',
+                roles: 'POST /api/admin/users/:userId/roles { role }, DELETE /api/admin/users/:userId/roles/:role (roles:manage)',
+                audit: 'GET /api/admin/audit?actorId=&permission= (audit:read)'
+            },
             events: {
                 list: 'GET /api/events (public)',
                 get: 'GET /api/events/:id (public)',
-                setCeilings: 'POST /api/events/:id/price-ceilings (auth required)'
+                create: 'POST /api/events { id, name, date } (events:manage)',
+                setCeilings: 'POST /api/events/:id/price-ceilings { ceilings } (events:manage)'
             },
             receipts: {
                 upload: 'POST /api/receipts/upload (auth required)',
@@ -57,8 +57,25 @@ router.post('/', authenticate, requireFields('eventId', 'eventName', 'eventDate'
             verificationStatus = 'rejected';
         }
 
-        // If rejected, don't create the listing
+        // If rejected, don't create the listing (the attempt still counts against the seller's reputation)
         if (verificationStatus === 'rejected') {
+            if (validation.verificationMethod) {
+                await priceValidationService.createPriceVerification({
+                    listingId: null,
+                    userId: req.user.id,
+                    receiptId,
+                    ocrResultId: validation.ocrResultId,
+                    ceilingId: null,
+                    askingPriceCents,
+                    verifiedFaceValueCents: validation.verifiedFaceValue,
+                    ceilingPriceCents: validation.ceilingPrice,
+                    verificationResult: validation.result,
+                    rejectionReason: validation.reason,
+                    riskScore: 0,
+                    fraudSignals: []
+                });
+            }
+
             return res.status(400).json({
                 error: 'price_exceeds_maximum',
                 message: validation.reason,
@@ -89,6 +106,7 @@ router.post('/', authenticate, requireFields('eventId', 'eventName', 'eventDate'
         if (validation.verificationMethod) {
             await priceValidationService.createPriceVerification({
                 listingId: listing.id,
+                userId: req.user.id,
                 receiptId,
                 ocrResultId: validation.ocrResultId,
                 ceilingId: null, // Could look this up if needed
@@ -259,7 +277,7 @@ router.post('/:id/flag', authenticate, requireFields('reason'), async (req, res,
         );
 
         res.status(201).json({
-            message: 'Listing flagged successfully',
+            message: 'Listing flagged. The seller can respond before a moderator reviews it.',
             flag
         });
     } catch (err) {
@@ -0,0 +1,151 @@
+/**
+ * Moderation Routes (listings:review permission required)
+ *
+ * GET /api/moderation/queue - Listings awaiting manual review
+ * GET /api/moderation/queue/:listingId - One listing in review
+ * POST /api/moderation/queue/:listingId/claim - Claim a listing for review
+ * DELETE /api/moderation/queue/:listingId/claim - Release your claim
+ * POST /api/moderation/queue/:listingId/decision - Approve or reject a listing
+ * POST /api/moderation/queue/bulk - Approve or reject several listings
+ */
+
+import { Router } from 'express';
+import moderationService from '../services/moderation.service.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { requireFields, validateUUID } from '../middleware/validate.js';
+
+const router = Router();
+
+// All routes require a moderator (listings:review)
+router.use(authenticate, requirePermission('listings:review'));
+
+function itemNotFound(res) {
+    return res.status(404).json({
+        error: 'not_found',
+        message: 'Listing not found in the review queue'
+    });
+}
+
+/**
+ * GET /api/moderation/queue
+ * Listings awaiting manual review, oldest first, with their OCR results,
+ * fraud signals, pending flags and the seller's marketplace record
+ *
+ * Query params:
+ * - claimed: mine or unclaimed (default: all)
+ * - limit: max items (default: 50, max: 200)
+ */
+router.get('/queue', async (req, res, next) => {
+    try {
+        const { claimed, limit } = req.query;
+        const items = await moderationService.getQueue(req.user.id, { claimed, limit });
+
+        res.json({
+            count: items.length,
+            items
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/moderation/queue/bulk
+ * Approve or reject several listings with the same notes
+ *
+ * Body: { listingIds, decision: 'approve'|'reject', notes? }
+ */
+router.post('/queue/bulk', requireFields('listingIds', 'decision'), async (req, res, next) => {
+    try {
+        const { listingIds, decision, notes } = req.body;
+        const result = await moderationService.bulkDecide(listingIds, req.user.id, { decision, notes });
+
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/moderation/queue/:listingId
+ * One listing in review with its context
+ */
+router.get('/queue/:listingId', validateUUID('listingId'), async (req, res, next) => {
+    try {
+        const item = await moderationService.getQueueItem(req.params.listingId);
+
+        if (!item) {
+            return itemNotFound(res);
+        }
+
+        res.json({ item });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/moderation/queue/:listingId/claim
+ * Claim a listing so no other moderator decides it; claims lapse after 30 minutes
+ */
+router.post('/queue/:listingId/claim', validateUUID('listingId'), async (req, res, next) => {
+    try {
+        const claim = await moderationService.claimItem(req.params.listingId, req.user.id);
+
+        if (!claim) {
+            return itemNotFound(res);
+        }
+
+        res.json({ claim });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/moderation/queue/:listingId/claim
+ * Put a listing you claimed back in the queue
+ */
+router.delete('/queue/:listingId/claim', validateUUID('listingId'), async (req, res, next) => {
+    try {
+        const released = await moderationService.releaseClaim(req.params.listingId, req.user.id);
+
+        if (!released) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'You have no claim on this listing'
+            });
+        }
+
+        res.json({ message: 'Claim released' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/moderation/queue/:listingId/decision
+ * Approve (verify) or reject (take down) a listing in review
+ *
+ * Body: { decision: 'approve'|'reject', notes? }
+ */
+router.post('/queue/:listingId/decision', validateUUID('listingId'), requireFields('decision'), async (req, res, next) => {
+    try {
+        const { decision, notes } = req.body;
+        const result = await moderationService.decide(req.params.listingId, req.user.id, { decision, notes });
+
+        if (!result) {
+            return itemNotFound(res);
+        }
+
+        res.json({
+            message: result.verificationStatus === 'verified' ? 'Listing approved' : 'Listing rejected',
+            ...result
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
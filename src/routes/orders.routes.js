@@ -0,0 +1,241 @@
+/**
+ * Order Routes
+ *
+ * POST /api/orders - Reserve tickets from a listing
+ * GET /api/orders - List your orders (as buyer or seller)
+ * GET /api/orders/:id - Get an order with its event log
+ * POST /api/orders/:id/pay - Buyer: pay into escrow
+ * POST /api/orders/:id/transfer - Seller: upload the vendor transfer confirmation
+ * POST /api/orders/:id/confirm - Buyer: accept the transfer, release escrow
+ * POST /api/orders/:id/dispute - Buyer: dispute the transfer (opens a dispute)
+ * POST /api/orders/:id/cancel - Cancel a reservation or refund a paid order
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import orderService from '../services/order.service.js';
+import disputeService from '../services/dispute.service.js';
+import paymentService from '../services/payment.service.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requireFields, validateUUID } from '../middleware/validate.js';
+
+const router = Router();
+
+// Transfer confirmations go through the receipts pipeline, with the same limits
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB max
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Allowed: JPEG, PNG, WebP, PDF'));
+        }
+    }
+});
+
+// Orders move money: without a payment provider they are unavailable
+router.use((req, res, next) => {
+    if (!paymentService.isEnabled()) {
+        return res.status(503).json({
+            error: 'orders_unavailable',
+            message: 'Ticket orders are not available yet'
+        });
+    }
+    next();
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+function orderNotFound(res) {
+    return res.status(404).json({
+        error: 'not_found',
+        message: 'Order not found'
+    });
+}
+
+/**
+ * POST /api/orders
+ * Reserve tickets; the reservation must be paid before it expires
+ *
+ * Body: { listingId, quantity? }
+ */
+router.post('/', requireFields('listingId'), async (req, res, next) => {
+    try {
+        const { listingId, quantity } = req.body;
+        const order = await orderService.reserveOrder(req.user.id, listingId, quantity ?? 1);
+
+        res.status(201).json({
+            message: 'Tickets reserved. Pay before the reservation expires.',
+            order
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/orders
+ * List the authenticated user's orders, newest first
+ *
+ * Query params:
+ * - role: buyer or seller (default: both)
+ * - status: reserved, paid, transferred, disputed, completed, cancelled, expired, refunded
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const { role, status } = req.query;
+        const orders = await orderService.listOrders(req.user.id, { role, status });
+
+        res.json({
+            count: orders.length,
+            orders
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/orders/:id
+ * Get an order (buyer or seller only)
+ */
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+    try {
+        const order = await orderService.getOrder(req.params.id, req.user.id);
+
+        if (!order) {
+            return orderNotFound(res);
+        }
+
+        res.json({ order });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/orders/:id/pay
+ * Pay for a reservation; funds are held in escrow until the buyer confirms
+ *
+ * Body: { paymentMethod } - payment method token for the payment provider
+ */
+router.post('/:id/pay', validateUUID('id'), async (req, res, next) => {
+    try {
+        const order = await orderService.payOrder(req.params.id, req.user.id, {
+            paymentMethod: req.body.paymentMethod
+        });
+
+        if (!order) {
+            return orderNotFound(res);
+        }
+
+        res.json({
+            message: 'Payment held in escrow. The seller has been asked to transfer the tickets.',
+            order
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/orders/:id/transfer
+ * Seller: prove the tickets were transferred to the buyer
+ *
+ * Multipart form: proof - screenshot or PDF of the vendor's transfer
+ * confirmation, matched against the listing's section, row and seats
+ */
+router.post('/:id/transfer', validateUUID('id'), upload.single('proof'), async (req, res, next) => {
+    try {
+        const order = await orderService.markTransferred(req.params.id, req.user.id, req.file);
+
+        if (!order) {
+            return orderNotFound(res);
+        }
+
+        res.json({
+            message: 'Transfer recorded. Funds are released when the buyer accepts the transfer proof.',
+            order
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/orders/:id/confirm
+ * Buyer: accept the transfer proof; escrow is released to the seller
+ */
+router.post('/:id/confirm', validateUUID('id'), async (req, res, next) => {
+    try {
+        const order = await orderService.confirmReceipt(req.params.id, req.user.id);
+
+        if (!order) {
+            return orderNotFound(res);
+        }
+
+        res.json({
+            message: 'Receipt confirmed. Funds released to the seller.',
+            order
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/orders/:id/dispute
+ * Buyer: dispute the transfer before the confirmation deadline; escrow stays
+ * held until a moderator resolves the dispute (see /api/disputes)
+ *
+ * Body: { reason, description? }
+ * - reason: not_received, wrong_tickets, invalid_tickets, other
+ */
+router.post('/:id/dispute', validateUUID('id'), requireFields('reason'), async (req, res, next) => {
+    try {
+        const { reason, description } = req.body;
+        const dispute = await disputeService.openOrderDispute(req.params.id, req.user.id, { reason, description });
+
+        if (!dispute) {
+            return orderNotFound(res);
+        }
+
+        res.status(201).json({
+            message: 'Transfer disputed. Funds stay in escrow until a moderator resolves the dispute.',
+            dispute,
+            order: await orderService.getOrder(req.params.id, req.user.id)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/orders/:id/cancel
+ * Cancel an unpaid reservation, or refund a paid order before transfer
+ *
+ * Body: { reason? }
+ */
+router.post('/:id/cancel', validateUUID('id'), async (req, res, next) => {
+    try {
+        const order = await orderService.cancelOrder(req.params.id, req.user.id, req.body.reason);
+
+        if (!order) {
+            return orderNotFound(res);
+        }
+
+        res.json({
+            message: order.status === 'refunded' ? 'Order cancelled and refunded' : 'Order cancelled',
+            order
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
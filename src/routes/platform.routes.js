@@ -0,0 +1,291 @@
+/**
+ * Verifier Platform Routes
+ *
+ * POST /api/platforms - Register a verifier platform (returns API key once)
+ * GET /api/platforms - List your platforms
+ * GET /api/platforms/:id - Get a platform
+ * PUT /api/platforms/:id - Update name, website, active flag
+ * POST /api/platforms/:id/rotate-key - Issue a new API key
+ * GET /api/platforms/:id/dashboard - Verification volume and result breakdown
+ * POST /api/platforms/:id/webhooks - Subscribe to badge events (returns HMAC secret once)
+ * GET /api/platforms/:id/webhooks - List webhook subscriptions
+ * DELETE /api/platforms/:id/webhooks/:webhookId - Delete a webhook subscription
+ * GET /api/platforms/:id/webhooks/:webhookId/deliveries - Delivery log
+ */
+
+import { Router } from 'express';
+import platformService from '../services/platform.service.js';
+import webhookService from '../services/webhook.service.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requireFields, validateUUID } from '../middleware/validate.js';
+
+const router = Router();
+
+// All routes require authentication (platform owner)
+router.use(authenticate);
+
+/**
+ * POST /api/platforms
+ * Register a new verifier platform
+ */
+router.post('/', requireFields('name'), async (req, res, next) => {
+    try {
+        const { name, websiteUrl } = req.body;
+        const { platform, apiKey } = await platformService.registerPlatform(req.user.id, {
+            name,
+            websiteUrl
+        });
+
+        res.status(201).json({
+            message: 'Platform registered. Store the API key now - it will not be shown again.',
+            platform,
+            api_key: apiKey
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/platforms
+ * List platforms owned by the authenticated user
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const platforms = await platformService.getUserPlatforms(req.user.id);
+
+        res.json({
+            count: platforms.length,
+            platforms
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/platforms/:id
+ * Get a single platform
+ */
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+    try {
+        const platform = await platformService.getPlatform(req.params.id, req.user.id);
+
+        if (!platform) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Platform not found'
+            });
+        }
+
+        res.json({ platform });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/platforms/:id
+ * Update platform settings
+ */
+router.put('/:id', validateUUID('id'), async (req, res, next) => {
+    try {
+        const { name, websiteUrl, isActive } = req.body;
+        const platform = await platformService.updatePlatform(req.params.id, req.user.id, {
+            name,
+            websiteUrl,
+            isActive
+        });
+
+        if (!platform) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Platform not found'
+            });
+        }
+
+        res.json({
+            message: 'Platform updated successfully',
+            platform
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/platforms/:id/rotate-key
+ * Replace the platform's API key
+ */
+router.post('/:id/rotate-key', validateUUID('id'), async (req, res, next) => {
+    try {
+        const rotated = await platformService.rotateApiKey(req.params.id, req.user.id);
+
+        if (!rotated) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Platform not found'
+            });
+        }
+
+        res.json({
+            message: 'API key rotated. The previous key no longer works.',
+            platform: rotated.platform,
+            api_key: rotated.apiKey
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/platforms/:id/dashboard
+ * Verification volume and result breakdown
+ *
+ * Query params:
+ * - days: lookback window (default 30, max 365)
+ */
+router.get('/:id/dashboard', validateUUID('id'), async (req, res, next) => {
+    try {
+        const platform = await platformService.getPlatform(req.params.id, req.user.id);
+
+        if (!platform) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Platform not found'
+            });
+        }
+
+        const stats = await platformService.getPlatformStats(platform.id, req.query.days);
+
+        res.json({
+            platform,
+            stats
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/platforms/:id/webhooks
+ * Subscribe to badge events for badges this platform has verified
+ *
+ * Body:
+ * - url: endpoint to POST events to (https)
+ * - events (optional): badge.revoked, badge.expired (default: both)
+ * - signingMethod (optional): 'hmac' (default) or 'ed25519'
+ */
+router.post('/:id/webhooks', validateUUID('id'), requireFields('url'), async (req, res, next) => {
+    try {
+        const platform = await platformService.getPlatform(req.params.id, req.user.id);
+
+        if (!platform) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Platform not found'
+            });
+        }
+
+        const { url, events, signingMethod } = req.body;
+        const { subscription, secret } = await webhookService.createSubscription(platform.id, {
+            url,
+            events,
+            signingMethod
+        });
+
+        res.status(201).json({
+            message: secret
+                ? 'Webhook created. Store the signing secret now - it will not be shown again.'
+                : 'Webhook created. Deliveries are signed with the key from GET /api/badges/keys.',
+            webhook: subscription,
+            secret
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/platforms/:id/webhooks
+ * List a platform's webhook subscriptions
+ */
+router.get('/:id/webhooks', validateUUID('id'), async (req, res, next) => {
+    try {
+        const platform = await platformService.getPlatform(req.params.id, req.user.id);
+
+        if (!platform) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Platform not found'
+            });
+        }
+
+        const webhooks = await webhookService.getSubscriptions(platform.id);
+
+        res.json({
+            count: webhooks.length,
+            webhooks
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/platforms/:id/webhooks/:webhookId
+ * Delete a webhook subscription
+ */
+router.delete('/:id/webhooks/:webhookId', validateUUID('id'), validateUUID('webhookId'), async (req, res, next) => {
+    try {
+        const platform = await platformService.getPlatform(req.params.id, req.user.id);
+        const deleted = platform
+            ? await webhookService.deleteSubscription(platform.id, req.params.webhookId)
+            : false;
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            message: 'Webhook deleted successfully'
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/platforms/:id/webhooks/:webhookId/deliveries
+ * Delivery log for a webhook subscription, newest first
+ *
+ * Query params:
+ * - limit: max deliveries (default 50, max 200)
+ */
+router.get('/:id/webhooks/:webhookId/deliveries', validateUUID('id'), validateUUID('webhookId'), async (req, res, next) => {
+    try {
+        const platform = await platformService.getPlatform(req.params.id, req.user.id);
+        const deliveries = platform
+            ? await webhookService.getDeliveries(platform.id, req.params.webhookId, req.query.limit)
+            : null;
+
+        if (!deliveries) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            count: deliveries.length,
+            deliveries
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -241,6 +241,7 @@ router.post('/:id/verify', authenticate, async (req, res, next) => {
 
         // Run fraud detection
         const fraudResult = await fraudService.analyzeReceipt(receipt.id, imageBuffer, {});
+        await fraudService.saveAnalysis(req.user.id, fraudResult);
 
         // Store OCR result
         const ocrData = ocrService.formatForDatabase(ocrResult.data, ocrResult.rawText);
@@ -3,13 +3,22 @@
  *
  * GET /api/user/me - Get current user profile
  * GET /api/user/score - Get trust score with breakdown
+ * GET /api/user/score/history - Score timeline with change explanations
+ * GET /api/user/profile-settings - Public profile privacy settings
+ * PUT /api/user/profile-settings - Update privacy settings
+ * POST /api/user/verification-links - Create a shareable verification link
+ * GET /api/user/verification-links - List your verification links
+ * PUT /api/user/verification-links/:id - Update slug, label, expiry, active flag
+ * DELETE /api/user/verification-links/:id - Delete a verification link
  */
 
 import { Router } from 'express';
 import authService from '../services/auth.service.js';
-import identityService from '../services/identity.service.js';
 import trustScoreService from '../services/trustScore.service.js';
+import scoreHistoryService from '../services/scoreHistory.service.js';
+import profileService from '../services/profile.service.js';
 import { authenticate } from '../middleware/authenticate.js';
+import { validateUUID } from '../middleware/validate.js';
 
 const router = Router();
 
@@ -43,17 +52,15 @@ router.get('/me', async (req, res, next) => {
  */
 router.get('/score', async (req, res, next) => {
     try {
-        // Get user's identity anchors
-        const anchors = await identityService.getAnchors(req.user.id);
-
-        // Calculate trust score
-        const { score, breakdown, eduVerified } = trustScoreService.calculateTrustScore(anchors);
+        // Calculate trust score from anchors and marketplace reputation (recorded in the history if it changed)
+        const { anchors, score, breakdown, eduVerified, modelVersion } = await scoreHistoryService.getCurrentScore(req.user.id);
 
         res.json({
             trust_score: score,
             breakdown,
             edu_verified: eduVerified,
             anchors_connected: anchors.length,
+            model_version: modelVersion,
             scoring_weights: trustScoreService.getScoringWeights()
         });
     } catch (err) {
@@ -61,4 +68,147 @@ router.get('/score', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/user/score/history
+ * Score timeline, newest first, explaining each change
+ *
+ * Query: ?limit=50 (max 200)
+ */
+router.get('/score/history', async (req, res, next) => {
+    try {
+        const history = await scoreHistoryService.getTimeline(req.user.id, { limit: req.query.limit });
+
+        res.json({
+            count: history.length,
+            history
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/user/profile-settings
+ * Privacy settings for the public verification profile
+ */
+router.get('/profile-settings', async (req, res, next) => {
+    try {
+        const settings = await profileService.getSettings(req.user.id);
+        res.json({ settings });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/user/profile-settings
+ * Update privacy settings; fields left out keep their value
+ *
+ * Body: { visibleAnchors?: ['gmail', ...] | null, showScore?, allowEmailLookup? }
+ */
+router.put('/profile-settings', async (req, res, next) => {
+    try {
+        const { visibleAnchors, showScore, allowEmailLookup } = req.body;
+        const settings = await profileService.updateSettings(req.user.id, {
+            visibleAnchors,
+            showScore,
+            allowEmailLookup
+        });
+
+        res.json({
+            message: 'Profile settings updated successfully',
+            settings
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /api/user/verification-links
+ * Create a shareable verification link
+ *
+ * Body: { customSlug?, label?, expiresAt? }
+ */
+router.post('/verification-links', async (req, res, next) => {
+    try {
+        const { customSlug, label, expiresAt } = req.body;
+        const link = await profileService.createLink(req.user.id, { customSlug, label, expiresAt });
+
+        res.status(201).json({ link });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /api/user/verification-links
+ * List the authenticated user's verification links
+ */
+router.get('/verification-links', async (req, res, next) => {
+    try {
+        const links = await profileService.listLinks(req.user.id);
+
+        res.json({
+            count: links.length,
+            links
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /api/user/verification-links/:id
+ * Update a verification link (null clears customSlug, label or expiresAt)
+ */
+router.put('/verification-links/:id', validateUUID('id'), async (req, res, next) => {
+    try {
+        const { customSlug, label, expiresAt, isActive } = req.body;
+        const link = await profileService.updateLink(req.params.id, req.user.id, {
+            customSlug,
+            label,
+            expiresAt,
+            isActive
+        });
+
+        if (!link) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Verification link not found'
+            });
+        }
+
+        res.json({
+            message: 'Verification link updated successfully',
+            link
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /api/user/verification-links/:id
+ * Delete a verification link
+ */
+router.delete('/verification-links/:id', validateUUID('id'), async (req, res, next) => {
+    try {
+        const deleted = await profileService.deleteLink(req.params.id, req.user.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'not_found',
+                message: 'Verification link not found'
+            });
+        }
+
+        res.json({
+            message: 'Verification link deleted successfully'
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
 export default router;
@@ -0,0 +1,341 @@
+/**
+ * Anchor Re-verification Service
+ *
+ * Re-checks OAuth anchors in the background with the tokens stored at
+ * connect time: the provider account must still exist, be the same account,
+ * and have the same email address. A successful check refreshes
+ * last_verified_at; anchors that go unverified long enough lose score weight
+ * (see STALE_ANCHOR in trustScore.service.js) and their owners are nudged by
+ * email to reconnect.
+ *
+ * Outcomes (identity_anchors.reverification_status):
+ * - verified: checked, last_verified_at refreshed
+ * - changed: the token now belongs to a different account or email
+ * - revoked: the token was rejected or the account no longer exists
+ * - error: the provider could not be reached; retried later
+ * - unsupported: no stored token to check with
+ */
+
+import { google } from 'googleapis';
+import db from '../db/index.js';
+import config from '../config/index.js';
+import emailService from './email.service.js';
+import scoreHistoryService from './scoreHistory.service.js';
+import trustScoreService, { STALE_ANCHOR_DAYS, STALENESS_PROVIDERS } from './trustScore.service.js';
+
+const GITHUB_API_URL = 'https://api.github.com';
+const GRAPH_API_URL = 'https://graph.microsoft.com/v1.0';
+const MICROSOFT_TOKEN_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0/token';
+const LINKEDIN_TOKEN_URL = 'https://www.linkedin.com/oauth/v2/accessToken';
+const LINKEDIN_USERINFO_URL = 'https://api.linkedin.com/v2/userinfo';
+
+// Anchors are re-checked this long after their last verification...
+const REVERIFY_AFTER_DAYS = 30;
+// ...and failed checks are retried no more often than this
+const RETRY_AFTER_HOURS = 24;
+const BATCH_SIZE = 50;
+// A provider that doesn't answer in time counts as a transient error, so one
+// hanging provider can't stall the batch
+const PROVIDER_TIMEOUT_MS = 10 * 1000;
+
+const PROVIDER_NAMES = {
+    gmail: 'Gmail',
+    linkedin: 'LinkedIn',
+    github: 'GitHub',
+    microsoft: 'Microsoft',
+    apple: 'Apple'
+};
+
+const REVERIFIERS = {
+    gmail: reverifyGmail,
+    linkedin: reverifyLinkedIn,
+    github: reverifyGitHub,
+    microsoft: reverifyMicrosoft
+};
+
+/**
+ * Background job: re-verify anchors that are due, then nudge users whose
+ * anchors have gone stale
+ *
+ * @returns {Promise<Object>} { checked, verified, nudged }
+ */
+export async function runReverification() {
+    const { checked, verified } = await reverifyDueAnchors();
+    const nudged = await nudgeStaleAnchors();
+
+    if (checked > 0 || nudged > 0) {
+        console.log(`[Reverification] Checked ${checked} anchors (${verified} verified), nudged ${nudged} users`);
+    }
+
+    return { checked, verified, nudged };
+}
+
+/**
+ * Re-verify a batch of anchors whose last verification is older than
+ * REVERIFY_AFTER_DAYS, least recently attempted first
+ *
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { checked, verified }
+ */
+export async function reverifyDueAnchors(options = {}) {
+    const result = await db.query(
+        `SELECT id, user_id, provider, provider_user_id, email_address, metadata
+         FROM identity_anchors
+         WHERE provider = ANY($1)
+           AND COALESCE(last_verified_at, connected_at) < NOW() - make_interval(days => $2)
+           AND (last_reverification_attempt_at IS NULL
+                OR last_reverification_attempt_at < NOW() - make_interval(hours => $3))
+         ORDER BY last_reverification_attempt_at ASC NULLS FIRST
+         LIMIT $4`,
+        [Object.keys(REVERIFIERS), REVERIFY_AFTER_DAYS, RETRY_AFTER_HOURS, options.limit || BATCH_SIZE]
+    );
+
+    let verified = 0;
+    for (const anchor of result.rows) {
+        const outcome = await reverifyAnchor(anchor);
+
+        await db.query(
+            `UPDATE identity_anchors
+             SET last_reverification_attempt_at = NOW(),
+                 reverification_status = $2,
+                 reverification_error = $3,
+                 last_verified_at = CASE WHEN $2 = 'verified' THEN NOW() ELSE last_verified_at END,
+                 metadata = metadata || $4::jsonb
+             WHERE id = $1`,
+            [anchor.id, outcome.status, outcome.error?.substring(0, 255) || null, JSON.stringify(outcome.metadata || {})]
+        );
+
+        if (outcome.status === 'verified') {
+            verified++;
+        } else {
+            console.warn(`[Reverification] ${anchor.provider} anchor ${anchor.id}: ${outcome.status} (${outcome.error})`);
+        }
+    }
+
+    return { checked: result.rows.length, verified };
+}
+
+/**
+ * Check one anchor against its provider
+ *
+ * @param {Object} anchor - identity_anchors row
+ * @returns {Promise<Object>} { status, error, metadata } where metadata holds rotated tokens to store
+ */
+export async function reverifyAnchor(anchor) {
+    const reverifier = REVERIFIERS[anchor.provider];
+    if (!reverifier) {
+        return { status: 'unsupported', error: `${anchor.provider} anchors can't be re-verified` };
+    }
+
+    try {
+        return await reverifier(anchor);
+    } catch (err) {
+        return { status: 'error', error: err.message };
+    }
+}
+
+/**
+ * Email users whose OAuth anchors have gone stale, once per anchor per
+ * lapse (reconnecting starts a new one)
+ *
+ * Skipped while the active model doesn't decay stale anchors.
+ *
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<number>} Users nudged
+ */
+export async function nudgeStaleAnchors(options = {}) {
+    if (!trustScoreService.getActiveModel().penalties?.STALE_ANCHOR) {
+        return 0;
+    }
+
+    const result = await db.query(
+        `SELECT ia.user_id, u.email, array_agg(ia.id) AS anchor_ids, array_agg(ia.provider) AS providers
+         FROM identity_anchors ia
+         JOIN users u ON u.id = ia.user_id
+         WHERE ia.provider = ANY($1)
+           AND COALESCE(ia.last_verified_at, ia.connected_at) < NOW() - make_interval(days => $2)
+           AND (ia.stale_nudged_at IS NULL OR ia.stale_nudged_at < COALESCE(ia.last_verified_at, ia.connected_at))
+         GROUP BY ia.user_id, u.email
+         LIMIT $3`,
+        [STALENESS_PROVIDERS, STALE_ANCHOR_DAYS, options.limit || BATCH_SIZE]
+    );
+
+    let nudged = 0;
+    for (const row of result.rows) {
+        // Records the decayed score in the user's history too
+        const { score } = await scoreHistoryService.getCurrentScore(row.user_id);
+        const sent = await emailService.sendVerificationNudge(
+            row.email, score, row.providers.map(provider => PROVIDER_NAMES[provider] || provider)
+        );
+
+        if (sent.success) {
+            await db.query(
+                'UPDATE identity_anchors SET stale_nudged_at = NOW() WHERE id = ANY($1)',
+                [row.anchor_ids]
+            );
+            nudged++;
+        }
+    }
+
+    return nudged;
+}
+
+async function reverifyGmail(anchor) {
+    const refreshToken = anchor.metadata?.refresh_token;
+    if (!refreshToken) {
+        return { status: 'unsupported', error: 'No refresh token stored' };
+    }
+
+    const oauth2Client = new google.auth.OAuth2(config.google.clientId, config.google.clientSecret);
+    oauth2Client.setCredentials({ refresh_token: refreshToken });
+
+    let profile;
+    try {
+        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        profile = (await gmail.users.getProfile({ userId: 'me' }, { timeout: PROVIDER_TIMEOUT_MS })).data;
+    } catch (err) {
+        // invalid_grant: the user revoked access or the account was deleted
+        const rejected = err.response?.data?.error === 'invalid_grant' || [401, 403].includes(err.response?.status);
+        return { status: rejected ? 'revoked' : 'error', error: err.message };
+    }
+
+    return compareIdentity(anchor, { email: profile.emailAddress });
+}
+
+async function reverifyGitHub(anchor) {
+    const accessToken = anchor.metadata?.access_token;
+    if (!accessToken) {
+        return { status: 'unsupported', error: 'No access token stored' };
+    }
+
+    const headers = {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'EnPassant'
+    };
+
+    const user = await fetchJson(`${GITHUB_API_URL}/user`, { headers });
+    if (!user.ok) {
+        return providerFailure('GitHub', user.status);
+    }
+
+    // The stored email is the verified primary one; compare like with like
+    let email = null;
+    const emails = await fetchJson(`${GITHUB_API_URL}/user/emails`, { headers });
+    if (emails.ok && Array.isArray(emails.body)) {
+        email = emails.body.find(e => e.primary && e.verified)?.email || null;
+    }
+
+    return compareIdentity(anchor, { id: user.body.id, email });
+}
+
+async function reverifyMicrosoft(anchor) {
+    const refreshToken = anchor.metadata?.refresh_token;
+    if (!refreshToken) {
+        return { status: 'unsupported', error: 'No refresh token stored' };
+    }
+
+    const token = await fetchJson(MICROSOFT_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            client_id: config.microsoft.clientId,
+            client_secret: config.microsoft.clientSecret,
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            scope: 'openid profile email offline_access User.Read Mail.ReadBasic'
+        })
+    });
+    if (!token.ok) {
+        return providerFailure('Microsoft token endpoint', token.status);
+    }
+
+    const me = await fetchJson(`${GRAPH_API_URL}/me?$select=id,mail,userPrincipalName`, {
+        headers: { Authorization: `Bearer ${token.body.access_token}` }
+    });
+    if (!me.ok) {
+        return providerFailure('Microsoft Graph', me.status);
+    }
+
+    return {
+        ...compareIdentity(anchor, { id: me.body.id, email: me.body.mail || me.body.userPrincipalName }),
+        // Microsoft rotates refresh tokens
+        metadata: token.body.refresh_token ? { refresh_token: token.body.refresh_token } : {}
+    };
+}
+
+async function reverifyLinkedIn(anchor) {
+    const refreshToken = anchor.metadata?.refresh_token;
+    if (!refreshToken) {
+        // LinkedIn only issues refresh tokens to approved partner apps
+        return { status: 'unsupported', error: 'No refresh token stored' };
+    }
+
+    const token = await fetchJson(LINKEDIN_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            client_id: config.linkedin.clientId,
+            client_secret: config.linkedin.clientSecret
+        })
+    });
+    if (!token.ok) {
+        return providerFailure('LinkedIn token endpoint', token.status);
+    }
+
+    const userinfo = await fetchJson(LINKEDIN_USERINFO_URL, {
+        headers: { Authorization: `Bearer ${token.body.access_token}` }
+    });
+    if (!userinfo.ok) {
+        return providerFailure('LinkedIn', userinfo.status);
+    }
+
+    return {
+        ...compareIdentity(anchor, { id: userinfo.body.sub, email: userinfo.body.email }),
+        metadata: token.body.refresh_token ? { refresh_token: token.body.refresh_token } : {}
+    };
+}
+
+/**
+ * The provider account must be the one anchored, with the same email
+ * (when both sides know it)
+ */
+function compareIdentity(anchor, { id, email }) {
+    if (id !== undefined && id !== null && String(id) !== anchor.provider_user_id) {
+        return { status: 'changed', error: 'Token now belongs to a different account' };
+    }
+
+    if (anchor.email_address && email && email.toLowerCase() !== anchor.email_address.toLowerCase()) {
+        return { status: 'changed', error: 'Email address changed' };
+    }
+
+    return { status: 'verified', error: null };
+}
+
+/**
+ * Client errors mean the token or account is gone; anything else is transient
+ */
+function providerFailure(source, status) {
+    const rejected = status >= 400 && status < 500 && status !== 429;
+    return { status: rejected ? 'revoked' : 'error', error: `${source} returned ${status}` };
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (err) {
+        // Non-JSON error pages; the status is enough
+    }
+    return { ok: response.ok, status: response.status, body };
+}
+
+export default {
+    runReverification,
+    reverifyDueAnchors,
+    reverifyAnchor,
+    nudgeStaleAnchors
+};
@@ -0,0 +1,109 @@
+/**
+ * Audit Service
+ *
+ * Per-user log of privileged requests: who (and with which roles) used
+ * which permission, on what path, and how it turned out. Written by the
+ * requirePermission middleware; readable by admins.
+ */
+
+import db from '../db/index.js';
+import { PERMISSIONS } from './role.service.js';
+import { ValidationError } from './auth.service.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Larger request bodies are summarized by their keys
+const MAX_DETAILS_LENGTH = 10000;
+
+/**
+ * Record a privileged request
+ *
+ * @param {Object} entry - { actorId, roles, permission, method, path, statusCode, body, ipAddress }
+ * @returns {Promise<void>}
+ */
+export async function recordAction({ actorId, roles = [], permission, method, path, statusCode, body, ipAddress = null }) {
+    await db.query(
+        `INSERT INTO staff_audit_log
+         (actor_id, actor_roles, permission, method, path, status_code, details, ip_address)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [actorId, roles, permission, method, path.substring(0, 500), statusCode, JSON.stringify(summarizeBody(body)), ipAddress]
+    );
+}
+
+/**
+ * List audit entries, newest first
+ *
+ * @param {Object} [filters] - { actorId, permission, limit }
+ * @returns {Promise<Array>} Audit entries
+ */
+export async function listActions(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.actorId !== undefined) {
+        if (!UUID_PATTERN.test(filters.actorId)) {
+            throw new ValidationError('actorId must be a user UUID');
+        }
+        params.push(filters.actorId);
+        conditions.push(`a.actor_id = $${params.length}`);
+    }
+    if (filters.permission !== undefined) {
+        if (!PERMISSIONS.includes(filters.permission)) {
+            throw new ValidationError(`permission must be one of: ${PERMISSIONS.join(', ')}`);
+        }
+        params.push(filters.permission);
+        conditions.push(`a.permission = $${params.length}`);
+    }
+
+    const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    params.push(limit);
+
+    const result = await db.query(
+        `SELECT a.*, u.email AS actor_email
+         FROM staff_audit_log a
+         LEFT JOIN users u ON u.id = a.actor_id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY a.created_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    return result.rows.map(formatEntry);
+}
+
+function summarizeBody(body) {
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+        return {};
+    }
+
+    const serialized = JSON.stringify(body);
+    if (serialized.length > MAX_DETAILS_LENGTH) {
+        return { truncated: true, keys: Object.keys(body) };
+    }
+    return { body };
+}
+
+/**
+ * Format audit entry for API response
+ */
+function formatEntry(row) {
+    return {
+        id: row.id,
+        actorId: row.actor_id,
+        actorEmail: row.actor_email,
+        actorRoles: row.actor_roles,
+        permission: row.permission,
+        method: row.method,
+        path: row.path,
+        statusCode: row.status_code,
+        details: row.details,
+        ipAddress: row.ip_address,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    recordAction,
+    listActions
+};
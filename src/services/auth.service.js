@@ -16,9 +16,10 @@ import config from '../config/index.js';
  *
  * @param {string} email - User email
  * @param {string} password - Plain text password (will be hashed)
+ * @param {Object} [options] - { ipAddress } the request came from (a sybil linkage signal)
  * @returns {Promise<Object>} Created user (without password hash)
  */
-export async function register(email, password) {
+export async function register(email, password, { ipAddress } = {}) {
     // Validate email format
     if (!isValidEmail(email)) {
         throw new ValidationError('Invalid email format');
@@ -39,10 +40,10 @@ export async function register(email, password) {
 
     try {
         const result = await db.query(
-            `INSERT INTO users (email, password_hash)
-             VALUES ($1, $2)
+            `INSERT INTO users (email, password_hash, registration_ip)
+             VALUES ($1, $2, $3)
              RETURNING id, email, created_at, email_verified`,
-            [email.toLowerCase(), passwordHash]
+            [email.toLowerCase(), passwordHash, ipAddress || null]
         );
 
         return result.rows[0];
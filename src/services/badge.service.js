@@ -10,15 +10,48 @@ import config from '../config/index.js';
 import cryptoService from './crypto.service.js';
 import trustScoreService from './trustScore.service.js';
 import identityService from './identity.service.js';
+import reputationService from './reputation.service.js';
+import webhookService from './webhook.service.js';
+import sybilService from './sybil.service.js';
 import { ValidationError } from './auth.service.js';
+import { VERTICALS } from '../config/verticals.js';
+
+// Appends rows from a `revoked` CTE (revoked auth_badges rows) to the revocation log
+const RECORD_REVOCATIONS_SQL = `
+    INSERT INTO badge_revocations (badge_id, token_hash, reason, revoked_at, expires_at)
+    SELECT id, encode(sha256(badge_token::bytea), 'hex'), revocation_reason, revoked_at, expires_at
+    FROM revoked
+    RETURNING badge_id`;
+
+// How long an agent has to sign a possession challenge
+const CHALLENGE_TTL_SECONDS = 300;
+
+// Lifetime of a delegated credential when the user does not pick one
+const DEFAULT_DELEGATION_HOURS = 4;
 
 /**
  * Generate a new Auth-Badge for a user
  *
  * @param {string} userId - User UUID
+ * @param {Object} [options] - Badge options
+ * @param {string} [options.vertical] - Scope the badge to one vertical (Rank Guard)
+ * @param {Array<string>} [options.disclose] - Predicate claims to disclose instead of the score
+ * @param {string} [options.agentPublicKey] - Base64 Ed25519 key of the agent that will carry the badge
  * @returns {Promise<Object>} Generated badge with signature
  */
-export async function generateBadge(userId) {
+export async function generateBadge(userId, options = {}) {
+    const vertical = options.vertical || null;
+    const disclose = options.disclose || null;
+    const agentPublicKey = options.agentPublicKey || null;
+
+    if (disclose !== null && (!Array.isArray(disclose) || disclose.length === 0)) {
+        throw new ValidationError('disclose must be a non-empty array of claim names');
+    }
+
+    if (agentPublicKey !== null && !cryptoService.isValidPublicKey(agentPublicKey)) {
+        throw new ValidationError('agent_public_key must be a Base64-encoded Ed25519 public key');
+    }
+
     // Get user's identity anchors
     const anchors = await identityService.getAnchors(userId);
 
@@ -26,13 +59,41 @@ export async function generateBadge(userId) {
         throw new ValidationError('Cannot generate badge: no identity anchors connected');
     }
 
+    // Accounts strongly linked to others get no badge while the latest sybil analysis flags them
+    const sybilRisk = await sybilService.getRisk(userId);
+    if (sybilRisk.level === 'high') {
+        throw new ValidationError('Cannot generate badge: account is linked to other accounts and is under review');
+    }
+
     // Calculate trust score and clearance level
-    const { score, breakdown, eduVerified, clearance } = trustScoreService.calculateTrustScore(anchors);
+    const reputation = await reputationService.getReputation(userId);
+    const { score, breakdown, eduVerified, clearance, modelVersion } = trustScoreService.calculateTrustScore(
+        anchors, trustScoreService.getActiveModel(), reputation
+    );
+
+    // Vertical badges must meet that vertical's clearance and anchor requirements
+    if (vertical) {
+        const { eligible, unmet } = trustScoreService.checkVerticalRequirements(vertical, anchors, clearance);
+        if (!eligible) {
+            throw new ValidationError(`Cannot generate ${vertical} badge: ${unmet.join('; ')}`);
+        }
+    }
 
     // Generate badge token and timestamps
     const badgeToken = cryptoService.generateBadgeToken();
     const issuedAt = new Date();
-    const expiresAt = new Date(issuedAt.getTime() + config.badgeExpiryDays * 24 * 60 * 60 * 1000);
+    const expiryDays = vertical ? VERTICALS[vertical].expiryDays : config.badgeExpiryDays;
+    const expiresAt = new Date(issuedAt.getTime() + expiryDays * 24 * 60 * 60 * 1000);
+
+    // Selective disclosure: only predicate claims the user satisfies, never the score
+    let disclosedClaims = null;
+    if (disclose) {
+        const { claims, unmet } = trustScoreService.evaluateClaims(disclose, anchors, reputation);
+        if (unmet.length > 0) {
+            throw new ValidationError(`Cannot disclose requested claims: ${unmet.join('; ')}`);
+        }
+        disclosedClaims = claims;
+    }
 
     // Create the badge payload (this is what gets signed)
     const badgePayload = {
@@ -40,21 +101,39 @@ export async function generateBadge(userId) {
         iss: 'enpassant.io',   // Issuer
         iat: Math.floor(issuedAt.getTime() / 1000),  // Issued at (Unix timestamp)
         exp: Math.floor(expiresAt.getTime() / 1000), // Expires at (Unix timestamp)
-        trust_score: score,
-        clearance_level: clearance.level,  // Clearance level (1-4)
         badge_token: badgeToken,
-        edu_verified: eduVerified  // Whether user has verified .edu email
+        model_version: modelVersion  // Scoring model that produced the score/claims
     };
 
-    // Sign the payload
+    if (disclosedClaims) {
+        // Claims are flat top-level keys so canonicalJSON signs them
+        Object.assign(badgePayload, disclosedClaims);
+    } else {
+        badgePayload.trust_score = score;
+        badgePayload.clearance_level = clearance.level;  // Clearance level (1-4)
+        badgePayload.edu_verified = eduVerified;  // Whether user has verified .edu email
+        badgePayload.sybil_risk = sybilRisk.level;  // Linkage to other accounts (low or medium)
+    }
+
+    if (vertical) {
+        badgePayload.vertical = vertical;  // Rank Guard scope
+    }
+
+    if (agentPublicKey) {
+        badgePayload.agent_key = agentPublicKey;  // Holder must prove possession of this key
+    }
+
+    // Sign the payload (canonical JSON signature + compact JWS for offline verifiers)
     const signature = await cryptoService.signBadge(badgePayload);
+    const jws = await cryptoService.signCompactJws(badgePayload);
     const publicKeyId = cryptoService.getPublicKeyId();
 
     // Store in database
     const result = await db.query(
         `INSERT INTO auth_badges
-         (user_id, trust_score, score_breakdown, signature, public_key_id, issued_at, expires_at, badge_token)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         (user_id, trust_score, score_breakdown, signature, public_key_id, issued_at, expires_at, badge_token,
+          vertical, clearance_level, disclosed_claims, agent_public_key, model_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
          RETURNING *`,
         [
             userId,
@@ -64,7 +143,12 @@ export async function generateBadge(userId) {
             publicKeyId,
             issuedAt,
             expiresAt,
-            badgeToken
+            badgeToken,
+            vertical,
+            clearance.level,
+            disclosedClaims ? JSON.stringify(disclosedClaims) : null,
+            agentPublicKey,
+            modelVersion
         ]
     );
 
@@ -75,7 +159,12 @@ export async function generateBadge(userId) {
         badge_token: badgeToken,
         payload: badgePayload,
         signature: signature,
+        jws,
         public_key_id: publicKeyId,
+        vertical,
+        disclosed_claims: disclosedClaims,
+        agent_public_key: agentPublicKey,
+        model_version: modelVersion,
         score_breakdown: breakdown,
         issued_at: issuedAt.toISOString(),
         expires_at: expiresAt.toISOString()
@@ -88,9 +177,12 @@ export async function generateBadge(userId) {
  * @param {string} badgeToken - Badge token for lookup
  * @param {Object} payload - Badge payload to verify
  * @param {string} signature - Base64-encoded signature
+ * @param {Object} [context] - Verifier context for the audit log { ip, userAgent, platformId }
+ * @param {Object} [options] - { vertical } to require a badge scoped to that vertical,
+ *                             { proof: { nonce, signature } } for agent-bound badges
  * @returns {Promise<Object>} Verification result
  */
-export async function verifyBadge(badgeToken, payload, signature) {
+export async function verifyBadge(badgeToken, payload, signature, context = {}, options = {}) {
     // TEST MODE: Skip database lookup for test badges
     // Test badges have user IDs starting with "test-user-"
     if (payload?.sub?.startsWith('test-user-')) {
@@ -136,72 +228,281 @@ export async function verifyBadge(badgeToken, payload, signature) {
     );
 
     const badge = result.rows[0];
-    let verificationResult;
+    let verificationResult = checkBadgeStatus(badge, options);
+
+    if (!verificationResult) {
+        // Verify against the key that signed this badge (may be a retired key)
+        const publicKey = cryptoService.getPublicKeyBase64(badge.public_key_id);
+        const signatureValid = publicKey
+            ? await cryptoService.verifySignature(payload, signature, publicKey)
+            : false;
+
+        if (!publicKey) {
+            verificationResult = {
+                valid: false,
+                reason: 'unknown_key',
+                message: `Signing key ${badge.public_key_id} is no longer valid for verification`
+            };
+        } else if (!signatureValid) {
+            verificationResult = {
+                valid: false,
+                reason: 'invalid_signature',
+                message: 'Signature verification failed'
+            };
+        } else {
+            verificationResult = await checkPossession(badge, options.proof, context)
+                || formatValidResult(badge);
+        }
+    }
+
+    // Log verification attempt
+    if (badge) {
+        await logVerification(badge.id, verificationResult.valid ? 'valid' : verificationResult.reason, context);
+    }
+
+    return verificationResult;
+}
+
+/**
+ * Verify an Auth-Badge presented as a compact JWS
+ *
+ * The signature is checked against the key named by the kid header; the
+ * badge_token claim is then used for the revocation and expiry lookup.
+ *
+ * @param {string} token - Compact JWS from generateBadge
+ * @param {Object} [context] - Verifier context for the audit log { ip, userAgent, platformId }
+ * @param {Object} [options] - { vertical } to require a badge scoped to that vertical,
+ *                             { proof: { nonce, signature } } for agent-bound badges
+ * @returns {Promise<Object>} Verification result
+ */
+export async function verifyBadgeJws(token, context = {}, options = {}) {
+    const jws = await cryptoService.verifyCompactJws(token);
+
+    if (!jws.valid) {
+        return {
+            valid: false,
+            reason: jws.reason,
+            message: jws.reason === 'unknown_key'
+                ? 'Signing key is not in the published key set'
+                : 'JWS verification failed'
+        };
+    }
+
+    const result = await db.query(
+        'SELECT * FROM auth_badges WHERE badge_token = $1',
+        [jws.payload.badge_token]
+    );
+
+    const badge = result.rows[0];
+    const verificationResult = checkBadgeStatus(badge, options)
+        || await checkPossession(badge, options.proof, context)
+        || formatValidResult(badge);
+
+    if (badge) {
+        await logVerification(badge.id, verificationResult.valid ? 'valid' : verificationResult.reason, context);
+    }
+
+    return verificationResult;
+}
+
+/**
+ * Format a successful verification result
+ * Selective-disclosure badges report only their disclosed claims, never the score.
+ */
+function formatValidResult(badge) {
+    const result = { valid: true };
+
+    if (badge.disclosed_claims) {
+        result.claims = badge.disclosed_claims;
+    } else {
+        result.trust_score = badge.trust_score;
+        result.clearance_level = badge.clearance_level;
+    }
+
+    result.vertical = badge.vertical;
+    result.model_version = badge.model_version;
+    result.agent_bound = Boolean(badge.agent_public_key);
+
+    if (badge.parent_badge_id) {
+        result.delegated = true;
+        result.spend_limit_cents = badge.spend_limit_cents;
+    }
+
+    result.issued_at = badge.issued_at;
+    result.expires_at = badge.expires_at;
+
+    return result;
+}
 
+/**
+ * Check a stored badge for existence, revocation, expiry and vertical scope
+ *
+ * @returns {Object|null} Failed verification result, or null if the badge is usable
+ */
+function checkBadgeStatus(badge, options = {}) {
     if (!badge) {
-        verificationResult = {
+        return {
             valid: false,
             reason: 'badge_not_found',
             message: 'Badge does not exist'
         };
-    } else if (badge.revoked_at) {
-        verificationResult = {
+    }
+
+    if (badge.revoked_at) {
+        return {
             valid: false,
             reason: 'revoked',
             message: `Badge was revoked: ${badge.revocation_reason || 'No reason provided'}`,
             revoked_at: badge.revoked_at
         };
-    } else if (new Date(badge.expires_at) < new Date()) {
-        verificationResult = {
+    }
+
+    if (new Date(badge.expires_at) < new Date()) {
+        return {
             valid: false,
             reason: 'expired',
             message: 'Badge has expired',
             expired_at: badge.expires_at
         };
-    } else {
-        // Verify cryptographic signature
-        const signatureValid = await cryptoService.verifySignature(payload, signature);
+    }
 
-        if (!signatureValid) {
-            verificationResult = {
-                valid: false,
-                reason: 'invalid_signature',
-                message: 'Signature verification failed'
-            };
-        } else {
-            verificationResult = {
-                valid: true,
-                trust_score: badge.trust_score,
-                issued_at: badge.issued_at,
-                expires_at: badge.expires_at
-            };
-        }
+    if (options.vertical && badge.vertical !== options.vertical) {
+        return {
+            valid: false,
+            reason: 'wrong_vertical',
+            message: `Badge is not scoped to the ${options.vertical} vertical`,
+            vertical: badge.vertical
+        };
     }
 
-    // Log verification attempt
-    if (badge) {
-        await logVerification(badge.id, verificationResult.valid ? 'valid' : verificationResult.reason);
+    return null;
+}
+
+/**
+ * Issue a possession challenge for an agent-bound badge
+ *
+ * The verifier hands the nonce to the agent, which signs
+ * buildPossessionMessage(badge_token, nonce) with its bound key and returns
+ * the signature. Nonces are single-use and expire after a few minutes.
+ *
+ * @param {string} badgeToken - Badge token presented by the agent
+ * @param {Object} [context] - Verifier context { platformId }
+ * @returns {Promise<Object>} { nonce, message, expires_at }
+ */
+export async function createChallenge(badgeToken, context = {}) {
+    const result = await db.query(
+        'SELECT * FROM auth_badges WHERE badge_token = $1',
+        [badgeToken]
+    );
+
+    const badge = result.rows[0];
+    const failure = checkBadgeStatus(badge);
+    if (failure) {
+        throw new ValidationError(failure.message);
     }
 
-    return verificationResult;
+    if (!badge.agent_public_key) {
+        throw new ValidationError('Badge is not bound to an agent key');
+    }
+
+    const nonce = cryptoService.generateBadgeToken();
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000);
+
+    await db.query(
+        `INSERT INTO badge_challenges (badge_id, nonce, platform_id, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [badge.id, nonce, context.platformId || null, expiresAt]
+    );
+
+    return {
+        nonce,
+        message: cryptoService.buildPossessionMessage(badgeToken, nonce),
+        expires_at: expiresAt.toISOString()
+    };
+}
+
+/**
+ * Check the agent's proof of possession for an agent-bound badge
+ *
+ * Consumes the challenge nonce so a captured proof cannot be replayed.
+ *
+ * @returns {Promise<Object|null>} Failed verification result, or null if no proof is needed or it holds
+ */
+async function checkPossession(badge, proof, context = {}) {
+    if (!badge.agent_public_key) {
+        return null;
+    }
+
+    if (!proof?.nonce || !proof?.signature) {
+        return {
+            valid: false,
+            reason: 'proof_required',
+            message: 'Badge is bound to an agent key; request a challenge and include the signed proof'
+        };
+    }
+
+    const challenge = await db.query(
+        `UPDATE badge_challenges
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE badge_id = $1 AND nonce = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+           AND (platform_id IS NULL OR platform_id = $3)
+         RETURNING id`,
+        [badge.id, proof.nonce, context.platformId || null]
+    );
+
+    if (challenge.rowCount === 0) {
+        return {
+            valid: false,
+            reason: 'invalid_challenge',
+            message: 'Challenge nonce is unknown, expired or already used'
+        };
+    }
+
+    const proofValid = await cryptoService.verifyPossessionProof(
+        badge.agent_public_key,
+        badge.badge_token,
+        proof.nonce,
+        proof.signature
+    );
+
+    if (!proofValid) {
+        return {
+            valid: false,
+            reason: 'invalid_proof',
+            message: 'Agent did not prove possession of the bound key'
+        };
+    }
+
+    return null;
 }
 
 /**
  * Revoke a badge
  *
+ * Credentials delegated from the badge are revoked with it. Platforms that
+ * verified any of the revoked badges are notified by webhook.
+ *
  * @param {string} badgeToken - Badge token
  * @param {string} reason - Revocation reason
  * @returns {Promise<boolean>} True if badge was revoked
  */
 export async function revokeBadge(badgeToken, reason = 'Manual revocation') {
     const result = await db.query(
-        `UPDATE auth_badges
-         SET revoked_at = CURRENT_TIMESTAMP, revocation_reason = $1
-         WHERE badge_token = $2 AND revoked_at IS NULL
-         RETURNING id`,
+        `WITH revoked AS (
+            UPDATE auth_badges
+            SET revoked_at = CURRENT_TIMESTAMP,
+                revocation_reason = CASE WHEN badge_token = $2 THEN $1 ELSE 'Parent badge revoked' END
+            WHERE revoked_at IS NULL
+              AND (badge_token = $2
+                   OR parent_badge_id = (SELECT id FROM auth_badges WHERE badge_token = $2))
+            RETURNING id, badge_token, revocation_reason, revoked_at, expires_at
+         )
+         ${RECORD_REVOCATIONS_SQL}`,
         [reason, badgeToken]
     );
 
+    await webhookService.notifyBadgeEvent('badge.revoked', result.rows.map(row => row.badge_id));
+
     return result.rowCount > 0;
 }
 
@@ -214,26 +515,386 @@ export async function revokeBadge(badgeToken, reason = 'Manual revocation') {
  */
 export async function revokeAllUserBadges(userId, reason = 'User-initiated revocation') {
     const result = await db.query(
-        `UPDATE auth_badges
-         SET revoked_at = CURRENT_TIMESTAMP, revocation_reason = $1
-         WHERE user_id = $2 AND revoked_at IS NULL`,
+        `WITH revoked AS (
+            UPDATE auth_badges
+            SET revoked_at = CURRENT_TIMESTAMP, revocation_reason = $1
+            WHERE user_id = $2 AND revoked_at IS NULL
+            RETURNING id, badge_token, revocation_reason, revoked_at, expires_at
+         )
+         ${RECORD_REVOCATIONS_SQL}`,
+        [reason, userId]
+    );
+
+    await webhookService.notifyBadgeEvent('badge.revoked', result.rows.map(row => row.badge_id));
+
+    return result.rowCount;
+}
+
+/**
+ * Delegate a scoped, short-lived credential to an agent
+ *
+ * The child credential is a server-signed badge linked to the parent badge,
+ * limited to one vertical, an optional spend limit and a lifetime of at most
+ * config.delegationMaxHours (never beyond the parent's expiry). It carries the
+ * parent's score or disclosed claims and is revoked with the parent.
+ *
+ * @param {string} userId - User UUID (must own the parent badge)
+ * @param {string} parentBadgeToken - Badge to delegate from
+ * @param {Object} scopes - Delegation scopes
+ * @param {string} scopes.vertical - Vertical the agent may act in
+ * @param {number} [scopes.spendLimitCents] - Maximum the agent may spend
+ * @param {number} [scopes.expiresInHours] - Lifetime in hours (default 4)
+ * @param {string} [scopes.agentPublicKey] - Bind the credential to the agent's key
+ * @returns {Promise<Object>} Delegated credential in the same format as generateBadge
+ */
+export async function delegateBadge(userId, parentBadgeToken, scopes = {}) {
+    const vertical = scopes.vertical || null;
+    const spendLimitCents = scopes.spendLimitCents ?? null;
+    const expiresInHours = scopes.expiresInHours ?? DEFAULT_DELEGATION_HOURS;
+    const agentPublicKey = scopes.agentPublicKey || null;
+
+    if (!vertical) {
+        throw new ValidationError('Delegated credentials must be scoped to a vertical');
+    }
+
+    if (spendLimitCents !== null && (!Number.isInteger(spendLimitCents) || spendLimitCents <= 0)) {
+        throw new ValidationError('spend_limit_cents must be a positive integer');
+    }
+
+    if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > config.delegationMaxHours) {
+        throw new ValidationError(`expires_in_hours must be between 0 and ${config.delegationMaxHours}`);
+    }
+
+    if (agentPublicKey !== null && !cryptoService.isValidPublicKey(agentPublicKey)) {
+        throw new ValidationError('agent_public_key must be a Base64-encoded Ed25519 public key');
+    }
+
+    const parentResult = await db.query(
+        'SELECT * FROM auth_badges WHERE badge_token = $1 AND user_id = $2',
+        [parentBadgeToken, userId]
+    );
+
+    const parent = parentResult.rows[0];
+    const failure = checkBadgeStatus(parent);
+    if (failure) {
+        throw new ValidationError(`Cannot delegate: ${failure.message}`);
+    }
+
+    if (parent.parent_badge_id) {
+        throw new ValidationError('Cannot delegate: delegated credentials cannot be delegated again');
+    }
+
+    if (parent.vertical && parent.vertical !== vertical) {
+        throw new ValidationError(`Cannot delegate: parent badge is scoped to the ${parent.vertical} vertical`);
+    }
+
+    // The agent can never hold more than the parent badge proves: its clearance
+    // is the one the parent was issued with, not one re-derived from the score
+    // under today's scoring model
+    const anchors = await identityService.getAnchors(userId);
+    const clearance = trustScoreService.getClearanceByLevel(parent.clearance_level);
+    const { eligible, unmet } = trustScoreService.checkVerticalRequirements(vertical, anchors, clearance);
+    if (!eligible) {
+        throw new ValidationError(`Cannot delegate for ${vertical}: ${unmet.join('; ')}`);
+    }
+
+    const badgeToken = cryptoService.generateBadgeToken();
+    const issuedAt = new Date();
+    const expiresAt = new Date(Math.min(
+        issuedAt.getTime() + expiresInHours * 60 * 60 * 1000,
+        new Date(parent.expires_at).getTime()
+    ));
+
+    const badgePayload = {
+        sub: userId,
+        iss: 'enpassant.io',
+        iat: Math.floor(issuedAt.getTime() / 1000),
+        exp: Math.floor(expiresAt.getTime() / 1000),
+        badge_token: badgeToken,
+        parent_token: parent.badge_token,  // Revoked together with this badge
+        model_version: parent.model_version,
+        vertical
+    };
+
+    if (parent.disclosed_claims) {
+        Object.assign(badgePayload, parent.disclosed_claims);
+    } else {
+        badgePayload.trust_score = parent.trust_score;
+        badgePayload.clearance_level = clearance.level;
+    }
+
+    if (spendLimitCents !== null) {
+        badgePayload.spend_limit_cents = spendLimitCents;
+    }
+
+    if (agentPublicKey) {
+        badgePayload.agent_key = agentPublicKey;
+    }
+
+    const signature = await cryptoService.signBadge(badgePayload);
+    const jws = await cryptoService.signCompactJws(badgePayload);
+    const publicKeyId = cryptoService.getPublicKeyId();
+
+    await db.query(
+        `INSERT INTO auth_badges
+         (user_id, trust_score, score_breakdown, signature, public_key_id, issued_at, expires_at, badge_token,
+          vertical, clearance_level, disclosed_claims, agent_public_key, parent_badge_id, spend_limit_cents,
+          model_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+            userId,
+            parent.trust_score,
+            JSON.stringify(parent.score_breakdown),
+            signature,
+            publicKeyId,
+            issuedAt,
+            expiresAt,
+            badgeToken,
+            vertical,
+            clearance.level,
+            parent.disclosed_claims ? JSON.stringify(parent.disclosed_claims) : null,
+            agentPublicKey,
+            parent.id,
+            spendLimitCents,
+            parent.model_version
+        ]
+    );
+
+    return {
+        badge_token: badgeToken,
+        parent_token: parent.badge_token,
+        payload: badgePayload,
+        signature,
+        jws,
+        public_key_id: publicKeyId,
+        vertical,
+        spend_limit_cents: spendLimitCents,
+        agent_public_key: agentPublicKey,
+        issued_at: issuedAt.toISOString(),
+        expires_at: expiresAt.toISOString()
+    };
+}
+
+/**
+ * Get a user's active delegated credentials
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Active delegations with their parent badge token
+ */
+export async function getDelegations(userId) {
+    const result = await db.query(
+        `SELECT child.badge_token, parent.badge_token AS parent_token, child.vertical,
+                child.spend_limit_cents, child.agent_public_key IS NOT NULL AS agent_bound,
+                child.issued_at, child.expires_at
+         FROM auth_badges child
+         JOIN auth_badges parent ON parent.id = child.parent_badge_id
+         WHERE child.user_id = $1 AND child.revoked_at IS NULL AND child.expires_at > CURRENT_TIMESTAMP
+         ORDER BY child.issued_at DESC`,
+        [userId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Revoke every active delegated credential for a user
+ * Used when the user's identity anchors change underneath the delegations.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of delegations revoked
+ */
+export async function revokeDelegations(userId, reason = 'Delegation revoked') {
+    const result = await db.query(
+        `WITH revoked AS (
+            UPDATE auth_badges
+            SET revoked_at = CURRENT_TIMESTAMP, revocation_reason = $1
+            WHERE user_id = $2 AND parent_badge_id IS NOT NULL AND revoked_at IS NULL
+            RETURNING id, badge_token, revocation_reason, revoked_at, expires_at
+         )
+         ${RECORD_REVOCATIONS_SQL}`,
         [reason, userId]
     );
 
+    await webhookService.notifyBadgeEvent('badge.revoked', result.rows.map(row => row.badge_id));
+
     return result.rowCount;
 }
 
+/**
+ * Re-check a user's badges after their identity anchors change
+ *
+ * Recomputes the trust score and revokes every active badge that now
+ * overstates it: a higher score or clearance than the anchors justify, an
+ * unmet vertical requirement, or a disclosed claim that no longer holds. A
+ * fresh badge with the same vertical, claims and agent key is issued in
+ * place of each revoked one where the user still qualifies. Delegations are
+ * revoked whenever an anchor is disconnected.
+ *
+ * Registered as an identity anchor change listener (see identityService.onAnchorChange).
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} change - { provider, event } where event is 'connected' or 'disconnected'
+ * @returns {Promise<Object>} { trust_score, clearance_level, revoked, reissued }
+ */
+export async function reconcileBadges(userId, change) {
+    const cause = `${change.provider} anchor ${change.event}`;
+    const anchors = await identityService.getAnchors(userId);
+    const reputation = await reputationService.getReputation(userId);
+    const { score, clearance } = trustScoreService.calculateTrustScore(
+        anchors, trustScoreService.getActiveModel(), reputation
+    );
+
+    if (change.event === 'disconnected') {
+        await revokeDelegations(userId, `Delegation revoked: ${cause}`);
+    }
+
+    const result = await db.query(
+        `SELECT * FROM auth_badges
+         WHERE user_id = $1 AND parent_badge_id IS NULL
+           AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [userId]
+    );
+
+    const revoked = [];
+    const reissued = [];
+    const reissueOptions = new Map();
+
+    for (const badge of result.rows) {
+        const unjustified = findUnjustifiedReason(badge, anchors, reputation, score, clearance);
+        if (!unjustified) {
+            continue;
+        }
+
+        const reason = `${unjustified} after ${cause}`;
+        await revokeBadge(badge.badge_token, reason);
+        revoked.push({ badge_token: badge.badge_token, reason });
+
+        // One replacement per distinct kind of badge
+        const options = {
+            vertical: badge.vertical || null,
+            disclose: badge.disclosed_claims ? Object.keys(badge.disclosed_claims) : null,
+            agentPublicKey: badge.agent_public_key || null
+        };
+        reissueOptions.set(JSON.stringify(options), options);
+    }
+
+    for (const options of reissueOptions.values()) {
+        try {
+            reissued.push(await generateBadge(userId, options));
+        } catch (err) {
+            // The user no longer qualifies for this kind of badge at all
+            if (!(err instanceof ValidationError)) {
+                throw err;
+            }
+        }
+    }
+
+    return {
+        trust_score: score,
+        clearance_level: clearance.level,
+        revoked,
+        reissued
+    };
+}
+
+/**
+ * Explain why a badge overstates the user's current anchors
+ *
+ * @returns {string|null} Revocation reason, or null if the badge is still justified
+ */
+function findUnjustifiedReason(badge, anchors, reputation, score, clearance) {
+    if (anchors.length === 0) {
+        return 'No identity anchors remain';
+    }
+
+    if (badge.disclosed_claims) {
+        const { unmet } = trustScoreService.evaluateClaims(Object.keys(badge.disclosed_claims), anchors, reputation);
+        if (unmet.length > 0) {
+            return `Disclosed claims no longer hold (${Object.keys(badge.disclosed_claims).join(', ')})`;
+        }
+    } else if (badge.trust_score > score) {
+        return `Trust score dropped from ${badge.trust_score} to ${score}`;
+    }
+
+    if (badge.clearance_level && badge.clearance_level > clearance.level) {
+        return `Clearance dropped from level ${badge.clearance_level} to ${clearance.level}`;
+    }
+
+    if (badge.vertical) {
+        const { eligible } = trustScoreService.checkVerticalRequirements(badge.vertical, anchors, clearance);
+        if (!eligible) {
+            return `No longer meets ${badge.vertical} requirements`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the signed revocation list for offline verifiers
+ *
+ * Lists the SHA-256 hashes of revoked badge tokens whose badges have not yet
+ * expired. Pass the version from a previous list to get only newer entries.
+ * The list is signed as a compact JWS with the badge signing key.
+ *
+ * @param {number} [sinceVersion] - Only include entries newer than this version
+ * @returns {Promise<Object>} { version, since, entries, jws }
+ */
+export async function getRevocationList(sinceVersion = null) {
+    const since = sinceVersion ? parseInt(sinceVersion, 10) : 0;
+    if (Number.isNaN(since) || since < 0) {
+        throw new ValidationError('since must be a non-negative version number');
+    }
+
+    // One statement, one snapshot: the counter only moves when a revocation
+    // commits, so every entry up to the list version is included
+    const result = await db.query(
+        `SELECT c.version AS list_version, r.version, r.token_hash, r.revoked_at, r.expires_at
+         FROM badge_revocation_version c
+         LEFT JOIN badge_revocations r ON r.version > $1 AND r.expires_at > CURRENT_TIMESTAMP
+         ORDER BY r.version ASC`,
+        [since]
+    );
+
+    const version = parseInt(result.rows[0]?.list_version ?? 0, 10);
+    const entries = result.rows.filter(row => row.version !== null).map(row => ({
+        version: parseInt(row.version, 10),
+        token_hash: row.token_hash,
+        revoked_at: Math.floor(new Date(row.revoked_at).getTime() / 1000),
+        exp: Math.floor(new Date(row.expires_at).getTime() / 1000)
+    }));
+
+    const list = {
+        iss: 'enpassant.io',
+        iat: Math.floor(Date.now() / 1000),
+        version,
+        since,
+        delta: since > 0,
+        hash_alg: 'sha256',
+        entries
+    };
+
+    return {
+        ...list,
+        jws: await cryptoService.signCompactJws(list)
+    };
+}
+
 /**
  * Get user's active badges
+ * Delegated credentials are listed separately by getDelegations.
  *
  * @param {string} userId - User UUID
  * @returns {Promise<Array>} Active badges
  */
 export async function getUserBadges(userId) {
     const result = await db.query(
-        `SELECT badge_token, trust_score, score_breakdown, issued_at, expires_at
+        `SELECT badge_token, trust_score, clearance_level, vertical, disclosed_claims, model_version,
+                score_breakdown, issued_at, expires_at
          FROM auth_badges
-         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND parent_badge_id IS NULL
+           AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
          ORDER BY issued_at DESC`,
         [userId]
     );
@@ -258,6 +919,19 @@ async function logVerification(badgeId, result, context = {}) {
     );
 }
 
+/**
+ * Get the badge requirements for each vertical (for transparency)
+ */
+export function getVerticalRequirements() {
+    return Object.entries(VERTICALS).map(([vertical, requirements]) => ({
+        vertical,
+        name: requirements.name,
+        min_clearance: requirements.minClearance,
+        required_anchors: requirements.requiredAnchors,
+        expiry_days: requirements.expiryDays
+    }));
+}
+
 /**
  * Get the public key for external verifiers
  */
@@ -269,11 +943,44 @@ export function getPublicKey() {
     };
 }
 
+/**
+ * Get every public key still valid for verification, as a JWKS-style key set
+ *
+ * Verifiers should select the key whose kid matches the badge's public_key_id.
+ */
+export function getKeySet() {
+    const keys = cryptoService.getVerificationKeys().map(key => ({
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: Buffer.from(key.publicKey, 'base64').toString('base64url'),
+        kid: key.keyId,
+        use: 'sig',
+        alg: 'EdDSA',
+        status: key.status,
+        retired_at: key.retiredAt ? key.retiredAt.toISOString() : null,
+        not_after: key.notAfter ? key.notAfter.toISOString() : null
+    }));
+
+    return { keys };
+}
+
+// Keep issued badges in line with the anchors behind them
+identityService.onAnchorChange('reconcileBadges', reconcileBadges);
+
 export default {
     generateBadge,
     verifyBadge,
+    verifyBadgeJws,
+    createChallenge,
     revokeBadge,
     revokeAllUserBadges,
+    delegateBadge,
+    getDelegations,
+    revokeDelegations,
+    reconcileBadges,
     getUserBadges,
-    getPublicKey
+    getRevocationList,
+    getVerticalRequirements,
+    getPublicKey,
+    getKeySet
 };
@@ -12,6 +12,7 @@
 import * as ed from '@noble/ed25519';
 import crypto from 'crypto';
 import config from '../config/index.js';
+import { VERTICALS } from '../config/verticals.js';
 
 // Enable synchronous SHA-512 for @noble/ed25519
 ed.etc.sha512Sync = (...m) => {
@@ -25,6 +26,11 @@ let privateKey = null;
 let publicKey = null;
 let publicKeyId = null;
 
+// Key set: key ID -> { keyId, publicKey, status, retiredAt, notAfter }
+// The current key signs new badges; retired keys only verify badges they signed
+// until the longest possible badge lifetime has passed.
+const keySet = new Map();
+
 /**
  * Initialize cryptographic keys from environment
  * Called once at startup
@@ -33,12 +39,24 @@ export function initializeKeys() {
     try {
         privateKey = Buffer.from(config.ed25519PrivateKey, 'base64');
         publicKey = Buffer.from(config.ed25519PublicKey, 'base64');
+        publicKeyId = computeKeyId(publicKey);
+
+        keySet.clear();
+        keySet.set(publicKeyId, {
+            keyId: publicKeyId,
+            publicKey,
+            status: 'current',
+            retiredAt: null,
+            notAfter: null
+        });
 
-        // Generate key ID: first 8 bytes of SHA-256(publicKey), hex encoded
-        const keyIdHash = crypto.createHash('sha256').update(publicKey).digest();
-        publicKeyId = keyIdHash.subarray(0, 8).toString('hex');
+        for (const retired of parseRetiredKeys(config.ed25519RetiredKeys)) {
+            if (!keySet.has(retired.keyId)) {
+                keySet.set(retired.keyId, retired);
+            }
+        }
 
-        console.log(`Crypto service initialized. Public Key ID: ${publicKeyId}`);
+        console.log(`Crypto service initialized. Public Key ID: ${publicKeyId} (${keySet.size} key(s) in set)`);
     } catch (err) {
         throw new Error(`Failed to initialize crypto keys: ${err.message}`);
     }
@@ -56,12 +74,45 @@ export function getPublicKeyId() {
 
 /**
  * Get the public key in Base64 format (for sharing with verifiers)
+ *
+ * @param {string} [keyId] - Key ID from the key set (defaults to the current signing key)
+ * @returns {string|null} Base64 public key, or null if the key is unknown or no longer valid
  */
-export function getPublicKeyBase64() {
+export function getPublicKeyBase64(keyId = null) {
     if (!publicKey) {
         throw new Error('Crypto service not initialized');
     }
-    return Buffer.from(publicKey).toString('base64');
+
+    if (!keyId) {
+        return Buffer.from(publicKey).toString('base64');
+    }
+
+    const key = keySet.get(keyId);
+    if (!key || !isKeyValid(key)) {
+        return null;
+    }
+    return Buffer.from(key.publicKey).toString('base64');
+}
+
+/**
+ * Get every key still valid for verification (current + unexpired retired keys)
+ *
+ * @returns {Array<Object>} Keys with keyId, publicKey (Base64), status, retiredAt, notAfter
+ */
+export function getVerificationKeys() {
+    if (!publicKey) {
+        throw new Error('Crypto service not initialized');
+    }
+
+    return [...keySet.values()]
+        .filter(isKeyValid)
+        .map(key => ({
+            keyId: key.keyId,
+            publicKey: Buffer.from(key.publicKey).toString('base64'),
+            status: key.status,
+            retiredAt: key.retiredAt,
+            notAfter: key.notAfter
+        }));
 }
 
 /**
@@ -118,6 +169,139 @@ export async function verifySignature(payload, signatureBase64, publicKeyBase64
     }
 }
 
+/**
+ * Sign a payload as a compact JWS (RFC 7515) using EdDSA (RFC 8037)
+ *
+ * @param {Object} payload - Claims to sign
+ * @returns {Promise<string>} Compact JWS: base64url(header).base64url(payload).base64url(signature)
+ *
+ * The kid header names the signing key in the published key set, so partners can
+ * verify with off-the-shelf JOSE libraries without calling our API.
+ */
+export async function signCompactJws(payload) {
+    if (!privateKey) {
+        throw new Error('Crypto service not initialized');
+    }
+
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: publicKeyId };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = await ed.signAsync(new TextEncoder().encode(signingInput), privateKey);
+
+    return `${signingInput}.${Buffer.from(signature).toString('base64url')}`;
+}
+
+/**
+ * Sign an arbitrary message with the current signing key (e.g. webhook bodies)
+ *
+ * @param {string} message - UTF-8 message to sign
+ * @returns {Promise<string>} Base64-encoded detached signature
+ */
+export async function signMessage(message) {
+    if (!privateKey) {
+        throw new Error('Crypto service not initialized');
+    }
+
+    const signature = await ed.signAsync(new TextEncoder().encode(message), privateKey);
+    return Buffer.from(signature).toString('base64');
+}
+
+/**
+ * Verify a compact JWS signed by one of our keys
+ *
+ * @param {string} token - Compact JWS
+ * @returns {Promise<Object>} { valid, header, payload, reason? }
+ *
+ * Only checks the signature; claim checks (exp, revocation) are up to the caller.
+ */
+export async function verifyCompactJws(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (err) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    if (header.alg !== 'EdDSA') {
+        return { valid: false, reason: 'unsupported_algorithm', header, payload };
+    }
+
+    const publicKeyBase64 = header.kid ? getPublicKeyBase64(header.kid) : null;
+    if (!publicKeyBase64) {
+        return { valid: false, reason: 'unknown_key', header, payload };
+    }
+
+    try {
+        const valid = await ed.verifyAsync(
+            Buffer.from(parts[2], 'base64url'),
+            new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+            Buffer.from(publicKeyBase64, 'base64')
+        );
+        return valid
+            ? { valid: true, header, payload }
+            : { valid: false, reason: 'invalid_signature', header, payload };
+    } catch (err) {
+        console.error('JWS verification error:', err.message);
+        return { valid: false, reason: 'invalid_signature', header, payload };
+    }
+}
+
+/**
+ * Build the message an agent signs to prove it holds a badge's bound key
+ *
+ * @param {string} badgeToken - Badge token
+ * @param {string} nonce - Challenge nonce from the verifier
+ * @returns {string} Message to sign: enpassant-pop:v1:<badge_token>:<nonce>
+ */
+export function buildPossessionMessage(badgeToken, nonce) {
+    return `enpassant-pop:v1:${badgeToken}:${nonce}`;
+}
+
+/**
+ * Verify an agent's proof of possession for a challenge
+ *
+ * @param {string} agentPublicKeyBase64 - Agent key bound into the badge
+ * @param {string} badgeToken - Badge token
+ * @param {string} nonce - Challenge nonce
+ * @param {string} signatureBase64 - Agent's Ed25519 signature over buildPossessionMessage()
+ * @returns {Promise<boolean>} True if the agent signed the challenge
+ */
+export async function verifyPossessionProof(agentPublicKeyBase64, badgeToken, nonce, signatureBase64) {
+    try {
+        const message = new TextEncoder().encode(buildPossessionMessage(badgeToken, nonce));
+        return await ed.verifyAsync(
+            Buffer.from(signatureBase64, 'base64'),
+            message,
+            Buffer.from(agentPublicKeyBase64, 'base64')
+        );
+    } catch (err) {
+        console.error('Possession proof verification error:', err.message);
+        return false;
+    }
+}
+
+/**
+ * Check that a Base64 string is a 32-byte Ed25519 public key
+ */
+export function isValidPublicKey(publicKeyBase64) {
+    if (typeof publicKeyBase64 !== 'string') {
+        return false;
+    }
+
+    try {
+        ed.ExtendedPoint.fromHex(Buffer.from(publicKeyBase64, 'base64'));
+        return Buffer.from(publicKeyBase64, 'base64').length === 32;
+    } catch (err) {
+        return false;
+    }
+}
+
 /**
  * Generate a secure random token for badge identification
  * @param {number} bytes - Number of random bytes (default 32 = 64 hex chars)
@@ -127,6 +311,57 @@ export function generateBadgeToken(bytes = 32) {
     return crypto.randomBytes(bytes).toString('hex');
 }
 
+function base64url(str) {
+    return Buffer.from(str, 'utf8').toString('base64url');
+}
+
+/**
+ * Key ID: first 8 bytes of SHA-256(publicKey), hex encoded
+ */
+function computeKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest().subarray(0, 8).toString('hex');
+}
+
+/**
+ * Parse retired keys from config
+ * A retired key stays valid until every badge it could have signed has expired,
+ * including vertical badges, which can outlive BADGE_EXPIRY_DAYS.
+ */
+function parseRetiredKeys(json) {
+    const entries = JSON.parse(json || '[]');
+    if (!Array.isArray(entries)) {
+        throw new Error('ED25519_RETIRED_KEYS must be a JSON array');
+    }
+
+    return entries.map(entry => {
+        const key = Buffer.from(entry.public_key, 'base64');
+        if (key.length !== 32) {
+            throw new Error('Retired Ed25519 public keys must be 32 bytes');
+        }
+
+        const retiredAt = entry.retired_at ? new Date(entry.retired_at) : null;
+        const notAfter = retiredAt
+            ? new Date(retiredAt.getTime() + maxBadgeLifetimeDays() * 24 * 60 * 60 * 1000)
+            : null;
+
+        return {
+            keyId: computeKeyId(key),
+            publicKey: key,
+            status: 'retired',
+            retiredAt,
+            notAfter
+        };
+    });
+}
+
+function maxBadgeLifetimeDays() {
+    return Math.max(config.badgeExpiryDays, ...Object.values(VERTICALS).map(vertical => vertical.expiryDays));
+}
+
+function isKeyValid(key) {
+    return !key.notAfter || key.notAfter > new Date();
+}
+
 /**
  * Serialize object to canonical JSON (deterministic serialization)
  * Keys are sorted alphabetically at all levels
@@ -139,7 +374,14 @@ export default {
     initializeKeys,
     getPublicKeyId,
     getPublicKeyBase64,
+    getVerificationKeys,
     signBadge,
     verifySignature,
+    signCompactJws,
+    verifyCompactJws,
+    signMessage,
+    buildPossessionMessage,
+    verifyPossessionProof,
+    isValidPublicKey,
     generateBadgeToken
 };
@@ -0,0 +1,557 @@
+/**
+ * Dispute Service
+ *
+ * The dispute center, for two kinds of dispute:
+ * - order: the buyer disputed a transfer (POST /api/orders/:id/dispute); the
+ *   order's escrow stays held until a moderator decides
+ * - listing: someone flagged a listing; further flags on the listing join the
+ *   open dispute instead of opening another
+ *
+ * The seller has DISPUTE_RESPONSE_WINDOW_HOURS to respond. Both sides can
+ * attach evidence files (stored with storage.service). Once the seller has
+ * responded or the window has passed, a moderator decides:
+ * - refund: order disputes; the buyer gets the escrowed funds back
+ * - release: order disputes; the seller is paid, the dispute is not upheld
+ * - suspend_listing: the listing is taken down (order disputes also refund)
+ * - suspend_seller: the seller and all their listings are suspended (order
+ *   disputes also refund)
+ * - dismiss: listing disputes; the flags were unfounded
+ *
+ * Upheld decisions (refund and suspensions) count against the seller: flags
+ * linked to the dispute are marked actioned, upheld order disputes count as
+ * upheld flags in their reputation (see reputation.service), and the fraud
+ * check of their uploads reports them. Every step is logged in
+ * dispute_events.
+ */
+
+import db from '../db/index.js';
+import config from '../config/index.js';
+import storageService from './storage.service.js';
+import orderService from './order.service.js';
+import scoreHistoryService from './scoreHistory.service.js';
+import { ValidationError } from './auth.service.js';
+
+export const ORDER_DISPUTE_REASONS = ['not_received', 'wrong_tickets', 'invalid_tickets', 'other'];
+
+const OUTCOMES = {
+    order: ['refund', 'release', 'suspend_listing', 'suspend_seller'],
+    listing: ['suspend_listing', 'suspend_seller', 'dismiss']
+};
+
+const STATUSES = ['awaiting_response', 'under_review', 'resolved'];
+const UPHELD_OUTCOMES = ['refund', 'suspend_listing', 'suspend_seller'];
+const MAX_EVIDENCE_PER_PARTY = 10;
+
+/**
+ * Outcomes a moderator may choose for a kind of dispute
+ *
+ * @param {string} kind - 'order' or 'listing'
+ * @returns {Array<string>}
+ */
+export function allowedOutcomes(kind) {
+    return OUTCOMES[kind] || [];
+}
+
+/**
+ * Whether an outcome upholds the dispute against the seller
+ *
+ * @param {string} outcome - Moderator's outcome
+ * @returns {boolean}
+ */
+export function isUpheld(outcome) {
+    return UPHELD_OUTCOMES.includes(outcome);
+}
+
+/**
+ * Buyer: dispute the transfer of an order
+ *
+ * @param {string} orderId - Order UUID
+ * @param {string} buyerId - User UUID (must be the buyer)
+ * @param {Object} dispute - { reason, description }
+ * @returns {Promise<Object|null>} Dispute or null if the order wasn't found
+ */
+export async function openOrderDispute(orderId, buyerId, { reason, description = null }) {
+    if (!ORDER_DISPUTE_REASONS.includes(reason)) {
+        throw new ValidationError(`reason must be one of: ${ORDER_DISPUTE_REASONS.join(', ')}`);
+    }
+    const details = description ? String(description).substring(0, 2000) : null;
+
+    const dispute = await db.transaction(async (client) => {
+        const order = await orderService.disputeTransfer(client, orderId, buyerId, details || reason);
+        if (!order) {
+            return null;
+        }
+
+        const result = await client.query(
+            `INSERT INTO disputes
+             (kind, order_id, listing_id, opened_by, seller_id, reason, description, response_deadline)
+             VALUES ('order', $1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [order.id, order.listing_id, buyerId, order.seller_id, reason, details, responseDeadline()]
+        );
+
+        await recordEvent(client, result.rows[0].id, buyerId, 'complainant', 'opened', { orderId: order.id, reason });
+        return result.rows[0];
+    });
+
+    return dispute && formatDispute(dispute);
+}
+
+/**
+ * Open a listing dispute for a new flag, or add the flag to the listing's
+ * open dispute
+ *
+ * @param {Object} flag - listing_flags row
+ * @returns {Promise<string>} Dispute UUID
+ */
+export async function openListingDispute(flag) {
+    return db.transaction(async (client) => {
+        const listing = await client.query('SELECT user_id FROM ticket_listings WHERE id = $1', [flag.listing_id]);
+
+        const inserted = await client.query(
+            `INSERT INTO disputes
+             (kind, listing_id, opened_by, seller_id, reason, description, response_deadline)
+             VALUES ('listing', $1, $2, $3, $4, $5, $6)
+             ON CONFLICT (listing_id) WHERE kind = 'listing' AND status <> 'resolved' DO NOTHING
+             RETURNING id`,
+            [flag.listing_id, flag.reporter_id, listing.rows[0].user_id, flag.reason, flag.description, responseDeadline()]
+        );
+
+        let disputeId;
+        if (inserted.rows.length > 0) {
+            disputeId = inserted.rows[0].id;
+            await recordEvent(client, disputeId, flag.reporter_id, 'complainant', 'opened', { flagId: flag.id, reason: flag.reason });
+        } else {
+            const open = await client.query(
+                `SELECT id FROM disputes WHERE listing_id = $1 AND kind = 'listing' AND status <> 'resolved'`,
+                [flag.listing_id]
+            );
+            disputeId = open.rows[0].id;
+            await recordEvent(client, disputeId, flag.reporter_id, 'complainant', 'flag_added', { flagId: flag.id, reason: flag.reason });
+        }
+
+        await client.query('UPDATE listing_flags SET dispute_id = $2 WHERE id = $1', [flag.id, disputeId]);
+        return disputeId;
+    });
+}
+
+/**
+ * Seller: respond to a dispute (once, before a moderator decides)
+ *
+ * @param {string} disputeId - Dispute UUID
+ * @param {string} sellerId - User UUID (must be the seller)
+ * @param {string} response - The seller's side
+ * @returns {Promise<Object|null>} Dispute or null if not found
+ */
+export async function respond(disputeId, sellerId, response) {
+    const text = String(response || '').trim();
+    if (!text) {
+        throw new ValidationError('response is required');
+    }
+
+    const dispute = await db.transaction(async (client) => {
+        const current = await lockDispute(client, disputeId);
+        if (!current || current.seller_id !== sellerId) {
+            return null;
+        }
+
+        if (current.status !== 'awaiting_response') {
+            throw new ValidationError(current.status === 'resolved'
+                ? 'This dispute has been resolved'
+                : 'You have already responded to this dispute');
+        }
+
+        const result = await client.query(
+            `UPDATE disputes
+             SET seller_response = $2, seller_responded_at = NOW(), status = 'under_review', updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [disputeId, text.substring(0, 5000)]
+        );
+
+        await recordEvent(client, disputeId, sellerId, 'seller', 'responded');
+        return result.rows[0];
+    });
+
+    return dispute && getDisputeForUser(dispute.id, sellerId);
+}
+
+/**
+ * Attach an evidence file to a dispute (complainant or seller)
+ *
+ * @param {string} disputeId - Dispute UUID
+ * @param {string} userId - Uploader's user UUID
+ * @param {Object} file - { buffer, originalname, mimetype, size } from the upload
+ * @param {string} [note] - What the file shows
+ * @returns {Promise<Object|null>} Evidence or null if the dispute wasn't found
+ */
+export async function addEvidence(disputeId, userId, file, note = null) {
+    const dispute = await getDisputeRow(disputeId);
+    const party = dispute && await partyOf(dispute, userId);
+    if (!party) {
+        return null;
+    }
+
+    if (!file) {
+        throw new ValidationError('No evidence file provided');
+    }
+    if (dispute.status === 'resolved') {
+        throw new ValidationError('This dispute has been resolved');
+    }
+
+    const count = await db.query(
+        'SELECT COUNT(*)::int AS count FROM dispute_evidence WHERE dispute_id = $1 AND submitted_by = $2',
+        [disputeId, userId]
+    );
+    if (count.rows[0].count >= MAX_EVIDENCE_PER_PARTY) {
+        throw new ValidationError(`You can attach at most ${MAX_EVIDENCE_PER_PARTY} files to a dispute`);
+    }
+
+    const { buffer, originalname, mimetype, size } = file;
+    const upload = await storageService.uploadEvidence(buffer, originalname, mimetype, disputeId, userId);
+
+    const evidence = await db.transaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO dispute_evidence
+             (dispute_id, submitted_by, party, s3_key, original_filename, mime_type, file_size_bytes, file_hash, note)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [disputeId, userId, party, upload.key, originalname, mimetype, size, upload.fileHash,
+                note ? String(note).substring(0, 1000) : null]
+        );
+
+        await recordEvent(client, disputeId, userId, party, 'evidence_added', { evidenceId: result.rows[0].id });
+        return result.rows[0];
+    });
+
+    return formatEvidence(evidence);
+}
+
+/**
+ * Moderator: decide a dispute
+ *
+ * @param {string} disputeId - Dispute UUID
+ * @param {Object} decision - { outcome, notes, moderatorId }
+ * @returns {Promise<Object|null>} Dispute or null if not found
+ */
+export async function resolveDispute(disputeId, { outcome, notes = null, moderatorId = null }) {
+    const decided = await db.transaction(async (client) => {
+        const dispute = await lockDispute(client, disputeId);
+        if (!dispute) {
+            return null;
+        }
+
+        if (!allowedOutcomes(dispute.kind).includes(outcome)) {
+            throw new ValidationError(`outcome must be one of: ${allowedOutcomes(dispute.kind).join(', ')}`);
+        }
+        if (dispute.status === 'resolved') {
+            throw new ValidationError('This dispute has already been resolved');
+        }
+        if (!isReadyForDecision(dispute)) {
+            throw new ValidationError('The seller can still respond to this dispute');
+        }
+
+        const upheld = isUpheld(outcome);
+        const reason = `Dispute resolved: ${outcome}`;
+
+        if (dispute.order_id) {
+            await orderService.settleDispute(client, dispute.order_id, upheld ? 'refund' : 'release', { reason });
+        }
+        if (outcome === 'suspend_listing') {
+            await suspendListing(client, dispute.listing_id);
+        }
+        if (outcome === 'suspend_seller') {
+            await suspendSeller(client, dispute.seller_id, `Dispute ${dispute.id}`);
+        }
+
+        // The flags behind the dispute are reviewed with it
+        await client.query(
+            `UPDATE listing_flags
+             SET status = $2, reviewer_id = $3, reviewed_at = NOW(), action_taken = $4
+             WHERE dispute_id = $1 AND status = 'pending'`,
+            [dispute.id, upheld ? 'actioned' : 'dismissed', moderatorId, outcome]
+        );
+
+        const result = await client.query(
+            `UPDATE disputes
+             SET status = 'resolved', outcome = $2, upheld = $3, resolution_notes = $4,
+                 decided_by = $5, decided_at = NOW(), updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [dispute.id, outcome, upheld, notes, moderatorId]
+        );
+
+        await recordEvent(client, dispute.id, moderatorId, 'moderator', 'resolved', { outcome, upheld });
+        return result.rows[0];
+    });
+
+    if (!decided) {
+        return null;
+    }
+
+    // The refund or release runs outside the transaction; if the provider
+    // fails, the order-timeouts job retries it (and records the sale)
+    if (decided.order_id) {
+        try {
+            await orderService.processPayment(decided.order_id);
+        } catch (err) {
+            console.error(`[Disputes] Settling order ${decided.order_id} failed, will retry:`, err.message);
+        }
+    }
+
+    if (decided.upheld) {
+        try {
+            await scoreHistoryService.recordScore(decided.seller_id, decided.kind === 'order' ? 'dispute_upheld' : 'flag_upheld');
+        } catch (err) {
+            console.error(`[Disputes] Could not record the score change for dispute ${decided.id}:`, err.message);
+        }
+    }
+
+    return getDispute(decided.id);
+}
+
+/**
+ * Get a dispute the user is a party to
+ *
+ * @param {string} disputeId - Dispute UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>} Dispute with evidence and audit trail, or null
+ */
+export async function getDisputeForUser(disputeId, userId) {
+    const dispute = await getDisputeRow(disputeId);
+    if (!dispute || !(await partyOf(dispute, userId))) {
+        return null;
+    }
+    return withDetails(dispute);
+}
+
+/**
+ * Moderator: get any dispute
+ *
+ * @param {string} disputeId - Dispute UUID
+ * @returns {Promise<Object|null>} Dispute with evidence and audit trail, or null
+ */
+export async function getDispute(disputeId) {
+    const dispute = await getDisputeRow(disputeId);
+    return dispute && withDetails(dispute);
+}
+
+/**
+ * List the disputes a user opened, flagged or is the seller in
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Disputes, newest first
+ */
+export async function listUserDisputes(userId) {
+    const result = await db.query(
+        `SELECT * FROM disputes d
+         WHERE d.seller_id = $1 OR d.opened_by = $1
+            OR EXISTS (SELECT 1 FROM listing_flags lf WHERE lf.dispute_id = d.id AND lf.reporter_id = $1)
+         ORDER BY d.created_at DESC
+         LIMIT 100`,
+        [userId]
+    );
+    return result.rows.map(formatDispute);
+}
+
+/**
+ * Moderator: the dispute queue, oldest first
+ *
+ * @param {Object} [filters] - { status, kind } (default: every unresolved dispute)
+ * @returns {Promise<Array>} Disputes
+ */
+export async function listQueue(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status !== undefined) {
+        if (!STATUSES.includes(filters.status)) {
+            throw new ValidationError(`status must be one of: ${STATUSES.join(', ')}`);
+        }
+        params.push(filters.status);
+        conditions.push(`status = $${params.length}`);
+    } else {
+        conditions.push(`status <> 'resolved'`);
+    }
+
+    if (filters.kind !== undefined) {
+        if (!OUTCOMES[filters.kind]) {
+            throw new ValidationError('kind must be order or listing');
+        }
+        params.push(filters.kind);
+        conditions.push(`kind = $${params.length}`);
+    }
+
+    const result = await db.query(
+        `SELECT * FROM disputes
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at ASC
+         LIMIT 200`,
+        params
+    );
+    return result.rows.map(formatDispute);
+}
+
+function isReadyForDecision(dispute) {
+    return dispute.status === 'under_review'
+        || (dispute.status === 'awaiting_response' && new Date(dispute.response_deadline) <= new Date());
+}
+
+function responseDeadline() {
+    return new Date(Date.now() + config.disputes.responseWindowHours * 60 * 60 * 1000);
+}
+
+async function suspendListing(client, listingId) {
+    await client.query(
+        `UPDATE ticket_listings
+         SET suspended_at = NOW(), is_active = FALSE, updated_at = NOW()
+         WHERE id = $1 AND suspended_at IS NULL`,
+        [listingId]
+    );
+}
+
+async function suspendSeller(client, sellerId, reason) {
+    await client.query(
+        `UPDATE users SET suspended_at = NOW(), suspension_reason = $2
+         WHERE id = $1 AND suspended_at IS NULL`,
+        [sellerId, reason]
+    );
+    await client.query(
+        `UPDATE ticket_listings
+         SET suspended_at = NOW(), is_active = FALSE, updated_at = NOW()
+         WHERE user_id = $1 AND is_sold = FALSE AND suspended_at IS NULL`,
+        [sellerId]
+    );
+}
+
+async function getDisputeRow(disputeId) {
+    const result = await db.query('SELECT * FROM disputes WHERE id = $1', [disputeId]);
+    return result.rows[0] || null;
+}
+
+async function lockDispute(client, disputeId) {
+    const result = await client.query('SELECT * FROM disputes WHERE id = $1 FOR UPDATE', [disputeId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * The user's side in a dispute: 'seller', 'complainant' (the buyer, or
+ * anyone whose flag is part of it), or null
+ */
+async function partyOf(dispute, userId) {
+    if (dispute.seller_id === userId) return 'seller';
+    if (dispute.opened_by === userId) return 'complainant';
+
+    const flag = await db.query(
+        'SELECT 1 FROM listing_flags WHERE dispute_id = $1 AND reporter_id = $2',
+        [dispute.id, userId]
+    );
+    return flag.rows.length > 0 ? 'complainant' : null;
+}
+
+async function withDetails(dispute) {
+    const [evidence, flags, events] = await Promise.all([
+        db.query('SELECT * FROM dispute_evidence WHERE dispute_id = $1 ORDER BY created_at ASC', [dispute.id]),
+        db.query(
+            `SELECT id, reporter_id, reason, description, status, action_taken, created_at
+             FROM listing_flags WHERE dispute_id = $1 ORDER BY created_at ASC`,
+            [dispute.id]
+        ),
+        db.query(
+            `SELECT actor_id, actor_role, action, details, created_at
+             FROM dispute_events WHERE dispute_id = $1 ORDER BY created_at ASC`,
+            [dispute.id]
+        )
+    ]);
+
+    return {
+        ...formatDispute(dispute),
+        evidence: await Promise.all(evidence.rows.map(async row => ({
+            ...formatEvidence(row),
+            url: await storageService.getReceiptUrl(row.s3_key)
+        }))),
+        flags: flags.rows.map(flag => ({
+            id: flag.id,
+            reporterId: flag.reporter_id,
+            reason: flag.reason,
+            description: flag.description,
+            status: flag.status,
+            actionTaken: flag.action_taken,
+            createdAt: flag.created_at
+        })),
+        events: events.rows.map(event => ({
+            actorId: event.actor_id,
+            actorRole: event.actor_role,
+            action: event.action,
+            details: event.details,
+            createdAt: event.created_at
+        }))
+    };
+}
+
+async function recordEvent(client, disputeId, actorId, actorRole, action, details = {}) {
+    await client.query(
+        `INSERT INTO dispute_events (dispute_id, actor_id, actor_role, action, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [disputeId, actorId, actorRole, action, JSON.stringify(details)]
+    );
+}
+
+/**
+ * Format evidence for API response (the signed URL is added separately)
+ */
+function formatEvidence(row) {
+    return {
+        id: row.id,
+        party: row.party,
+        submittedBy: row.submitted_by,
+        filename: row.original_filename,
+        mimeType: row.mime_type,
+        sizeBytes: row.file_size_bytes,
+        note: row.note,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Format dispute for API response
+ */
+function formatDispute(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        status: row.status,
+        reason: row.reason,
+        description: row.description,
+        orderId: row.order_id,
+        listingId: row.listing_id,
+        openedBy: row.opened_by,
+        sellerId: row.seller_id,
+        responseDeadline: row.response_deadline,
+        sellerResponse: row.seller_response,
+        sellerRespondedAt: row.seller_responded_at,
+        readyForDecision: isReadyForDecision(row),
+        outcome: row.outcome,
+        upheld: row.upheld,
+        resolutionNotes: row.resolution_notes,
+        decidedBy: row.decided_by,
+        decidedAt: row.decided_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    ORDER_DISPUTE_REASONS,
+    allowedOutcomes,
+    isUpheld,
+    openOrderDispute,
+    openListingDispute,
+    respond,
+    addEvidence,
+    resolveDispute,
+    getDisputeForUser,
+    getDispute,
+    listUserDisputes,
+    listQueue
+};
@@ -105,13 +105,136 @@ export async function sendWaitlistConfirmation(email, vertical) {
 }
 
 /**
- * Send pre-verification nudge (for users who signed up but didn't connect accounts)
- * TODO: Re-enable when OAuth is verified and dashboard is live
+ * Send a magic link proving the user controls an institution email address
+ *
+ * @param {string} email - Institution email address
+ * @param {string} verifyUrl - Magic link
+ * @param {string} institutionName - School name, or its domain if unlisted
+ * @param {number} ttlMinutes - How long the link stays valid
  */
-export async function sendVerificationNudge(email, currentScore) {
-    // Disabled until OAuth verification is complete
-    console.log('[Email] Verification nudge disabled - OAuth pending:', email);
-    return { success: false, error: 'Verification nudge disabled during pre-launch' };
+export async function sendInstitutionVerification(email, verifyUrl, institutionName, ttlMinutes) {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject: `Verify your ${institutionName} email — En Passant`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; background-color: #050505; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+    <div style="max-width: 600px; margin: 0 auto; background: #0a0a0a; color: #f5f5f5; padding: 40px 30px;">
+        <!-- Header -->
+        <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="font-size: 28px; margin: 0; color: #f5f5f5; font-weight: 600;">♟ En Passant</h1>
+        </div>
+
+        <!-- Main Card -->
+        <div style="background: #111111; border: 1px solid #1a1a1a; border-radius: 12px; padding: 30px; margin-bottom: 24px;">
+            <h2 style="color: #D4A853; margin-top: 0; font-size: 24px; font-weight: 600;">Confirm your school email</h2>
+            <p style="color: #a1a1aa; line-height: 1.7; font-size: 16px;">
+                Click below to add <strong style="color: #f5f5f5;">${institutionName}</strong> to your En Passant identity.
+                The link expires in ${ttlMinutes} minutes.
+            </p>
+            <p style="text-align: center; margin: 28px 0 0;">
+                <a href="${verifyUrl}" style="display: inline-block; background: #D4A853; color: #050505; padding: 12px 28px; border-radius: 8px; font-weight: 600; text-decoration: none;">Verify email</a>
+            </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding-top: 24px; border-top: 1px solid #1a1a1a;">
+            <p style="color: #3f3f46; font-size: 12px; margin: 0;">
+                If you didn't request this, you can ignore this email.
+            </p>
+        </div>
+    </div>
+</body>
+</html>
+            `
+        });
+
+        if (error) {
+            console.error('[Email] Resend error:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Institution verification sent to:', email, 'ID:', data.id);
+        return { success: true, id: data.id };
+    } catch (err) {
+        console.error('[Email] Send failed:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Nudge a user to reconnect anchors that could no longer be re-verified
+ *
+ * @param {string} email - User's account email
+ * @param {number} currentScore - EP Score after the staleness penalty
+ * @param {Array<string>} staleProviders - Display names of the stale anchors, e.g. ['Gmail']
+ */
+export async function sendVerificationNudge(email, currentScore, staleProviders = []) {
+    const anchorList = staleProviders.length > 0 ? staleProviders.join(', ') : 'some of your accounts';
+    const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard`;
+
+    try {
+        const { data, error } = await resend.emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject: 'Reconnect your accounts to keep your EP Score — En Passant',
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; background-color: #050505; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+    <div style="max-width: 600px; margin: 0 auto; background: #0a0a0a; color: #f5f5f5; padding: 40px 30px;">
+        <!-- Header -->
+        <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="font-size: 28px; margin: 0; color: #f5f5f5; font-weight: 600;">♟ En Passant</h1>
+        </div>
+
+        <!-- Main Card -->
+        <div style="background: #111111; border: 1px solid #1a1a1a; border-radius: 12px; padding: 30px; margin-bottom: 24px;">
+            <h2 style="color: #D4A853; margin-top: 0; font-size: 24px; font-weight: 600;">We couldn't re-verify ${anchorList}</h2>
+            <p style="color: #a1a1aa; line-height: 1.7; font-size: 16px;">
+                We check connected accounts regularly to keep EP Scores honest. Accounts we can't re-verify
+                gradually stop counting, and your EP Score is now <strong style="color: #f5f5f5;">${currentScore}</strong>.
+                Reconnecting takes a few seconds and restores the points.
+            </p>
+            <p style="text-align: center; margin: 28px 0 0;">
+                <a href="${dashboardUrl}" style="display: inline-block; background: #D4A853; color: #050505; padding: 12px 28px; border-radius: 8px; font-weight: 600; text-decoration: none;">Reconnect accounts</a>
+            </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding-top: 24px; border-top: 1px solid #1a1a1a;">
+            <p style="color: #3f3f46; font-size: 12px; margin: 0;">
+                You're receiving this because you have an En Passant account.
+            </p>
+        </div>
+    </div>
+</body>
+</html>
+            `
+        });
+
+        if (error) {
+            console.error('[Email] Resend error:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Verification nudge sent to:', email, 'ID:', data.id);
+        return { success: true, id: data.id };
+    } catch (err) {
+        console.error('[Email] Send failed:', err);
+        return { success: false, error: err.message };
+    }
 }
 
 /**
@@ -130,6 +253,7 @@ export async function sendLaunchAnnouncement(email, vertical) {
 
 export default {
     sendWaitlistConfirmation,
+    sendInstitutionVerification,
     sendVerificationNudge,
     sendLaunchAnnouncement
 };
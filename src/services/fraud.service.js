@@ -6,6 +6,7 @@
 
 import crypto from 'crypto';
 import db from '../db/index.js';
+import scoreHistoryService from './scoreHistory.service.js';
 
 /**
  * Analyze a receipt for fraud signals
@@ -58,6 +59,21 @@ export async function analyzeReceipt(receiptId, imageBuffer, metadata = {}) {
         riskScore += 0.1;
     }
 
+    // Check whether disputes were decided against the uploader as a seller
+    const disputeCheck = await checkUpheldDisputes(receiptId);
+    if (disputeCheck.count > 0) {
+        signals.push({
+            type: 'upheld_disputes',
+            severity: 'medium',
+            message: 'The uploader lost disputes over earlier sales',
+            details: {
+                upheldDisputes: disputeCheck.count,
+                lastDecidedAt: disputeCheck.lastDecidedAt
+            }
+        });
+        riskScore += 0.2;
+    }
+
     // Determine recommendation based on risk score
     let recommendation;
     if (riskScore >= 0.5) {
@@ -77,6 +93,59 @@ export async function analyzeReceipt(receiptId, imageBuffer, metadata = {}) {
     };
 }
 
+/**
+ * Store a fraud analysis against the user who uploaded the receipt
+ *
+ * Reject and manual_review recommendations count against the user's
+ * marketplace reputation (see reputation.service.js).
+ *
+ * @param {string} userId - Uploader's user ID
+ * @param {Object} analysis - Result of analyzeReceipt()
+ * @returns {Promise<void>}
+ */
+export async function saveAnalysis(userId, analysis) {
+    await db.query(
+        `INSERT INTO fraud_analyses (receipt_id, user_id, risk_score, recommendation, signals)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+            analysis.receiptId,
+            userId,
+            analysis.riskScore,
+            analysis.recommendation,
+            JSON.stringify(analysis.signals)
+        ]
+    );
+
+    if (analysis.recommendation !== 'approve') {
+        await scoreHistoryService.recordScore(userId, 'fraud_flagged');
+    }
+}
+
+/**
+ * Count the disputes upheld against the receipt's uploader in the last year
+ *
+ * @param {string} receiptId - Receipt upload ID
+ * @returns {Promise<Object>} { count, lastDecidedAt }
+ */
+async function checkUpheldDisputes(receiptId) {
+    if (!receiptId) {
+        return { count: 0, lastDecidedAt: null };
+    }
+
+    const result = await db.query(
+        `SELECT COUNT(*) as count, MAX(d.decided_at) as last_decided_at
+         FROM receipt_uploads r
+         JOIN disputes d ON d.seller_id = r.user_id
+         WHERE r.id = $1 AND d.upheld = TRUE AND d.decided_at > NOW() - INTERVAL '1 year'`,
+        [receiptId]
+    );
+
+    return {
+        count: parseInt(result.rows[0].count),
+        lastDecidedAt: result.rows[0].last_decided_at
+    };
+}
+
 /**
  * Check if this receipt has already been uploaded
  *
@@ -244,6 +313,7 @@ export async function reportForReview(listingId, reason, details = {}) {
 
 export default {
     analyzeReceipt,
+    saveAnalysis,
     analyzeUserUploadPattern,
     reportForReview
 };
@@ -1,26 +1,129 @@
 /**
  * Identity Anchor Service
  *
- * Manages connected identity providers (Gmail, LinkedIn, etc.)
- * Includes real OAuth integration with Gmail API for metadata fetching.
+ * Manages connected identity providers (Gmail, LinkedIn, GitHub, Microsoft, Apple)
+ * plus phone numbers verified by SMS code (phoneVerification.service.js) and
+ * institution emails verified by magic link (institutionVerification.service.js).
+ * Includes real OAuth integration with the Gmail, GitHub and Microsoft Graph
+ * APIs for metadata fetching.
  */
 
 import { google } from 'googleapis';
 import db from '../db/index.js';
+import config from '../config/index.js';
 import { ValidationError } from './auth.service.js';
+import { findInstitution } from '../config/institutions.js';
 
 // Supported identity providers
-const SUPPORTED_PROVIDERS = ['gmail', 'linkedin'];
+const SUPPORTED_PROVIDERS = ['gmail', 'linkedin', 'github', 'microsoft', 'apple', 'phone', 'institution'];
+
+// Providers kept to one account per identifier by a unique index (see 020, 021)
+const UNIQUE_PROVIDERS = ['phone', 'institution'];
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const GITHUB_API_URL = 'https://api.github.com';
+const GRAPH_API_URL = 'https://graph.microsoft.com/v1.0';
+
+// Listeners notified after an anchor is connected or disconnected, by name
+const anchorChangeListeners = new Map();
+
+// Failed listeners are retried by the anchor-change-retry job until they
+// have been tried this many times; later ones stay queued for inspection
+const MAX_LISTENER_ATTEMPTS = 10;
+const RETRY_BATCH_SIZE = 50;
+
+/**
+ * Register a listener for anchor connect/disconnect events
+ *
+ * Listeners run in registration order and are awaited, so callers of
+ * connectAnchor/disconnectAnchor see their effects (e.g. badge revocation).
+ * The change has been saved by then, so a listener that fails doesn't fail
+ * it: the failure is logged and queued for retryAnchorChanges().
+ *
+ * @param {string} name - Unique listener name, stored with queued retries
+ * @param {Function} listener - async (userId, { provider, event }) where event is 'connected' or 'disconnected'
+ */
+export function onAnchorChange(name, listener) {
+    anchorChangeListeners.set(name, listener);
+}
+
+async function notifyAnchorChange(userId, change) {
+    for (const [name, listener] of anchorChangeListeners) {
+        try {
+            await listener(userId, change);
+        } catch (err) {
+            console.error(`[Identity] ${name} failed after ${change.provider} anchor ${change.event} for user ${userId}, will retry:`, err.message);
+            await queueListenerRetry(name, userId, change, err);
+        }
+    }
+}
+
+async function queueListenerRetry(name, userId, change, error) {
+    try {
+        await db.query(
+            `INSERT INTO anchor_change_retries (user_id, listener, provider, event, last_error)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [userId, name, change.provider, change.event, error.message.substring(0, 255)]
+        );
+    } catch (err) {
+        console.error(`[Identity] Could not queue ${name} for user ${userId} for retry:`, err.message);
+    }
+}
+
+/**
+ * Re-run anchor change listeners that failed, oldest first
+ *
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { retried, succeeded }
+ */
+export async function retryAnchorChanges(options = {}) {
+    const result = await db.query(
+        `SELECT * FROM anchor_change_retries
+         WHERE attempts < $1
+         ORDER BY created_at ASC, id ASC
+         LIMIT $2`,
+        [MAX_LISTENER_ATTEMPTS, options.limit || RETRY_BATCH_SIZE]
+    );
+
+    let succeeded = 0;
+    for (const retry of result.rows) {
+        try {
+            const listener = anchorChangeListeners.get(retry.listener);
+            if (!listener) {
+                throw new Error(`No anchor change listener named ${retry.listener}`);
+            }
+
+            await listener(retry.user_id, { provider: retry.provider, event: retry.event });
+            await db.query('DELETE FROM anchor_change_retries WHERE id = $1', [retry.id]);
+            succeeded++;
+        } catch (err) {
+            console.error(`[Identity] Retrying ${retry.listener} for user ${retry.user_id} failed:`, err.message);
+            await db.query(
+                `UPDATE anchor_change_retries
+                 SET attempts = attempts + 1, last_error = $2, last_attempt_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [retry.id, err.message.substring(0, 255)]
+            );
+        }
+    }
+
+    return { retried: result.rows.length, succeeded };
+}
 
 /**
  * Connect an identity anchor to a user account
  *
  * @param {string} userId - User UUID
- * @param {string} provider - Provider name ('gmail' or 'linkedin')
+ * @param {string} provider - Provider name (see SUPPORTED_PROVIDERS)
  * @param {Object} data - Identity data from provider
+ * @param {Object} [options] - { verifiedVia }: how the data was proven ('oauth',
+ *   'sms', 'magic_link', or 'mock' in development); omitted when it came from the caller
  * @returns {Promise<Object>} Created identity anchor
  */
-export async function connectAnchor(userId, provider, data) {
+export async function connectAnchor(userId, provider, data, { verifiedVia = null } = {}) {
+    const verified = Boolean(verifiedVia);
+
     if (!SUPPORTED_PROVIDERS.includes(provider)) {
         throw new ValidationError(`Unsupported provider: ${provider}. Supported: ${SUPPORTED_PROVIDERS.join(', ')}`);
     }
@@ -28,11 +131,19 @@ export async function connectAnchor(userId, provider, data) {
     // Validate required fields based on provider
     validateProviderData(provider, data);
 
+    // A caller-supplied providerId proves nothing, so only verified ids are checked
+    if (verified && config.sybil.blockDuplicateAnchors && !UNIQUE_PROVIDERS.includes(provider)) {
+        await assertProviderAccountAvailable(userId, provider, data.providerId);
+    }
+
+    // Only a verified connection renews the anchor; re-posting manual data
+    // keeps its staleness and re-verification outcome
+    let anchor;
     try {
         const result = await db.query(
             `INSERT INTO identity_anchors
-             (user_id, provider, provider_user_id, account_created_at, email_address, connection_count, profile_url, metadata, is_edu_verified)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             (user_id, provider, provider_user_id, account_created_at, email_address, connection_count, profile_url, metadata, is_edu_verified, verified_via)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $11)
              ON CONFLICT (user_id, provider)
              DO UPDATE SET
                 provider_user_id = EXCLUDED.provider_user_id,
@@ -42,7 +153,10 @@ export async function connectAnchor(userId, provider, data) {
                 profile_url = EXCLUDED.profile_url,
                 metadata = EXCLUDED.metadata,
                 is_edu_verified = EXCLUDED.is_edu_verified,
-                last_verified_at = CURRENT_TIMESTAMP
+                verified_via = EXCLUDED.verified_via,
+                last_verified_at = CASE WHEN $10 THEN CURRENT_TIMESTAMP ELSE identity_anchors.last_verified_at END,
+                reverification_status = CASE WHEN $10 THEN NULL ELSE identity_anchors.reverification_status END,
+                reverification_error = CASE WHEN $10 THEN NULL ELSE identity_anchors.reverification_error END
              RETURNING *`,
             [
                 userId,
@@ -53,17 +167,28 @@ export async function connectAnchor(userId, provider, data) {
                 data.connectionCount || null,
                 data.profileUrl || null,
                 JSON.stringify(data.metadata || {}),
-                data.isEduVerified || false
+                data.isEduVerified || false,
+                verified,
+                verifiedVia
             ]
         );
-
-        return result.rows[0];
+        anchor = result.rows[0];
     } catch (err) {
         if (err.code === '23503') { // Foreign key violation
             throw new ValidationError('User not found');
         }
+        if (err.code === '23505' && provider === 'phone') { // One account per phone number
+            throw new ValidationError('This phone number is already verified on another account');
+        }
+        if (err.code === '23505' && provider === 'institution') { // One account per institution email
+            throw new ValidationError('This email address is already verified on another account');
+        }
         throw err;
     }
+
+    await notifyAnchorChange(userId, { provider, event: 'connected' });
+
+    return anchor;
 }
 
 /**
@@ -75,7 +200,8 @@ export async function connectAnchor(userId, provider, data) {
 export async function getAnchors(userId) {
     const result = await db.query(
         `SELECT id, provider, provider_user_id, account_created_at, email_address,
-                connection_count, profile_url, metadata, connected_at, last_verified_at, is_edu_verified
+                connection_count, profile_url, metadata, connected_at, last_verified_at, is_edu_verified,
+                verified_via, reverification_status
          FROM identity_anchors
          WHERE user_id = $1
          ORDER BY connected_at DESC`,
@@ -111,7 +237,14 @@ export async function disconnectAnchor(userId, provider) {
         'DELETE FROM identity_anchors WHERE user_id = $1 AND provider = $2 RETURNING id',
         [userId, provider]
     );
-    return result.rowCount > 0;
+
+    if (result.rowCount === 0) {
+        return false;
+    }
+
+    await notifyAnchorChange(userId, { provider, event: 'disconnected' });
+
+    return true;
 }
 
 /**
@@ -177,7 +310,7 @@ export async function fetchGmailMetadata(accessToken) {
         }
 
         // Get recent activity (emails in last 30 days)
-        let recentEmailCount = 0;
+        let recentEmailCount = null;
         try {
             const thirtyDaysAgo = Math.floor((Date.now() - 30 * 24 * 60 * 60 * 1000) / 1000);
             const recentMessages = await gmail.users.messages.list({
@@ -203,11 +336,110 @@ export async function fetchGmailMetadata(accessToken) {
 
         // Return minimal data if API fails
         // This allows OAuth to complete even if metadata fetch fails
+        // (null counts are "unknown": scoring neither rewards nor penalizes them)
         return {
-            totalEmails: 0,
+            totalEmails: null,
             oldestEmailDate: null,
             accountCreatedAt: null,
-            recentEmailCount: 0,
+            recentEmailCount: null,
+            error: err.message
+        };
+    }
+}
+
+/**
+ * Fetch GitHub account metadata using OAuth access token
+ *
+ * Account age, public repositories and followers are the trust signals.
+ *
+ * @param {string} accessToken - GitHub OAuth access token
+ * @returns {Promise<Object>} GitHub metadata for trust scoring
+ */
+export async function fetchGitHubMetadata(accessToken) {
+    try {
+        const response = await fetch(`${GITHUB_API_URL}/user`, {
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                Accept: 'application/vnd.github+json',
+                'User-Agent': 'EnPassant'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`GitHub API returned ${response.status}`);
+        }
+
+        const user = await response.json();
+
+        return {
+            login: user.login,
+            accountCreatedAt: user.created_at ? new Date(user.created_at) : null,
+            publicRepos: user.public_repos ?? null,
+            followers: user.followers ?? null,
+            following: user.following ?? null,
+            profileUrl: user.html_url
+        };
+    } catch (err) {
+        console.error('GitHub API error:', err.message);
+
+        // Unknown counts are neither rewarded nor penalized
+        return {
+            accountCreatedAt: null,
+            publicRepos: null,
+            followers: null,
+            following: null,
+            error: err.message
+        };
+    }
+}
+
+/**
+ * Fetch Microsoft account metadata using OAuth access token
+ *
+ * Account creation date is only available for work/school accounts.
+ * Mailbox size comes from the inbox folder's item count (Mail.ReadBasic).
+ *
+ * PRIVACY: We only read folder counts, never messages.
+ *
+ * @param {string} accessToken - Microsoft OAuth access token
+ * @returns {Promise<Object>} Microsoft metadata for trust scoring
+ */
+export async function fetchMicrosoftMetadata(accessToken) {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+
+    try {
+        const response = await fetch(
+            `${GRAPH_API_URL}/me?$select=id,mail,userPrincipalName,createdDateTime`,
+            { headers }
+        );
+
+        if (!response.ok) {
+            throw new Error(`Microsoft Graph returned ${response.status}`);
+        }
+
+        const me = await response.json();
+
+        let totalEmails = null;
+        try {
+            const inbox = await fetch(`${GRAPH_API_URL}/me/mailFolders/inbox`, { headers });
+            if (inbox.ok) {
+                totalEmails = (await inbox.json()).totalItemCount ?? null;
+            }
+        } catch (err) {
+            console.warn('Could not fetch Microsoft mailbox size:', err.message);
+        }
+
+        return {
+            accountCreatedAt: me.createdDateTime ? new Date(me.createdDateTime) : null,
+            totalEmails,
+            email: me.mail || me.userPrincipalName
+        };
+    } catch (err) {
+        console.error('Microsoft Graph error:', err.message);
+
+        return {
+            accountCreatedAt: null,
+            totalEmails: null,
             error: err.message
         };
     }
@@ -279,11 +511,43 @@ function validateProviderData(provider, data) {
             }
             break;
         case 'linkedin':
-            // LinkedIn can work with just providerId
+        case 'github':
+        case 'apple':
+            // Provider ID alone identifies the account
+            break;
+        case 'microsoft':
+            if (!data.email) {
+                throw new ValidationError('email is required for Microsoft provider');
+            }
+            break;
+        case 'phone':
+            if (!E164_PATTERN.test(data.providerId)) {
+                throw new ValidationError('providerId must be an E.164 phone number for phone provider');
+            }
+            break;
+        case 'institution':
+            if (!findInstitution(data.email?.split('@')[1])) {
+                throw new ValidationError('An educational email (.edu, .edu.xx or .ac.xx) is required for institution provider');
+            }
             break;
     }
 }
 
+/**
+ * Sybil policy: a provider account may anchor only one En Passant account
+ */
+async function assertProviderAccountAvailable(userId, provider, providerId) {
+    const result = await db.query(
+        `SELECT user_id FROM identity_anchors
+         WHERE provider = $1 AND provider_user_id = $2 AND user_id <> $3
+         LIMIT 1`,
+        [provider, String(providerId), userId]
+    );
+    if (result.rows.length > 0) {
+        throw new ValidationError(`This ${provider} account is already connected to another En Passant account`);
+    }
+}
+
 /**
  * Generate mock identity data for testing
  * This simulates what we'd get from OAuth providers
@@ -304,6 +568,8 @@ export function generateMockData(provider, options = {}) {
                 metadata: {
                     email_verified: true,
                     hd: options.domain || null, // Google Workspace domain
+                    email_count: options.emailCount ?? 1500,
+                    recent_email_count: options.recentEmailCount ?? 40,
                     ...options.metadata
                 }
             };
@@ -322,6 +588,68 @@ export function generateMockData(provider, options = {}) {
                 }
             };
 
+        case 'github':
+            return {
+                providerId: options.providerId || `mock-github-${Date.now()}`,
+                email: options.email,
+                accountCreatedAt: options.accountCreatedAt || new Date(now - 4 * 365 * 24 * 60 * 60 * 1000), // 4 years ago
+                profileUrl: options.profileUrl || `https://github.com/mock-user-${Date.now()}`,
+                metadata: {
+                    public_repos: options.publicRepos ?? 25,
+                    followers: options.followers ?? 40,
+                    ...options.metadata
+                }
+            };
+
+        case 'microsoft':
+            return {
+                providerId: options.providerId || `mock-microsoft-${Date.now()}`,
+                email: options.email || `testuser${Date.now()}@outlook.com`,
+                accountCreatedAt: options.accountCreatedAt || new Date(now - 6 * 365 * 24 * 60 * 60 * 1000), // 6 years ago
+                metadata: {
+                    email_count: options.emailCount ?? 800,
+                    ...options.metadata
+                }
+            };
+
+        case 'apple':
+            return {
+                providerId: options.providerId || `mock-apple-${Date.now()}`,
+                email: options.email || `${Date.now()}@privaterelay.appleid.com`,
+                metadata: {
+                    email_verified: true,
+                    is_private_email: options.isPrivateEmail ?? true,
+                    real_user_status: options.realUserStatus ?? 2,
+                    ...options.metadata
+                }
+            };
+
+        case 'phone':
+            return {
+                // 555-01xx numbers are reserved for fiction
+                providerId: options.phoneNumber || `+120155501${String(Date.now() % 100).padStart(2, '0')}`,
+                metadata: {
+                    verified_via: 'mock',
+                    ...options.metadata
+                }
+            };
+
+        case 'institution': {
+            const email = (options.email || `student${Date.now()}@stanford.edu`).toLowerCase();
+            const institution = findInstitution(email.split('@')[1]);
+            return {
+                providerId: email,
+                email,
+                isEduVerified: true,
+                metadata: {
+                    institution_domain: institution?.domain || null,
+                    institution_name: institution?.name || null,
+                    verified_via: 'mock',
+                    ...options.metadata
+                }
+            };
+        }
+
         default:
             throw new ValidationError(`Cannot generate mock data for provider: ${provider}`);
     }
@@ -332,7 +660,11 @@ export default {
     getAnchors,
     getAnchor,
     disconnectAnchor,
+    onAnchorChange,
+    retryAnchorChanges,
     fetchGmailMetadata,
+    fetchGitHubMetadata,
+    fetchMicrosoftMetadata,
     refreshGmailMetadata,
     generateMockData,
     SUPPORTED_PROVIDERS
@@ -0,0 +1,145 @@
+/**
+ * Institution Verification Service
+ *
+ * Verifies institution anchors by magic link, so a student who signs in
+ * with a personal Gmail can still prove a school address:
+ * 1. sendVerificationLink() emails a single-use link to the .edu/.ac.xx address
+ * 2. verifyLink() consumes it and connects the 'institution' identity anchor
+ *
+ * The link is opened from the user's mail client, usually without an
+ * En Passant session, so the token alone identifies the user. Only a
+ * SHA-256 hash of each token is stored.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import config from '../config/index.js';
+import identityService from './identity.service.js';
+import emailService from './email.service.js';
+import { ValidationError } from './auth.service.js';
+import { findInstitution } from '../config/institutions.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Caps links per address across all accounts, so one inbox can't be flooded
+const MAX_LINKS_PER_EMAIL_PER_HOUR = 5;
+
+/**
+ * Email a verification link to an institution address
+ *
+ * Any earlier pending link for the user stops working.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} email - Institution email address
+ * @returns {Promise<Object>} { email, institution: { domain, name }, expiresAt }
+ */
+export async function sendVerificationLink(userId, email) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(address)) {
+        throw new ValidationError('Invalid email address');
+    }
+
+    const institution = findInstitution(address.split('@')[1]);
+    if (!institution) {
+        throw new ValidationError('Email must be at an educational institution (.edu, .edu.xx or .ac.xx)');
+    }
+
+    await assertAddressAvailable(userId, address);
+
+    const recent = await db.query(
+        `SELECT COUNT(*)::int AS count FROM institution_verifications
+         WHERE email = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+        [address]
+    );
+    if (recent.rows[0].count >= MAX_LINKS_PER_EMAIL_PER_HOUR) {
+        throw new ValidationError('Too many links sent to this address. Please try again later.');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.magicLinkTtlMinutes * 60 * 1000);
+
+    const id = await db.transaction(async (client) => {
+        await client.query(
+            `UPDATE institution_verifications SET expires_at = NOW()
+             WHERE user_id = $1 AND used_at IS NULL AND expires_at > NOW()`,
+            [userId]
+        );
+        const result = await client.query(
+            `INSERT INTO institution_verifications (user_id, email, institution_domain, token_hash, expires_at)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id`,
+            [userId, address, institution.domain, hashToken(token), expiresAt]
+        );
+        return result.rows[0].id;
+    });
+
+    const verifyUrl = `${config.apiUrl}/api/identity/institution/verify?token=${token}`;
+    const sent = await emailService.sendInstitutionVerification(
+        address, verifyUrl, institution.name || institution.domain, config.magicLinkTtlMinutes
+    );
+
+    if (!sent.success) {
+        await db.query('DELETE FROM institution_verifications WHERE id = $1', [id]);
+        throw new Error('Failed to send verification email');
+    }
+
+    return { email: address, institution, expiresAt };
+}
+
+/**
+ * Consume a magic link and connect the institution anchor
+ *
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} The institution identity anchor
+ */
+export async function verifyLink(token) {
+    if (typeof token !== 'string' || !token) {
+        throw new ValidationError('This verification link is invalid or has expired');
+    }
+
+    const result = await db.query(
+        `UPDATE institution_verifications SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id, email`,
+        [hashToken(token)]
+    );
+    const verification = result.rows[0];
+    if (!verification) {
+        throw new ValidationError('This verification link is invalid or has expired');
+    }
+
+    // The address may have been claimed since the link was sent
+    await assertAddressAvailable(verification.user_id, verification.email);
+
+    const institution = findInstitution(verification.email.split('@')[1]);
+
+    return identityService.connectAnchor(verification.user_id, 'institution', {
+        providerId: verification.email,
+        email: verification.email,
+        isEduVerified: true,
+        metadata: {
+            institution_domain: institution.domain,
+            institution_name: institution.name,
+            verified_via: 'magic_link'
+        }
+    }, { verifiedVia: 'magic_link' });
+}
+
+async function assertAddressAvailable(userId, email) {
+    const result = await db.query(
+        `SELECT user_id FROM identity_anchors WHERE provider = 'institution' AND provider_user_id = $1`,
+        [email]
+    );
+    if (result.rows[0] && result.rows[0].user_id !== userId) {
+        throw new ValidationError('This email address is already verified on another account');
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export default {
+    sendVerificationLink,
+    verifyLink
+};
@@ -6,6 +6,12 @@
 
 import db from '../db/index.js';
 import { ValidationError } from './auth.service.js';
+import scoreHistoryService from './scoreHistory.service.js';
+import disputeService from './dispute.service.js';
+import fraudService from './fraud.service.js';
+
+// Pending flags that send a verified listing back to manual review
+const FLAG_REVIEW_THRESHOLD = 3;
 
 /**
  * Create a new ticket listing
@@ -37,6 +43,8 @@ export async function createListing(userId, data) {
         throw new ValidationError('Missing required listing fields');
     }
 
+    await assertNotSuspended(userId);
+
     // Check user's active listing count for this event (2 ticket limit)
     const existingResult = await db.query(
         `SELECT COALESCE(SUM(quantity), 0) as total_quantity
@@ -53,9 +61,9 @@ export async function createListing(userId, data) {
     const result = await db.query(
         `INSERT INTO ticket_listings (
             user_id, event_id, event_name, event_date, venue_name,
-            section, row_name, seat_numbers, quantity, asking_price_cents,
+            section, row_name, seat_numbers, quantity, quantity_available, asking_price_cents,
             face_value_cents, receipt_id, verification_status, verification_method, expires_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, $10, $11, $12, $13, $14, $15)
         RETURNING *`,
         [
             userId, eventId, eventName, eventDate, venueName,
@@ -87,7 +95,7 @@ export async function getListings(filters = {}) {
         sortOrder = 'ASC'
     } = filters;
 
-    const conditions = ['is_active = TRUE', 'is_sold = FALSE'];
+    const conditions = ['is_active = TRUE', 'is_sold = FALSE', 'quantity_available > 0'];
     const params = [];
     let paramIndex = 1;
 
@@ -210,6 +218,10 @@ export async function updateListing(id, userId, data) {
         throw new ValidationError('Not authorized to update this listing');
     }
 
+    if (existing.rows[0].suspended_at) {
+        throw new ValidationError('This listing was suspended by a moderator');
+    }
+
     const updates = [];
     const params = [];
     let paramIndex = 1;
@@ -267,6 +279,10 @@ export async function updateVerificationStatus(id, status, method, notes = null)
 /**
  * Flag a listing
  *
+ * The flag opens a dispute for the listing, or joins its open one. Once
+ * FLAG_REVIEW_THRESHOLD flags are pending, a verified listing goes back to
+ * manual review until a moderator looks at it.
+ *
  * @param {string} listingId - Listing UUID
  * @param {string} reporterId - Reporter user UUID
  * @param {string} reason - Flag reason
@@ -280,11 +296,12 @@ export async function flagListing(listingId, reporterId, reason, description = n
     }
 
     // Check listing exists
-    const listing = await db.query('SELECT id FROM ticket_listings WHERE id = $1', [listingId]);
+    const listing = await db.query('SELECT id, verification_status FROM ticket_listings WHERE id = $1', [listingId]);
     if (listing.rows.length === 0) {
         throw new ValidationError('Listing not found');
     }
 
+    let flag;
     try {
         const result = await db.query(
             `INSERT INTO listing_flags (listing_id, reporter_id, reason, description)
@@ -293,13 +310,25 @@ export async function flagListing(listingId, reporterId, reason, description = n
             [listingId, reporterId, reason, description]
         );
 
-        return result.rows[0];
+        flag = result.rows[0];
     } catch (err) {
         if (err.code === '23505') { // Unique violation
             throw new ValidationError('You have already flagged this listing');
         }
         throw err;
     }
+
+    flag.dispute_id = await disputeService.openListingDispute(flag);
+
+    const pending = await db.query(
+        `SELECT COUNT(*)::int AS count FROM listing_flags WHERE listing_id = $1 AND status = 'pending'`,
+        [listingId]
+    );
+    if (pending.rows[0].count >= FLAG_REVIEW_THRESHOLD && listing.rows[0].verification_status === 'verified') {
+        await fraudService.reportForReview(listingId, 'flagged', { pendingFlags: pending.rows[0].count });
+    }
+
+    return flag;
 }
 
 /**
@@ -310,9 +339,18 @@ export async function flagListing(listingId, reporterId, reason, description = n
  * @returns {Promise<Object>} Updated listing
  */
 export async function markAsSold(id, userId) {
+    // Sales through orders close the listing themselves; don't pull it out from under a buyer
+    const openOrders = await db.query(
+        `SELECT 1 FROM orders WHERE listing_id = $1 AND status IN ('reserved', 'paid', 'transferred', 'disputed') LIMIT 1`,
+        [id]
+    );
+    if (openOrders.rows.length > 0) {
+        throw new ValidationError('This listing has open orders; cancel or complete them first');
+    }
+
     const result = await db.query(
         `UPDATE ticket_listings
-         SET is_sold = TRUE, sold_at = NOW(), is_active = FALSE, updated_at = NOW()
+         SET is_sold = TRUE, sold_at = NOW(), is_active = FALSE, quantity_available = 0, updated_at = NOW()
          WHERE id = $1 AND user_id = $2
          RETURNING *`,
         [id, userId]
@@ -322,6 +360,8 @@ export async function markAsSold(id, userId) {
         throw new ValidationError('Listing not found or not authorized');
     }
 
+    await scoreHistoryService.recordScore(userId, 'listing_sold');
+
     return formatListing(result.rows[0]);
 }
 
@@ -348,6 +388,16 @@ export async function getEventListingStats(eventId) {
     return result.rows[0];
 }
 
+/**
+ * Suspended sellers can't list tickets
+ */
+async function assertNotSuspended(userId) {
+    const result = await db.query('SELECT suspended_at FROM users WHERE id = $1', [userId]);
+    if (result.rows[0]?.suspended_at) {
+        throw new ValidationError('Your account is suspended from selling tickets');
+    }
+}
+
 /**
  * Format listing for API response
  */
@@ -365,6 +415,7 @@ function formatListing(row) {
         rowName: row.row_name,
         seatNumbers: row.seat_numbers,
         quantity: row.quantity,
+        quantityAvailable: row.quantity_available,
         askingPriceCents: row.asking_price_cents,
         faceValueCents: row.face_value_cents,
         receiptId: row.receipt_id,
@@ -377,6 +428,7 @@ function formatListing(row) {
         createdAt: row.created_at,
         updatedAt: row.updated_at,
         soldAt: row.sold_at,
+        suspendedAt: row.suspended_at,
         expiresAt: row.expires_at,
         sellerUsername: row.seller_username,
         sellerTrustScore: row.seller_trust_score
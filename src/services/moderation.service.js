@@ -0,0 +1,431 @@
+/**
+ * Moderation Service
+ *
+ * The review queue: listings in verification_status 'manual_review'. They
+ * get there when no price ceiling covers their section, when the fraud check
+ * reports them (fraudService.reportForReview), or when enough flags pile up.
+ * Each item comes with what a moderator needs to decide: why it is in review,
+ * the seller's marketplace record, the OCR result and fraud signals of its
+ * receipt, and its pending flags.
+ *
+ * A moderator claims an item before deciding so two moderators don't work
+ * the same listing; claims lapse after CLAIM_TTL_MINUTES. Approving verifies
+ * the listing, rejecting takes it down. Every decision is recorded in
+ * price_verifications with the reviewer and their notes. The flags
+ * themselves are decided in the dispute center.
+ */
+
+import db from '../db/index.js';
+import priceValidationService from './priceValidation.service.js';
+import reputationService from './reputation.service.js';
+import scoreHistoryService from './scoreHistory.service.js';
+import { ValidationError } from './auth.service.js';
+
+export const DECISIONS = ['approve', 'reject'];
+
+const CLAIM_TTL_MINUTES = 30;
+const DEFAULT_QUEUE_LIMIT = 50;
+const MAX_QUEUE_LIMIT = 200;
+const MAX_BULK_ITEMS = 50;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A claim that hasn't lapsed
+const CLAIM_ACTIVE_SQL = `(l.review_claimed_by IS NOT NULL AND l.review_claimed_at > NOW() - make_interval(mins => ${CLAIM_TTL_MINUTES}))`;
+
+/**
+ * Get the review queue, oldest first
+ *
+ * @param {string} moderatorId - Moderator's user UUID
+ * @param {Object} [options] - { claimed: 'mine'|'unclaimed', limit }
+ * @returns {Promise<Array>} Queue items
+ */
+export async function getQueue(moderatorId, options = {}) {
+    const conditions = [`l.verification_status = 'manual_review'`];
+    const params = [];
+
+    if (options.claimed === 'mine') {
+        params.push(moderatorId);
+        conditions.push(`${CLAIM_ACTIVE_SQL} AND l.review_claimed_by = $${params.length}`);
+    } else if (options.claimed === 'unclaimed') {
+        conditions.push(`NOT ${CLAIM_ACTIVE_SQL}`);
+    } else if (options.claimed !== undefined) {
+        throw new ValidationError('claimed must be mine or unclaimed');
+    }
+
+    const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_QUEUE_LIMIT, MAX_QUEUE_LIMIT);
+    params.push(limit);
+
+    const result = await db.query(
+        `SELECT l.*, u.username AS seller_username, u.created_at AS seller_joined_at,
+                ${CLAIM_ACTIVE_SQL} AS claim_active
+         FROM ticket_listings l
+         JOIN users u ON u.id = l.user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY l.created_at ASC
+         LIMIT $${params.length}`,
+        params
+    );
+
+    return withReviewContext(result.rows);
+}
+
+/**
+ * Get one listing in the queue
+ *
+ * @param {string} listingId - Listing UUID
+ * @returns {Promise<Object|null>} Queue item or null if not in review
+ */
+export async function getQueueItem(listingId) {
+    const result = await db.query(
+        `SELECT l.*, u.username AS seller_username, u.created_at AS seller_joined_at,
+                ${CLAIM_ACTIVE_SQL} AS claim_active
+         FROM ticket_listings l
+         JOIN users u ON u.id = l.user_id
+         WHERE l.id = $1 AND l.verification_status = 'manual_review'`,
+        [listingId]
+    );
+
+    const [item] = await withReviewContext(result.rows);
+    return item || null;
+}
+
+/**
+ * Claim a listing for review (or renew your claim)
+ *
+ * @param {string} listingId - Listing UUID
+ * @param {string} moderatorId - Moderator's user UUID
+ * @returns {Promise<Object|null>} { listingId, moderatorId, claimedAt, expiresAt } or null if not found
+ */
+export async function claimItem(listingId, moderatorId) {
+    const result = await db.query(
+        `UPDATE ticket_listings l
+         SET review_claimed_by = $2, review_claimed_at = NOW()
+         WHERE l.id = $1 AND l.verification_status = 'manual_review'
+           AND (NOT ${CLAIM_ACTIVE_SQL} OR l.review_claimed_by = $2)
+         RETURNING l.id, l.review_claimed_by, l.review_claimed_at`,
+        [listingId, moderatorId]
+    );
+
+    if (result.rows.length === 0) {
+        const listing = await db.query('SELECT verification_status FROM ticket_listings WHERE id = $1', [listingId]);
+        if (listing.rows.length === 0) {
+            return null;
+        }
+        if (listing.rows[0].verification_status !== 'manual_review') {
+            throw new ValidationError('This listing is not awaiting review');
+        }
+        throw new ValidationError('Another moderator is reviewing this listing');
+    }
+
+    return formatClaim(result.rows[0]);
+}
+
+/**
+ * Give up your claim on a listing
+ *
+ * @param {string} listingId - Listing UUID
+ * @param {string} moderatorId - Moderator's user UUID
+ * @returns {Promise<boolean>} False if you held no claim on it
+ */
+export async function releaseClaim(listingId, moderatorId) {
+    const result = await db.query(
+        `UPDATE ticket_listings
+         SET review_claimed_by = NULL, review_claimed_at = NULL
+         WHERE id = $1 AND review_claimed_by = $2`,
+        [listingId, moderatorId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Approve or reject a listing in review
+ *
+ * Listings claimed by another moderator can't be decided until the claim is
+ * released or lapses. The listing update and its price_verifications record
+ * commit together.
+ *
+ * @param {string} listingId - Listing UUID
+ * @param {string} moderatorId - Moderator's user UUID
+ * @param {Object} decision - { decision: 'approve'|'reject', notes }
+ * @returns {Promise<Object|null>} { listingId, verificationStatus, verification } or null if not found
+ */
+export async function decide(listingId, moderatorId, { decision, notes = null }) {
+    if (!DECISIONS.includes(decision)) {
+        throw new ValidationError(`decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    const reviewNotes = notes ? String(notes).substring(0, 2000) : null;
+    const status = decision === 'approve' ? 'verified' : 'rejected';
+
+    const decided = await db.transaction(async (client) => {
+        const current = await client.query(
+            `SELECT l.*, ${CLAIM_ACTIVE_SQL} AS claim_active
+             FROM ticket_listings l
+             WHERE l.id = $1
+             FOR UPDATE`,
+            [listingId]
+        );
+
+        const row = current.rows[0];
+        if (!row) {
+            return null;
+        }
+        if (row.verification_status !== 'manual_review') {
+            throw new ValidationError('This listing is not awaiting review');
+        }
+        if (row.claim_active && row.review_claimed_by !== moderatorId) {
+            throw new ValidationError('Another moderator is reviewing this listing');
+        }
+
+        const updated = await client.query(
+            `UPDATE ticket_listings
+             SET verification_status = $2, verification_method = 'manual', verification_notes = $3,
+                 is_active = CASE WHEN $2 = 'rejected' THEN FALSE ELSE is_active END,
+                 review_claimed_by = NULL, review_claimed_at = NULL, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [listingId, status, reviewNotes]
+        );
+        const listing = updated.rows[0];
+
+        const [ocr, fraud] = await Promise.all([
+            latestByReceipt('receipt_ocr_results', [listing.receipt_id], client),
+            latestByReceipt('fraud_analyses', [listing.receipt_id], client)
+        ]);
+        const ocrResult = ocr.get(listing.receipt_id);
+        const fraudAnalysis = fraud.get(listing.receipt_id);
+
+        const verification = await priceValidationService.createPriceVerification({
+            listingId: listing.id,
+            userId: listing.user_id,
+            receiptId: listing.receipt_id,
+            ocrResultId: ocrResult?.id || null,
+            ceilingId: null,
+            askingPriceCents: listing.asking_price_cents,
+            verifiedFaceValueCents: ocrResult?.face_value_cents || null,
+            ceilingPriceCents: null,
+            verificationResult: status === 'verified' ? 'approved' : 'rejected',
+            rejectionReason: status === 'rejected' ? (reviewNotes || 'Rejected by a moderator').substring(0, 255) : null,
+            riskScore: fraudAnalysis ? parseFloat(fraudAnalysis.risk_score) : 0,
+            fraudSignals: fraudAnalysis?.signals || [],
+            reviewerId: moderatorId,
+            reviewNotes
+        }, client);
+
+        return { listing, verification };
+    });
+
+    if (!decided) {
+        return null;
+    }
+
+    const { listing, verification } = decided;
+
+    // The decision has committed; a failed history write must not report it as failed
+    if (status === 'rejected' && listing.user_id) {
+        try {
+            await scoreHistoryService.recordScore(listing.user_id, 'price_rejected');
+        } catch (err) {
+            console.error(`[Moderation] Could not record the score change for listing ${listing.id}:`, err.message);
+        }
+    }
+
+    return {
+        listingId: listing.id,
+        verificationStatus: listing.verification_status,
+        verification: {
+            id: verification.id,
+            result: verification.verification_result,
+            reviewerId: verification.reviewer_id,
+            reviewedAt: verification.reviewed_at,
+            notes: verification.review_notes
+        }
+    };
+}
+
+/**
+ * Approve or reject several listings with the same notes
+ *
+ * Each listing is decided on its own; one failing doesn't stop the rest.
+ *
+ * @param {Array<string>} listingIds - Listing UUIDs
+ * @param {string} moderatorId - Moderator's user UUID
+ * @param {Object} decision - { decision: 'approve'|'reject', notes }
+ * @returns {Promise<Object>} { succeeded, failed, results: [{ listingId, ok, verificationStatus?, error? }] }
+ */
+export async function bulkDecide(listingIds, moderatorId, { decision, notes = null }) {
+    if (!Array.isArray(listingIds) || listingIds.length === 0) {
+        throw new ValidationError('listingIds must be a non-empty array');
+    }
+    if (listingIds.length > MAX_BULK_ITEMS) {
+        throw new ValidationError(`At most ${MAX_BULK_ITEMS} listings can be decided at once`);
+    }
+    if (!listingIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+        throw new ValidationError('listingIds must be listing UUIDs');
+    }
+    if (!DECISIONS.includes(decision)) {
+        throw new ValidationError(`decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    const results = [];
+    for (const listingId of new Set(listingIds)) {
+        try {
+            const decided = await decide(listingId, moderatorId, { decision, notes });
+            results.push(decided
+                ? { listingId, ok: true, verificationStatus: decided.verificationStatus }
+                : { listingId, ok: false, error: 'Listing not found' });
+        } catch (err) {
+            if (!(err instanceof ValidationError)) {
+                console.error(`[Moderation] Bulk ${decision} of listing ${listingId} failed:`, err.message);
+            }
+            results.push({
+                listingId,
+                ok: false,
+                error: err instanceof ValidationError ? err.message : 'Decision failed'
+            });
+        }
+    }
+
+    const succeeded = results.filter(r => r.ok).length;
+    return { succeeded, failed: results.length - succeeded, results };
+}
+
+async function withReviewContext(rows) {
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const receiptIds = rows.map(row => row.receipt_id).filter(Boolean);
+    const [ocr, fraud, flags, reputations] = await Promise.all([
+        latestByReceipt('receipt_ocr_results', receiptIds),
+        latestByReceipt('fraud_analyses', receiptIds),
+        db.query(
+            `SELECT id, listing_id, reason, description, dispute_id, created_at
+             FROM listing_flags
+             WHERE listing_id = ANY($1) AND status = 'pending'
+             ORDER BY created_at ASC`,
+            [rows.map(row => row.id)]
+        ),
+        reputationService.getReputations([...new Set(rows.map(row => row.user_id))])
+    ]);
+
+    return rows.map(row => formatQueueItem(row, {
+        ocr: ocr.get(row.receipt_id),
+        fraud: fraud.get(row.receipt_id),
+        flags: flags.rows.filter(flag => flag.listing_id === row.id),
+        reputation: reputations.get(row.user_id)
+    }));
+}
+
+/**
+ * Latest row per receipt from receipt_ocr_results or fraud_analyses
+ */
+async function latestByReceipt(table, receiptIds, client = db) {
+    const ids = receiptIds.filter(Boolean);
+    if (ids.length === 0) {
+        return new Map();
+    }
+
+    const result = await client.query(
+        `SELECT DISTINCT ON (receipt_id) *
+         FROM ${table}
+         WHERE receipt_id = ANY($1)
+         ORDER BY receipt_id, created_at DESC`,
+        [ids]
+    );
+    return new Map(result.rows.map(row => [row.receipt_id, row]));
+}
+
+/**
+ * Why the listing is in review: the fraud check's report, or plain notes
+ */
+function parseReviewReason(notes) {
+    if (!notes) {
+        return null;
+    }
+    try {
+        return JSON.parse(notes);
+    } catch (err) {
+        return { note: notes };
+    }
+}
+
+function formatClaim(row) {
+    return {
+        listingId: row.id,
+        moderatorId: row.review_claimed_by,
+        claimedAt: row.review_claimed_at,
+        expiresAt: new Date(new Date(row.review_claimed_at).getTime() + CLAIM_TTL_MINUTES * 60 * 1000)
+    };
+}
+
+/**
+ * Format a queue item for API response
+ */
+function formatQueueItem(row, { ocr, fraud, flags, reputation }) {
+    return {
+        listing: {
+            id: row.id,
+            eventId: row.event_id,
+            eventName: row.event_name,
+            eventDate: row.event_date,
+            venueName: row.venue_name,
+            section: row.section,
+            rowName: row.row_name,
+            seatNumbers: row.seat_numbers,
+            quantity: row.quantity,
+            askingPriceCents: row.asking_price_cents,
+            faceValueCents: row.face_value_cents,
+            receiptId: row.receipt_id,
+            isActive: row.is_active,
+            createdAt: row.created_at
+        },
+        reviewReason: parseReviewReason(row.verification_notes),
+        seller: {
+            id: row.user_id,
+            username: row.seller_username,
+            joinedAt: row.seller_joined_at,
+            sales: reputation?.sales.length || 0,
+            upheldFlags: reputation?.upheldFlags.length || 0,
+            rejectedPriceVerifications: reputation?.rejectedPriceVerifications.length || 0,
+            fraudRejections: reputation?.fraudRejections.length || 0,
+            fraudReviews: reputation?.fraudReviews.length || 0
+        },
+        ocr: ocr ? {
+            vendor: ocr.vendor,
+            eventName: ocr.event_name,
+            section: ocr.section,
+            row: ocr.row_name,
+            seats: ocr.seat_numbers,
+            faceValueCents: ocr.face_value_cents,
+            feesCents: ocr.fees_cents,
+            totalCents: ocr.total_cents,
+            quantity: ocr.quantity,
+            confidence: ocr.confidence_score !== null ? parseFloat(ocr.confidence_score) : null
+        } : null,
+        fraud: fraud ? {
+            riskScore: parseFloat(fraud.risk_score),
+            recommendation: fraud.recommendation,
+            signals: fraud.signals,
+            analyzedAt: fraud.created_at
+        } : null,
+        flags: flags.map(flag => ({
+            id: flag.id,
+            reason: flag.reason,
+            description: flag.description,
+            disputeId: flag.dispute_id,
+            createdAt: flag.created_at
+        })),
+        claim: row.claim_active ? formatClaim(row) : null
+    };
+}
+
+export default {
+    DECISIONS,
+    getQueue,
+    getQueueItem,
+    claimItem,
+    releaseClaim,
+    decide,
+    bulkDecide
+};
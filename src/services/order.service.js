@@ -0,0 +1,815 @@
+/**
+ * Order Service
+ *
+ * Escrowed ticket sales between a buyer and a listing's seller:
+ *
+ *   reserved --pay--> paid --transfer--> transferred --confirm--> completed
+ *                                                    \--dispute--> disputed
+ *
+ * - reserved: units are taken from the listing's quantity_available for
+ *   ORDER_RESERVATION_TTL_MINUTES; cancelling or letting it lapse (expired)
+ *   puts them back
+ * - paid: the buyer's payment is held in escrow by the payment provider; the
+ *   seller must transfer the tickets before the transfer deadline, or the
+ *   order is refunded. Either party may cancel (refunded) until then
+ * - transferred: the seller uploaded the vendor's transfer confirmation and
+ *   it matched the listing (see transferProof.service). The buyer accepts it
+ *   by confirming receipt, or the funds are released automatically once the
+ *   confirmation window passes
+ * - disputed: the buyer disputed the transfer proof within the window; escrow
+ *   stays held until a moderator resolves the dispute with a release or a
+ *   refund (see dispute.service)
+ * - completed: escrow released to the seller; the listing is marked sold
+ *   when no units remain
+ *
+ * Every transition is recorded in order_events. Timeouts are applied by the
+ * order-timeouts background job.
+ *
+ * Money never moves inside a transaction. A hold, release or refund is first
+ * recorded on the order as its payment_action; the provider is called after
+ * that commits, with an idempotency key, and the order moves on in a second
+ * transaction. An action left pending (crash, failed commit, provider
+ * outage) blocks other changes to the order and is retried by the
+ * order-timeouts job; only a declined hold is given up.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import config from '../config/index.js';
+import paymentService, { PaymentError } from './payment.service.js';
+import scoreHistoryService from './scoreHistory.service.js';
+import transferProofService from './transferProof.service.js';
+import { ValidationError } from './auth.service.js';
+
+const TRANSITIONS = {
+    reserved: ['paid', 'cancelled', 'expired'],
+    paid: ['transferred', 'refunded'],
+    transferred: ['completed', 'disputed'],
+    disputed: ['completed', 'refunded'],
+    completed: [],
+    cancelled: [],
+    expired: [],
+    refunded: []
+};
+
+export const ORDER_STATUSES = Object.keys(TRANSITIONS);
+const OPEN_STATUSES = ['reserved', 'paid', 'transferred', 'disputed'];
+
+// Money movements and the status each leads to
+const PAYMENT_ACTIONS = {
+    hold: 'paid',
+    release: 'completed',
+    refund: 'refunded'
+};
+
+// Stops one buyer from holding a whole event's tickets in reservations
+const MAX_OPEN_RESERVATIONS = 5;
+const TIMEOUT_BATCH_SIZE = 100;
+
+// A payment action pending this long is assumed abandoned and retried
+const PAYMENT_RETRY_MINUTES = 5;
+
+const ORDER_SELECT = `
+    SELECT o.*, l.event_id, l.event_name, l.event_date, l.venue_name, l.section, l.row_name, l.seat_numbers
+    FROM orders o
+    JOIN ticket_listings l ON l.id = o.listing_id`;
+
+/**
+ * Whether an order may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+    return TRANSITIONS[from]?.includes(to) || false;
+}
+
+/**
+ * Reserve tickets from a listing
+ *
+ * @param {string} buyerId - User UUID of the buyer
+ * @param {string} listingId - Listing UUID
+ * @param {number} [quantity=1] - Tickets to reserve
+ * @returns {Promise<Object>} Order
+ */
+export async function reserveOrder(buyerId, listingId, quantity = 1) {
+    const units = Number(quantity);
+    if (!Number.isInteger(units) || units < 1) {
+        throw new ValidationError('quantity must be a positive integer');
+    }
+
+    const open = await db.query(
+        `SELECT COUNT(*)::int AS count FROM orders WHERE buyer_id = $1 AND status = 'reserved'`,
+        [buyerId]
+    );
+    if (open.rows[0].count >= MAX_OPEN_RESERVATIONS) {
+        throw new ValidationError(`You can hold at most ${MAX_OPEN_RESERVATIONS} unpaid reservations`);
+    }
+
+    const order = await db.transaction(async (client) => {
+        const listingResult = await client.query(
+            `UPDATE ticket_listings
+             SET quantity_available = quantity_available - $2, updated_at = NOW()
+             WHERE id = $1 AND user_id <> $3
+               AND is_active = TRUE AND is_sold = FALSE
+               AND verification_status = 'verified'
+               AND event_date > NOW()
+               AND quantity_available >= $2
+             RETURNING *`,
+            [listingId, units, buyerId]
+        );
+
+        const listing = listingResult.rows[0];
+        if (!listing) {
+            throw await explainUnavailable(client, listingId, buyerId);
+        }
+
+        const reservationExpiresAt = new Date(Date.now() + config.orders.reservationTtlMinutes * 60 * 1000);
+        const result = await client.query(
+            `INSERT INTO orders
+             (listing_id, buyer_id, seller_id, quantity, unit_price_cents, amount_cents, reservation_expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [
+                listing.id,
+                buyerId,
+                listing.user_id,
+                units,
+                listing.asking_price_cents,
+                listing.asking_price_cents * units,
+                reservationExpiresAt
+            ]
+        );
+
+        await recordEvent(client, result.rows[0].id, null, 'reserved', buyerId);
+        return result.rows[0];
+    });
+
+    return getOrder(order.id, buyerId);
+}
+
+/**
+ * Pay for a reservation; the funds are held in escrow
+ *
+ * @param {string} orderId - Order UUID
+ * @param {string} buyerId - User UUID (must be the buyer)
+ * @param {Object} [payment] - { paymentMethod } passed to the payment provider
+ * @returns {Promise<Object|null>} Order or null if not found
+ */
+export async function payOrder(orderId, buyerId, { paymentMethod } = {}) {
+    const started = await db.transaction(async (client) => {
+        const order = await lockOrder(client, orderId);
+        if (!order || order.buyer_id !== buyerId) {
+            return null;
+        }
+
+        assertTransition(order, 'paid');
+        if (new Date(order.reservation_expires_at) <= new Date()) {
+            throw new ValidationError('This reservation has expired');
+        }
+
+        const listing = await client.query('SELECT event_date FROM ticket_listings WHERE id = $1', [order.listing_id]);
+        const transferDeadline = new Date(Math.min(
+            Date.now() + config.orders.transferWindowHours * 60 * 60 * 1000,
+            new Date(listing.rows[0].event_date).getTime()
+        ));
+
+        await beginPayment(client, order, 'hold', { actorId: buyerId, paymentMethod, transferDeadline });
+        return order;
+    });
+
+    if (!started) {
+        return null;
+    }
+
+    await processPayment(orderId);
+    return getOrder(orderId, buyerId);
+}
+
+/**
+ * Seller: record that the tickets were transferred to the buyer, proven by
+ * the vendor's transfer confirmation
+ *
+ * A confirmation that doesn't match the listing is kept as a rejected proof
+ * and the order stays paid, so the seller can upload the right one.
+ *
+ * @param {string} orderId - Order UUID
+ * @param {string} sellerId - User UUID (must be the seller)
+ * @param {Object} proofFile - { buffer, originalname, mimetype, size } of the confirmation
+ * @returns {Promise<Object|null>} Order or null if not found
+ */
+export async function markTransferred(orderId, sellerId, proofFile) {
+    const result = await db.query(`${ORDER_SELECT} WHERE o.id = $1`, [orderId]);
+    const current = result.rows[0];
+    if (!current || current.seller_id !== sellerId) {
+        return null;
+    }
+
+    // Fail fast before uploading and reading the confirmation
+    assertNoPaymentPending(current);
+    assertTransition(current, 'transferred');
+    if (!proofFile) {
+        throw new ValidationError('Upload the vendor transfer confirmation as proof');
+    }
+
+    const confirmation = await transferProofService.readTransferConfirmation(proofFile, {
+        userId: sellerId,
+        orderId
+    });
+    const match = transferProofService.matchTransferProof(current, current.quantity, confirmation);
+
+    if (match.result === 'mismatch') {
+        await transferProofService.recordProof(db, {
+            orderId,
+            submittedBy: sellerId,
+            confirmation,
+            match,
+            status: 'rejected'
+        });
+        throw new ValidationError(transferProofService.describeMismatch(match));
+    }
+
+    const updated = await db.transaction(async (client) => {
+        const order = await lockOrder(client, orderId);
+        assertNoPaymentPending(order);
+        assertTransition(order, 'transferred');
+
+        await transferProofService.recordProof(client, {
+            orderId,
+            submittedBy: sellerId,
+            confirmation,
+            match,
+            status: 'pending'
+        });
+
+        return transition(client, order, 'transferred', {
+            transferred_at: new Date(),
+            confirm_deadline: new Date(Date.now() + config.orders.confirmWindowHours * 60 * 60 * 1000)
+        }, { actorId: sellerId });
+    });
+
+    return updated && getOrder(updated.id, sellerId);
+}
+
+/**
+ * Buyer: accept the transfer proof, confirming the tickets arrived and
+ * releasing escrow to the seller
+ *
+ * @param {string} orderId - Order UUID
+ * @param {string} buyerId - User UUID (must be the buyer)
+ * @returns {Promise<Object|null>} Order or null if not found
+ */
+export async function confirmReceipt(orderId, buyerId) {
+    const started = await db.transaction(async (client) => {
+        const order = await lockOrder(client, orderId);
+        if (!order || order.buyer_id !== buyerId) {
+            return null;
+        }
+
+        if (order.status === 'disputed') {
+            throw new ValidationError('This order is under dispute; a moderator will release or refund it');
+        }
+
+        await beginPayment(client, order, 'release', { actorId: buyerId });
+        return order;
+    });
+
+    if (!started) {
+        return null;
+    }
+
+    await processPayment(orderId);
+    return getOrder(orderId, buyerId);
+}
+
+/**
+ * Buyer: dispute the transfer proof before the confirmation window closes
+ *
+ * Escrow stays held and the order leaves the automatic release. Runs inside
+ * the transaction that opens the dispute (see dispute.service).
+ *
+ * @param {Object} client - Database client
+ * @param {string} orderId - Order UUID
+ * @param {string} buyerId - User UUID (must be the buyer)
+ * @param {string} reason - What is wrong with the transfer
+ * @returns {Promise<Object|null>} Order row or null if not found
+ */
+export async function disputeTransfer(client, orderId, buyerId, reason) {
+    const order = await lockOrder(client, orderId);
+    if (!order || order.buyer_id !== buyerId) {
+        return null;
+    }
+
+    assertNoPaymentPending(order);
+    assertTransition(order, 'disputed');
+    if (new Date(order.confirm_deadline) <= new Date()) {
+        throw new ValidationError('The window to dispute this transfer has closed');
+    }
+
+    await transferProofService.respondToProof(client, order.id, 'disputed', reason.substring(0, 500));
+    return transition(client, order, 'disputed', {
+        disputed_at: new Date()
+    }, { actorId: buyerId, reason: reason.substring(0, 255) });
+}
+
+/**
+ * Moderator: settle a disputed order by releasing escrow to the seller or
+ * refunding the buyer. Runs inside the transaction that resolves the dispute;
+ * once it commits, call processPayment(orderId) to move the money.
+ *
+ * @param {Object} client - Database client
+ * @param {string} orderId - Order UUID
+ * @param {string} resolution - 'release' or 'refund'
+ * @param {Object} [options] - { reason }
+ */
+export async function settleDispute(client, orderId, resolution, { reason = null } = {}) {
+    const order = await lockOrder(client, orderId);
+
+    if (resolution === 'release') {
+        await beginPayment(client, order, 'release', { reason });
+        return;
+    }
+
+    // The tickets may already be with the buyer, so they don't go back on sale
+    await beginPayment(client, order, 'refund', { reason, restock: false });
+}
+
+/**
+ * Cancel an order (buyer or seller)
+ *
+ * Unpaid reservations are cancelled; paid orders are refunded until the
+ * tickets are transferred. Units go back on sale unless the seller backed out.
+ *
+ * @param {string} orderId - Order UUID
+ * @param {string} userId - User UUID (buyer or seller)
+ * @param {string} [reason] - Why the order was cancelled
+ * @returns {Promise<Object|null>} Order or null if not found
+ */
+export async function cancelOrder(orderId, userId, reason = null) {
+    const cancelReason = reason ? String(reason).substring(0, 255) : null;
+
+    const updated = await db.transaction(async (client) => {
+        const order = await lockOrder(client, orderId);
+        if (!order || (order.buyer_id !== userId && order.seller_id !== userId)) {
+            return null;
+        }
+
+        assertNoPaymentPending(order);
+        if (order.status === 'paid') {
+            await beginPayment(client, order, 'refund', {
+                actorId: userId,
+                reason: cancelReason,
+                restock: userId === order.buyer_id
+            });
+            return order;
+        }
+
+        if (order.status !== 'reserved') {
+            throw new ValidationError(`An order can't be cancelled once it is ${order.status}`);
+        }
+
+        await restockListing(client, order);
+        return transition(client, order, 'cancelled', {
+            cancelled_at: new Date(),
+            cancelled_by: userId,
+            cancel_reason: cancelReason
+        }, { actorId: userId, reason: cancelReason });
+    });
+
+    if (!updated) {
+        return null;
+    }
+
+    await processPayment(orderId);
+    return getOrder(orderId, userId);
+}
+
+/**
+ * Background job: expire lapsed reservations, refund orders the seller
+ * didn't transfer in time, release escrow once the confirmation window has
+ * passed, and retry payment actions left pending
+ *
+ * @returns {Promise<Object>} { expired, paid, refunded, completed }
+ */
+export async function processTimeouts() {
+    const due = await db.query(
+        `SELECT id FROM orders
+         WHERE (payment_action IS NULL AND (
+                   (status = 'reserved' AND reservation_expires_at <= NOW())
+                OR (status = 'paid' AND transfer_deadline <= NOW())
+                OR (status = 'transferred' AND confirm_deadline <= NOW())))
+            OR (payment_action IS NOT NULL AND payment_action_at <= NOW() - make_interval(mins => $2))
+         ORDER BY updated_at ASC
+         LIMIT $1`,
+        [TIMEOUT_BATCH_SIZE, PAYMENT_RETRY_MINUTES]
+    );
+
+    const counts = { expired: 0, paid: 0, refunded: 0, completed: 0 };
+    for (const { id } of due.rows) {
+        try {
+            const expired = await db.transaction((client) => applyTimeout(client, id));
+            const updated = expired || await processPayment(id);
+            if (updated) {
+                counts[updated.status]++;
+            }
+        } catch (err) {
+            console.error(`[Orders] Timeout for order ${id} failed:`, err.message);
+        }
+    }
+
+    if (due.rows.length > 0) {
+        console.log(`[Orders] Timeouts: ${counts.expired} expired, ${counts.paid} paid, ${counts.refunded} refunded, ${counts.completed} completed`);
+    }
+
+    return counts;
+}
+
+/**
+ * Carry out an order's pending payment action: call the provider, then move
+ * the order to paid, completed or refunded
+ *
+ * Safe to call repeatedly: the provider sees the same idempotency key, and
+ * only the first caller to finish moves the order.
+ *
+ * @param {string} orderId - Order UUID
+ * @returns {Promise<Object|null>} Order row, or null if no action was pending
+ */
+export async function processPayment(orderId) {
+    const result = await db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+    const order = result.rows[0];
+    if (!order?.payment_action) {
+        return null;
+    }
+
+    const action = order.payment_action;
+    const details = order.payment_action_details || {};
+
+    let payment;
+    try {
+        payment = await callPaymentProvider(order, action, details);
+    } catch (err) {
+        // A declined charge ends the attempt; anything else stays pending for a retry
+        if (action === 'hold' && err instanceof PaymentError) {
+            await db.query(
+                `UPDATE orders
+                 SET payment_action = NULL, payment_action_details = NULL, payment_action_at = NULL, updated_at = NOW()
+                 WHERE id = $1 AND payment_action = 'hold'`,
+                [orderId]
+            );
+        }
+        throw err;
+    }
+
+    const updated = await db.transaction(async (client) => {
+        const current = await lockOrder(client, orderId);
+        // Another attempt finished first
+        if (current.payment_action !== action) {
+            return null;
+        }
+        return applyPayment(client, current, action, details, payment);
+    });
+
+    if (updated?.status === 'completed') {
+        await scoreHistoryService.recordScore(updated.seller_id, 'listing_sold');
+    }
+
+    return updated;
+}
+
+/**
+ * Get an order the user is a party to
+ *
+ * @param {string} orderId - Order UUID
+ * @param {string} userId - User UUID (buyer or seller)
+ * @returns {Promise<Object|null>} Order with its listing and event log, or null
+ */
+export async function getOrder(orderId, userId) {
+    const result = await db.query(
+        `${ORDER_SELECT}
+         WHERE o.id = $1 AND (o.buyer_id = $2 OR o.seller_id = $2)`,
+        [orderId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const events = await db.query(
+        `SELECT from_status, to_status, actor_id, reason, created_at
+         FROM order_events
+         WHERE order_id = $1
+         ORDER BY created_at ASC`,
+        [orderId]
+    );
+
+    return {
+        ...formatOrder(result.rows[0], userId),
+        transferProof: await transferProofService.getLatestProof(orderId),
+        events: events.rows.map(event => ({
+            fromStatus: event.from_status,
+            toStatus: event.to_status,
+            actorId: event.actor_id,
+            reason: event.reason,
+            createdAt: event.created_at
+        }))
+    };
+}
+
+/**
+ * List a user's orders, newest first
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} [filters] - { role: 'buyer'|'seller', status }
+ * @returns {Promise<Array>} Orders
+ */
+export async function listOrders(userId, filters = {}) {
+    const conditions = [];
+    const params = [userId];
+
+    if (filters.role === 'buyer') {
+        conditions.push('o.buyer_id = $1');
+    } else if (filters.role === 'seller') {
+        conditions.push('o.seller_id = $1');
+    } else if (filters.role === undefined) {
+        conditions.push('(o.buyer_id = $1 OR o.seller_id = $1)');
+    } else {
+        throw new ValidationError('role must be buyer or seller');
+    }
+
+    if (filters.status !== undefined) {
+        if (!ORDER_STATUSES.includes(filters.status)) {
+            throw new ValidationError(`status must be one of: ${ORDER_STATUSES.join(', ')}`);
+        }
+        params.push(filters.status);
+        conditions.push(`o.status = $${params.length}`);
+    }
+
+    const result = await db.query(
+        `${ORDER_SELECT}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY o.created_at DESC
+         LIMIT 200`,
+        params
+    );
+
+    return result.rows.map(row => formatOrder(row, userId));
+}
+
+/**
+ * Expire a lapsed reservation (returned), or start the refund or release a
+ * passed deadline calls for (left to processPayment)
+ */
+async function applyTimeout(client, orderId) {
+    const order = await lockOrder(client, orderId);
+    const now = new Date();
+
+    // A pending payment action is retried by processPayment
+    if (order.payment_action) {
+        return null;
+    }
+
+    if (order.status === 'reserved' && new Date(order.reservation_expires_at) <= now) {
+        await restockListing(client, order);
+        return transition(client, order, 'expired', {}, { reason: 'Reservation was not paid in time' });
+    }
+
+    if (order.status === 'paid' && new Date(order.transfer_deadline) <= now) {
+        await beginPayment(client, order, 'refund', {
+            reason: 'Seller did not transfer the tickets in time',
+            restock: false
+        });
+    } else if (order.status === 'transferred' && new Date(order.confirm_deadline) <= now) {
+        await beginPayment(client, order, 'release', { reason: 'Confirmation window passed' });
+    }
+
+    return null;
+}
+
+/**
+ * Record the payment action an order is about to take; the provider is
+ * called by processPayment once this commits
+ */
+async function beginPayment(client, order, action, details) {
+    assertNoPaymentPending(order);
+    assertTransition(order, PAYMENT_ACTIONS[action]);
+
+    // A declined hold may be retried with another payment method, so each
+    // hold attempt gets its own key; a release or refund happens at most once
+    const idempotencyKey = action === 'hold'
+        ? `${order.id}:hold:${crypto.randomUUID()}`
+        : `${order.id}:${action}`;
+
+    await client.query(
+        `UPDATE orders
+         SET payment_action = $2, payment_action_details = $3, payment_action_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [order.id, action, JSON.stringify({ ...details, idempotencyKey })]
+    );
+}
+
+function callPaymentProvider(order, action, details) {
+    const { idempotencyKey } = details;
+
+    if (action === 'hold') {
+        return paymentService.holdFunds({
+            orderId: order.id,
+            amountCents: order.amount_cents,
+            paymentMethod: details.paymentMethod,
+            idempotencyKey
+        });
+    }
+
+    const params = {
+        paymentId: order.payment_id,
+        orderId: order.id,
+        amountCents: order.amount_cents,
+        idempotencyKey
+    };
+    return action === 'release'
+        ? paymentService.releaseFunds(order.payment_provider, params)
+        : paymentService.refundFunds(order.payment_provider, params);
+}
+
+/**
+ * Move an order on once the provider has held, released or refunded its funds
+ */
+async function applyPayment(client, order, action, details, payment) {
+    const cleared = { payment_action: null, payment_action_details: null, payment_action_at: null };
+    const options = { actorId: details.actorId || null, reason: details.reason || null };
+
+    if (action === 'hold') {
+        return transition(client, order, 'paid', {
+            ...cleared,
+            payment_provider: payment.provider,
+            payment_id: payment.id,
+            paid_at: new Date(),
+            transfer_deadline: new Date(details.transferDeadline)
+        }, options);
+    }
+
+    if (action === 'release') {
+        return completeOrder(client, order, payment, cleared, options);
+    }
+
+    if (details.restock) {
+        await restockListing(client, order);
+    }
+
+    return transition(client, order, 'refunded', {
+        ...cleared,
+        refund_id: payment.id,
+        cancelled_at: new Date(),
+        cancelled_by: options.actorId,
+        cancel_reason: options.reason
+    }, options);
+}
+
+async function completeOrder(client, order, payout, cleared, { actorId, reason }) {
+    const updated = await transition(client, order, 'completed', {
+        ...cleared,
+        payout_id: payout.id,
+        completed_at: new Date()
+    }, { actorId, reason });
+
+    // Confirming receipt, or letting the window pass, accepts the transfer proof
+    await transferProofService.respondToProof(client, order.id, 'accepted');
+
+    // Sold out once nothing is left to reserve and no other order is still open
+    await client.query(
+        `UPDATE ticket_listings
+         SET is_sold = TRUE, sold_at = NOW(), is_active = FALSE, updated_at = NOW()
+         WHERE id = $1 AND quantity_available = 0 AND is_sold = FALSE
+           AND NOT EXISTS (SELECT 1 FROM orders WHERE listing_id = $1 AND status = ANY($2))`,
+        [order.listing_id, OPEN_STATUSES]
+    );
+
+    return updated;
+}
+
+async function restockListing(client, order) {
+    await client.query(
+        `UPDATE ticket_listings
+         SET quantity_available = quantity_available + $2, updated_at = NOW()
+         WHERE id = $1`,
+        [order.listing_id, order.quantity]
+    );
+}
+
+async function lockOrder(client, orderId) {
+    const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    return result.rows[0] || null;
+}
+
+function assertNoPaymentPending(order) {
+    if (order.payment_action) {
+        throw new ValidationError('A payment for this order is still being processed. Try again shortly.');
+    }
+}
+
+function assertTransition(order, to) {
+    if (!canTransition(order.status, to)) {
+        throw new ValidationError(`Order is ${order.status} and can't become ${to}`);
+    }
+}
+
+/**
+ * Move an order to a new status, setting the given columns, and log it
+ */
+async function transition(client, order, to, fields, { actorId = null, reason = null } = {}) {
+    assertTransition(order, to);
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, i) => `${column} = $${i + 3}`);
+
+    const result = await client.query(
+        `UPDATE orders SET ${['status = $2', ...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [order.id, to, ...columns.map(column => fields[column])]
+    );
+
+    await recordEvent(client, order.id, order.status, to, actorId, reason);
+    return result.rows[0];
+}
+
+async function recordEvent(client, orderId, fromStatus, toStatus, actorId = null, reason = null) {
+    await client.query(
+        `INSERT INTO order_events (order_id, from_status, to_status, actor_id, reason)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [orderId, fromStatus, toStatus, actorId, reason]
+    );
+}
+
+async function explainUnavailable(client, listingId, buyerId) {
+    const result = await client.query('SELECT * FROM ticket_listings WHERE id = $1', [listingId]);
+    const listing = result.rows[0];
+
+    if (!listing) {
+        return new ValidationError('Listing not found');
+    }
+    if (listing.user_id === buyerId) {
+        return new ValidationError('You cannot buy your own listing');
+    }
+    if (!listing.is_active || listing.is_sold || listing.verification_status !== 'verified'
+        || new Date(listing.event_date) <= new Date()) {
+        return new ValidationError('This listing is not available for purchase');
+    }
+    return new ValidationError(`Only ${listing.quantity_available} ticket(s) left on this listing`);
+}
+
+/**
+ * Format order for API response (provider payment IDs stay internal)
+ */
+function formatOrder(row, userId) {
+    return {
+        id: row.id,
+        role: row.buyer_id === userId ? 'buyer' : 'seller',
+        status: row.status,
+        listingId: row.listing_id,
+        buyerId: row.buyer_id,
+        sellerId: row.seller_id,
+        quantity: row.quantity,
+        unitPriceCents: row.unit_price_cents,
+        amountCents: row.amount_cents,
+        paymentProvider: row.payment_provider,
+        paymentPending: row.payment_action || null,
+        event: {
+            id: row.event_id,
+            name: row.event_name,
+            date: row.event_date,
+            venueName: row.venue_name
+        },
+        section: row.section,
+        rowName: row.row_name,
+        seatNumbers: row.seat_numbers,
+        reservationExpiresAt: row.reservation_expires_at,
+        paidAt: row.paid_at,
+        transferDeadline: row.transfer_deadline,
+        transferredAt: row.transferred_at,
+        confirmDeadline: row.confirm_deadline,
+        disputedAt: row.disputed_at,
+        completedAt: row.completed_at,
+        cancelledAt: row.cancelled_at,
+        cancelledBy: row.cancelled_by,
+        cancelReason: row.cancel_reason,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    ORDER_STATUSES,
+    canTransition,
+    reserveOrder,
+    payOrder,
+    markTransferred,
+    confirmReceipt,
+    disputeTransfer,
+    settleDispute,
+    cancelOrder,
+    processTimeouts,
+    processPayment,
+    getOrder,
+    listOrders
+};
@@ -0,0 +1,171 @@
+/**
+ * Payment Service
+ *
+ * Moves order money through a pluggable escrow provider. The provider is
+ * chosen by PAYMENT_PROVIDER; 'fake' (the default) keeps escrow in memory
+ * and never touches real money, for local development and tests. It is never
+ * used in production: orders are unavailable there until a real provider is
+ * registered and configured.
+ *
+ * A provider is an object with three async methods, each resolving to { id }:
+ * - hold({ orderId, amountCents, currency, paymentMethod, idempotencyKey }): charge the buyer into escrow
+ * - release({ paymentId, orderId, amountCents, idempotencyKey }): pay the held funds out to the seller
+ * - refund({ paymentId, orderId, amountCents, idempotencyKey }): return the held funds to the buyer
+ *
+ * Calls are retried after crashes and failed commits (see order.service), so
+ * a repeated call with the same idempotencyKey must return the first call's
+ * result without moving money again. Providers signal a declined charge by
+ * throwing a PaymentError. Add real processors (Stripe Connect, Adyen, ...)
+ * with registerPaymentProvider().
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+const CURRENCY = 'usd';
+
+export class PaymentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentError';
+        this.statusCode = 402;
+    }
+}
+
+// Payment methods the fake provider declines, for exercising failure paths
+const FAKE_DECLINED_METHODS = ['fake_declined', 'fake_insufficient_funds'];
+
+const fakeHolds = new Map();
+const fakeResults = new Map();
+
+const fakeProvider = {
+    async hold({ orderId, amountCents, paymentMethod, idempotencyKey }) {
+        return onceFor(idempotencyKey, () => {
+            if (FAKE_DECLINED_METHODS.includes(paymentMethod)) {
+                throw new PaymentError('Payment declined');
+            }
+
+            const id = `fake_hold_${crypto.randomUUID()}`;
+            fakeHolds.set(id, { orderId, amountCents, status: 'held' });
+            return { id };
+        });
+    },
+
+    async release({ paymentId, idempotencyKey }) {
+        return onceFor(idempotencyKey, () => {
+            settleFakeHold(paymentId, 'released');
+            return { id: `fake_payout_${crypto.randomUUID()}` };
+        });
+    },
+
+    async refund({ paymentId, idempotencyKey }) {
+        return onceFor(idempotencyKey, () => {
+            settleFakeHold(paymentId, 'refunded');
+            return { id: `fake_refund_${crypto.randomUUID()}` };
+        });
+    }
+};
+
+// Replay the first result for a repeated idempotency key, as real processors do
+function onceFor(idempotencyKey, call) {
+    if (idempotencyKey && fakeResults.has(idempotencyKey)) {
+        return fakeResults.get(idempotencyKey);
+    }
+
+    const result = call();
+    if (idempotencyKey) {
+        fakeResults.set(idempotencyKey, result);
+    }
+    return result;
+}
+
+function settleFakeHold(paymentId, status) {
+    const hold = fakeHolds.get(paymentId);
+    // Holds don't survive a restart; treat unknown ones as settled now
+    if (hold && hold.status !== 'held') {
+        throw new Error(`Escrow hold ${paymentId} was already ${hold.status}`);
+    }
+    fakeHolds.set(paymentId, { ...hold, status });
+}
+
+const providers = new Map([['fake', fakeProvider]]);
+
+/**
+ * Register a payment provider under a name usable as PAYMENT_PROVIDER
+ *
+ * @param {string} name - Provider name
+ * @param {Object} provider - { hold, release, refund }
+ */
+export function registerPaymentProvider(name, provider) {
+    for (const method of ['hold', 'release', 'refund']) {
+        if (typeof provider?.[method] !== 'function') {
+            throw new Error(`Payment provider ${name} must implement ${method}()`);
+        }
+    }
+    providers.set(name, provider);
+}
+
+/**
+ * Whether a payment provider is configured and registered, i.e. orders can be taken
+ *
+ * @returns {boolean} True if holdFunds can charge buyers
+ */
+export function isEnabled() {
+    return Boolean(config.payments.provider) && providers.has(config.payments.provider);
+}
+
+/**
+ * Charge the buyer into escrow with the configured provider
+ *
+ * @param {Object} params - { orderId, amountCents, paymentMethod, idempotencyKey }
+ * @returns {Promise<Object>} { provider, id }
+ */
+export async function holdFunds({ orderId, amountCents, paymentMethod, idempotencyKey }) {
+    const name = config.payments.provider;
+    const { id } = await getProvider(name).hold({
+        orderId,
+        amountCents,
+        currency: CURRENCY,
+        paymentMethod,
+        idempotencyKey
+    });
+    return { provider: name, id };
+}
+
+/**
+ * Pay escrowed funds out to the seller
+ *
+ * @param {string} providerName - Provider that holds the funds
+ * @param {Object} params - { paymentId, orderId, amountCents, idempotencyKey }
+ * @returns {Promise<Object>} { id }
+ */
+export async function releaseFunds(providerName, { paymentId, orderId, amountCents, idempotencyKey }) {
+    return getProvider(providerName).release({ paymentId, orderId, amountCents, idempotencyKey });
+}
+
+/**
+ * Return escrowed funds to the buyer
+ *
+ * @param {string} providerName - Provider that holds the funds
+ * @param {Object} params - { paymentId, orderId, amountCents, idempotencyKey }
+ * @returns {Promise<Object>} { id }
+ */
+export async function refundFunds(providerName, { paymentId, orderId, amountCents, idempotencyKey }) {
+    return getProvider(providerName).refund({ paymentId, orderId, amountCents, idempotencyKey });
+}
+
+function getProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+export default {
+    registerPaymentProvider,
+    isEnabled,
+    holdFunds,
+    releaseFunds,
+    refundFunds
+};
@@ -0,0 +1,206 @@
+/**
+ * Phone Verification Service
+ *
+ * Verifies phone number anchors with one-time SMS codes:
+ * 1. sendVerificationCode() texts a 6-digit code to the number
+ * 2. verifyCode() checks it and connects the 'phone' identity anchor
+ *
+ * Only an HMAC of each code is stored. A code expires after
+ * PHONE_CODE_TTL_MINUTES and after PHONE_CODE_MAX_ATTEMPTS guesses.
+ *
+ * Sending a code answers the same whether or not the number is anchored to
+ * another account, so it can't be used to look up registered numbers. A
+ * number already anchored elsewhere is refused once the code is confirmed,
+ * when the caller has shown they hold it.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import config from '../config/index.js';
+import identityService from './identity.service.js';
+import smsService from './sms.service.js';
+import { ValidationError } from './auth.service.js';
+
+const CODE_LENGTH = 6;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Caps codes per number across all accounts, so one number can't be flooded
+const MAX_CODES_PER_NUMBER_PER_HOUR = 5;
+
+/**
+ * Normalize a phone number to E.164
+ *
+ * Numbers without a country code are read as North American (+1) when they
+ * have 10 digits, or 11 digits starting with 1.
+ *
+ * @param {string} input - Phone number as entered, e.g. "(415) 555-0123"
+ * @returns {string} E.164 number, e.g. "+14155550123"
+ */
+export function normalizePhoneNumber(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new ValidationError('phoneNumber is required');
+    }
+
+    let number = input.trim().replace(/[\s\-().]/g, '');
+    if (number.startsWith('00')) {
+        number = `+${number.slice(2)}`;
+    }
+
+    if (!number.startsWith('+')) {
+        if (/^\d{10}$/.test(number)) {
+            number = `+1${number}`;
+        } else if (/^1\d{10}$/.test(number)) {
+            number = `+${number}`;
+        }
+    }
+
+    if (!E164_PATTERN.test(number)) {
+        throw new ValidationError('Invalid phone number. Include the country code, e.g. +44 20 7946 0000');
+    }
+
+    return number;
+}
+
+/**
+ * Text a verification code to a phone number
+ *
+ * Any earlier pending code for the user stops working.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} phoneNumber - Phone number as entered
+ * @returns {Promise<Object>} { phoneNumber, expiresAt }
+ */
+export async function sendVerificationCode(userId, phoneNumber) {
+    const phone = normalizePhoneNumber(phoneNumber);
+
+    const recent = await db.query(
+        `SELECT COUNT(*)::int AS count FROM phone_verifications
+         WHERE phone_number = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+        [phone]
+    );
+    if (recent.rows[0].count >= MAX_CODES_PER_NUMBER_PER_HOUR) {
+        throw new ValidationError('Too many codes sent to this number. Please try again later.');
+    }
+
+    const id = crypto.randomUUID();
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+    const expiresAt = new Date(Date.now() + config.sms.codeTtlMinutes * 60 * 1000);
+
+    await db.transaction(async (client) => {
+        await client.query(
+            `UPDATE phone_verifications SET expires_at = NOW()
+             WHERE user_id = $1 AND verified_at IS NULL AND expires_at > NOW()`,
+            [userId]
+        );
+        await client.query(
+            `INSERT INTO phone_verifications (id, user_id, phone_number, code_hash, expires_at)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [id, userId, phone, hashCode(id, code), expiresAt]
+        );
+    });
+
+    let message;
+    try {
+        message = await smsService.sendSms(
+            phone,
+            `Your En Passant verification code is ${code}. It expires in ${config.sms.codeTtlMinutes} minutes.`
+        );
+    } catch (err) {
+        await db.query('DELETE FROM phone_verifications WHERE id = $1', [id]);
+        throw err;
+    }
+
+    await db.query(
+        'UPDATE phone_verifications SET sms_provider = $2, sms_message_id = $3 WHERE id = $1',
+        [id, message.provider, message.id]
+    );
+
+    return { phoneNumber: phone, expiresAt };
+}
+
+/**
+ * Check a verification code and connect the phone anchor
+ *
+ * Every guess counts against the code's attempts, so parallel guesses
+ * can't exceed the limit.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} code - Code from the SMS
+ * @returns {Promise<Object>} The phone identity anchor
+ */
+export async function verifyCode(userId, code) {
+    const submitted = String(code ?? '').trim();
+    if (!new RegExp(`^\\d{${CODE_LENGTH}}$`).test(submitted)) {
+        throw new ValidationError(`code must be ${CODE_LENGTH} digits`);
+    }
+
+    const pending = await db.query(
+        `SELECT id, phone_number, code_hash FROM phone_verifications
+         WHERE user_id = $1 AND verified_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId]
+    );
+    const verification = pending.rows[0];
+    if (!verification) {
+        throw new ValidationError('No pending verification code. Request a new code.');
+    }
+
+    const counted = await db.query(
+        `UPDATE phone_verifications SET attempts = attempts + 1
+         WHERE id = $1 AND attempts < $2
+         RETURNING attempts`,
+        [verification.id, config.sms.maxAttempts]
+    );
+    if (counted.rowCount === 0) {
+        throw new ValidationError('Too many incorrect attempts. Request a new code.');
+    }
+
+    const expected = Buffer.from(verification.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(verification.id, submitted), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        const remaining = config.sms.maxAttempts - counted.rows[0].attempts;
+        throw new ValidationError(
+            remaining > 0
+                ? `Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+                : 'Incorrect code. Request a new code.'
+        );
+    }
+
+    const marked = await db.query(
+        `UPDATE phone_verifications SET verified_at = NOW()
+         WHERE id = $1 AND verified_at IS NULL
+         RETURNING id`,
+        [verification.id]
+    );
+    if (marked.rowCount === 0) {
+        throw new ValidationError('No pending verification code. Request a new code.');
+    }
+
+    await assertNumberAvailable(userId, verification.phone_number);
+
+    return identityService.connectAnchor(userId, 'phone', {
+        providerId: verification.phone_number,
+        metadata: { verified_via: 'sms' }
+    }, { verifiedVia: 'sms' });
+}
+
+async function assertNumberAvailable(userId, phone) {
+    const result = await db.query(
+        `SELECT user_id FROM identity_anchors WHERE provider = 'phone' AND provider_user_id = $1`,
+        [phone]
+    );
+    if (result.rows[0] && result.rows[0].user_id !== userId) {
+        throw new ValidationError('This phone number is already verified on another account');
+    }
+}
+
+function hashCode(verificationId, code) {
+    return crypto.createHmac('sha256', config.jwtSecret).update(`${verificationId}:${code}`).digest('hex');
+}
+
+export default {
+    normalizePhoneNumber,
+    sendVerificationCode,
+    verifyCode
+};
@@ -0,0 +1,301 @@
+/**
+ * Verifier Platform Service
+ *
+ * Registers relying platforms that verify Auth-Badges, issues their API keys,
+ * and reports per-platform verification activity.
+ *
+ * API keys are shown once at creation/rotation; only a SHA-256 hash is stored.
+ * New platforms get the default rate limit; only staff can change it.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import { ValidationError } from './auth.service.js';
+
+const API_KEY_PREFIX = 'ep_live_';
+const DEFAULT_RATE_LIMIT = 60;   // Verifications per minute
+const MAX_RATE_LIMIT = 6000;
+
+/**
+ * Register a new verifier platform
+ *
+ * @param {string} ownerId - User UUID of the platform owner
+ * @param {Object} data - { name, websiteUrl }
+ * @returns {Promise<Object>} { platform, apiKey } - apiKey is only returned here
+ */
+export async function registerPlatform(ownerId, data) {
+    const name = (data.name || '').trim();
+    if (!name || name.length > 100) {
+        throw new ValidationError('Platform name is required (max 100 characters)');
+    }
+
+    const apiKey = generateApiKey();
+
+    const result = await db.query(
+        `INSERT INTO verifier_platforms
+         (owner_user_id, name, website_url, api_key_prefix, api_key_hash, rate_limit_per_minute)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [ownerId, name, data.websiteUrl || null, apiKey.substring(0, 16), hashApiKey(apiKey), DEFAULT_RATE_LIMIT]
+    );
+
+    return { platform: formatPlatform(result.rows[0]), apiKey };
+}
+
+/**
+ * Look up an active platform by API key
+ *
+ * @param {string} apiKey - Raw API key from the X-API-Key header
+ * @returns {Promise<Object|null>} Platform row or null
+ */
+export async function authenticatePlatform(apiKey) {
+    if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) {
+        return null;
+    }
+
+    const result = await db.query(
+        `UPDATE verifier_platforms
+         SET last_used_at = CURRENT_TIMESTAMP
+         WHERE api_key_hash = $1 AND is_active = TRUE
+         RETURNING *`,
+        [hashApiKey(apiKey)]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * List platforms owned by a user
+ *
+ * @param {string} ownerId - User UUID
+ * @returns {Promise<Array>} Platforms
+ */
+export async function getUserPlatforms(ownerId) {
+    const result = await db.query(
+        `SELECT * FROM verifier_platforms
+         WHERE owner_user_id = $1
+         ORDER BY created_at DESC`,
+        [ownerId]
+    );
+
+    return result.rows.map(formatPlatform);
+}
+
+/**
+ * Get a platform owned by a user
+ *
+ * @param {string} platformId - Platform UUID
+ * @param {string} ownerId - User UUID
+ * @returns {Promise<Object|null>} Platform or null
+ */
+export async function getPlatform(platformId, ownerId) {
+    const result = await db.query(
+        'SELECT * FROM verifier_platforms WHERE id = $1 AND owner_user_id = $2',
+        [platformId, ownerId]
+    );
+
+    return formatPlatform(result.rows[0]);
+}
+
+/**
+ * Update platform settings
+ *
+ * @param {string} platformId - Platform UUID
+ * @param {string} ownerId - User UUID
+ * @param {Object} data - { name, websiteUrl, isActive }
+ * @returns {Promise<Object|null>} Updated platform or null if not found
+ */
+export async function updatePlatform(platformId, ownerId, data) {
+    const updates = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (data.name !== undefined) {
+        const name = String(data.name).trim();
+        if (!name || name.length > 100) {
+            throw new ValidationError('Platform name is required (max 100 characters)');
+        }
+        updates.push(`name = $${paramIndex++}`);
+        params.push(name);
+    }
+
+    if (data.websiteUrl !== undefined) {
+        updates.push(`website_url = $${paramIndex++}`);
+        params.push(data.websiteUrl || null);
+    }
+
+    if (data.isActive !== undefined) {
+        updates.push(`is_active = $${paramIndex++}`);
+        params.push(Boolean(data.isActive));
+    }
+
+    if (updates.length === 0) {
+        throw new ValidationError('No valid fields to update');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(platformId, ownerId);
+
+    const result = await db.query(
+        `UPDATE verifier_platforms SET ${updates.join(', ')}
+         WHERE id = $${paramIndex++} AND owner_user_id = $${paramIndex}
+         RETURNING *`,
+        params
+    );
+
+    return formatPlatform(result.rows[0]);
+}
+
+/**
+ * Set a platform's verification rate limit (staff only)
+ *
+ * @param {string} platformId - Platform UUID
+ * @param {number} rateLimitPerMinute - Verifications per minute
+ * @returns {Promise<Object|null>} Updated platform or null if not found
+ */
+export async function setRateLimit(platformId, rateLimitPerMinute) {
+    const result = await db.query(
+        `UPDATE verifier_platforms
+         SET rate_limit_per_minute = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [validateRateLimit(rateLimitPerMinute), platformId]
+    );
+
+    return formatPlatform(result.rows[0]);
+}
+
+/**
+ * Replace a platform's API key (the old key stops working immediately)
+ *
+ * @param {string} platformId - Platform UUID
+ * @param {string} ownerId - User UUID
+ * @returns {Promise<Object|null>} { platform, apiKey } or null if not found
+ */
+export async function rotateApiKey(platformId, ownerId) {
+    const apiKey = generateApiKey();
+
+    const result = await db.query(
+        `UPDATE verifier_platforms
+         SET api_key_prefix = $1, api_key_hash = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND owner_user_id = $4
+         RETURNING *`,
+        [apiKey.substring(0, 16), hashApiKey(apiKey), platformId, ownerId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    return { platform: formatPlatform(result.rows[0]), apiKey };
+}
+
+/**
+ * Verification volume and result breakdown for a platform
+ *
+ * @param {string} platformId - Platform UUID
+ * @param {number} days - Lookback window in days (default 30)
+ * @returns {Promise<Object>} Dashboard stats
+ */
+export async function getPlatformStats(platformId, days = 30) {
+    const windowDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), 365);
+
+    const [totals, byResult, daily] = await Promise.all([
+        db.query(
+            `SELECT
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE verification_result = 'valid') as valid,
+                COUNT(DISTINCT badge_id) as unique_badges,
+                COUNT(*) FILTER (WHERE verified_at >= NOW() - INTERVAL '24 hours') as last_24h,
+                MAX(verified_at) as last_verified_at
+             FROM badge_verifications
+             WHERE platform_id = $1 AND verified_at >= NOW() - make_interval(days => $2)`,
+            [platformId, windowDays]
+        ),
+        db.query(
+            `SELECT verification_result as result, COUNT(*) as count
+             FROM badge_verifications
+             WHERE platform_id = $1 AND verified_at >= NOW() - make_interval(days => $2)
+             GROUP BY verification_result
+             ORDER BY count DESC`,
+            [platformId, windowDays]
+        ),
+        db.query(
+            `SELECT
+                DATE(verified_at) as date,
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE verification_result = 'valid') as valid
+             FROM badge_verifications
+             WHERE platform_id = $1 AND verified_at >= NOW() - make_interval(days => $2)
+             GROUP BY DATE(verified_at)
+             ORDER BY date ASC`,
+            [platformId, windowDays]
+        )
+    ]);
+
+    const summary = totals.rows[0];
+
+    return {
+        window_days: windowDays,
+        total_verifications: parseInt(summary.total, 10),
+        valid_verifications: parseInt(summary.valid, 10),
+        unique_badges: parseInt(summary.unique_badges, 10),
+        last_24h: parseInt(summary.last_24h, 10),
+        last_verified_at: summary.last_verified_at,
+        results: byResult.rows.map(r => ({ result: r.result, count: parseInt(r.count, 10) })),
+        daily: daily.rows.map(r => ({
+            date: r.date,
+            total: parseInt(r.total, 10),
+            valid: parseInt(r.valid, 10)
+        }))
+    };
+}
+
+/**
+ * Generate a new API key: ep_live_ + 48 hex chars
+ */
+function generateApiKey() {
+    return API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function validateRateLimit(value) {
+    const limit = parseInt(value, 10);
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+        throw new ValidationError(`rateLimitPerMinute must be between 1 and ${MAX_RATE_LIMIT}`);
+    }
+    return limit;
+}
+
+/**
+ * Format platform for API response (never includes the key hash)
+ */
+function formatPlatform(row) {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        name: row.name,
+        websiteUrl: row.website_url,
+        apiKeyPrefix: row.api_key_prefix,
+        rateLimitPerMinute: row.rate_limit_per_minute,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        lastUsedAt: row.last_used_at
+    };
+}
+
+export default {
+    registerPlatform,
+    authenticatePlatform,
+    getUserPlatforms,
+    getPlatform,
+    updatePlatform,
+    setRateLimit,
+    rotateApiKey,
+    getPlatformStats
+};
@@ -5,6 +5,7 @@
  */
 
 import db from '../db/index.js';
+import scoreHistoryService from './scoreHistory.service.js';
 
 /**
  * Validate a listing price
@@ -182,19 +183,28 @@ export async function setPriceCeilings(eventId, eventName, eventDate, venueName,
 /**
  * Create a price verification record
  *
+ * Rejected prices are recorded without a listing (listingId null) so they
+ * still count against the seller's marketplace reputation. Moderator
+ * decisions carry the reviewerId and their reviewNotes.
+ *
  * @param {Object} data - Verification data
+ * @param {Object} [client] - Database client, to record it inside the caller's
+ *   transaction; the caller then records a rejection's score once it commits
  * @returns {Promise<Object>} Created verification
  */
-export async function createPriceVerification(data) {
-    const result = await db.query(
+export async function createPriceVerification(data, client = null) {
+    const result = await (client || db).query(
         `INSERT INTO price_verifications (
-            listing_id, receipt_id, ocr_result_id, ceiling_id,
+            listing_id, user_id, receipt_id, ocr_result_id, ceiling_id,
             asking_price_cents, verified_face_value_cents, ceiling_price_cents,
-            verification_result, rejection_reason, risk_score, fraud_signals
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            verification_result, rejection_reason, risk_score, fraud_signals,
+            reviewer_id, reviewed_at, review_notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+            $13::uuid, CASE WHEN $13::uuid IS NULL THEN NULL ELSE NOW() END, $14)
         RETURNING *`,
         [
             data.listingId,
+            data.userId,
             data.receiptId,
             data.ocrResultId,
             data.ceilingId,
@@ -204,10 +214,16 @@ export async function createPriceVerification(data) {
             data.verificationResult,
             data.rejectionReason,
             data.riskScore,
-            JSON.stringify(data.fraudSignals || [])
+            JSON.stringify(data.fraudSignals || []),
+            data.reviewerId || null,
+            data.reviewNotes || null
         ]
     );
 
+    if (!client && data.verificationResult === 'rejected' && data.userId) {
+        await scoreHistoryService.recordScore(data.userId, 'price_rejected');
+    }
+
     return result.rows[0];
 }
 
@@ -0,0 +1,482 @@
+/**
+ * Public Profile Service
+ *
+ * Builds the public verification profile (GET /api/verify/:username) under
+ * the user's privacy settings, and manages shareable verification links.
+ *
+ * Settings (profile_settings; users without a row get the defaults):
+ * - visibleAnchors: providers shown on the profile (null shows all)
+ * - showScore: show the exact EP Score, or only the clearance level
+ * - allowEmailLookup: whether the profile can be found by email address
+ *
+ * Verification links open the same profile at /api/verify/link/:slug. Each has
+ * a generated slug, an optional custom slug, and optionally an expiry.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import config from '../config/index.js';
+import trustScoreService from './trustScore.service.js';
+import reputationService from './reputation.service.js';
+import { ValidationError } from './auth.service.js';
+import { INSTITUTIONS } from '../config/institutions.js';
+
+// Anchors the profile can show, in display order
+export const PUBLIC_ANCHORS = ['gmail', 'linkedin', 'github', 'microsoft', 'apple', 'phone', 'institution'];
+
+const DEFAULT_SETTINGS = {
+    visibleAnchors: null,
+    showScore: true,
+    allowEmailLookup: false
+};
+
+const CUSTOM_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/;
+const MAX_LINKS_PER_USER = 20;
+
+/**
+ * Get a user's profile privacy settings
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { visibleAnchors, showScore, allowEmailLookup, updatedAt }
+ */
+export async function getSettings(userId) {
+    const result = await db.query('SELECT * FROM profile_settings WHERE user_id = $1', [userId]);
+    return formatSettings(result.rows[0]);
+}
+
+/**
+ * Update profile privacy settings (fields left out keep their value)
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} data - { visibleAnchors, showScore, allowEmailLookup }
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function updateSettings(userId, data) {
+    const current = await getSettings(userId);
+    const settings = { ...current };
+
+    if (data.visibleAnchors !== undefined) {
+        settings.visibleAnchors = validateVisibleAnchors(data.visibleAnchors);
+    }
+
+    for (const field of ['showScore', 'allowEmailLookup']) {
+        if (data[field] !== undefined) {
+            if (typeof data[field] !== 'boolean') {
+                throw new ValidationError(`${field} must be true or false`);
+            }
+            settings[field] = data[field];
+        }
+    }
+
+    if (data.visibleAnchors === undefined && data.showScore === undefined && data.allowEmailLookup === undefined) {
+        throw new ValidationError('No valid fields to update');
+    }
+
+    const result = await db.query(
+        `INSERT INTO profile_settings (user_id, visible_anchors, show_score, allow_email_lookup)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id) DO UPDATE SET
+            visible_anchors = EXCLUDED.visible_anchors,
+            show_score = EXCLUDED.show_score,
+            allow_email_lookup = EXCLUDED.allow_email_lookup,
+            updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [userId, settings.visibleAnchors, settings.showScore, settings.allowEmailLookup]
+    );
+
+    return formatSettings(result.rows[0]);
+}
+
+/**
+ * Find the user behind a public profile lookup
+ *
+ * Usernames always match; email addresses only for users who allow it.
+ *
+ * @param {string} identifier - Username or email address
+ * @returns {Promise<Object|null>} User row or null
+ */
+export async function findProfileUser(identifier) {
+    const result = await db.query(
+        `SELECT u.id, u.email, u.username, u.created_at
+         FROM users u
+         LEFT JOIN profile_settings ps ON ps.user_id = u.id
+         WHERE u.username = $1
+            OR (u.email = LOWER($1) AND COALESCE(ps.allow_email_lookup, FALSE))
+         ORDER BY (u.username = $1) DESC NULLS LAST
+         LIMIT 1`,
+        [identifier]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Build the public verification profile for a user under their settings
+ *
+ * @param {Object} user - { id, email, username, created_at }
+ * @returns {Promise<Object>} Response body for the public verification endpoints
+ */
+export async function getPublicProfile(user) {
+    const settings = await getSettings(user.id);
+
+    // Get identity anchors (with the quality data the score uses)
+    const anchorsResult = await db.query(
+        `SELECT provider, connected_at, is_edu_verified, last_verified_at,
+                account_created_at, connection_count, metadata, verified_via
+         FROM identity_anchors
+         WHERE user_id = $1`,
+        [user.id]
+    );
+
+    // Calculate trust score, including marketplace reputation
+    const reputation = await reputationService.getReputation(user.id);
+    const { score, clearance } = trustScoreService.calculateTrustScore(
+        anchorsResult.rows, trustScoreService.getActiveModel(), reputation
+    );
+
+    // Get active Rank Guards (badges; delegated agent credentials aren't Rank Guards)
+    const badgesResult = await db.query(
+        `SELECT vertical, issued_at, expires_at
+         FROM auth_badges
+         WHERE user_id = $1
+           AND parent_badge_id IS NULL
+           AND revoked_at IS NULL
+           AND expires_at > NOW()
+         ORDER BY issued_at DESC`,
+        [user.id]
+    );
+
+    const verification = {
+        clearance: {
+            level: clearance.level,
+            title: clearance.title,
+            color: clearance.color
+        },
+        anchors: summarizeAnchors(anchorsResult.rows, settings.visibleAnchors),
+        rank_guards: badgesResult.rows.map(badge => ({
+            type: badge.vertical || 'general',
+            status: 'active',
+            issued_at: badge.issued_at,
+            expires_at: badge.expires_at
+        })),
+        member_since: user.created_at,
+        last_verified: new Date().toISOString()
+    };
+
+    if (settings.showScore) {
+        verification.ep_score = score;
+    }
+
+    return {
+        valid: true,
+        // The email's local part is only a fallback name for users who can be found by email anyway
+        username: user.username || (settings.allowEmailLookup ? user.email.split('@')[0] : null),
+        verification
+    };
+}
+
+/**
+ * Public anchor summary, limited to the visible providers
+ *
+ * Hidden providers are left out entirely. The derived .edu entry is shown
+ * when a visible Gmail or institution anchor proves it.
+ *
+ * @param {Array} anchors - identity_anchors rows
+ * @param {Array|null} visibleAnchors - Providers to show (null shows all)
+ * @returns {Object} { <provider>: { verified, verified_at, ... }, edu }
+ */
+export function summarizeAnchors(anchors, visibleAnchors = null) {
+    const visible = visibleAnchors || PUBLIC_ANCHORS;
+    const summary = {};
+
+    for (const provider of PUBLIC_ANCHORS) {
+        if (visible.includes(provider)) {
+            summary[provider] = { verified: false };
+        }
+    }
+
+    let edu = { verified: false };
+
+    for (const anchor of anchors) {
+        if (!summary[anchor.provider]) {
+            continue;
+        }
+
+        summary[anchor.provider] = {
+            verified: true,
+            verified_at: anchor.connected_at
+        };
+
+        if (anchor.provider === 'institution') {
+            const domain = anchor.metadata?.institution_domain;
+            summary.institution.domain = domain;
+            // Names come from the known-institutions list, which may have grown since verification
+            summary.institution.name = INSTITUTIONS[domain] || anchor.metadata?.institution_name || domain;
+        }
+
+        if (anchor.is_edu_verified && ['gmail', 'institution'].includes(anchor.provider)) {
+            edu = {
+                verified: true,
+                verified_at: anchor.last_verified_at || anchor.connected_at
+            };
+        }
+    }
+
+    if (summary.gmail || summary.institution) {
+        summary.edu = edu;
+    }
+
+    return summary;
+}
+
+/**
+ * Create a shareable verification link
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} data - { customSlug, label, expiresAt }
+ * @returns {Promise<Object>} Link
+ */
+export async function createLink(userId, data = {}) {
+    const count = await db.query(
+        'SELECT COUNT(*)::int AS count FROM verification_links WHERE user_id = $1',
+        [userId]
+    );
+    if (count.rows[0].count >= MAX_LINKS_PER_USER) {
+        throw new ValidationError(`You can have at most ${MAX_LINKS_PER_USER} verification links`);
+    }
+
+    const customSlug = data.customSlug ? await validateCustomSlug(data.customSlug) : null;
+
+    const result = await insertLink(
+        `INSERT INTO verification_links (user_id, slug, custom_slug, label, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [userId, crypto.randomBytes(6).toString('hex'), customSlug, validateLabel(data.label), validateExpiry(data.expiresAt)]
+    );
+
+    return formatLink(result.rows[0]);
+}
+
+/**
+ * List a user's verification links, newest first
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Links
+ */
+export async function listLinks(userId) {
+    const result = await db.query(
+        'SELECT * FROM verification_links WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
+    );
+
+    return result.rows.map(formatLink);
+}
+
+/**
+ * Update a verification link
+ *
+ * @param {string} linkId - Link UUID
+ * @param {string} userId - User UUID (owner)
+ * @param {Object} data - { customSlug, label, expiresAt, isActive } (null clears customSlug, label, expiresAt)
+ * @returns {Promise<Object|null>} Updated link or null if not found
+ */
+export async function updateLink(linkId, userId, data) {
+    const updates = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (data.customSlug !== undefined) {
+        updates.push(`custom_slug = $${paramIndex++}`);
+        params.push(data.customSlug ? await validateCustomSlug(data.customSlug, linkId) : null);
+    }
+
+    if (data.label !== undefined) {
+        updates.push(`label = $${paramIndex++}`);
+        params.push(validateLabel(data.label));
+    }
+
+    if (data.expiresAt !== undefined) {
+        updates.push(`expires_at = $${paramIndex++}`);
+        params.push(validateExpiry(data.expiresAt));
+    }
+
+    if (data.isActive !== undefined) {
+        updates.push(`is_active = $${paramIndex++}`);
+        params.push(Boolean(data.isActive));
+    }
+
+    if (updates.length === 0) {
+        throw new ValidationError('No valid fields to update');
+    }
+
+    updates.push('updated_at = NOW()');
+    params.push(linkId, userId);
+
+    const result = await insertLink(
+        `UPDATE verification_links SET ${updates.join(', ')}
+         WHERE id = $${paramIndex++} AND user_id = $${paramIndex}
+         RETURNING *`,
+        params
+    );
+
+    return formatLink(result.rows[0]);
+}
+
+/**
+ * Delete a verification link
+ *
+ * @param {string} linkId - Link UUID
+ * @param {string} userId - User UUID (owner)
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteLink(linkId, userId) {
+    const result = await db.query(
+        'DELETE FROM verification_links WHERE id = $1 AND user_id = $2',
+        [linkId, userId]
+    );
+
+    return result.rowCount > 0;
+}
+
+/**
+ * Resolve an active, unexpired link by slug or custom slug and count the view
+ *
+ * @param {string} slug - Generated or custom slug
+ * @returns {Promise<Object|null>} User row (as findProfileUser) or null
+ */
+export async function resolveLink(slug) {
+    const result = await db.query(
+        `UPDATE verification_links
+         SET view_count = view_count + 1, last_viewed_at = NOW()
+         WHERE (slug = $1 OR custom_slug = LOWER($1))
+           AND is_active = TRUE
+           AND (expires_at IS NULL OR expires_at > NOW())
+         RETURNING user_id`,
+        [slug]
+    );
+    if (!result.rows[0]) {
+        return null;
+    }
+
+    const user = await db.query(
+        'SELECT id, email, username, created_at FROM users WHERE id = $1',
+        [result.rows[0].user_id]
+    );
+
+    return user.rows[0] || null;
+}
+
+async function insertLink(sql, params) {
+    try {
+        return await db.query(sql, params);
+    } catch (err) {
+        if (err.code === '23505') { // Custom slug claimed concurrently
+            throw new ValidationError('That link name is already taken');
+        }
+        throw err;
+    }
+}
+
+function validateVisibleAnchors(value) {
+    if (value === null) {
+        return null;
+    }
+
+    if (!Array.isArray(value) || value.some(provider => !PUBLIC_ANCHORS.includes(provider))) {
+        throw new ValidationError(`visibleAnchors must be null or a list of: ${PUBLIC_ANCHORS.join(', ')}`);
+    }
+
+    return [...new Set(value)];
+}
+
+/**
+ * Custom slugs share a namespace with generated ones
+ */
+async function validateCustomSlug(value, linkId = null) {
+    const slug = String(value).trim().toLowerCase();
+    if (!CUSTOM_SLUG_PATTERN.test(slug)) {
+        throw new ValidationError('customSlug must be 3-50 letters, digits or hyphens, starting and ending with a letter or digit');
+    }
+
+    const taken = await db.query(
+        `SELECT 1 FROM verification_links
+         WHERE (slug = $1 OR custom_slug = $1) AND id IS DISTINCT FROM $2`,
+        [slug, linkId]
+    );
+    if (taken.rows.length > 0) {
+        throw new ValidationError('That link name is already taken');
+    }
+
+    return slug;
+}
+
+function validateLabel(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const label = String(value).trim();
+    if (label.length > 100) {
+        throw new ValidationError('label must be at most 100 characters');
+    }
+    return label;
+}
+
+function validateExpiry(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const expiresAt = new Date(value);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new ValidationError('expiresAt must be a date in the future');
+    }
+    return expiresAt;
+}
+
+function formatSettings(row) {
+    if (!row) {
+        return { ...DEFAULT_SETTINGS, updatedAt: null };
+    }
+
+    return {
+        visibleAnchors: row.visible_anchors,
+        showScore: row.show_score,
+        allowEmailLookup: row.allow_email_lookup,
+        updatedAt: row.updated_at
+    };
+}
+
+function formatLink(row) {
+    if (!row) return null;
+
+    const expired = row.expires_at !== null && new Date(row.expires_at) <= new Date();
+
+    return {
+        id: row.id,
+        slug: row.slug,
+        customSlug: row.custom_slug,
+        url: `${config.apiUrl}/api/verify/link/${row.custom_slug || row.slug}`,
+        label: row.label,
+        isActive: row.is_active,
+        expired,
+        expiresAt: row.expires_at,
+        viewCount: row.view_count,
+        lastViewedAt: row.last_viewed_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    getSettings,
+    updateSettings,
+    findProfileUser,
+    getPublicProfile,
+    summarizeAnchors,
+    createLink,
+    listLinks,
+    updateLink,
+    deleteLink,
+    resolveLink
+};
@@ -0,0 +1,118 @@
+/**
+ * Marketplace Reputation Service
+ *
+ * Collects the marketplace history that feeds the reputation component of
+ * the trust score: completed sales, upheld flags against the user's
+ * listings (and upheld buyer disputes of their sales, which count the same),
+ * rejected price verifications and fraud recommendations on the user's
+ * receipts. Only the timestamps are loaded here; trustScore.service
+ * weighs and decays them.
+ */
+
+import db from '../db/index.js';
+
+// Signals older than this have decayed to (almost) nothing
+const LOOKBACK_INTERVAL = '3 years';
+
+const SIGNALS_SQL = `
+    SELECT kind, user_id, occurred_at FROM (
+        SELECT 'sale' AS kind, seller_id AS user_id, completed_at AS occurred_at
+        FROM orders
+        WHERE status = 'completed'
+
+        UNION ALL
+
+        -- Listings the seller marked sold off-platform
+        SELECT 'sale', user_id, sold_at
+        FROM ticket_listings tl
+        WHERE is_sold = TRUE AND sold_at IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.listing_id = tl.id AND o.status = 'completed')
+
+        UNION ALL
+
+        SELECT 'upheld_flag', tl.user_id, COALESCE(lf.reviewed_at, lf.created_at)
+        FROM listing_flags lf
+        JOIN ticket_listings tl ON tl.id = lf.listing_id
+        WHERE lf.status = 'actioned'
+
+        UNION ALL
+
+        -- Listing disputes count through their actioned flags
+        SELECT 'upheld_dispute', seller_id, decided_at
+        FROM disputes
+        WHERE kind = 'order' AND upheld = TRUE
+
+        UNION ALL
+
+        SELECT 'rejected_price', COALESCE(pv.user_id, tl.user_id), COALESCE(pv.reviewed_at, pv.created_at)
+        FROM price_verifications pv
+        LEFT JOIN ticket_listings tl ON tl.id = pv.listing_id
+        WHERE pv.verification_result = 'rejected'
+
+        UNION ALL
+
+        SELECT CASE recommendation WHEN 'reject' THEN 'fraud_reject' ELSE 'fraud_review' END,
+               user_id, created_at
+        FROM fraud_analyses
+        WHERE recommendation IN ('reject', 'manual_review')
+    ) signals
+    WHERE user_id IS NOT NULL
+      AND occurred_at > NOW() - INTERVAL '${LOOKBACK_INTERVAL}'
+      AND ($1::uuid[] IS NULL OR user_id = ANY($1::uuid[]))`;
+
+const SIGNAL_KEYS = {
+    sale: 'sales',
+    upheld_flag: 'upheldFlags',
+    upheld_dispute: 'upheldFlags',
+    rejected_price: 'rejectedPriceVerifications',
+    fraud_reject: 'fraudRejections',
+    fraud_review: 'fraudReviews'
+};
+
+/**
+ * Get one user's marketplace reputation signals
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { sales, upheldFlags, rejectedPriceVerifications, fraudRejections, fraudReviews } (arrays of Dates)
+ */
+export async function getReputation(userId) {
+    const reputations = await getReputations([userId]);
+    return reputations.get(userId) || emptyReputation();
+}
+
+/**
+ * Get marketplace reputation signals for many users
+ *
+ * Users without any marketplace history are left out of the map.
+ *
+ * @param {Array<string>|null} [userIds] - User UUIDs (default: all users)
+ * @returns {Promise<Map<string, Object>>} userId -> reputation signals
+ */
+export async function getReputations(userIds = null) {
+    const result = await db.query(SIGNALS_SQL, [userIds]);
+
+    const reputations = new Map();
+    for (const row of result.rows) {
+        if (!reputations.has(row.user_id)) {
+            reputations.set(row.user_id, emptyReputation());
+        }
+        reputations.get(row.user_id)[SIGNAL_KEYS[row.kind]].push(new Date(row.occurred_at));
+    }
+
+    return reputations;
+}
+
+function emptyReputation() {
+    return {
+        sales: [],
+        upheldFlags: [],
+        rejectedPriceVerifications: [],
+        fraudRejections: [],
+        fraudReviews: []
+    };
+}
+
+export default {
+    getReputation,
+    getReputations
+};
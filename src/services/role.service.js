@@ -0,0 +1,161 @@
+/**
+ * Role Service
+ *
+ * Staff roles stored on users.roles, and the permissions each role grants.
+ * Roles aren't part of the JWT, so they are read per request and a revoked
+ * role takes effect immediately.
+ *
+ * - admin: every permission, including granting roles and reading the audit log
+ * - moderator: the listing review queue, the dispute center and sybil reports
+ * - event_manager: events and their price ceilings
+ * - analyst: signup analytics, CSV exports, scoring models and sybil reports (read only)
+ */
+
+import db from '../db/index.js';
+import { ValidationError } from './auth.service.js';
+
+export const ROLES = ['admin', 'moderator', 'event_manager', 'analyst'];
+
+export const PERMISSIONS = [
+    'analytics:read',
+    'analytics:export',
+    'analytics:query',
+    'scoring_models:read',
+    'scoring_models:manage',
+    'sybil:read',
+    'sybil:analyze',
+    'disputes:read',
+    'disputes:resolve',
+    'listings:review',
+    'events:manage',
+    'platforms:manage',
+    'roles:manage',
+    'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+    admin: PERMISSIONS,
+    moderator: ['listings:review', 'disputes:read', 'disputes:resolve', 'sybil:read', 'sybil:analyze'],
+    event_manager: ['events:manage'],
+    analyst: ['analytics:read', 'analytics:export', 'scoring_models:read', 'sybil:read']
+};
+
+/**
+ * Get a user's roles
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array<string>>} Roles (empty for regular users)
+ */
+export async function getRoles(userId) {
+    const result = await db.query('SELECT roles FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.roles || [];
+}
+
+/**
+ * Permissions granted by a set of roles
+ *
+ * @param {Array<string>} roles - The user's roles
+ * @returns {Array<string>} Permissions, in PERMISSIONS order
+ */
+export function permissionsFor(roles) {
+    const granted = new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []));
+    return PERMISSIONS.filter(permission => granted.has(permission));
+}
+
+/**
+ * Whether a set of roles grants a permission
+ *
+ * @param {Array<string>} roles - The user's roles
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(roles, permission) {
+    return roles.some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+}
+
+/**
+ * Grant a role to a user
+ *
+ * @param {string} userId - User UUID
+ * @param {string} role - One of ROLES
+ * @returns {Promise<Array<string>|null>} The user's roles, or null if not found
+ */
+export async function grantRole(userId, role) {
+    assertRole(role);
+
+    const result = await db.query(
+        `UPDATE users
+         SET roles = CASE WHEN $2 = ANY(roles) THEN roles ELSE array_append(roles, $2) END
+         WHERE id = $1
+         RETURNING roles`,
+        [userId, role]
+    );
+    return result.rows[0]?.roles || null;
+}
+
+/**
+ * Revoke a role from a user
+ * The last admin can't be revoked, so someone can always grant roles.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} role - One of ROLES
+ * @returns {Promise<Array<string>|null>} The user's roles, or null if not found
+ */
+export async function revokeRole(userId, role) {
+    assertRole(role);
+
+    return db.transaction(async (client) => {
+        if (role === 'admin') {
+            // Lock every admin, so two admins revoking each other can't both succeed
+            const admins = await client.query(
+                `SELECT id FROM users WHERE 'admin' = ANY(roles) FOR UPDATE`
+            );
+            if (admins.rows.every(admin => admin.id === userId)) {
+                throw new ValidationError('The last admin cannot be revoked');
+            }
+        }
+
+        const result = await client.query(
+            'UPDATE users SET roles = array_remove(roles, $2) WHERE id = $1 RETURNING roles',
+            [userId, role]
+        );
+        return result.rows[0]?.roles || null;
+    });
+}
+
+/**
+ * List users holding any role
+ *
+ * @returns {Promise<Array>} [{ userId, email, username, roles, permissions }]
+ */
+export async function listStaff() {
+    const result = await db.query(
+        `SELECT id, email, username, roles FROM users
+         WHERE roles <> '{}'
+         ORDER BY email`
+    );
+    return result.rows.map(row => ({
+        userId: row.id,
+        email: row.email,
+        username: row.username,
+        roles: row.roles,
+        permissions: permissionsFor(row.roles)
+    }));
+}
+
+function assertRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+}
+
+export default {
+    ROLES,
+    PERMISSIONS,
+    getRoles,
+    permissionsFor,
+    hasPermission,
+    grantRole,
+    revokeRole,
+    listStaff
+};
@@ -0,0 +1,269 @@
+/**
+ * Score History Service
+ *
+ * Records every trust score recomputation in score_history with its
+ * breakdown, model version and trigger (anchor connected, flag upheld, ...)
+ * and explains in plain language what changed between entries.
+ */
+
+import db from '../db/index.js';
+import trustScoreService from './trustScore.service.js';
+import identityService from './identity.service.js';
+import reputationService from './reputation.service.js';
+
+export const SCORE_TRIGGERS = [
+    'anchor_connected',
+    'anchor_disconnected',
+    'flag_upheld',
+    'dispute_upheld',
+    'listing_sold',
+    'price_rejected',
+    'fraud_flagged',
+    'recomputed'
+];
+
+const DEFAULT_TIMELINE_LIMIT = 50;
+const MAX_TIMELINE_LIMIT = 200;
+
+const PROVIDER_NAMES = {
+    gmail: 'Gmail',
+    linkedin: 'LinkedIn',
+    github: 'GitHub',
+    microsoft: 'Microsoft',
+    apple: 'Apple',
+    phone: 'phone',
+    institution: 'institution'
+};
+
+/**
+ * Recompute a user's trust score and record it in the history
+ *
+ * @param {string} userId - User UUID
+ * @param {string} trigger - One of SCORE_TRIGGERS
+ * @param {string} [details] - Trigger details (e.g. the anchor provider)
+ * @returns {Promise<Object>} Recorded entry
+ */
+export async function recordScore(userId, trigger, details = null) {
+    const current = await computeScore(userId);
+    return insertEntry(userId, current, trigger, details);
+}
+
+/**
+ * Compute a user's current trust score, recording it if it changed
+ *
+ * Scores also change without an event (account ages, reputation decay, a new
+ * scoring model), so reading the score records a 'recomputed' entry whenever
+ * the result differs from the latest entry.
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { anchors, score, breakdown, eduVerified, clearance, modelVersion }
+ */
+export async function getCurrentScore(userId) {
+    const current = await computeScore(userId);
+
+    const latest = await db.query(
+        `SELECT trust_score, clearance_level, breakdown, model_version
+         FROM score_history
+         WHERE user_id = $1
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId]
+    );
+
+    if (latest.rows.length === 0 || hasChanged(latest.rows[0], current)) {
+        await insertEntry(userId, current, 'recomputed');
+    }
+
+    return current;
+}
+
+/**
+ * Get a user's score timeline, newest first, with a plain-language
+ * explanation of what changed since the previous entry
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array>} Timeline entries
+ */
+export async function getTimeline(userId, options = {}) {
+    const limit = Math.min(
+        Math.max(parseInt(options.limit, 10) || DEFAULT_TIMELINE_LIMIT, 1),
+        MAX_TIMELINE_LIMIT
+    );
+
+    // One extra row so the oldest entry shown can be compared with its predecessor
+    const result = await db.query(
+        `SELECT * FROM score_history
+         WHERE user_id = $1
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [userId, limit + 1]
+    );
+
+    const rows = result.rows;
+    return rows.slice(0, limit).map((row, i) => ({
+        ...formatEntry(row),
+        ...explainChange(rows[i + 1] || null, row)
+    }));
+}
+
+/**
+ * Explain the difference between two score history entries
+ *
+ * @param {Object|null} previous - Earlier score_history row (null for the first entry)
+ * @param {Object} current - Later score_history row
+ * @returns {Object} { summary, changes: Array<string> }
+ */
+export function explainChange(previous, current) {
+    const cause = describeTrigger(current.trigger, current.trigger_details);
+    const title = clearanceTitle(current.clearance_level);
+
+    if (!previous) {
+        return {
+            summary: `Score first recorded at ${current.trust_score} (${title}) after ${cause}`,
+            changes: []
+        };
+    }
+
+    const delta = current.trust_score - previous.trust_score;
+    let summary;
+    if (delta > 0) {
+        summary = `Score rose from ${previous.trust_score} to ${current.trust_score} (+${delta}) after ${cause}`;
+    } else if (delta < 0) {
+        summary = `Score fell from ${previous.trust_score} to ${current.trust_score} (${delta}) after ${cause}`;
+    } else {
+        summary = `Score stayed at ${current.trust_score} after ${cause}`;
+    }
+
+    const changes = [];
+
+    if (current.clearance_level !== previous.clearance_level) {
+        const direction = current.clearance_level > previous.clearance_level ? 'rose' : 'fell';
+        changes.push(`Clearance ${direction} from ${clearanceTitle(previous.clearance_level)} to ${title}`);
+    }
+
+    if (current.model_version !== previous.model_version) {
+        changes.push(`Scoring model changed from version ${previous.model_version} to version ${current.model_version}`);
+    }
+
+    const factors = new Set([...Object.keys(previous.breakdown || {}), ...Object.keys(current.breakdown || {})]);
+    for (const factor of factors) {
+        const before = previous.breakdown?.[factor];
+        const after = current.breakdown?.[factor];
+        const change = (after?.score || 0) - (before?.score || 0);
+        if (change === 0) {
+            continue;
+        }
+
+        const label = after?.label || before?.label || factor;
+        const points = Math.abs(change) === 1 ? 'point' : 'points';
+        const verb = change > 0 ? 'added' : 'took away';
+        const reason = after?.details ? `: ${after.details}` : '';
+        changes.push(`${label} ${verb} ${Math.abs(change)} ${points}${reason}`);
+    }
+
+    return { summary, changes };
+}
+
+async function computeScore(userId) {
+    const anchors = await identityService.getAnchors(userId);
+    const reputation = await reputationService.getReputation(userId);
+    const result = trustScoreService.calculateTrustScore(
+        anchors, trustScoreService.getActiveModel(), reputation
+    );
+
+    return { anchors, ...result };
+}
+
+async function insertEntry(userId, current, trigger, details = null) {
+    const result = await db.query(
+        `INSERT INTO score_history (user_id, trust_score, clearance_level, breakdown, model_version, trigger, trigger_details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+            userId,
+            current.score,
+            current.clearance.level,
+            JSON.stringify(current.breakdown),
+            current.modelVersion,
+            trigger,
+            details
+        ]
+    );
+
+    return formatEntry(result.rows[0]);
+}
+
+/**
+ * Whether a fresh computation differs from a recorded entry (factor
+ * details such as "3.2 years old" drift daily and are ignored)
+ */
+function hasChanged(row, current) {
+    if (row.trust_score !== current.score
+        || row.clearance_level !== current.clearance.level
+        || row.model_version !== current.modelVersion) {
+        return true;
+    }
+
+    const factors = new Set([...Object.keys(row.breakdown || {}), ...Object.keys(current.breakdown)]);
+    return [...factors].some(factor =>
+        (row.breakdown?.[factor]?.score || 0) !== (current.breakdown[factor]?.score || 0)
+    );
+}
+
+function describeTrigger(trigger, details) {
+    const provider = PROVIDER_NAMES[details] || details;
+
+    switch (trigger) {
+        case 'anchor_connected':
+            return provider ? `your ${provider} anchor was connected` : 'an anchor was connected';
+        case 'anchor_disconnected':
+            return provider ? `your ${provider} anchor was disconnected` : 'an anchor was disconnected';
+        case 'flag_upheld':
+            return 'a flag against one of your listings was upheld';
+        case 'dispute_upheld':
+            return 'a buyer\'s dispute against one of your sales was upheld';
+        case 'listing_sold':
+            return 'you completed a sale';
+        case 'price_rejected':
+            return 'a listing price was rejected';
+        case 'fraud_flagged':
+            return 'the fraud check flagged an uploaded receipt';
+        default:
+            return 'a routine recomputation';
+    }
+}
+
+function clearanceTitle(level) {
+    return trustScoreService.getClearanceByLevel(level).title;
+}
+
+/**
+ * Format history entry for API response
+ */
+function formatEntry(row) {
+    return {
+        id: row.id,
+        trust_score: row.trust_score,
+        clearance_level: row.clearance_level,
+        clearance: clearanceTitle(row.clearance_level),
+        model_version: row.model_version,
+        trigger: row.trigger,
+        trigger_details: row.trigger_details,
+        breakdown: row.breakdown,
+        recorded_at: row.created_at
+    };
+}
+
+// Anchor changes are the most common reason a score moves
+identityService.onAnchorChange('recordScore', (userId, change) =>
+    recordScore(userId, `anchor_${change.event}`, change.provider)
+);
+
+export default {
+    SCORE_TRIGGERS,
+    recordScore,
+    getCurrentScore,
+    getTimeline,
+    explainChange
+};
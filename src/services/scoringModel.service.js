@@ -0,0 +1,350 @@
+/**
+ * Scoring Model Service
+ *
+ * Stores versioned trust-score models in scoring_models so weights and
+ * clearance thresholds can change without a deploy. Exactly one model is
+ * active; it is loaded at startup, refreshed by a background job, and
+ * installed into trustScore.service. Every badge records the version that
+ * scored it (model_version claim).
+ */
+
+import db from '../db/index.js';
+import trustScoreService, { DEFAULT_MODEL } from './trustScore.service.js';
+import reputationService from './reputation.service.js';
+import { ValidationError } from './auth.service.js';
+
+const THRESHOLD_KEYS = ['PLAYER', 'MASTER', 'GRANDMASTER'];
+
+/**
+ * Load the active model from the database and start scoring with it
+ *
+ * Falls back to the built-in default if no model is active.
+ *
+ * @returns {Promise<Object>} The model now in use
+ */
+export async function loadActiveModel() {
+    const result = await db.query(
+        "SELECT * FROM scoring_models WHERE status = 'active'"
+    );
+
+    const model = result.rows[0] ? rowToModel(result.rows[0]) : DEFAULT_MODEL;
+    trustScoreService.setActiveModel(model);
+
+    return model;
+}
+
+/**
+ * List all scoring models, newest first
+ *
+ * @returns {Promise<Array>} Models
+ */
+export async function listModels() {
+    const result = await db.query(
+        'SELECT * FROM scoring_models ORDER BY version DESC'
+    );
+
+    return result.rows.map(formatModel);
+}
+
+/**
+ * Get one scoring model
+ *
+ * @param {number} version - Model version
+ * @returns {Promise<Object|null>} Model or null
+ */
+export async function getModel(version) {
+    const result = await db.query(
+        'SELECT * FROM scoring_models WHERE version = $1',
+        [parseVersion(version)]
+    );
+
+    return result.rows[0] ? formatModel(result.rows[0]) : null;
+}
+
+/**
+ * Create a draft scoring model
+ *
+ * Points and penalties not listed fall back to the built-in defaults.
+ *
+ * @param {Object} data - { name, description, points, penalties, maxScore, clearanceThresholds }
+ * @param {string} createdBy - Who created the model (for the audit trail)
+ * @returns {Promise<Object>} Created draft
+ */
+export async function createModel(data, createdBy = null) {
+    const name = (data.name || '').trim();
+    if (!name || name.length > 100) {
+        throw new ValidationError('Model name is required (max 100 characters)');
+    }
+
+    const points = validatePoints(data.points);
+    const penalties = validatePenalties(data.penalties);
+    const maxScore = data.maxScore ?? DEFAULT_MODEL.maxScore;
+    if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > 100) {
+        throw new ValidationError('maxScore must be an integer between 1 and 100');
+    }
+    const clearanceThresholds = validateThresholds(data.clearanceThresholds, maxScore);
+
+    const result = await db.query(
+        `INSERT INTO scoring_models (name, description, points, penalties, max_score, clearance_thresholds, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+            name,
+            data.description || null,
+            JSON.stringify(points),
+            JSON.stringify(penalties),
+            maxScore,
+            JSON.stringify(clearanceThresholds),
+            createdBy
+        ]
+    );
+
+    return formatModel(result.rows[0]);
+}
+
+/**
+ * Make a model the active one (the previous active model is retired)
+ *
+ * Drafts and retired models (for rollback) can be activated. Badges already
+ * issued keep the model_version they were scored with.
+ *
+ * @param {number} version - Model version
+ * @returns {Promise<Object|null>} Activated model, or null if not found
+ */
+export async function activateModel(version) {
+    const modelVersion = parseVersion(version);
+
+    const row = await db.transaction(async (client) => {
+        const existing = await client.query(
+            'SELECT * FROM scoring_models WHERE version = $1 FOR UPDATE',
+            [modelVersion]
+        );
+
+        if (existing.rows.length === 0) {
+            return null;
+        }
+
+        if (existing.rows[0].status === 'active') {
+            throw new ValidationError(`Model ${modelVersion} is already active`);
+        }
+
+        await client.query(
+            "UPDATE scoring_models SET status = 'retired' WHERE status = 'active'"
+        );
+
+        const activated = await client.query(
+            `UPDATE scoring_models
+             SET status = 'active', activated_at = CURRENT_TIMESTAMP
+             WHERE version = $1
+             RETURNING *`,
+            [modelVersion]
+        );
+
+        return activated.rows[0];
+    });
+
+    if (!row) {
+        return null;
+    }
+
+    trustScoreService.setActiveModel(rowToModel(row));
+
+    return formatModel(row);
+}
+
+/**
+ * Preview how users' clearance would change under another model
+ *
+ * Rescores every user's current anchors and marketplace reputation with both
+ * the active model and the given model and counts the clearance transitions.
+ *
+ * @param {number} version - Model version to preview (usually a draft)
+ * @returns {Promise<Object|null>} Preview summary, or null if the model is not found
+ */
+export async function previewModel(version) {
+    const result = await db.query(
+        'SELECT * FROM scoring_models WHERE version = $1',
+        [parseVersion(version)]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const candidate = rowToModel(result.rows[0]);
+    const active = trustScoreService.getActiveModel();
+
+    const anchorsResult = await db.query(
+        `SELECT u.id AS user_id, ia.provider, ia.is_edu_verified, ia.account_created_at,
+                ia.connection_count, ia.metadata, ia.connected_at, ia.last_verified_at, ia.verified_via
+         FROM users u
+         LEFT JOIN identity_anchors ia ON ia.user_id = u.id`
+    );
+
+    const anchorsByUser = new Map();
+    for (const row of anchorsResult.rows) {
+        const anchors = anchorsByUser.get(row.user_id) || [];
+        if (row.provider) {
+            anchors.push(row);
+        }
+        anchorsByUser.set(row.user_id, anchors);
+    }
+
+    const reputations = await reputationService.getReputations();
+
+    const transitions = new Map();
+    let upgrades = 0;
+    let downgrades = 0;
+    let scoreDeltaTotal = 0;
+
+    for (const [userId, anchors] of anchorsByUser) {
+        const reputation = reputations.get(userId) || null;
+        const before = trustScoreService.calculateTrustScore(anchors, active, reputation);
+        const after = trustScoreService.calculateTrustScore(anchors, candidate, reputation);
+
+        scoreDeltaTotal += after.score - before.score;
+
+        if (before.clearance.level === after.clearance.level) {
+            continue;
+        }
+
+        if (after.clearance.level > before.clearance.level) {
+            upgrades++;
+        } else {
+            downgrades++;
+        }
+
+        const key = `${before.clearance.title}->${after.clearance.title}`;
+        const transition = transitions.get(key) || {
+            from: before.clearance.title,
+            to: after.clearance.title,
+            users: 0
+        };
+        transition.users++;
+        transitions.set(key, transition);
+    }
+
+    const usersEvaluated = anchorsByUser.size;
+
+    return {
+        active_version: active.version,
+        preview_version: candidate.version,
+        users_evaluated: usersEvaluated,
+        users_changing_clearance: upgrades + downgrades,
+        upgrades,
+        downgrades,
+        average_score_change: usersEvaluated > 0
+            ? Math.round((scoreDeltaTotal / usersEvaluated) * 10) / 10
+            : 0,
+        transitions: [...transitions.values()].sort((a, b) => b.users - a.users)
+    };
+}
+
+/**
+ * Convert a scoring_models row into the model shape trustScore.service uses
+ */
+function rowToModel(row) {
+    return {
+        version: row.version,
+        points: { ...DEFAULT_MODEL.points, ...row.points },
+        penalties: { ...DEFAULT_MODEL.penalties, ...row.penalties },
+        maxScore: row.max_score,
+        clearanceThresholds: row.clearance_thresholds
+    };
+}
+
+function parseVersion(version) {
+    const parsed = parseInt(version, 10);
+    if (Number.isNaN(parsed) || parsed < 1) {
+        throw new ValidationError('Model version must be a positive integer');
+    }
+    return parsed;
+}
+
+function validatePoints(points) {
+    if (!points || typeof points !== 'object' || Array.isArray(points)) {
+        throw new ValidationError('points must be an object of factor -> points');
+    }
+
+    const known = Object.keys(DEFAULT_MODEL.points);
+    for (const [factor, value] of Object.entries(points)) {
+        if (!known.includes(factor)) {
+            throw new ValidationError(`Unknown scoring factor: ${factor}. Known: ${known.join(', ')}`);
+        }
+        if (!Number.isInteger(value) || value < 0 || value > 100) {
+            throw new ValidationError(`Points for ${factor} must be an integer between 0 and 100`);
+        }
+    }
+
+    return points;
+}
+
+function validatePenalties(penalties) {
+    if (penalties === undefined || penalties === null) {
+        return {};
+    }
+
+    if (typeof penalties !== 'object' || Array.isArray(penalties)) {
+        throw new ValidationError('penalties must be an object of penalty -> points');
+    }
+
+    const known = Object.keys(DEFAULT_MODEL.penalties);
+    for (const [penalty, value] of Object.entries(penalties)) {
+        if (!known.includes(penalty)) {
+            throw new ValidationError(`Unknown penalty: ${penalty}. Known: ${known.join(', ')}`);
+        }
+        if (!Number.isInteger(value) || value < 0 || value > 100) {
+            throw new ValidationError(`Penalty ${penalty} must be an integer between 0 and 100 (points deducted; percent withheld for STALE_ANCHOR)`);
+        }
+    }
+
+    return penalties;
+}
+
+function validateThresholds(thresholds, maxScore) {
+    const values = { ...DEFAULT_MODEL.clearanceThresholds, ...(thresholds || {}) };
+
+    for (const key of Object.keys(values)) {
+        if (!THRESHOLD_KEYS.includes(key)) {
+            throw new ValidationError(`Unknown clearance level: ${key}. Known: ${THRESHOLD_KEYS.join(', ')}`);
+        }
+        if (!Number.isInteger(values[key])) {
+            throw new ValidationError(`Threshold for ${key} must be an integer`);
+        }
+    }
+
+    if (!(values.PLAYER > 0 && values.PLAYER < values.MASTER && values.MASTER < values.GRANDMASTER
+        && values.GRANDMASTER <= maxScore)) {
+        throw new ValidationError('Clearance thresholds must satisfy 0 < PLAYER < MASTER < GRANDMASTER <= maxScore');
+    }
+
+    return values;
+}
+
+/**
+ * Format model for API response
+ */
+function formatModel(row) {
+    return {
+        version: row.version,
+        name: row.name,
+        description: row.description,
+        points: row.points,
+        penalties: row.penalties,
+        maxScore: row.max_score,
+        clearanceThresholds: row.clearance_thresholds,
+        status: row.status,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        activatedAt: row.activated_at
+    };
+}
+
+export default {
+    loadActiveModel,
+    listModels,
+    getModel,
+    createModel,
+    activateModel,
+    previewModel
+};
@@ -0,0 +1,72 @@
+/**
+ * SMS Service
+ *
+ * Sends text messages through a pluggable provider. The provider is chosen
+ * by SMS_PROVIDER; 'console' (the default) logs messages instead of sending
+ * them, for local development. It is never used in production: phone
+ * verification is unavailable there until a real provider is configured.
+ *
+ * A provider is an object with an async send(to, body) that delivers the
+ * message to an E.164 number and resolves to { id }. Add real gateways
+ * (Twilio, SNS, ...) with registerSmsProvider().
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+const consoleProvider = {
+    async send(to, body) {
+        const id = `console-${crypto.randomUUID()}`;
+        console.log(`[SMS] To ${to}: ${body}`);
+        return { id };
+    }
+};
+
+const providers = new Map([['console', consoleProvider]]);
+
+/**
+ * Register an SMS provider under a name usable as SMS_PROVIDER
+ *
+ * @param {string} name - Provider name
+ * @param {Object} provider - { send(to, body) => Promise<{ id }> }
+ */
+export function registerSmsProvider(name, provider) {
+    if (typeof provider?.send !== 'function') {
+        throw new Error(`SMS provider ${name} must implement send(to, body)`);
+    }
+    providers.set(name, provider);
+}
+
+/**
+ * Whether an SMS provider is configured and registered
+ *
+ * @returns {boolean} True if sendSms can deliver messages
+ */
+export function isEnabled() {
+    return Boolean(config.sms.provider) && providers.has(config.sms.provider);
+}
+
+/**
+ * Send a text message with the configured provider
+ *
+ * @param {string} to - Recipient in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} { provider, id }
+ */
+export async function sendSms(to, body) {
+    const name = config.sms.provider;
+    const provider = providers.get(name);
+
+    if (!provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    const { id } = await provider.send(to, body);
+    return { provider: name, id };
+}
+
+export default {
+    registerSmsProvider,
+    isEnabled,
+    sendSms
+};
@@ -1,7 +1,8 @@
 /**
  * Storage Service
  *
- * Handles file uploads to AWS S3.
+ * Handles file uploads to AWS S3: receipts (and transfer confirmations)
+ * under receipts/, dispute evidence under disputes/.
  */
 
 import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
@@ -38,17 +39,45 @@ export async function uploadReceipt(buffer, filename, mimeType, userId) {
     const ext = filename.split('.').pop() || 'jpg';
     const key = `receipts/${userId}/${timestamp}-${fileHash.substring(0, 8)}.${ext}`;
 
-    // Upload to S3
+    return putFile(key, buffer, fileHash, mimeType, {
+        userId,
+        originalFilename: filename,
+        uploadedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Upload a dispute evidence file to S3
+ *
+ * @param {Buffer} buffer - File buffer
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - MIME type
+ * @param {string} disputeId - Dispute the evidence belongs to
+ * @param {string} userId - Uploader's user ID
+ * @returns {Promise<Object>} Upload result with key and hash
+ */
+export async function uploadEvidence(buffer, filename, mimeType, disputeId, userId) {
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const timestamp = Date.now();
+    const ext = filename.split('.').pop() || 'jpg';
+    const key = `disputes/${disputeId}/${timestamp}-${fileHash.substring(0, 8)}.${ext}`;
+
+    return putFile(key, buffer, fileHash, mimeType, {
+        disputeId,
+        userId,
+        originalFilename: filename,
+        uploadedAt: new Date().toISOString()
+    });
+}
+
+async function putFile(key, buffer, fileHash, mimeType, metadata) {
     const command = new PutObjectCommand({
         Bucket: BUCKET_NAME,
         Key: key,
         Body: buffer,
         ContentType: mimeType,
-        Metadata: {
-            userId,
-            originalFilename: filename,
-            uploadedAt: new Date().toISOString()
-        }
+        Metadata: metadata
     });
 
     try {
@@ -163,6 +192,7 @@ export async function getReceiptBuffer(key) {
 
 export default {
     uploadReceipt,
+    uploadEvidence,
     getReceiptUrl,
     deleteReceipt,
     getReceiptBuffer
@@ -0,0 +1,304 @@
+/**
+ * Sybil Detection Service
+ *
+ * Links En Passant accounts that look like the same person:
+ * - shared_provider_account: the same provider account (e.g. LinkedIn ID) on several users
+ * - shared_email: an account or anchor email address used by several users
+ * - shared_phone: a phone number (waitlist lead or phone anchor) on several users
+ * - shared_ip: registration, invite-scan or waitlist IPs shared by several users
+ *
+ * Linked accounts are grouped into clusters and every linked user gets a
+ * risk score from the strongest signal of each type. The analysis runs as a
+ * background job; each run is stored as a report in sybil_reports and the
+ * per-user risk in sybil_risk, which badge issuance consults.
+ *
+ * Only verified identifiers count toward risk: proven anchors (OAuth, SMS code,
+ * magic link) and registration IPs. Anyone can type someone else's identifiers
+ * into manual anchors, waitlist leads or an invite scan, so those links appear
+ * in the report (verified: false) but can't keep a user from getting badges.
+ */
+
+import db from '../db/index.js';
+
+const SIGNAL_WEIGHTS = {
+    shared_provider_account: 60,
+    shared_email: 40,
+    shared_phone: 30,
+    shared_ip: 15
+};
+
+// Many accounts behind one IP (outside public networks) look like farming
+const IP_FARM_MIN_USERS = 4;
+const IP_FARM_WEIGHT = 30;
+// Larger IP groups are public networks (venues, campuses, carrier NAT): no signal
+const MAX_USERS_PER_IP = 25;
+
+const RISK_LEVELS = [['high', 60], ['medium', 30], ['low', 0]];
+
+/**
+ * Background job: analyze all accounts and store the report and risks
+ *
+ * @returns {Promise<Object>} The stored report
+ */
+export async function runAnalysis() {
+    const data = await loadLinkageData();
+    const { clusters, risks } = buildLinkage(data);
+    const flagged = risks.filter(risk => risk.risk_level !== 'low').length;
+
+    const report = await db.transaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO sybil_reports (users_analyzed, cluster_count, flagged_users, clusters)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [data.users.length, clusters.length, flagged, JSON.stringify(clusters)]
+        );
+        const row = result.rows[0];
+
+        await client.query('DELETE FROM sybil_risk');
+        await client.query(
+            `INSERT INTO sybil_risk (user_id, risk_score, risk_level, signals, report_id)
+             SELECT r.user_id, r.risk_score, r.risk_level, r.signals, $2
+             FROM jsonb_to_recordset($1::jsonb) AS r(user_id UUID, risk_score INTEGER, risk_level VARCHAR, signals JSONB)`,
+            [JSON.stringify(risks), row.id]
+        );
+
+        return row;
+    });
+
+    if (clusters.length > 0) {
+        console.log(`[Sybil] ${clusters.length} clusters of linked accounts, ${flagged} users flagged`);
+    }
+
+    return formatReport(report);
+}
+
+/**
+ * Link accounts by shared identifiers
+ *
+ * Rows marked verified: true are linked for risk; all others only for the report.
+ *
+ * @param {Object} data - { users, anchors, ips, phones } as loaded by loadLinkageData
+ * @returns {Object} { clusters, risks } where risks has one entry per user with verified links
+ */
+export function buildLinkage({ users = [], anchors = [], ips = [], phones = [] }) {
+    const groups = new Map();
+    const addToGroup = (type, value, userId, verified) => {
+        const key = `${type}:${value}`;
+        const group = groups.get(key) || { type, value, userIds: new Set(), verifiedUserIds: new Set() };
+        group.userIds.add(userId);
+        if (verified === true) group.verifiedUserIds.add(userId);
+        groups.set(key, group);
+    };
+
+    for (const user of users) {
+        if (user.email) addToGroup('shared_email', user.email.toLowerCase(), user.id, user.verified);
+    }
+
+    for (const anchor of anchors) {
+        addToGroup('shared_provider_account', `${anchor.provider}:${anchor.provider_user_id}`, anchor.user_id, anchor.verified);
+        if (anchor.email_address) addToGroup('shared_email', anchor.email_address.toLowerCase(), anchor.user_id, anchor.verified);
+    }
+
+    for (const { user_id: userId, phone, verified } of phones) {
+        const digits = normalizePhoneDigits(phone);
+        if (digits) addToGroup('shared_phone', digits, userId, verified);
+    }
+
+    for (const { user_id: userId, ip_address: ip, verified } of ips) {
+        if (ip) addToGroup('shared_ip', ip, userId, verified);
+    }
+
+    const signals = [...groups.values()].filter(group =>
+        group.userIds.size > 1 && !(group.type === 'shared_ip' && group.userIds.size > MAX_USERS_PER_IP)
+    );
+
+    // Per-user risk: the strongest verified signal of each type, summed
+    const userSignals = new Map();
+    for (const signal of signals.filter(group => group.verifiedUserIds.size > 1)) {
+        const weight = signal.type === 'shared_ip' && signal.verifiedUserIds.size >= IP_FARM_MIN_USERS
+            ? IP_FARM_WEIGHT
+            : SIGNAL_WEIGHTS[signal.type];
+
+        for (const userId of signal.verifiedUserIds) {
+            const entries = userSignals.get(userId) || [];
+            entries.push({
+                type: signal.type,
+                value: signal.value,
+                weight,
+                linked_user_ids: [...signal.verifiedUserIds].filter(id => id !== userId).sort()
+            });
+            userSignals.set(userId, entries);
+        }
+    }
+
+    const risks = [...userSignals].map(([userId, entries]) => {
+        const strongest = {};
+        for (const entry of entries) {
+            strongest[entry.type] = Math.max(strongest[entry.type] || 0, entry.weight);
+        }
+        const score = Math.min(100, Object.values(strongest).reduce((sum, weight) => sum + weight, 0));
+
+        return {
+            user_id: userId,
+            risk_score: score,
+            risk_level: getRiskLevel(score),
+            signals: entries.map(({ weight, ...entry }) => entry)
+        };
+    });
+
+    return { clusters: buildClusters(signals, risks), risks };
+}
+
+/**
+ * Get a user's sybil risk from the latest analysis
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { score, level, signals, analyzedAt } (low with no signals if unlinked)
+ */
+export async function getRisk(userId) {
+    const result = await db.query(
+        'SELECT risk_score, risk_level, signals, analyzed_at FROM sybil_risk WHERE user_id = $1',
+        [userId]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+        return { score: 0, level: 'low', signals: [], analyzedAt: null };
+    }
+
+    return { score: row.risk_score, level: row.risk_level, signals: row.signals, analyzedAt: row.analyzed_at };
+}
+
+/**
+ * Get the most recent analysis report
+ *
+ * @returns {Promise<Object|null>} Report with its clusters, or null if none has run
+ */
+export async function getLatestReport() {
+    const result = await db.query(
+        'SELECT * FROM sybil_reports ORDER BY generated_at DESC LIMIT 1'
+    );
+
+    return result.rows[0] ? formatReport(result.rows[0]) : null;
+}
+
+/**
+ * Account emails count once verified, anchors once proven, and IPs only when
+ * the user registered from them; invite scans and waitlist leads are
+ * unauthenticated
+ */
+async function loadLinkageData() {
+    const [users, anchors, ips, phones] = await Promise.all([
+        db.query('SELECT id, email, email_verified AS verified FROM users'),
+        db.query(
+            `SELECT user_id, provider, provider_user_id, email_address, verified_via IS NOT NULL AS verified
+             FROM identity_anchors`
+        ),
+        db.query(
+            `SELECT id AS user_id, registration_ip AS ip_address, TRUE AS verified FROM users WHERE registration_ip IS NOT NULL
+             UNION
+             SELECT ic.used_by_user_id, s.ip_address, FALSE
+             FROM scan_events s
+             JOIN invite_codes ic ON ic.code = s.code
+             WHERE ic.used_by_user_id IS NOT NULL AND s.ip_address IS NOT NULL
+             UNION
+             SELECT u.id, l.ip_address, FALSE
+             FROM leads l
+             JOIN users u ON u.email = LOWER(l.email)
+             WHERE l.ip_address IS NOT NULL`
+        ),
+        db.query(
+            `SELECT u.id AS user_id, l.phone, FALSE AS verified
+             FROM leads l
+             JOIN users u ON u.email = LOWER(l.email)
+             WHERE l.phone IS NOT NULL
+             UNION
+             SELECT user_id, provider_user_id, verified_via IS NOT NULL FROM identity_anchors WHERE provider = 'phone'`
+        )
+    ]);
+
+    return { users: users.rows, anchors: anchors.rows, ips: ips.rows, phones: phones.rows };
+}
+
+/**
+ * Connected components of users joined by any signal
+ */
+function buildClusters(signals, risks) {
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    for (const signal of signals) {
+        const [first, ...rest] = signal.userIds;
+        for (const id of signal.userIds) {
+            if (!parent.has(id)) parent.set(id, id);
+        }
+        for (const id of rest) {
+            parent.set(find(id), find(first));
+        }
+    }
+
+    const levelByUser = new Map(risks.map(risk => [risk.user_id, risk.risk_level]));
+    const clusters = new Map();
+    for (const signal of signals) {
+        const root = find(signal.userIds.values().next().value);
+        const cluster = clusters.get(root) || { userIds: new Set(), signals: [] };
+        signal.userIds.forEach(id => cluster.userIds.add(id));
+        cluster.signals.push({
+            type: signal.type,
+            value: signal.value,
+            user_ids: [...signal.userIds].sort(),
+            verified: signal.verifiedUserIds.size > 1
+        });
+        clusters.set(root, cluster);
+    }
+
+    const levelRank = (level) => RISK_LEVELS.findIndex(([name]) => name === level);
+
+    return [...clusters.values()]
+        .map(cluster => {
+            const userIds = [...cluster.userIds].sort();
+            const riskLevel = userIds
+                .map(id => levelByUser.get(id) || 'low')
+                .reduce((worst, level) => (levelRank(level) < levelRank(worst) ? level : worst), 'low');
+
+            return { user_ids: userIds, size: userIds.length, risk_level: riskLevel, signals: cluster.signals };
+        })
+        .sort((a, b) => levelRank(a.risk_level) - levelRank(b.risk_level) || b.size - a.size);
+}
+
+function getRiskLevel(score) {
+    return RISK_LEVELS.find(([, minimum]) => score >= minimum)[0];
+}
+
+/**
+ * Compare phone numbers by digits; 10-digit numbers are North American
+ */
+function normalizePhoneDigits(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length < 8) return null;
+    return digits.length === 10 ? `1${digits}` : digits;
+}
+
+function formatReport(row) {
+    return {
+        id: row.id,
+        usersAnalyzed: row.users_analyzed,
+        clusterCount: row.cluster_count,
+        flaggedUsers: row.flagged_users,
+        clusters: row.clusters,
+        generatedAt: row.generated_at
+    };
+}
+
+export default {
+    runAnalysis,
+    buildLinkage,
+    getRisk,
+    getLatestReport
+};
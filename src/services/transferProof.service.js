@@ -0,0 +1,324 @@
+/**
+ * Transfer Proof Service
+ *
+ * Before a paid order can be marked transferred, the seller uploads the
+ * vendor's transfer confirmation (Ticketmaster, AXS, ...). It goes through the
+ * receipts pipeline: stored with storage.service, read with ocr.service, and
+ * recorded in receipt_uploads / receipt_ocr_results like any other receipt.
+ *
+ * The section, row and seats read from the confirmation are matched against
+ * the listing:
+ * - matched: everything the listing specifies was found and agrees
+ * - partial: nothing disagrees and some of it agrees, but the rest couldn't be read
+ * - unverified: nothing could be compared (OCR read none of it)
+ * - mismatch: the confirmation names a different section, row or seats; the
+ *   proof is kept as 'rejected' and the order stays paid
+ *
+ * An accepted proof is 'pending' until the buyer accepts it (confirming
+ * receipt) or disputes it, or the confirmation window passes.
+ */
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import storageService from './storage.service.js';
+import ocrService from './ocr.service.js';
+import { ValidationError } from './auth.service.js';
+
+// Longest seat range ("1-50") expanded when comparing seats
+const MAX_SEAT_RANGE = 50;
+
+/**
+ * Upload a transfer confirmation and read it with OCR
+ *
+ * @param {Object} file - { buffer, originalname, mimetype, size } from the upload
+ * @param {Object} context - { userId, orderId }
+ * @returns {Promise<Object>} { receiptId, vendor, section, row, seats, confidence }
+ */
+export async function readTransferConfirmation(file, { userId, orderId }) {
+    const { buffer, originalname, mimetype, size } = file;
+
+    // One confirmation can't prove two sales
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const reused = await db.query(
+        `SELECT 1 FROM transfer_proofs p
+         JOIN receipt_uploads r ON r.id = p.receipt_id
+         WHERE r.file_hash = $1 AND p.order_id <> $2
+         LIMIT 1`,
+        [fileHash, orderId]
+    );
+    if (reused.rows.length > 0) {
+        throw new ValidationError('This transfer confirmation was already submitted for another order');
+    }
+
+    const uploadResult = await storageService.uploadReceipt(buffer, originalname, mimetype, userId);
+
+    const receiptResult = await db.query(
+        `INSERT INTO receipt_uploads (
+            user_id, s3_key, original_filename, mime_type, file_size_bytes, file_hash, upload_status
+        ) VALUES ($1, $2, $3, $4, $5, $6, 'processing')
+        RETURNING id`,
+        [userId, uploadResult.key, originalname, mimetype, size, uploadResult.fileHash]
+    );
+    const receiptId = receiptResult.rows[0].id;
+
+    let ocrResult;
+    try {
+        ocrResult = await ocrService.processReceipt(buffer, mimetype);
+    } catch (err) {
+        await setReceiptStatus(receiptId, 'failed');
+        throw err;
+    }
+
+    if (!ocrResult.success) {
+        await setReceiptStatus(receiptId, 'failed');
+        throw new ValidationError('Could not read the transfer confirmation. Upload a clearer screenshot or PDF.');
+    }
+
+    const ocrData = ocrService.formatForDatabase({ ...ocrResult.data, vendor: ocrResult.vendor }, ocrResult.rawText);
+
+    await db.query(
+        `INSERT INTO receipt_ocr_results (
+            receipt_id, vendor, event_name, event_date, venue_name,
+            section, row_name, seat_numbers, face_value_cents, fees_cents,
+            total_cents, quantity, raw_text, confidence_score, extraction_method
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+            receiptId,
+            ocrData.vendor,
+            ocrData.eventName,
+            ocrData.eventDate,
+            ocrData.venueName,
+            ocrData.section,
+            ocrData.rowName,
+            ocrData.seatNumbers,
+            ocrData.faceValueCents,
+            ocrData.feesCents,
+            ocrData.totalCents,
+            ocrData.quantity,
+            ocrData.rawText,
+            ocrData.confidenceScore,
+            ocrData.extractionMethod
+        ]
+    );
+    await setReceiptStatus(receiptId, 'completed');
+
+    return {
+        receiptId,
+        vendor: ocrData.vendor,
+        section: ocrData.section,
+        row: ocrData.rowName,
+        seats: ocrData.seatNumbers,
+        confidence: ocrData.confidenceScore
+    };
+}
+
+/**
+ * Match a transfer confirmation against the listing's seats
+ *
+ * Each check is 'match', 'mismatch', 'missing' (not on the confirmation) or
+ * 'not_listed' (the listing doesn't say, so it isn't checked). Seats match
+ * when the confirmation names exactly as many of the listing's seats as the
+ * order bought.
+ *
+ * @param {Object} listing - { section, row_name, seat_numbers }
+ * @param {number} quantity - Tickets in the order
+ * @param {Object} confirmation - { section, row, seats } read from the confirmation
+ * @returns {Object} { result: 'matched'|'partial'|'unverified'|'mismatch', checks: { section, row, seats } }
+ */
+export function matchTransferProof(listing, quantity, confirmation) {
+    const checks = {
+        section: compareLabel(listing.section, confirmation.section),
+        row: compareLabel(listing.row_name, confirmation.row),
+        seats: compareSeats(listing.seat_numbers, confirmation.seats, quantity)
+    };
+
+    const outcomes = Object.values(checks);
+    let result = 'unverified';
+    if (outcomes.includes('mismatch')) {
+        result = 'mismatch';
+    } else if (outcomes.includes('match')) {
+        result = outcomes.includes('missing') ? 'partial' : 'matched';
+    }
+
+    return { result, checks };
+}
+
+/**
+ * Record a transfer proof
+ *
+ * @param {Object} client - Database client (inside the order's transaction) or db
+ * @param {Object} proof - { orderId, submittedBy, confirmation, match, status }
+ * @returns {Promise<Object>} Proof row
+ */
+export async function recordProof(client, { orderId, submittedBy, confirmation, match, status }) {
+    const result = await client.query(
+        `INSERT INTO transfer_proofs
+         (order_id, receipt_id, submitted_by, vendor, section, row_name, seat_numbers,
+          confidence_score, match_result, match_checks, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+            orderId,
+            confirmation.receiptId,
+            submittedBy,
+            confirmation.vendor,
+            confirmation.section,
+            confirmation.row,
+            confirmation.seats,
+            confirmation.confidence,
+            match.result,
+            JSON.stringify(match.checks),
+            status
+        ]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Record the buyer's answer to the order's pending proof
+ *
+ * @param {Object} client - Database client
+ * @param {string} orderId - Order UUID
+ * @param {string} status - 'accepted' or 'disputed'
+ * @param {string} [reason] - Why the buyer disputed it
+ */
+export async function respondToProof(client, orderId, status, reason = null) {
+    await client.query(
+        `UPDATE transfer_proofs
+         SET status = $2, dispute_reason = $3, responded_at = NOW()
+         WHERE order_id = $1 AND status = 'pending'`,
+        [orderId, status, reason]
+    );
+}
+
+/**
+ * Get the latest transfer proof for an order
+ *
+ * @param {string} orderId - Order UUID
+ * @returns {Promise<Object|null>} Formatted proof or null
+ */
+export async function getLatestProof(orderId) {
+    const result = await db.query(
+        `SELECT * FROM transfer_proofs
+         WHERE order_id = $1
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [orderId]
+    );
+    return formatProof(result.rows[0]);
+}
+
+/**
+ * Describe a mismatch for the seller
+ *
+ * @param {Object} match - Result of matchTransferProof
+ * @returns {string}
+ */
+export function describeMismatch(match) {
+    const fields = Object.entries(match.checks)
+        .filter(([, outcome]) => outcome === 'mismatch')
+        .map(([field]) => field);
+    return `The transfer confirmation doesn't match the listing (${fields.join(', ')}). Upload the confirmation for the tickets in this order.`;
+}
+
+function compareLabel(listed, found) {
+    const listedTokens = labelTokens(listed);
+    if (listedTokens.length === 0) return 'not_listed';
+
+    const foundTokens = labelTokens(found);
+    if (foundTokens.length === 0) return 'missing';
+
+    // OCR often reads only the leading part ("400" of "400-Level Corners")
+    const [shorter, longer] = foundTokens.length <= listedTokens.length
+        ? [foundTokens, listedTokens]
+        : [listedTokens, foundTokens];
+    return shorter.every((token, i) => token === longer[i]) ? 'match' : 'mismatch';
+}
+
+function labelTokens(value) {
+    if (value === null || value === undefined) return [];
+
+    return String(value)
+        .toLowerCase()
+        .replace(/^\s*(section|sec|row)\b\.?:?/, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(token => (/^\d+$/.test(token) ? String(parseInt(token, 10)) : token));
+}
+
+function compareSeats(listed, found, quantity) {
+    const listedSeats = parseSeats(listed);
+    if (listedSeats.length === 0) return 'not_listed';
+
+    const foundSeats = parseSeats(found);
+    if (foundSeats.length === 0) return 'missing';
+
+    const onListing = foundSeats.every(seat => listedSeats.includes(seat));
+    return onListing && foundSeats.length === quantity ? 'match' : 'mismatch';
+}
+
+function parseSeats(value) {
+    if (value === null || value === undefined) return [];
+
+    const seats = new Set();
+    const tokens = String(value)
+        .toLowerCase()
+        .replace(/\s*-\s*/g, '-')
+        .split(/[,;\s]+/)
+        .filter(Boolean);
+
+    for (const token of tokens) {
+        const range = token.match(/^(\d+)-(\d+)$/);
+        if (range) {
+            const start = parseInt(range[1], 10);
+            const end = parseInt(range[2], 10);
+            if (end >= start && end - start < MAX_SEAT_RANGE) {
+                for (let seat = start; seat <= end; seat++) {
+                    seats.add(String(seat));
+                }
+                continue;
+            }
+        }
+        seats.add(/^\d+$/.test(token) ? String(parseInt(token, 10)) : token);
+    }
+
+    return [...seats];
+}
+
+async function setReceiptStatus(receiptId, status) {
+    await db.query(
+        'UPDATE receipt_uploads SET upload_status = $2, processed_at = NOW() WHERE id = $1',
+        [receiptId, status]
+    );
+}
+
+/**
+ * Format transfer proof for API response
+ */
+function formatProof(row) {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        status: row.status,
+        vendor: row.vendor,
+        section: row.section,
+        rowName: row.row_name,
+        seatNumbers: row.seat_numbers,
+        confidence: row.confidence_score !== null ? parseFloat(row.confidence_score) : null,
+        matchResult: row.match_result,
+        matchChecks: row.match_checks,
+        disputeReason: row.dispute_reason,
+        respondedAt: row.responded_at,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    readTransferConfirmation,
+    matchTransferProof,
+    recordProof,
+    respondToProof,
+    getLatestProof,
+    describeMismatch
+};
@@ -1,43 +1,188 @@
 /**
  * Trust Score Calculation Service (EP Score)
  *
- * Scoring model:
+ * Scoring model (version 6, the built-in default):
  * - Base account: 20 points
- * - Gmail connected: +25 points
- * - LinkedIn connected: +30 points
- * - .edu email bonus: +25 points
- * - Max score: 100 points
- */
-
-// === SCORING POINTS ===
-const POINTS = {
-    BASE: 20,        // Having an En Passant account
-    GMAIL: 25,       // Gmail OAuth connected
-    LINKEDIN: 30,    // LinkedIn OAuth connected
-    EDU_BONUS: 25    // Educational institution email bonus
+ * - Gmail connected: +10, account age up to +8, email activity up to +7
+ * - LinkedIn connected: +12, account age up to +8, network size up to +10
+ * - GitHub connected: +8, account age up to +6, repos and followers up to +6
+ * - Microsoft connected: +6, account age up to +4, mailbox size up to +4
+ * - Apple connected: +5
+ * - Phone number verified by SMS code: +5
+ * - .edu email bonus: +20 points, for a .edu Gmail address or a verified
+ *   institution email
+ * - Penalties: -10 per brand-new account (< 30 days), -10 per empty account
+ * - Staleness: an OAuth anchor not re-verified for 90 days loses half its
+ *   points, and all of them after 180 days
+ * - Marketplace reputation: up to +5 for completed sales, minus penalties for
+ *   upheld flags, rejected price verifications and fraud recommendations;
+ *   every event's weight halves every 180 days
+ * - Max score: 100 points (more anchors than needed to reach it can be connected)
+ *
+ * Models are versioned and stored in scoring_models; the active one is loaded
+ * by scoringModel.service.js and installed here with setActiveModel().
+ */
+
+import { VERTICALS, VERTICAL_NAMES } from '../config/verticals.js';
+
+// === DEFAULT SCORING MODEL ===
+// Factors a stored model doesn't set fall back to these points
+export const DEFAULT_MODEL = Object.freeze({
+    version: 6,
+    points: Object.freeze({
+        BASE: 20,              // Having an En Passant account
+        GMAIL: 10,             // Gmail OAuth connected
+        GMAIL_AGE: 8,          // Gmail account age (full points at 5+ years)
+        GMAIL_ACTIVITY: 7,     // Total and recent email volume
+        LINKEDIN: 12,          // LinkedIn OAuth connected
+        LINKEDIN_AGE: 8,       // LinkedIn account age (full points at 5+ years)
+        LINKEDIN_NETWORK: 10,  // LinkedIn connections (full points at 500+)
+        GITHUB: 8,             // GitHub OAuth connected
+        GITHUB_AGE: 6,         // GitHub account age (full points at 5+ years)
+        GITHUB_ACTIVITY: 6,    // Public repositories and followers
+        MICROSOFT: 6,          // Microsoft OAuth connected
+        MICROSOFT_AGE: 4,      // Microsoft account age (work/school accounts only)
+        MICROSOFT_ACTIVITY: 4, // Mailbox size
+        APPLE: 5,              // Sign in with Apple connected
+        PHONE: 5,              // Phone number verified by SMS code
+        EDU_BONUS: 20,         // Educational institution email bonus
+        MARKETPLACE_SALES: 5   // Completed sales (full points at 10+ recent sales)
+    }),
+    penalties: Object.freeze({
+        NEW_ACCOUNT: 10,       // Per anchor account younger than 30 days
+        EMPTY_ACCOUNT: 10,     // Per anchor with (almost) no emails or connections
+        UPHELD_FLAG: 10,       // Per upheld flag against the user's listings
+        REJECTED_PRICE: 3,     // Per rejected price verification
+        FRAUD_REJECT: 15,      // Per receipt the fraud check recommended rejecting
+        FRAUD_REVIEW: 3,       // Per receipt the fraud check sent to manual review
+        STALE_ANCHOR: 50       // Percent of a stale anchor's points withheld (all of them once expired)
+    }),
+    maxScore: 100,
+    clearanceThresholds: Object.freeze({ PLAYER: 50, MASTER: 75, GRANDMASTER: 100 })
+});
+
+// === ANCHOR QUALITY TIERS ===
+// [minimum, fraction of the factor's points]
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_TIERS = [[5 * 365 * DAY_MS, 1], [2 * 365 * DAY_MS, 0.75], [365 * DAY_MS, 0.5], [90 * DAY_MS, 0.25]];
+const EMAIL_VOLUME_TIERS = [[1000, 1], [250, 0.75], [50, 0.5], [10, 0.25]];
+const RECENT_EMAIL_TIERS = [[20, 1], [5, 0.5], [1, 0.25]];
+const CONNECTION_TIERS = [[500, 1], [200, 0.75], [50, 0.5], [10, 0.25]];
+const REPO_TIERS = [[30, 1], [10, 0.75], [3, 0.5], [1, 0.25]];
+const FOLLOWER_TIERS = [[100, 1], [25, 0.75], [5, 0.5], [1, 0.25]];
+
+const NEW_ACCOUNT_MAX_AGE_MS = 30 * DAY_MS;
+
+// === ANCHOR STALENESS ===
+// OAuth anchors are re-verified in the background (anchorReverification.service.js);
+// one that hasn't been for STALE_ANCHOR_DAYS loses part of its points, and all
+// of them after EXPIRED_ANCHOR_DAYS
+export const STALE_ANCHOR_DAYS = 90;
+const EXPIRED_ANCHOR_DAYS = 180;
+const STALENESS_FACTORS = {
+    gmail: { name: 'Gmail', factors: ['gmail', 'gmail_age', 'gmail_activity'] },
+    linkedin: { name: 'LinkedIn', factors: ['linkedin', 'linkedin_age', 'linkedin_network'] },
+    github: { name: 'GitHub', factors: ['github', 'github_age', 'github_activity'] },
+    microsoft: { name: 'Microsoft', factors: ['microsoft', 'microsoft_age', 'microsoft_activity'] },
+    apple: { name: 'Apple', factors: ['apple'] }
 };
+export const STALENESS_PROVIDERS = Object.keys(STALENESS_FACTORS);
+const EMPTY_INBOX_MAX_EMAILS = 10;
+const EMPTY_NETWORK_MAX_CONNECTIONS = 10;
 
-const MAX_SCORE = 100;
+// === MARKETPLACE REPUTATION ===
+// Each event counts fully when new and half as much every half-life after
+const REPUTATION_HALF_LIFE_MS = 180 * DAY_MS;
+const SALES_TIERS = [[10, 1], [3, 0.5], [0.5, 0.2]];
+const REPUTATION_PENALTIES = [
+    ['upheldFlags', 'UPHELD_FLAG', 'upheld flag'],
+    ['rejectedPriceVerifications', 'REJECTED_PRICE', 'rejected price verification'],
+    ['fraudRejections', 'FRAUD_REJECT', 'fraud rejection'],
+    ['fraudReviews', 'FRAUD_REVIEW', 'fraud review']
+];
+
+let activeModel = DEFAULT_MODEL;
 
 // === CLEARANCE LEVELS ===
+// Levels and titles are fixed; each model sets the minimum score for each level
 const CLEARANCE_LEVELS = {
-    GRANDMASTER: { level: 4, title: 'Grandmaster', color: 'gold', minScore: 100 },
-    MASTER: { level: 3, title: 'Master', color: 'emerald', minScore: 75 },
-    PLAYER: { level: 2, title: 'Player', color: 'blue', minScore: 50 },
-    SPECTATOR: { level: 1, title: 'Spectator', color: 'gray', minScore: 0 }
+    GRANDMASTER: { level: 4, title: 'Grandmaster', color: 'gold' },
+    MASTER: { level: 3, title: 'Master', color: 'emerald' },
+    PLAYER: { level: 2, title: 'Player', color: 'blue' },
+    SPECTATOR: { level: 1, title: 'Spectator', color: 'gray' }
 };
 
+// === DISCLOSABLE PREDICATE CLAIMS ===
+// Selective-disclosure badges carry only these derived claims, never the score itself
+const DISCLOSABLE_CLAIMS = {
+    clearance_gte_player: {
+        description: 'Clearance is Player or higher',
+        test: ({ clearance }) => clearance.level >= CLEARANCE_LEVELS.PLAYER.level
+    },
+    clearance_gte_master: {
+        description: 'Clearance is Master or higher',
+        test: ({ clearance }) => clearance.level >= CLEARANCE_LEVELS.MASTER.level
+    },
+    clearance_gte_grandmaster: {
+        description: 'Clearance is Grandmaster',
+        test: ({ clearance }) => clearance.level >= CLEARANCE_LEVELS.GRANDMASTER.level
+    },
+    has_edu_anchor: {
+        description: 'Has a verified .edu anchor',
+        test: ({ eduVerified }) => eduVerified
+    },
+    has_gmail_anchor: {
+        description: 'Has a connected Gmail anchor',
+        test: ({ anchors }) => anchors.some(a => a.provider === 'gmail')
+    },
+    has_linkedin_anchor: {
+        description: 'Has a connected LinkedIn anchor',
+        test: ({ anchors }) => anchors.some(a => a.provider === 'linkedin')
+    },
+    has_github_anchor: {
+        description: 'Has a connected GitHub anchor',
+        test: ({ anchors }) => anchors.some(a => a.provider === 'github')
+    }
+};
+
+/**
+ * Install the scoring model used by calculateTrustScore and getClearanceLevel
+ *
+ * @param {Object} model - { version, points, maxScore, clearanceThresholds }
+ */
+export function setActiveModel(model) {
+    activeModel = model;
+}
+
+/**
+ * Get the scoring model currently in use
+ */
+export function getActiveModel() {
+    return activeModel;
+}
+
 /**
  * Get clearance level based on EP Score
  *
  * @param {number} score - EP Score (0-100)
- * @returns {Object} { level, title, color }
+ * @param {Object} [model] - Scoring model (default: active model)
+ * @returns {Object} { level, title, color, minScore }
  */
-export function getClearanceLevel(score) {
-    if (score >= 100) return CLEARANCE_LEVELS.GRANDMASTER;
-    if (score >= 75) return CLEARANCE_LEVELS.MASTER;
-    if (score >= 50) return CLEARANCE_LEVELS.PLAYER;
-    return CLEARANCE_LEVELS.SPECTATOR;
+export function getClearanceLevel(score, model = activeModel) {
+    const thresholds = model.clearanceThresholds;
+
+    if (score >= thresholds.GRANDMASTER) return { ...CLEARANCE_LEVELS.GRANDMASTER, minScore: thresholds.GRANDMASTER };
+    if (score >= thresholds.MASTER) return { ...CLEARANCE_LEVELS.MASTER, minScore: thresholds.MASTER };
+    if (score >= thresholds.PLAYER) return { ...CLEARANCE_LEVELS.PLAYER, minScore: thresholds.PLAYER };
+    return { ...CLEARANCE_LEVELS.SPECTATOR, minScore: 0 };
+}
+
+/**
+ * Get a clearance level by number, with the model's minimum score
+ */
+export function getClearanceByLevel(level, model = activeModel) {
+    const [key, clearance] = Object.entries(CLEARANCE_LEVELS).find(([, c]) => c.level === level);
+    return { ...clearance, minScore: model.clearanceThresholds[key] || 0 };
 }
 
 /**
@@ -60,61 +205,395 @@ export function isEducationalEmail(email) {
 }
 
 /**
- * Calculate trust score from identity anchors
+ * Calculate trust score from identity anchors and marketplace reputation
+ *
+ * Each anchor earns points for being connected plus graduated points for its
+ * quality (account age, email activity, network size). Brand-new and empty
+ * accounts are penalized. Every factor appears in the breakdown; unknown
+ * data (e.g. no account creation date) earns no quality points and no penalty.
+ * Quality data is only known when it came from the provider: anchors
+ * connected with caller-supplied data score as connected, with unknown quality.
+ *
+ * Marketplace reputation is a single breakdown entry that can go negative,
+ * so a bad marketplace record lowers the score and with it the clearance.
  *
  * @param {Array} anchors - Array of identity anchor objects
- * @returns {Object} { score: number, breakdown: Object, eduVerified: boolean }
+ * @param {Object} [model] - Scoring model (default: active model)
+ * @param {Object} [reputation] - Signals from reputationService.getReputation()
+ * @returns {Object} { score, breakdown, eduVerified, clearance, modelVersion }
  */
-export function calculateTrustScore(anchors) {
+export function calculateTrustScore(anchors, model = activeModel, reputation = null) {
+    const points = model.points;
+    const penalties = model.penalties || {};
     const breakdown = {
-        base: { score: POINTS.BASE, label: 'En Passant Account' },
-        gmail: { score: 0, label: 'Gmail Connected' },
-        linkedin: { score: 0, label: 'LinkedIn Connected' },
-        edu_bonus: { score: 0, label: '.edu Email Verified' }
+        base: { score: points.BASE, max: points.BASE, label: 'En Passant Account' },
+        gmail: { score: 0, max: points.GMAIL, label: 'Gmail Connected' },
+        gmail_age: { score: 0, max: points.GMAIL_AGE || 0, label: 'Gmail Account Age', details: 'Not connected' },
+        gmail_activity: { score: 0, max: points.GMAIL_ACTIVITY || 0, label: 'Gmail Activity', details: 'Not connected' },
+        linkedin: { score: 0, max: points.LINKEDIN, label: 'LinkedIn Connected' },
+        linkedin_age: { score: 0, max: points.LINKEDIN_AGE || 0, label: 'LinkedIn Account Age', details: 'Not connected' },
+        linkedin_network: { score: 0, max: points.LINKEDIN_NETWORK || 0, label: 'LinkedIn Network', details: 'Not connected' },
+        github: { score: 0, max: points.GITHUB || 0, label: 'GitHub Connected' },
+        github_age: { score: 0, max: points.GITHUB_AGE || 0, label: 'GitHub Account Age', details: 'Not connected' },
+        github_activity: { score: 0, max: points.GITHUB_ACTIVITY || 0, label: 'GitHub Activity', details: 'Not connected' },
+        microsoft: { score: 0, max: points.MICROSOFT || 0, label: 'Microsoft Connected' },
+        microsoft_age: { score: 0, max: points.MICROSOFT_AGE || 0, label: 'Microsoft Account Age', details: 'Not connected' },
+        microsoft_activity: { score: 0, max: points.MICROSOFT_ACTIVITY || 0, label: 'Microsoft Mailbox', details: 'Not connected' },
+        apple: { score: 0, max: points.APPLE || 0, label: 'Apple Connected' },
+        phone: { score: 0, max: points.PHONE || 0, label: 'Phone Verified' },
+        edu_bonus: { score: 0, max: points.EDU_BONUS, label: '.edu Email Verified' },
+        new_account_penalty: { score: 0, label: 'Brand-New Account Penalty', details: 'None' },
+        empty_account_penalty: { score: 0, label: 'Empty Account Penalty', details: 'None' },
+        stale_anchor_penalty: { score: 0, label: 'Stale Anchor Penalty', details: 'None' },
+        marketplace_reputation: scoreReputation(reputation, model)
     };
 
     let eduVerified = false;
+    const newAccounts = [];
+    const emptyAccounts = [];
 
     if (anchors && anchors.length > 0) {
+        const proven = anchors.map(withProvenQuality);
+
         // Gmail connected?
-        const gmail = anchors.find(a => a.provider === 'gmail');
+        const gmail = proven.find(a => a.provider === 'gmail');
         if (gmail) {
-            breakdown.gmail.score = POINTS.GMAIL;
+            breakdown.gmail.score = points.GMAIL;
+
+            const ageMs = getAccountAgeMs(gmail.account_created_at || gmail.metadata?.oldest_email_date);
+            Object.assign(breakdown.gmail_age, scoreTier(ageMs, AGE_TIERS, breakdown.gmail_age.max, describeAge(ageMs)));
+
+            const totalEmails = toCount(gmail.metadata?.email_count);
+            const recentEmails = toCount(gmail.metadata?.recent_email_count);
+            breakdown.gmail_activity.score = Math.round(breakdown.gmail_activity.max * (
+                0.6 * tierFraction(totalEmails, EMAIL_VOLUME_TIERS) + 0.4 * tierFraction(recentEmails, RECENT_EMAIL_TIERS)
+            ));
+            breakdown.gmail_activity.details = totalEmails === null
+                ? 'Email activity unknown'
+                : `${totalEmails} emails, ${recentEmails ?? 0} in the last 30 days`;
 
-            // Check for .edu email bonus
-            if (gmail.is_edu_verified) {
-                breakdown.edu_bonus.score = POINTS.EDU_BONUS;
-                eduVerified = true;
-            }
+            if (ageMs !== null && ageMs < NEW_ACCOUNT_MAX_AGE_MS) newAccounts.push('Gmail');
+            if (totalEmails !== null && totalEmails < EMPTY_INBOX_MAX_EMAILS) emptyAccounts.push('Gmail');
         }
 
         // LinkedIn connected?
-        const linkedin = anchors.find(a => a.provider === 'linkedin');
+        const linkedin = proven.find(a => a.provider === 'linkedin');
         if (linkedin) {
-            breakdown.linkedin.score = POINTS.LINKEDIN;
+            breakdown.linkedin.score = points.LINKEDIN;
+
+            const ageMs = getAccountAgeMs(linkedin.account_created_at);
+            Object.assign(breakdown.linkedin_age, scoreTier(ageMs, AGE_TIERS, breakdown.linkedin_age.max, describeAge(ageMs)));
+
+            const connections = toCount(linkedin.connection_count);
+            Object.assign(breakdown.linkedin_network, scoreTier(
+                connections, CONNECTION_TIERS, breakdown.linkedin_network.max,
+                connections === null ? 'Connection count unknown' : `${connections} connections`
+            ));
+
+            if (ageMs !== null && ageMs < NEW_ACCOUNT_MAX_AGE_MS) newAccounts.push('LinkedIn');
+            if (connections !== null && connections < EMPTY_NETWORK_MAX_CONNECTIONS) emptyAccounts.push('LinkedIn');
+        }
+
+        // GitHub connected?
+        const github = proven.find(a => a.provider === 'github');
+        if (github) {
+            breakdown.github.score = points.GITHUB || 0;
+
+            const ageMs = getAccountAgeMs(github.account_created_at);
+            Object.assign(breakdown.github_age, scoreTier(ageMs, AGE_TIERS, breakdown.github_age.max, describeAge(ageMs)));
+
+            const repos = toCount(github.metadata?.public_repos);
+            const followers = toCount(github.metadata?.followers);
+            breakdown.github_activity.score = Math.round(breakdown.github_activity.max * (
+                0.5 * tierFraction(repos, REPO_TIERS) + 0.5 * tierFraction(followers, FOLLOWER_TIERS)
+            ));
+            breakdown.github_activity.details = repos === null
+                ? 'GitHub activity unknown'
+                : `${repos} public repos, ${followers ?? 0} followers`;
+
+            if (ageMs !== null && ageMs < NEW_ACCOUNT_MAX_AGE_MS) newAccounts.push('GitHub');
+            if (repos === 0 && followers === 0) emptyAccounts.push('GitHub');
+        }
+
+        // Microsoft connected?
+        const microsoft = proven.find(a => a.provider === 'microsoft');
+        if (microsoft) {
+            breakdown.microsoft.score = points.MICROSOFT || 0;
+
+            const ageMs = getAccountAgeMs(microsoft.account_created_at);
+            Object.assign(breakdown.microsoft_age, scoreTier(ageMs, AGE_TIERS, breakdown.microsoft_age.max, describeAge(ageMs)));
+
+            const totalEmails = toCount(microsoft.metadata?.email_count);
+            Object.assign(breakdown.microsoft_activity, scoreTier(
+                totalEmails, EMAIL_VOLUME_TIERS, breakdown.microsoft_activity.max,
+                totalEmails === null ? 'Mailbox size unknown' : `${totalEmails} emails`
+            ));
+
+            if (ageMs !== null && ageMs < NEW_ACCOUNT_MAX_AGE_MS) newAccounts.push('Microsoft');
+            if (totalEmails !== null && totalEmails < EMPTY_INBOX_MAX_EMAILS) emptyAccounts.push('Microsoft');
         }
+
+        // Apple connected? (Apple shares no account age or activity)
+        if (anchors.some(a => a.provider === 'apple')) {
+            breakdown.apple.score = points.APPLE || 0;
+        }
+
+        // .edu bonus: a .edu Gmail address or an institution email proven by magic link
+        if (anchors.some(a => (a.provider === 'gmail' || a.provider === 'institution') && a.is_edu_verified)) {
+            breakdown.edu_bonus.score = points.EDU_BONUS;
+            eduVerified = true;
+        }
+
+        // Phone number verified?
+        if (anchors.some(a => a.provider === 'phone')) {
+            breakdown.phone.score = points.PHONE || 0;
+        }
+    }
+
+    if (newAccounts.length > 0) {
+        breakdown.new_account_penalty.score = -(penalties.NEW_ACCOUNT || 0) * newAccounts.length;
+        breakdown.new_account_penalty.details = `Created in the last 30 days: ${newAccounts.join(', ')}`;
     }
 
-    const score = Math.min(
-        breakdown.base.score + breakdown.gmail.score + breakdown.linkedin.score + breakdown.edu_bonus.score,
-        MAX_SCORE
-    );
+    if (emptyAccounts.length > 0) {
+        breakdown.empty_account_penalty.score = -(penalties.EMPTY_ACCOUNT || 0) * emptyAccounts.length;
+        breakdown.empty_account_penalty.details = `Little or no activity: ${emptyAccounts.join(', ')}`;
+    }
+
+    Object.assign(breakdown.stale_anchor_penalty, scoreStaleness(anchors || [], breakdown, penalties));
+
+    const total = Object.values(breakdown).reduce((sum, factor) => sum + factor.score, 0);
+    const score = Math.max(0, Math.min(total, model.maxScore));
 
-    const clearance = getClearanceLevel(score);
+    const clearance = getClearanceLevel(score, model);
+
+    return { score, breakdown, eduVerified, clearance, modelVersion: model.version };
+}
+
+/**
+ * Withhold points from OAuth anchors that haven't been re-verified recently:
+ * STALE_ANCHOR percent of the anchor's points once stale, all of them once
+ * expired. Anchors with no verification date are treated as fresh.
+ */
+function scoreStaleness(anchors, breakdown, penalties) {
+    const percent = penalties.STALE_ANCHOR || 0;
+    if (percent === 0) {
+        return { score: 0, details: 'None' };
+    }
 
-    return { score, breakdown, eduVerified, clearance };
+    const stale = [];
+    let withheld = 0;
+
+    for (const anchor of anchors) {
+        const staleness = STALENESS_FACTORS[anchor.provider];
+        const ageMs = getAccountAgeMs(anchor.last_verified_at || anchor.connected_at);
+        if (!staleness || ageMs === null || ageMs < STALE_ANCHOR_DAYS * DAY_MS) continue;
+
+        const fraction = ageMs >= EXPIRED_ANCHOR_DAYS * DAY_MS ? 1 : percent / 100;
+        const earned = staleness.factors.reduce((sum, factor) => sum + breakdown[factor].score, 0);
+
+        withheld += Math.round(earned * fraction);
+        stale.push(`${staleness.name} not re-verified in ${Math.floor(ageMs / DAY_MS)} days`);
+    }
+
+    if (stale.length === 0) {
+        return { score: 0, details: 'None' };
+    }
+
+    return { score: -withheld || 0, details: stale.join(', ') };
+}
+
+/**
+ * Score marketplace history: sales earn up to MARKETPLACE_SALES points,
+ * each flag, rejection and fraud recommendation deducts its penalty, and
+ * every event is weighted by its age
+ */
+function scoreReputation(reputation, model) {
+    const max = model.points.MARKETPLACE_SALES || 0;
+    const penalties = model.penalties || {};
+    const entry = { score: 0, max, label: 'Marketplace Reputation', details: 'No marketplace history' };
+
+    if (!reputation) {
+        return entry;
+    }
+
+    const now = Date.now();
+    const parts = [];
+    let score = 0;
+
+    const sales = reputation.sales || [];
+    if (sales.length > 0) {
+        score += max * tierFraction(decayedCount(sales, now), SALES_TIERS);
+        parts.push(pluralize(sales.length, 'completed sale'));
+    }
+
+    for (const [key, penalty, noun] of REPUTATION_PENALTIES) {
+        const events = reputation[key] || [];
+        if (events.length > 0) {
+            score -= (penalties[penalty] || 0) * decayedCount(events, now);
+            parts.push(pluralize(events.length, noun));
+        }
+    }
+
+    if (parts.length > 0) {
+        entry.score = Math.max(-model.maxScore, Math.round(score)) || 0;  // Fully decayed: 0, not -0
+        entry.details = `${parts.join(', ')} (older events count less)`;
+    }
+
+    return entry;
+}
+
+/**
+ * Sum of event weights, each halving every REPUTATION_HALF_LIFE_MS
+ */
+function decayedCount(dates, now) {
+    return dates.reduce((sum, date) => {
+        const ageMs = Math.max(0, now - new Date(date).getTime());
+        return sum + Math.pow(0.5, ageMs / REPUTATION_HALF_LIFE_MS);
+    }, 0);
+}
+
+function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Fraction of a factor's points earned by a value, from [minimum, fraction] tiers
+ */
+function tierFraction(value, tiers) {
+    if (value === null || value === undefined) return 0;
+    const tier = tiers.find(([minimum]) => value >= minimum);
+    return tier ? tier[1] : 0;
+}
+
+/**
+ * Drop quality data the caller could have made up (anchors without verified_via)
+ */
+function withProvenQuality(anchor) {
+    if (anchor.verified_via) {
+        return anchor;
+    }
+    return { ...anchor, account_created_at: null, connection_count: null, metadata: {} };
+}
+
+function scoreTier(value, tiers, max, details) {
+    return { score: Math.round(max * tierFraction(value, tiers)), details };
+}
+
+function getAccountAgeMs(createdAt) {
+    if (!createdAt) return null;
+    const created = new Date(createdAt).getTime();
+    return Number.isNaN(created) ? null : Math.max(0, Date.now() - created);
+}
+
+function toCount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) ? null : count;
+}
+
+function describeAge(ageMs) {
+    if (ageMs === null) return 'Account age unknown';
+    const years = ageMs / (365 * DAY_MS);
+    return years >= 1
+        ? `${years.toFixed(1)} years old`
+        : `${Math.floor(ageMs / DAY_MS)} days old`;
+}
+
+/**
+ * Check a user's anchors and clearance against a vertical's badge requirements
+ *
+ * @param {string} vertical - Vertical name (tickets, apartments, jobs, dating, freelance)
+ * @param {Array} anchors - Array of identity anchor objects
+ * @param {Object} clearance - Clearance from getClearanceLevel()
+ * @returns {Object} { eligible: boolean, unmet: Array<string> }
+ */
+export function checkVerticalRequirements(vertical, anchors, clearance) {
+    const requirements = VERTICALS[vertical];
+    if (!requirements) {
+        return { eligible: false, unmet: [`Unknown vertical: ${vertical}. Supported: ${VERTICAL_NAMES.join(', ')}`] };
+    }
+
+    const unmet = [];
+
+    if (clearance.level < requirements.minClearance) {
+        const required = getClearanceByLevel(requirements.minClearance);
+        unmet.push(`Requires ${required.title} clearance (EP Score ${required.minScore}+); current clearance is ${clearance.title}`);
+    }
+
+    // An array entry is satisfied by any one of its providers
+    const connected = new Set((anchors || []).map(a => a.provider));
+    for (const requirement of requirements.requiredAnchors) {
+        const providers = [].concat(requirement);
+        if (!providers.some(provider => connected.has(provider))) {
+            unmet.push(`Requires a connected ${providers.join(' or ')} anchor`);
+        }
+    }
+
+    return { eligible: unmet.length === 0, unmet };
+}
+
+/**
+ * Evaluate predicate claims for a selective-disclosure badge
+ *
+ * Only claims that hold are returned; asking for a claim the user does not
+ * satisfy is reported in unmet rather than disclosed as false.
+ *
+ * @param {Array<string>} claimNames - Claims to disclose (see getDisclosableClaims)
+ * @param {Array} anchors - Array of identity anchor objects
+ * @param {Object} [reputation] - Signals from reputationService.getReputation()
+ * @returns {Object} { claims: Object<string, true>, unmet: Array<string> }
+ */
+export function evaluateClaims(claimNames, anchors, reputation = null) {
+    const { eduVerified, clearance } = calculateTrustScore(anchors, activeModel, reputation);
+    const context = { anchors: anchors || [], eduVerified, clearance };
+
+    const claims = {};
+    const unmet = [];
+
+    for (const name of claimNames) {
+        const claim = DISCLOSABLE_CLAIMS[name];
+        if (!claim) {
+            unmet.push(`Unknown claim: ${name}`);
+        } else if (claim.test(context)) {
+            claims[name] = true;
+        } else {
+            unmet.push(`Claim not satisfied: ${name} (${claim.description})`);
+        }
+    }
+
+    return { claims, unmet };
+}
+
+/**
+ * Get the predicate claims available for selective disclosure
+ */
+export function getDisclosableClaims() {
+    return Object.entries(DISCLOSABLE_CLAIMS).map(([name, claim]) => ({
+        name,
+        description: claim.description
+    }));
 }
 
 /**
  * Get the current scoring weights (for transparency)
  */
 export function getScoringWeights() {
-    return { ...POINTS };
+    return { ...activeModel.points };
 }
 
 export default {
+    DEFAULT_MODEL,
+    setActiveModel,
+    getActiveModel,
     calculateTrustScore,
     getScoringWeights,
     getClearanceLevel,
-    isEducationalEmail
+    getClearanceByLevel,
+    isEducationalEmail,
+    checkVerticalRequirements,
+    evaluateClaims,
+    getDisclosableClaims,
+    STALE_ANCHOR_DAYS,
+    STALENESS_PROVIDERS
 };
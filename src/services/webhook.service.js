@@ -0,0 +1,528 @@
+/**
+ * Webhook Service
+ *
+ * Tells verifier platforms when a badge they verified stops being valid, so
+ * they don't have to poll POST /api/badges/verify.
+ *
+ * Events are queued in webhook_deliveries for every active subscription of a
+ * platform that has verified the badge, then delivered by the background job
+ * with exponential backoff. Each delivery is signed with either the
+ * subscription's HMAC secret or the badge signing key (Ed25519).
+ *
+ * Webhook hosts must resolve to public addresses. The check runs when a
+ * subscription is created and again on every connection, so a host can't
+ * be re-pointed at loopback, the private network or the cloud metadata
+ * service after registering (DNS rebinding).
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import db from '../db/index.js';
+import config from '../config/index.js';
+import cryptoService from './crypto.service.js';
+import { ValidationError } from './auth.service.js';
+
+export const WEBHOOK_EVENTS = ['badge.revoked', 'badge.expired'];
+
+const SIGNING_METHODS = ['hmac', 'ed25519'];
+const SECRET_PREFIX = 'whsec_';
+const MAX_SUBSCRIPTIONS_PER_PLATFORM = 10;
+
+const MAX_ATTEMPTS = 10;
+const BASE_RETRY_DELAY_MS = 30 * 1000;          // 30s, 1m, 2m, 4m, ...
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;  // capped at 6 hours
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Subscribe a platform to badge events
+ *
+ * @param {string} platformId - Verifier platform UUID
+ * @param {Object} data - { url, events, signingMethod }
+ * @returns {Promise<Object>} { subscription, secret } - secret is only returned here (HMAC only)
+ */
+export async function createSubscription(platformId, data) {
+    const url = await validateUrl(data.url);
+    const events = validateEvents(data.events);
+    const signingMethod = data.signingMethod || 'hmac';
+
+    if (!SIGNING_METHODS.includes(signingMethod)) {
+        throw new ValidationError(`signingMethod must be one of: ${SIGNING_METHODS.join(', ')}`);
+    }
+
+    const existing = await db.query(
+        'SELECT COUNT(*) as count FROM webhook_subscriptions WHERE platform_id = $1',
+        [platformId]
+    );
+    if (parseInt(existing.rows[0].count, 10) >= MAX_SUBSCRIPTIONS_PER_PLATFORM) {
+        throw new ValidationError(`A platform can have at most ${MAX_SUBSCRIPTIONS_PER_PLATFORM} webhooks`);
+    }
+
+    const secret = signingMethod === 'hmac'
+        ? SECRET_PREFIX + crypto.randomBytes(24).toString('hex')
+        : null;
+
+    const result = await db.query(
+        `INSERT INTO webhook_subscriptions (platform_id, url, events, signing_method, secret)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [platformId, url, events, signingMethod, secret]
+    );
+
+    return { subscription: formatSubscription(result.rows[0]), secret };
+}
+
+/**
+ * List a platform's webhook subscriptions
+ *
+ * @param {string} platformId - Verifier platform UUID
+ * @returns {Promise<Array>} Subscriptions (without secrets)
+ */
+export async function getSubscriptions(platformId) {
+    const result = await db.query(
+        `SELECT * FROM webhook_subscriptions
+         WHERE platform_id = $1
+         ORDER BY created_at DESC`,
+        [platformId]
+    );
+
+    return result.rows.map(formatSubscription);
+}
+
+/**
+ * Delete a webhook subscription (and its delivery log)
+ *
+ * @param {string} platformId - Verifier platform UUID
+ * @param {string} subscriptionId - Subscription UUID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteSubscription(platformId, subscriptionId) {
+    const result = await db.query(
+        'DELETE FROM webhook_subscriptions WHERE id = $1 AND platform_id = $2',
+        [subscriptionId, platformId]
+    );
+
+    return result.rowCount > 0;
+}
+
+/**
+ * Get the delivery log for a subscription
+ *
+ * @param {string} platformId - Verifier platform UUID
+ * @param {string} subscriptionId - Subscription UUID
+ * @param {number} [limit] - Max deliveries to return (default 50)
+ * @returns {Promise<Array|null>} Deliveries, newest first, or null if the subscription is not found
+ */
+export async function getDeliveries(platformId, subscriptionId, limit = 50) {
+    const subscription = await db.query(
+        'SELECT id FROM webhook_subscriptions WHERE id = $1 AND platform_id = $2',
+        [subscriptionId, platformId]
+    );
+
+    if (subscription.rows.length === 0) {
+        return null;
+    }
+
+    const result = await db.query(
+        `SELECT id, event_type, payload, status, attempts, next_attempt_at,
+                last_status_code, last_error, created_at, delivered_at
+         FROM webhook_deliveries
+         WHERE subscription_id = $1
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [subscriptionId, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]
+    );
+
+    return result.rows.map(row => ({
+        id: row.id,
+        eventType: row.event_type,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    }));
+}
+
+/**
+ * Queue an event for every platform that has verified the given badges
+ *
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Array<string>} badgeIds - auth_badges UUIDs
+ * @param {Object} [client] - Database client, to queue inside a transaction
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function notifyBadgeEvent(eventType, badgeIds, client = db) {
+    if (!badgeIds || badgeIds.length === 0) {
+        return 0;
+    }
+
+    // badge_verifications.platform_id holds verifier_platforms.id as text
+    const result = await client.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+         SELECT s.id, $1, jsonb_build_object(
+             'badge_token', b.badge_token,
+             'vertical', b.vertical,
+             'reason', b.revocation_reason,
+             'revoked_at', b.revoked_at,
+             'expires_at', b.expires_at
+         )
+         FROM auth_badges b
+         JOIN (SELECT DISTINCT badge_id, platform_id
+               FROM badge_verifications
+               WHERE badge_id = ANY($2) AND platform_id IS NOT NULL) v ON v.badge_id = b.id
+         JOIN webhook_subscriptions s ON s.platform_id::text = v.platform_id
+         JOIN verifier_platforms p ON p.id = s.platform_id
+         WHERE s.is_active = TRUE AND p.is_active = TRUE AND $1 = ANY(s.events)`,
+        [eventType, badgeIds]
+    );
+
+    return result.rowCount;
+}
+
+/**
+ * Announce badges that have expired since the last sweep
+ *
+ * Revoked badges are marked too but not announced again (badge.revoked already went out).
+ * Badges are only marked if their deliveries are queued in the same transaction.
+ *
+ * @returns {Promise<number>} Number of expired badges announced
+ */
+export async function sweepExpiredBadges() {
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE auth_badges
+             SET expiry_notified_at = CURRENT_TIMESTAMP
+             WHERE expires_at <= CURRENT_TIMESTAMP AND expiry_notified_at IS NULL
+             RETURNING id, revoked_at`
+        );
+
+        const expiredIds = result.rows.filter(row => !row.revoked_at).map(row => row.id);
+        await notifyBadgeEvent('badge.expired', expiredIds, client);
+
+        return expiredIds.length;
+    });
+}
+
+/**
+ * Attempt every delivery that is due
+ *
+ * Rows are leased by pushing next_attempt_at forward before sending, so
+ * overlapping runs (or several API instances) never send the same delivery twice.
+ *
+ * @returns {Promise<Object>} { delivered, retrying, failed }
+ */
+export async function deliverDueWebhooks() {
+    const due = await db.query(
+        `UPDATE webhook_deliveries d
+         SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '5 minutes'
+         FROM webhook_subscriptions s
+         WHERE s.id = d.subscription_id
+           AND d.id IN (
+               SELECT id FROM webhook_deliveries
+               WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+               ORDER BY next_attempt_at ASC
+               LIMIT $1
+               FOR UPDATE SKIP LOCKED
+           )
+         RETURNING d.*, s.url, s.signing_method, s.secret, s.is_active`,
+        [DELIVERY_BATCH_SIZE]
+    );
+
+    const summary = { delivered: 0, retrying: 0, failed: 0 };
+
+    for (const delivery of due.rows) {
+        const outcome = delivery.is_active
+            ? await sendDelivery(delivery)
+            : { ok: false, statusCode: null, error: 'Subscription is disabled', final: true };
+
+        const status = await recordAttempt(delivery, outcome);
+        summary[status === 'pending' ? 'retrying' : status]++;
+    }
+
+    return summary;
+}
+
+/**
+ * POST one delivery to the subscriber
+ */
+async function sendDelivery(delivery) {
+    const body = JSON.stringify({
+        id: delivery.id,
+        type: delivery.event_type,
+        created_at: delivery.created_at,
+        data: delivery.payload
+    });
+
+    try {
+        const headers = await buildSignatureHeaders(delivery, body);
+        const statusCode = await postToPublicHost(delivery.url, headers, body);
+
+        return statusCode >= 200 && statusCode < 300
+            ? { ok: true, statusCode }
+            : { ok: false, statusCode, error: `HTTP ${statusCode}` };
+    } catch (err) {
+        return { ok: false, statusCode: null, error: err.message };
+    }
+}
+
+/**
+ * POST a body and resolve to the response status (redirects aren't followed)
+ *
+ * The connection only goes to an address that passed the public address
+ * check, so the host can't switch to a private one between check and use.
+ */
+async function postToPublicHost(value, headers, body) {
+    const url = new URL(value);
+
+    // IP literals never reach the lookup hook
+    if (net.isIP(hostOf(url))) {
+        await resolvePublicHost(hostOf(url));
+    }
+
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = transport.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            // A fresh connection per delivery, so every delivery is checked
+            agent: false,
+            lookup: lookupPublicHost,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Resolve a host, refusing it if any of its addresses isn't public
+ *
+ * @param {string} host - Hostname or IP literal
+ * @returns {Promise<Array>} [{ address, family }]
+ */
+async function resolvePublicHost(host) {
+    const family = net.isIP(host);
+    const addresses = family
+        ? [{ address: host, family }]
+        : await dns.promises.lookup(host, { all: true });
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new ValidationError('Webhook URLs must point to a public address');
+    }
+
+    return addresses;
+}
+
+// net/http lookup hook: dns.lookup, restricted to public addresses
+function lookupPublicHost(hostname, options, callback) {
+    resolvePublicHost(hostname).then(
+        addresses => options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family),
+        callback
+    );
+}
+
+function hostOf(url) {
+    // IPv6 literals keep their brackets in URL.hostname
+    return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * a public internet address
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) {
+        return true;
+    }
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Store the outcome of an attempt and schedule the retry if needed
+ *
+ * @returns {Promise<string>} New status: delivered, pending or failed
+ */
+async function recordAttempt(delivery, outcome) {
+    const attempts = delivery.attempts + 1;
+
+    if (outcome.ok) {
+        await db.query(
+            `UPDATE webhook_deliveries
+             SET status = 'delivered', attempts = $1, last_status_code = $2, last_error = NULL,
+                 delivered_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [attempts, outcome.statusCode, delivery.id]
+        );
+        return 'delivered';
+    }
+
+    const status = outcome.final || attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    const nextAttemptAt = new Date(Date.now() + getRetryDelayMs(attempts));
+
+    await db.query(
+        `UPDATE webhook_deliveries
+         SET status = $1, attempts = $2, last_status_code = $3, last_error = $4, next_attempt_at = $5
+         WHERE id = $6`,
+        [status, attempts, outcome.statusCode, (outcome.error || '').substring(0, 500), nextAttemptAt, delivery.id]
+    );
+
+    return status;
+}
+
+/**
+ * Delay before the next attempt after a failed one (exponential, capped)
+ *
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelayMs(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Compute the HMAC signature header value for a delivery
+ *
+ * Subscribers recompute HMAC-SHA256(secret, "<timestamp>.<raw body>") and
+ * compare it to the v1 value of X-EnPassant-Signature.
+ *
+ * @param {string} secret - Subscription secret (whsec_...)
+ * @param {number} timestamp - Unix timestamp sent in X-EnPassant-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC
+ */
+export function computeHmacSignature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the event and signature headers for a delivery
+ *
+ * Ed25519 deliveries sign "<timestamp>.<raw body>" with the badge signing key;
+ * subscribers verify against the key in GET /api/badges/keys named by X-EnPassant-Key-Id.
+ */
+async function buildSignatureHeaders(delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EnPassant-Webhooks/1.0',
+        'X-EnPassant-Event': delivery.event_type,
+        'X-EnPassant-Delivery': delivery.id,
+        'X-EnPassant-Timestamp': String(timestamp)
+    };
+
+    if (delivery.signing_method === 'ed25519') {
+        headers['X-EnPassant-Signature'] = `ed25519=${await cryptoService.signMessage(`${timestamp}.${body}`)}`;
+        headers['X-EnPassant-Key-Id'] = cryptoService.getPublicKeyId();
+    } else {
+        headers['X-EnPassant-Signature'] = `v1=${computeHmacSignature(delivery.secret, timestamp, body)}`;
+    }
+
+    return headers;
+}
+
+async function validateUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        throw new ValidationError('url must be a valid URL');
+    }
+
+    const allowedProtocols = config.isProduction ? ['https:'] : ['https:', 'http:'];
+    if (!allowedProtocols.includes(url.protocol)) {
+        throw new ValidationError('Webhook URLs must use https');
+    }
+
+    if (url.href.length > 500) {
+        throw new ValidationError('url must be at most 500 characters');
+    }
+
+    try {
+        await resolvePublicHost(hostOf(url));
+    } catch (err) {
+        if (err instanceof ValidationError) {
+            throw err;
+        }
+        throw new ValidationError(`Could not resolve ${url.hostname}`);
+    }
+
+    return url.href;
+}
+
+function validateEvents(events) {
+    if (events === undefined || events === null) {
+        return WEBHOOK_EVENTS;
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new ValidationError('events must be a non-empty array');
+    }
+
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    return [...new Set(events)];
+}
+
+/**
+ * Format subscription for API response (never includes the secret)
+ */
+function formatSubscription(row) {
+    return {
+        id: row.id,
+        platformId: row.platform_id,
+        url: row.url,
+        events: row.events,
+        signingMethod: row.signing_method,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    WEBHOOK_EVENTS,
+    createSubscription,
+    getSubscriptions,
+    deleteSubscription,
+    getDeliveries,
+    notifyBadgeEvent,
+    sweepExpiredBadges,
+    deliverDueWebhooks,
+    getRetryDelayMs,
+    computeHmacSignature,
+    isBlockedAddress
+};
@@ -0,0 +1,76 @@
+/**
+ * Anchor Re-verification Service Tests
+ */
+
+import anchorReverificationService from '../src/services/anchorReverification.service.js';
+const realFetch = global.fetch;
+
+afterEach(() => {
+    global.fetch = realFetch;
+});
+
+// Answer GitHub API calls by path
+function stubGitHub(responses) {
+    global.fetch = async (url) => {
+        const { status = 200, body } = responses[new URL(url).pathname];
+        return { ok: status < 300, status, json: async () => body };
+    };
+}
+
+const githubAnchor = {
+    provider: 'github',
+    provider_user_id: '42',
+    email_address: 'octo@example.com',
+    metadata: { access_token: 'gho_test' }
+};
+
+describe('Anchor Re-verification Service', () => {
+    describe('reverifyAnchor', () => {
+        it('cannot re-verify anchors without a stored token', async () => {
+            expect((await anchorReverificationService.reverifyAnchor({ provider: 'apple', metadata: {} })).status)
+                .toBe('unsupported');
+            expect((await anchorReverificationService.reverifyAnchor({ provider: 'gmail', metadata: {} })).status)
+                .toBe('unsupported');
+        });
+
+        it('verifies an unchanged GitHub account', async () => {
+            stubGitHub({
+                '/user': { body: { id: 42 } },
+                '/user/emails': { body: [{ email: 'Octo@example.com', primary: true, verified: true }] }
+            });
+
+            expect((await anchorReverificationService.reverifyAnchor(githubAnchor)).status).toBe('verified');
+        });
+
+        it('flags a changed email address', async () => {
+            stubGitHub({
+                '/user': { body: { id: 42 } },
+                '/user/emails': { body: [{ email: 'someone-else@example.com', primary: true, verified: true }] }
+            });
+
+            const outcome = await anchorReverificationService.reverifyAnchor(githubAnchor);
+            expect(outcome).toEqual({ status: 'changed', error: 'Email address changed' });
+        });
+
+        it('treats a rejected token as revoked and a server error as transient', async () => {
+            stubGitHub({ '/user': { status: 401, body: { message: 'Bad credentials' } } });
+            expect((await anchorReverificationService.reverifyAnchor(githubAnchor)).status).toBe('revoked');
+
+            stubGitHub({ '/user': { status: 502, body: null } });
+            expect((await anchorReverificationService.reverifyAnchor(githubAnchor)).status).toBe('error');
+        });
+
+        it('gives up on a provider that does not answer in time', async () => {
+            let signal;
+            global.fetch = async (url, options) => {
+                signal = options.signal;
+                throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+            };
+
+            const outcome = await anchorReverificationService.reverifyAnchor(githubAnchor);
+
+            expect(signal).toBeInstanceOf(AbortSignal);
+            expect(outcome).toEqual({ status: 'error', error: 'The operation was aborted due to timeout' });
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Crypto Service Tests
+ */
+
+import * as ed from '@noble/ed25519';
+import crypto from 'crypto';
+
+ed.etc.sha512Sync = (...m) => {
+    const hash = crypto.createHash('sha512');
+    m.forEach(msg => hash.update(msg));
+    return hash.digest();
+};
+
+function generateKeyPair() {
+    const privateKey = ed.utils.randomPrivateKey();
+    return {
+        privateKey: Buffer.from(privateKey).toString('base64'),
+        publicKey: Buffer.from(ed.getPublicKey(privateKey)).toString('base64')
+    };
+}
+
+const current = generateKeyPair();
+const retired = generateKeyPair();
+const expired = generateKeyPair();
+
+let cryptoService;
+let config;
+
+beforeAll(async () => {
+    process.env.ED25519_PRIVATE_KEY = current.privateKey;
+    process.env.ED25519_PUBLIC_KEY = current.publicKey;
+    process.env.ED25519_RETIRED_KEYS = JSON.stringify([
+        { public_key: retired.publicKey, retired_at: new Date().toISOString() },
+        { public_key: expired.publicKey, retired_at: '2020-01-01T00:00:00Z' }
+    ]);
+
+    cryptoService = (await import('../src/services/crypto.service.js')).default;
+    config = (await import('../src/config/index.js')).default;
+    cryptoService.initializeKeys();
+});
+
+describe('Crypto Service', () => {
+    describe('key set', () => {
+        it('includes the current key and unexpired retired keys', () => {
+            const keys = cryptoService.getVerificationKeys();
+            const publicKeys = keys.map(k => k.publicKey);
+
+            expect(publicKeys).toContain(current.publicKey);
+            expect(publicKeys).toContain(retired.publicKey);
+            expect(publicKeys).not.toContain(expired.publicKey);
+            expect(keys.find(k => k.publicKey === current.publicKey).status).toBe('current');
+        });
+
+        it('returns null for unknown key IDs', () => {
+            expect(cryptoService.getPublicKeyBase64('0000000000000000')).toBeNull();
+        });
+
+        it('keeps verifying vertical badges that outlive BADGE_EXPIRY_DAYS after their key is retired', async () => {
+            const rotated = generateKeyPair();
+            const original = {
+                ed25519PrivateKey: config.ed25519PrivateKey,
+                ed25519PublicKey: config.ed25519PublicKey,
+                ed25519RetiredKeys: config.ed25519RetiredKeys
+            };
+
+            try {
+                // An apartments badge (30-day lifetime) signed just before the key was rotated out
+                Object.assign(config, { ed25519PrivateKey: rotated.privateKey, ed25519PublicKey: rotated.publicKey, ed25519RetiredKeys: '[]' });
+                cryptoService.initializeKeys();
+                const token = await cryptoService.signCompactJws({ vertical: 'apartments', badge_token: 'abc' });
+
+                const retiredAt = new Date(Date.now() - (config.badgeExpiryDays + 10) * 24 * 60 * 60 * 1000);
+                Object.assign(config, {
+                    ...original,
+                    ed25519RetiredKeys: JSON.stringify([{ public_key: rotated.publicKey, retired_at: retiredAt.toISOString() }])
+                });
+                cryptoService.initializeKeys();
+
+                const result = await cryptoService.verifyCompactJws(token);
+                expect(result.valid).toBe(true);
+
+                const key = cryptoService.getVerificationKeys().find(k => k.publicKey === rotated.publicKey);
+                expect(key.notAfter.getTime() - retiredAt.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+            } finally {
+                Object.assign(config, original);
+                cryptoService.initializeKeys();
+            }
+        });
+    });
+
+    describe('compact JWS', () => {
+        it('round-trips a payload with the kid header', async () => {
+            const payload = { sub: 'user-1', badge_token: 'abc', exp: 2000000000 };
+            const token = await cryptoService.signCompactJws(payload);
+            const result = await cryptoService.verifyCompactJws(token);
+
+            expect(result.valid).toBe(true);
+            expect(result.header).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: cryptoService.getPublicKeyId() });
+            expect(result.payload).toEqual(payload);
+        });
+
+        it('verifies with a standard Ed25519 implementation', async () => {
+            const token = await cryptoService.signCompactJws({ sub: 'user-1' });
+            const [header, payload, signature] = token.split('.');
+
+            const jwk = {
+                kty: 'OKP',
+                crv: 'Ed25519',
+                x: Buffer.from(current.publicKey, 'base64').toString('base64url')
+            };
+            const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+            expect(crypto.verify(null, Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, 'base64url'))).toBe(true);
+        });
+
+        it('rejects a tampered payload', async () => {
+            const token = await cryptoService.signCompactJws({ trust_score: 20 });
+            const [header, , signature] = token.split('.');
+            const forged = Buffer.from(JSON.stringify({ trust_score: 100 })).toString('base64url');
+
+            const result = await cryptoService.verifyCompactJws(`${header}.${forged}.${signature}`);
+            expect(result.valid).toBe(false);
+            expect(result.reason).toBe('invalid_signature');
+        });
+
+        it('rejects malformed tokens', async () => {
+            const result = await cryptoService.verifyCompactJws('not-a-jws');
+            expect(result).toEqual({ valid: false, reason: 'malformed' });
+        });
+    });
+
+    describe('proof of possession', () => {
+        const agent = generateKeyPair();
+
+        function signChallenge(privateKey, badgeToken, nonce) {
+            const message = new TextEncoder().encode(cryptoService.buildPossessionMessage(badgeToken, nonce));
+            return Buffer.from(ed.sign(message, Buffer.from(privateKey, 'base64'))).toString('base64');
+        }
+
+        it('accepts a signature from the bound agent key', async () => {
+            const signature = signChallenge(agent.privateKey, 'badge-1', 'nonce-1');
+            expect(await cryptoService.verifyPossessionProof(agent.publicKey, 'badge-1', 'nonce-1', signature)).toBe(true);
+        });
+
+        it('rejects a signature over a different nonce', async () => {
+            const signature = signChallenge(agent.privateKey, 'badge-1', 'nonce-1');
+            expect(await cryptoService.verifyPossessionProof(agent.publicKey, 'badge-1', 'nonce-2', signature)).toBe(false);
+        });
+
+        it('rejects a signature from another key', async () => {
+            const signature = signChallenge(retired.privateKey, 'badge-1', 'nonce-1');
+            expect(await cryptoService.verifyPossessionProof(agent.publicKey, 'badge-1', 'nonce-1', signature)).toBe(false);
+        });
+
+        it('validates agent public keys', () => {
+            expect(cryptoService.isValidPublicKey(agent.publicKey)).toBe(true);
+            expect(cryptoService.isValidPublicKey('not-a-key')).toBe(false);
+            expect(cryptoService.isValidPublicKey(undefined)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,262 @@
+/**
+ * Dispute Service Tests
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeDb, applySet } from './helpers/fakeDb.js';
+
+const db = createFakeDb();
+const orderService = {
+    settleDispute: jest.fn(),
+    processPayment: jest.fn()
+};
+const scoreHistoryService = { recordScore: jest.fn() };
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+jest.unstable_mockModule('../src/services/order.service.js', () => ({ default: orderService }));
+jest.unstable_mockModule('../src/services/scoreHistory.service.js', () => ({ default: scoreHistoryService }));
+
+const { default: disputeService } = await import('../src/services/dispute.service.js');
+
+const DISPUTE_ID = 'dispute-1';
+const ORDER_ID = 'order-1';
+const LISTING_ID = 'listing-1';
+const BUYER_ID = 'buyer-1';
+const SELLER_ID = 'seller-1';
+const MODERATOR_ID = 'moderator-1';
+
+const HOUR = 60 * 60 * 1000;
+
+function seedDispute(fields = {}) {
+    const dispute = {
+        id: DISPUTE_ID,
+        kind: 'order',
+        status: 'under_review',
+        order_id: ORDER_ID,
+        listing_id: LISTING_ID,
+        opened_by: BUYER_ID,
+        seller_id: SELLER_ID,
+        reason: 'not_received',
+        response_deadline: new Date(Date.now() + HOUR),
+        upheld: null,
+        ...fields
+    };
+    db.tables.disputes.set(dispute.id, dispute);
+    db.tables.flags = [{ id: 'flag-1', dispute_id: dispute.id, reporter_id: 'reporter-1', status: 'pending' }];
+    return dispute;
+}
+
+const getDispute = () => db.tables.disputes.get(DISPUTE_ID);
+
+db.on(/SELECT \* FROM disputes WHERE id = \$1/, ([id], tables) => {
+    const dispute = tables.disputes.get(id);
+    return dispute ? [{ ...dispute }] : [];
+})
+    .on(/UPDATE disputes\s+SET/, ([id, ...rest], tables, text) => {
+        const dispute = tables.disputes.get(id);
+        if (/status = 'resolved'/.test(text)) {
+            dispute.status = 'resolved';
+        }
+        if (/status = 'under_review'/.test(text)) {
+            dispute.status = 'under_review';
+        }
+        return [{ ...applySet(dispute, text, [id, ...rest]) }];
+    })
+    .on(/UPDATE listing_flags/, ([disputeId, status, reviewerId, action], tables) => {
+        for (const flag of tables.flags.filter(f => f.dispute_id === disputeId && f.status === 'pending')) {
+            Object.assign(flag, { status, reviewer_id: reviewerId, action_taken: action });
+        }
+        return [];
+    })
+    .on(/UPDATE users SET suspended_at/, ([userId], tables) => {
+        tables.suspended.push(userId);
+        return [];
+    })
+    .on(/UPDATE ticket_listings\s+SET suspended_at/, ([id], tables, text) => {
+        tables.suspended.push(/WHERE user_id/.test(text) ? `listings of ${id}` : id);
+        return [];
+    })
+    .on(/INSERT INTO dispute_events/, ([disputeId, actorId, actorRole, action, details], tables) => {
+        tables.events.push({ dispute_id: disputeId, actor_id: actorId, actor_role: actorRole, action, details: JSON.parse(details) });
+        return [];
+    })
+    .on(/FROM dispute_events/, ([disputeId], tables) => tables.events.filter(event => event.dispute_id === disputeId))
+    .on(/FROM listing_flags WHERE dispute_id = \$1 ORDER BY/, ([disputeId], tables) => tables.flags.filter(flag => flag.dispute_id === disputeId))
+    .on(/FROM dispute_evidence WHERE dispute_id/, () => []);
+
+describe('Dispute Service', () => {
+    describe('allowedOutcomes', () => {
+        it('settles order disputes by moving the escrowed money', () => {
+            const outcomes = disputeService.allowedOutcomes('order');
+
+            expect(outcomes).toEqual(expect.arrayContaining(['refund', 'release']));
+            expect(outcomes).not.toContain('dismiss');
+        });
+
+        it('has no money to move for listing disputes', () => {
+            const outcomes = disputeService.allowedOutcomes('listing');
+
+            expect(outcomes).toEqual(expect.arrayContaining(['suspend_listing', 'suspend_seller', 'dismiss']));
+            expect(outcomes).not.toContain('refund');
+            expect(outcomes).not.toContain('release');
+        });
+
+        it('allows nothing for unknown kinds', () => {
+            expect(disputeService.allowedOutcomes('account')).toEqual([]);
+        });
+    });
+
+    describe('isUpheld', () => {
+        it('upholds refunds and suspensions against the seller', () => {
+            for (const outcome of ['refund', 'suspend_listing', 'suspend_seller']) {
+                expect(disputeService.isUpheld(outcome)).toBe(true);
+            }
+        });
+
+        it('does not uphold releases or dismissals', () => {
+            expect(disputeService.isUpheld('release')).toBe(false);
+            expect(disputeService.isUpheld('dismiss')).toBe(false);
+        });
+    });
+
+    describe('resolveDispute', () => {
+        let errorSpy;
+
+        beforeEach(() => {
+            db.tables.disputes = new Map();
+            db.tables.events = [];
+            db.tables.suspended = [];
+
+            orderService.settleDispute.mockReset();
+            orderService.processPayment.mockReset();
+            scoreHistoryService.recordScore.mockReset();
+            errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            errorSpy.mockRestore();
+        });
+
+        it('refunds the buyer once the decision commits and counts it against the seller', async () => {
+            seedDispute();
+            orderService.processPayment.mockImplementation(async () => {
+                // The money moves only after the decision is committed
+                expect(db.inTransaction).toBe(false);
+                expect(getDispute().status).toBe('resolved');
+            });
+
+            const resolved = await disputeService.resolveDispute(DISPUTE_ID, {
+                outcome: 'refund',
+                notes: 'No tickets arrived',
+                moderatorId: MODERATOR_ID
+            });
+
+            expect(resolved).toMatchObject({ status: 'resolved', outcome: 'refund', upheld: true, decidedBy: MODERATOR_ID });
+            expect(orderService.settleDispute).toHaveBeenCalledWith(expect.anything(), ORDER_ID, 'refund', { reason: 'Dispute resolved: refund' });
+            expect(orderService.processPayment).toHaveBeenCalledWith(ORDER_ID);
+            expect(resolved.flags).toEqual([expect.objectContaining({ status: 'actioned', actionTaken: 'refund' })]);
+            expect(resolved.events).toEqual([expect.objectContaining({ actorRole: 'moderator', action: 'resolved', details: { outcome: 'refund', upheld: true } })]);
+            expect(scoreHistoryService.recordScore).toHaveBeenCalledWith(SELLER_ID, 'dispute_upheld');
+        });
+
+        it('releases escrow to the seller without upholding the dispute', async () => {
+            seedDispute();
+
+            const resolved = await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'release', moderatorId: MODERATOR_ID });
+
+            expect(resolved.upheld).toBe(false);
+            expect(orderService.settleDispute).toHaveBeenCalledWith(expect.anything(), ORDER_ID, 'release', expect.anything());
+            expect(orderService.processPayment).toHaveBeenCalledWith(ORDER_ID);
+            expect(resolved.flags[0].status).toBe('dismissed');
+            expect(scoreHistoryService.recordScore).not.toHaveBeenCalled();
+        });
+
+        it('suspends the seller and refunds an order dispute', async () => {
+            seedDispute();
+
+            await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'suspend_seller', moderatorId: MODERATOR_ID });
+
+            expect(orderService.settleDispute).toHaveBeenCalledWith(expect.anything(), ORDER_ID, 'refund', expect.anything());
+            expect(db.tables.suspended).toEqual([SELLER_ID, `listings of ${SELLER_ID}`]);
+        });
+
+        it('suspends a flagged listing without touching any order', async () => {
+            seedDispute({ kind: 'listing', order_id: null });
+
+            const resolved = await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'suspend_listing', moderatorId: MODERATOR_ID });
+
+            expect(resolved.upheld).toBe(true);
+            expect(db.tables.suspended).toEqual([LISTING_ID]);
+            expect(orderService.settleDispute).not.toHaveBeenCalled();
+            expect(orderService.processPayment).not.toHaveBeenCalled();
+            expect(scoreHistoryService.recordScore).toHaveBeenCalledWith(SELLER_ID, 'flag_upheld');
+        });
+
+        it('stays resolved when the provider fails, leaving the payment to the retry job', async () => {
+            seedDispute();
+            orderService.processPayment.mockRejectedValue(new Error('provider timeout'));
+
+            const resolved = await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'refund', moderatorId: MODERATOR_ID });
+
+            expect(resolved.status).toBe('resolved');
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('will retry'), 'provider timeout');
+        });
+
+        it('stays resolved when the seller\'s score change cannot be recorded', async () => {
+            seedDispute();
+            scoreHistoryService.recordScore.mockRejectedValue(new Error('connection terminated'));
+
+            const resolved = await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'refund', moderatorId: MODERATOR_ID });
+
+            expect(resolved.status).toBe('resolved');
+            expect(orderService.processPayment).toHaveBeenCalledWith(ORDER_ID);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('score change'), 'connection terminated');
+        });
+
+        it('leaves the dispute open when the order cannot be settled', async () => {
+            seedDispute();
+            orderService.settleDispute.mockRejectedValue(new Error('A payment for this order is still being processed. Try again shortly.'));
+
+            await expect(disputeService.resolveDispute(DISPUTE_ID, { outcome: 'refund', moderatorId: MODERATOR_ID }))
+                .rejects.toThrow('still being processed');
+
+            expect(getDispute().status).toBe('under_review');
+            expect(db.tables.flags[0].status).toBe('pending');
+            expect(orderService.processPayment).not.toHaveBeenCalled();
+        });
+
+        it('waits for the seller to respond or the response window to pass', async () => {
+            seedDispute({ status: 'awaiting_response' });
+
+            await expect(disputeService.resolveDispute(DISPUTE_ID, { outcome: 'refund' }))
+                .rejects.toThrow('The seller can still respond');
+
+            getDispute().response_deadline = new Date(Date.now() - 1000);
+            const resolved = await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'refund' });
+            expect(resolved.status).toBe('resolved');
+        });
+
+        it('refuses outcomes the kind of dispute does not allow, and second decisions', async () => {
+            seedDispute();
+
+            await expect(disputeService.resolveDispute(DISPUTE_ID, { outcome: 'dismiss' }))
+                .rejects.toThrow('outcome must be one of');
+
+            await disputeService.resolveDispute(DISPUTE_ID, { outcome: 'release' });
+            await expect(disputeService.resolveDispute(DISPUTE_ID, { outcome: 'refund' }))
+                .rejects.toThrow('already been resolved');
+            expect(orderService.settleDispute).toHaveBeenCalledTimes(1);
+        });
+
+        it('returns null for unknown disputes', async () => {
+            expect(await disputeService.resolveDispute('missing', { outcome: 'refund' })).toBeNull();
+        });
+    });
+
+    describe('openOrderDispute', () => {
+        it('rejects unknown reasons before touching the order', async () => {
+            await expect(disputeService.openOrderDispute('order-1', 'buyer-1', { reason: 'changed_my_mind' }))
+                .rejects.toThrow('reason must be one of');
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Fake Database
+ *
+ * In-memory stand-in for src/db/index.js, for testing services without
+ * Postgres. A test registers a handler for each statement its service
+ * issues; the most recently registered handler whose pattern matches the
+ * SQL answers it, and unmatched SQL fails the test. Transactions snapshot
+ * the tables and restore them if the callback throws, like a rollback.
+ *
+ * Use with jest.unstable_mockModule before importing the service:
+ *
+ *   const db = createFakeDb({ orders: new Map() });
+ *   jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+ */
+
+export function createFakeDb(tables = {}) {
+    const handlers = [];
+
+    const db = {
+        tables,
+        inTransaction: false,
+
+        /**
+         * Answer statements matching a pattern
+         *
+         * @param {RegExp} pattern - Matched against the SQL text
+         * @param {Function} respond - (params, tables, text) => rows, a result, or throws
+         * @param {Object} [options] - { once }: answer only the next match
+         */
+        on(pattern, respond, { once = false } = {}) {
+            handlers.unshift({ pattern, respond, once });
+            return db;
+        },
+
+        /**
+         * Make the next statement matching a pattern fail
+         */
+        failNext(pattern, error = new Error('connection terminated unexpectedly')) {
+            return db.on(pattern, () => { throw error; }, { once: true });
+        },
+
+        async query(text, params = []) {
+            const index = handlers.findIndex(handler => handler.pattern.test(text));
+            if (index === -1) {
+                throw new Error(`Unhandled SQL in fake db: ${text.trim().split('\n')[0]}`);
+            }
+
+            const handler = handlers[index];
+            if (handler.once) {
+                handlers.splice(index, 1);
+            }
+
+            const result = await handler.respond(params, db.tables, text);
+            const rows = Array.isArray(result) ? result : (result?.rows || []);
+            return { rows, rowCount: result?.rowCount ?? rows.length };
+        },
+
+        async transaction(callback) {
+            const snapshot = structuredClone(db.tables);
+            db.inTransaction = true;
+            try {
+                return await callback({ query: db.query });
+            } catch (err) {
+                for (const name of Object.keys(db.tables)) {
+                    delete db.tables[name];
+                }
+                Object.assign(db.tables, snapshot);
+                throw err;
+            } finally {
+                db.inTransaction = false;
+            }
+        },
+
+        async getClient() {
+            return { query: db.query, release() {} };
+        },
+
+        async closePool() {}
+    };
+
+    return db;
+}
+
+/**
+ * Apply the SET clause of an UPDATE to a row
+ * Handles "column = $n", "column = NOW()" and "column = NULL" assignments.
+ *
+ * @param {Object} row - Row to update in place
+ * @param {string} text - UPDATE statement
+ * @param {Array} params - Its parameters
+ * @param {Array<string>} [jsonColumns] - Columns stored as JSON strings, read back as objects
+ * @returns {Object} The row
+ */
+export function applySet(row, text, params, jsonColumns = []) {
+    const clause = text.match(/\bSET\b([\s\S]*?)\bWHERE\b/i)[1];
+
+    for (const assignment of clause.split(',')) {
+        const match = assignment.trim().match(/^(\w+)\s*=\s*(.+)$/);
+        if (!match) continue;
+
+        const [, column, value] = match;
+        if (/^\$\d+$/.test(value)) {
+            const param = params[parseInt(value.slice(1), 10) - 1];
+            row[column] = jsonColumns.includes(column) && typeof param === 'string' ? JSON.parse(param) : param;
+        } else if (value === 'NOW()') {
+            row[column] = new Date();
+        } else if (value === 'NULL') {
+            row[column] = null;
+        }
+    }
+
+    return row;
+}
@@ -0,0 +1,117 @@
+/**
+ * Identity Anchor Service Tests
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+const db = createFakeDb({ anchors: [], retries: [] });
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+
+const { default: identityService } = await import('../src/services/identity.service.js');
+
+const USER_ID = '3d4e5f6a-7b8c-4d9e-9f0a-2b3c4d5e6f7a';
+
+const reconcile = jest.fn();
+const record = jest.fn();
+identityService.onAnchorChange('reconcile', reconcile);
+identityService.onAnchorChange('record', record);
+
+let nextRetryId = 1;
+
+db.on(/DELETE FROM identity_anchors/, ([userId, provider], tables) => {
+    const before = tables.anchors.length;
+    tables.anchors = tables.anchors.filter(anchor => anchor.user_id !== userId || anchor.provider !== provider);
+    return { rows: [], rowCount: before - tables.anchors.length };
+})
+    .on(/INSERT INTO anchor_change_retries/, ([userId, listener, provider, event, lastError], tables) => {
+        tables.retries.push({ id: nextRetryId++, user_id: userId, listener, provider, event, attempts: 1, last_error: lastError });
+        return [];
+    })
+    .on(/SELECT \* FROM anchor_change_retries/, ([maxAttempts], tables) =>
+        tables.retries.filter(retry => retry.attempts < maxAttempts).map(retry => ({ ...retry }))
+    )
+    .on(/DELETE FROM anchor_change_retries/, ([id], tables) => {
+        tables.retries = tables.retries.filter(retry => retry.id !== id);
+        return [];
+    })
+    .on(/UPDATE anchor_change_retries/, ([id, lastError], tables) => {
+        const retry = tables.retries.find(row => row.id === id);
+        Object.assign(retry, { attempts: retry.attempts + 1, last_error: lastError });
+        return [];
+    });
+
+describe('Identity Anchor Service', () => {
+    let errorSpy;
+
+    beforeEach(() => {
+        db.tables.anchors = [{ user_id: USER_ID, provider: 'github' }];
+        db.tables.retries = [];
+        reconcile.mockReset();
+        record.mockReset();
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        errorSpy.mockRestore();
+    });
+
+    describe('disconnectAnchor', () => {
+        it('runs every anchor change listener', async () => {
+            expect(await identityService.disconnectAnchor(USER_ID, 'github')).toBe(true);
+
+            expect(reconcile).toHaveBeenCalledWith(USER_ID, { provider: 'github', event: 'disconnected' });
+            expect(record).toHaveBeenCalledWith(USER_ID, { provider: 'github', event: 'disconnected' });
+            expect(db.tables.retries).toEqual([]);
+        });
+
+        it('succeeds when a listener fails, queueing it for retry', async () => {
+            reconcile.mockRejectedValue(new Error('connection terminated'));
+
+            expect(await identityService.disconnectAnchor(USER_ID, 'github')).toBe(true);
+
+            expect(db.tables.anchors).toEqual([]);
+            expect(record).toHaveBeenCalled();
+            expect(db.tables.retries).toEqual([expect.objectContaining({
+                user_id: USER_ID, listener: 'reconcile', provider: 'github', event: 'disconnected', attempts: 1
+            })]);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('will retry'), 'connection terminated');
+        });
+
+        it('still succeeds when the retry cannot be queued', async () => {
+            reconcile.mockRejectedValue(new Error('connection terminated'));
+            db.failNext(/INSERT INTO anchor_change_retries/);
+
+            expect(await identityService.disconnectAnchor(USER_ID, 'github')).toBe(true);
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Could not queue'), expect.any(String));
+        });
+    });
+
+    describe('retryAnchorChanges', () => {
+        it('re-runs only the listener that failed and clears it once it succeeds', async () => {
+            reconcile.mockRejectedValueOnce(new Error('connection terminated'));
+            await identityService.disconnectAnchor(USER_ID, 'github');
+            record.mockReset();
+
+            const result = await identityService.retryAnchorChanges();
+
+            expect(result).toEqual({ retried: 1, succeeded: 1 });
+            expect(reconcile).toHaveBeenLastCalledWith(USER_ID, { provider: 'github', event: 'disconnected' });
+            expect(record).not.toHaveBeenCalled();
+            expect(db.tables.retries).toEqual([]);
+        });
+
+        it('counts failed attempts and stops retrying after the last one', async () => {
+            reconcile.mockRejectedValue(new Error('connection terminated'));
+            await identityService.disconnectAnchor(USER_ID, 'github');
+
+            for (let i = 0; i < 12; i++) {
+                await identityService.retryAnchorChanges();
+            }
+
+            expect(reconcile).toHaveBeenCalledTimes(10);
+            expect(db.tables.retries).toEqual([expect.objectContaining({ attempts: 10, last_error: 'connection terminated' })]);
+        });
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * Known Institutions Tests
+ */
+
+import { findInstitution, getInstitutionDomain } from '../src/config/institutions.js';
+
+describe('Institutions', () => {
+    describe('getInstitutionDomain', () => {
+        it('reduces subdomains to the institution domain', () => {
+            expect(getInstitutionDomain('cs.stanford.edu')).toBe('stanford.edu');
+            expect(getInstitutionDomain('eng.ox.ac.uk')).toBe('ox.ac.uk');
+            expect(getInstitutionDomain('student.unimelb.edu.au')).toBe('unimelb.edu.au');
+        });
+
+        it('returns null for non-educational domains', () => {
+            expect(getInstitutionDomain('gmail.com')).toBeNull();
+            expect(getInstitutionDomain('edu.example.com')).toBeNull();
+        });
+    });
+
+    describe('findInstitution', () => {
+        it('names known institutions', () => {
+            expect(findInstitution('MIT.EDU')).toEqual({ domain: 'mit.edu', name: 'Massachusetts Institute of Technology' });
+        });
+
+        it('accepts unlisted institutions without a name', () => {
+            expect(findInstitution('mail.example-college.edu')).toEqual({ domain: 'example-college.edu', name: null });
+        });
+    });
+});
@@ -0,0 +1,341 @@
+/**
+ * Moderation Service Tests
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+const db = createFakeDb();
+const scoreHistoryService = { recordScore: jest.fn() };
+const reputationService = { getReputations: jest.fn(async () => new Map()) };
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+jest.unstable_mockModule('../src/services/scoreHistory.service.js', () => ({ default: scoreHistoryService }));
+jest.unstable_mockModule('../src/services/reputation.service.js', () => ({ default: reputationService }));
+
+const { default: moderationService } = await import('../src/services/moderation.service.js');
+
+const LISTING_ID = '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b';
+const OTHER_LISTING_ID = '7a2d3b0f-4c5e-4f60-9b8c-0d1e2f3a4b5c';
+const MISSING_LISTING_ID = '8b3e4c1a-5d6f-4a71-8c9d-1e2f3a4b5c6d';
+const MODERATOR_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+const OTHER_MODERATOR_ID = '1b2c3d4e-5f6a-4b7c-9d8e-0f1a2b3c4d5e';
+const SELLER_ID = '2c3d4e5f-6a7b-4c8d-8e9f-1a2b3c4d5e6f';
+
+const CLAIM_TTL_MS = 30 * 60 * 1000;
+const ago = (ms) => new Date(Date.now() - ms);
+
+function seedListing(fields = {}) {
+    const listing = {
+        id: LISTING_ID,
+        user_id: SELLER_ID,
+        receipt_id: 'receipt-1',
+        event_name: 'Test Concert',
+        asking_price_cents: 12000,
+        is_active: true,
+        verification_status: 'manual_review',
+        verification_notes: JSON.stringify({ reason: 'no_ceiling' }),
+        review_claimed_by: null,
+        review_claimed_at: null,
+        ...fields
+    };
+    db.tables.listings.set(listing.id, listing);
+    return listing;
+}
+
+const getListing = (id = LISTING_ID) => db.tables.listings.get(id);
+
+function claimActive(listing) {
+    return Boolean(listing.review_claimed_by) && new Date(listing.review_claimed_at) > ago(CLAIM_TTL_MS);
+}
+
+db.on(/UPDATE ticket_listings l\s+SET review_claimed_by = \$2/, ([id, moderatorId], tables) => {
+    const listing = tables.listings.get(id);
+    if (!listing || listing.verification_status !== 'manual_review'
+        || (claimActive(listing) && listing.review_claimed_by !== moderatorId)) {
+        return [];
+    }
+    Object.assign(listing, { review_claimed_by: moderatorId, review_claimed_at: new Date() });
+    return [{ ...listing }];
+})
+    .on(/SET review_claimed_by = NULL, review_claimed_at = NULL\s+WHERE/, ([id, moderatorId], tables) => {
+        const listing = tables.listings.get(id);
+        if (listing?.review_claimed_by !== moderatorId) {
+            return { rows: [], rowCount: 0 };
+        }
+        Object.assign(listing, { review_claimed_by: null, review_claimed_at: null });
+        return { rows: [], rowCount: 1 };
+    })
+    .on(/SELECT verification_status FROM ticket_listings/, ([id], tables) => {
+        const listing = tables.listings.get(id);
+        return listing ? [{ verification_status: listing.verification_status }] : [];
+    })
+    .on(/FROM ticket_listings l\s+WHERE l.id = \$1\s+FOR UPDATE/, ([id], tables) => {
+        const listing = tables.listings.get(id);
+        return listing ? [{ ...listing, claim_active: claimActive(listing) }] : [];
+    })
+    .on(/SET verification_status = \$2/, ([id, status, notes], tables) => {
+        const listing = tables.listings.get(id);
+        Object.assign(listing, {
+            verification_status: status,
+            verification_method: 'manual',
+            verification_notes: notes,
+            is_active: status === 'rejected' ? false : listing.is_active,
+            review_claimed_by: null,
+            review_claimed_at: null
+        });
+        return [{ ...listing }];
+    })
+    .on(/JOIN users u ON u.id = l.user_id\s+WHERE l.id = \$1/, ([id], tables) => {
+        const listing = tables.listings.get(id);
+        if (listing?.verification_status !== 'manual_review') {
+            return [];
+        }
+        return [{ ...listing, seller_username: 'seller', claim_active: claimActive(listing) }];
+    })
+    .on(/SELECT DISTINCT ON \(receipt_id\)/, ([receiptIds], tables, text) => {
+        const rows = text.includes('receipt_ocr_results') ? tables.ocr : tables.fraud;
+        return rows.filter(row => receiptIds.includes(row.receipt_id));
+    })
+    .on(/FROM listing_flags/, () => [])
+    .on(/INSERT INTO price_verifications/, (params, tables) => {
+        const [listingId, userId, receiptId, ocrResultId, , , verifiedFaceValueCents, , result, rejectionReason, riskScore, signals, reviewerId, notes] = params;
+        const row = {
+            id: `verification-${tables.verifications.length + 1}`,
+            listing_id: listingId,
+            user_id: userId,
+            receipt_id: receiptId,
+            ocr_result_id: ocrResultId,
+            verified_face_value_cents: verifiedFaceValueCents,
+            verification_result: result,
+            rejection_reason: rejectionReason,
+            risk_score: riskScore,
+            fraud_signals: JSON.parse(signals),
+            reviewer_id: reviewerId,
+            reviewed_at: new Date(),
+            review_notes: notes
+        };
+        tables.verifications.push(row);
+        return [row];
+    });
+
+beforeEach(() => {
+    db.tables.listings = new Map();
+    db.tables.verifications = [];
+    db.tables.ocr = [{ id: 'ocr-1', receipt_id: 'receipt-1', face_value_cents: 10000, confidence_score: '0.91' }];
+    db.tables.fraud = [{ id: 'fraud-1', receipt_id: 'receipt-1', risk_score: '0.35', recommendation: 'review', signals: ['edited_pdf'] }];
+    scoreHistoryService.recordScore.mockClear();
+});
+
+describe('Moderation Service', () => {
+    describe('claimItem', () => {
+        it('lets one moderator hold a listing and renew their claim', async () => {
+            seedListing();
+
+            const claim = await moderationService.claimItem(LISTING_ID, MODERATOR_ID);
+            expect(claim.moderatorId).toBe(MODERATOR_ID);
+            expect(claim.expiresAt.getTime() - new Date(claim.claimedAt).getTime()).toBe(CLAIM_TTL_MS);
+
+            await expect(moderationService.claimItem(LISTING_ID, OTHER_MODERATOR_ID))
+                .rejects.toThrow('Another moderator is reviewing this listing');
+
+            const renewed = await moderationService.claimItem(LISTING_ID, MODERATOR_ID);
+            expect(renewed.moderatorId).toBe(MODERATOR_ID);
+        });
+
+        it('lets another moderator take over a lapsed claim', async () => {
+            seedListing({ review_claimed_by: MODERATOR_ID, review_claimed_at: ago(CLAIM_TTL_MS + 1000) });
+
+            const claim = await moderationService.claimItem(LISTING_ID, OTHER_MODERATOR_ID);
+            expect(claim.moderatorId).toBe(OTHER_MODERATOR_ID);
+        });
+
+        it('refuses listings that are not in review, and returns null for missing ones', async () => {
+            seedListing({ verification_status: 'verified' });
+
+            await expect(moderationService.claimItem(LISTING_ID, MODERATOR_ID))
+                .rejects.toThrow('not awaiting review');
+            expect(await moderationService.claimItem(MISSING_LISTING_ID, MODERATOR_ID)).toBeNull();
+        });
+    });
+
+    describe('releaseClaim', () => {
+        it('only releases your own claim, freeing the listing for others', async () => {
+            seedListing({ review_claimed_by: MODERATOR_ID, review_claimed_at: new Date() });
+
+            expect(await moderationService.releaseClaim(LISTING_ID, OTHER_MODERATOR_ID)).toBe(false);
+            expect(await moderationService.releaseClaim(LISTING_ID, MODERATOR_ID)).toBe(true);
+
+            const claim = await moderationService.claimItem(LISTING_ID, OTHER_MODERATOR_ID);
+            expect(claim.moderatorId).toBe(OTHER_MODERATOR_ID);
+        });
+    });
+
+    describe('getQueueItem', () => {
+        it('shows why the listing is in review, its receipt checks and the active claim', async () => {
+            seedListing({ review_claimed_by: MODERATOR_ID, review_claimed_at: new Date() });
+
+            const item = await moderationService.getQueueItem(LISTING_ID);
+
+            expect(item.reviewReason).toEqual({ reason: 'no_ceiling' });
+            expect(item.ocr).toMatchObject({ faceValueCents: 10000, confidence: 0.91 });
+            expect(item.fraud).toMatchObject({ riskScore: 0.35, signals: ['edited_pdf'] });
+            expect(item.claim.moderatorId).toBe(MODERATOR_ID);
+            expect(item.seller).toMatchObject({ id: SELLER_ID, sales: 0 });
+        });
+
+        it('hides lapsed claims and listings that left the queue', async () => {
+            seedListing({ review_claimed_by: MODERATOR_ID, review_claimed_at: ago(CLAIM_TTL_MS + 1000) });
+            expect((await moderationService.getQueueItem(LISTING_ID)).claim).toBeNull();
+
+            getListing().verification_status = 'verified';
+            expect(await moderationService.getQueueItem(LISTING_ID)).toBeNull();
+        });
+    });
+
+    describe('decide', () => {
+        it('rejects unknown decisions', async () => {
+            await expect(moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'escalate' }))
+                .rejects.toThrow('decision must be one of');
+        });
+
+        it('verifies an approved listing and records the review', async () => {
+            seedListing({ review_claimed_by: MODERATOR_ID, review_claimed_at: new Date() });
+
+            const result = await moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'approve', notes: 'Receipt checks out' });
+
+            expect(result.verificationStatus).toBe('verified');
+            expect(result.verification).toMatchObject({ result: 'approved', reviewerId: MODERATOR_ID, notes: 'Receipt checks out' });
+            expect(getListing()).toMatchObject({ verification_status: 'verified', is_active: true, review_claimed_by: null });
+            expect(db.tables.verifications).toEqual([expect.objectContaining({
+                listing_id: LISTING_ID,
+                ocr_result_id: 'ocr-1',
+                verified_face_value_cents: 10000,
+                risk_score: 0.35,
+                fraud_signals: ['edited_pdf'],
+                rejection_reason: null
+            })]);
+            expect(scoreHistoryService.recordScore).not.toHaveBeenCalled();
+        });
+
+        it('takes a rejected listing down and counts it against the seller', async () => {
+            seedListing();
+
+            const result = await moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'reject' });
+
+            expect(result.verification.result).toBe('rejected');
+            expect(getListing()).toMatchObject({ verification_status: 'rejected', is_active: false });
+            expect(db.tables.verifications[0].rejection_reason).toBe('Rejected by a moderator');
+            expect(scoreHistoryService.recordScore).toHaveBeenCalledWith(SELLER_ID, 'price_rejected');
+        });
+
+        it('leaves the listing in review when its price verification cannot be recorded', async () => {
+            seedListing();
+            db.failNext(/INSERT INTO price_verifications/);
+
+            await expect(moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'reject' }))
+                .rejects.toThrow('connection terminated');
+            expect(getListing()).toMatchObject({ verification_status: 'manual_review', is_active: true });
+            expect(db.tables.verifications).toEqual([]);
+            expect(scoreHistoryService.recordScore).not.toHaveBeenCalled();
+        });
+
+        it('keeps a committed rejection when the score history cannot be written', async () => {
+            seedListing();
+            scoreHistoryService.recordScore.mockRejectedValueOnce(new Error('connection terminated'));
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const result = await moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'reject' });
+
+            expect(result.verificationStatus).toBe('rejected');
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('score change'), 'connection terminated');
+            errorSpy.mockRestore();
+        });
+
+        it('waits for another moderator\'s claim to be released or lapse', async () => {
+            seedListing({ review_claimed_by: OTHER_MODERATOR_ID, review_claimed_at: new Date() });
+
+            await expect(moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'approve' }))
+                .rejects.toThrow('Another moderator is reviewing this listing');
+            expect(getListing().verification_status).toBe('manual_review');
+
+            getListing().review_claimed_at = ago(CLAIM_TTL_MS + 1000);
+            const result = await moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'approve' });
+            expect(result.verificationStatus).toBe('verified');
+        });
+
+        it('decides a listing only once', async () => {
+            seedListing();
+
+            await moderationService.decide(LISTING_ID, MODERATOR_ID, { decision: 'approve' });
+            await expect(moderationService.decide(LISTING_ID, OTHER_MODERATOR_ID, { decision: 'reject' }))
+                .rejects.toThrow('not awaiting review');
+            expect(db.tables.verifications).toHaveLength(1);
+        });
+
+        it('returns null for missing listings', async () => {
+            expect(await moderationService.decide(MISSING_LISTING_ID, MODERATOR_ID, { decision: 'approve' })).toBeNull();
+        });
+    });
+
+    describe('bulkDecide', () => {
+        it('requires a non-empty list', async () => {
+            await expect(moderationService.bulkDecide([], MODERATOR_ID, { decision: 'approve' }))
+                .rejects.toThrow('non-empty array');
+        });
+
+        it('caps the batch size', async () => {
+            const ids = Array.from({ length: 51 }, () => LISTING_ID);
+
+            await expect(moderationService.bulkDecide(ids, MODERATOR_ID, { decision: 'approve' }))
+                .rejects.toThrow('At most 50');
+        });
+
+        it('only accepts listing UUIDs', async () => {
+            await expect(moderationService.bulkDecide([LISTING_ID, 'abc'], MODERATOR_ID, { decision: 'reject' }))
+                .rejects.toThrow('listing UUIDs');
+        });
+
+        it('decides each listing on its own and reports every result', async () => {
+            seedListing();
+            seedListing({ id: OTHER_LISTING_ID, review_claimed_by: OTHER_MODERATOR_ID, review_claimed_at: new Date() });
+
+            const result = await moderationService.bulkDecide(
+                [LISTING_ID, OTHER_LISTING_ID, MISSING_LISTING_ID, LISTING_ID],
+                MODERATOR_ID,
+                { decision: 'reject', notes: 'Duplicate listing' }
+            );
+
+            expect(result).toEqual({
+                succeeded: 1,
+                failed: 2,
+                results: [
+                    { listingId: LISTING_ID, ok: true, verificationStatus: 'rejected' },
+                    { listingId: OTHER_LISTING_ID, ok: false, error: 'Another moderator is reviewing this listing' },
+                    { listingId: MISSING_LISTING_ID, ok: false, error: 'Listing not found' }
+                ]
+            });
+            expect(db.tables.verifications).toEqual([expect.objectContaining({ listing_id: LISTING_ID, rejection_reason: 'Duplicate listing' })]);
+        });
+
+        it('hides unexpected errors behind a generic message', async () => {
+            seedListing();
+            db.failNext(/SET verification_status = \$2/);
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const result = await moderationService.bulkDecide([LISTING_ID], MODERATOR_ID, { decision: 'approve' });
+
+            expect(result.results).toEqual([{ listingId: LISTING_ID, ok: false, error: 'Decision failed' }]);
+            expect(errorSpy).toHaveBeenCalled();
+            expect(getListing().verification_status).toBe('manual_review');
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('getQueue', () => {
+        it('rejects unknown claim filters', async () => {
+            await expect(moderationService.getQueue(MODERATOR_ID, { claimed: 'theirs' }))
+                .rejects.toThrow('claimed must be mine or unclaimed');
+        });
+    });
+});
@@ -0,0 +1,469 @@
+/**
+ * Order and Payment Service Tests
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeDb, applySet } from './helpers/fakeDb.js';
+
+const db = createFakeDb();
+const scoreHistoryService = { recordScore: jest.fn() };
+const transferProofService = { respondToProof: jest.fn(), getLatestProof: jest.fn(async () => null) };
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+jest.unstable_mockModule('../src/services/scoreHistory.service.js', () => ({ default: scoreHistoryService }));
+jest.unstable_mockModule('../src/services/transferProof.service.js', () => ({ default: transferProofService }));
+
+const { default: orderService } = await import('../src/services/order.service.js');
+const { default: paymentService, PaymentError } = await import('../src/services/payment.service.js');
+const { default: config } = await import('../src/config/index.js');
+
+const BUYER_ID = 'buyer-1';
+const SELLER_ID = 'seller-1';
+const LISTING_ID = 'listing-1';
+
+const HOUR = 60 * 60 * 1000;
+const ago = (ms) => new Date(Date.now() - ms);
+const fromNow = (ms) => new Date(Date.now() + ms);
+
+// Escrow provider that records every call and replays results per idempotency key
+const provider = {
+    calls: [],
+    results: new Map(),
+    failures: [],
+
+    failNext(method, error) {
+        this.failures.push({ method, error });
+    },
+
+    call(method, params) {
+        this.calls.push({ method, idempotencyKey: params.idempotencyKey, inTransaction: db.inTransaction });
+
+        const failure = this.failures.findIndex(f => f.method === method);
+        if (failure !== -1) {
+            throw this.failures.splice(failure, 1)[0].error;
+        }
+        if (params.paymentMethod === 'declined') {
+            throw new PaymentError('Payment declined');
+        }
+
+        if (!this.results.has(params.idempotencyKey)) {
+            this.results.set(params.idempotencyKey, { id: `${method}_${this.results.size + 1}` });
+        }
+        return this.results.get(params.idempotencyKey);
+    },
+
+    async hold(params) { return provider.call('hold', params); },
+    async release(params) { return provider.call('release', params); },
+    async refund(params) { return provider.call('refund', params); }
+};
+
+paymentService.registerPaymentProvider('test', provider);
+
+function seedOrder(fields = {}) {
+    const order = {
+        id: `order-${db.tables.orders.size + 1}`,
+        listing_id: LISTING_ID,
+        buyer_id: BUYER_ID,
+        seller_id: SELLER_ID,
+        status: 'reserved',
+        quantity: 2,
+        unit_price_cents: 5000,
+        amount_cents: 10000,
+        reservation_expires_at: fromNow(10 * 60 * 1000),
+        payment_provider: null,
+        payment_id: null,
+        transfer_deadline: null,
+        confirm_deadline: null,
+        payment_action: null,
+        payment_action_details: null,
+        payment_action_at: null,
+        updated_at: ago(HOUR),
+        ...fields
+    };
+    db.tables.orders.set(order.id, order);
+    return order;
+}
+
+const getRow = (orderId) => db.tables.orders.get(orderId);
+const listing = () => db.tables.listings.get(LISTING_ID);
+
+function isDue(order, now, retryBefore) {
+    if (order.payment_action) {
+        return new Date(order.payment_action_at) <= retryBefore;
+    }
+    return (order.status === 'reserved' && new Date(order.reservation_expires_at) <= now)
+        || (order.status === 'paid' && new Date(order.transfer_deadline) <= now)
+        || (order.status === 'transferred' && new Date(order.confirm_deadline) <= now);
+}
+
+db.on(/SELECT \* FROM orders WHERE id = \$1/, ([id], tables) => {
+    const order = tables.orders.get(id);
+    return order ? [{ ...order }] : [];
+})
+    .on(/UPDATE orders\s+SET/, ([id, ...rest], tables, text) => {
+        const order = tables.orders.get(id);
+        if (!order || (text.includes(`AND payment_action = 'hold'`) && order.payment_action !== 'hold')) {
+            return [];
+        }
+        return [{ ...applySet(order, text, [id, ...rest], ['payment_action_details']) }];
+    })
+    .on(/INSERT INTO order_events/, ([orderId, fromStatus, toStatus, actorId, reason], tables) => {
+        tables.events.push({ order_id: orderId, from_status: fromStatus, to_status: toStatus, actor_id: actorId, reason, created_at: new Date() });
+        return [];
+    })
+    .on(/FROM order_events/, ([orderId], tables) => tables.events.filter(event => event.order_id === orderId))
+    .on(/SELECT event_date FROM ticket_listings/, ([id], tables) => [{ event_date: tables.listings.get(id).event_date }])
+    .on(/quantity_available = quantity_available \+/, ([id, units], tables) => {
+        tables.listings.get(id).quantity_available += units;
+        return [];
+    })
+    .on(/SET is_sold = TRUE/, ([id, statuses], tables) => {
+        const row = tables.listings.get(id);
+        const open = [...tables.orders.values()].some(order => order.listing_id === id && statuses.includes(order.status));
+        if (row.quantity_available === 0 && !row.is_sold && !open) {
+            row.is_sold = true;
+        }
+        return [];
+    })
+    .on(/FROM orders o\s+JOIN ticket_listings/, ([id, userId], tables) => {
+        const order = tables.orders.get(id);
+        if (!order || (userId && order.buyer_id !== userId && order.seller_id !== userId)) {
+            return [];
+        }
+        const row = tables.listings.get(order.listing_id);
+        return [{ ...order, event_id: row.event_id, event_name: row.event_name, event_date: row.event_date }];
+    })
+    .on(/SELECT id FROM orders/, ([limit, retryMinutes], tables) => {
+        const now = new Date();
+        const retryBefore = new Date(now.getTime() - retryMinutes * 60 * 1000);
+        return [...tables.orders.values()]
+            .filter(order => isDue(order, now, retryBefore))
+            .slice(0, limit)
+            .map(order => ({ id: order.id }));
+    });
+
+describe('Order Service', () => {
+    describe('canTransition', () => {
+        it('follows reserve, pay, transfer, confirm', () => {
+            expect(orderService.canTransition('reserved', 'paid')).toBe(true);
+            expect(orderService.canTransition('paid', 'transferred')).toBe(true);
+            expect(orderService.canTransition('transferred', 'completed')).toBe(true);
+        });
+
+        it('only refunds paid orders before the transfer', () => {
+            expect(orderService.canTransition('paid', 'refunded')).toBe(true);
+            expect(orderService.canTransition('reserved', 'refunded')).toBe(false);
+            expect(orderService.canTransition('transferred', 'refunded')).toBe(false);
+        });
+
+        it('lets the buyer dispute a transfer, resolved by a release or a refund', () => {
+            expect(orderService.canTransition('transferred', 'disputed')).toBe(true);
+            expect(orderService.canTransition('paid', 'disputed')).toBe(false);
+            expect(orderService.canTransition('disputed', 'completed')).toBe(true);
+            expect(orderService.canTransition('disputed', 'refunded')).toBe(true);
+        });
+
+        it('never skips escrow or leaves a final state', () => {
+            expect(orderService.canTransition('reserved', 'completed')).toBe(false);
+            expect(orderService.canTransition('reserved', 'transferred')).toBe(false);
+
+            for (const final of ['completed', 'cancelled', 'expired', 'refunded']) {
+                for (const status of orderService.ORDER_STATUSES) {
+                    expect(orderService.canTransition(final, status)).toBe(false);
+                }
+            }
+        });
+    });
+
+    describe('with a payment provider', () => {
+        let defaultProvider;
+        let consoleSpies;
+
+        beforeAll(() => {
+            defaultProvider = config.payments.provider;
+            config.payments.provider = 'test';
+        });
+
+        afterAll(() => {
+            config.payments.provider = defaultProvider;
+        });
+
+        beforeEach(() => {
+            db.tables.orders = new Map();
+            db.tables.events = [];
+            db.tables.listings = new Map([[LISTING_ID, {
+                id: LISTING_ID,
+                event_id: 'event-1',
+                event_name: 'Test Concert',
+                event_date: fromNow(7 * 24 * HOUR),
+                quantity_available: 0,
+                is_sold: false
+            }]]);
+
+            provider.calls = [];
+            provider.results = new Map();
+            provider.failures = [];
+            scoreHistoryService.recordScore.mockClear();
+            transferProofService.respondToProof.mockClear();
+            consoleSpies = [
+                jest.spyOn(console, 'error').mockImplementation(() => {}),
+                jest.spyOn(console, 'log').mockImplementation(() => {})
+            ];
+        });
+
+        afterEach(() => {
+            consoleSpies.forEach(spy => spy.mockRestore());
+        });
+
+        describe('payOrder', () => {
+            it('holds the funds outside the transaction and marks the order paid', async () => {
+                const order = seedOrder();
+
+                const paid = await orderService.payOrder(order.id, BUYER_ID, { paymentMethod: 'visa' });
+
+                expect(paid.status).toBe('paid');
+                expect(paid.paymentProvider).toBe('test');
+                expect(paid.paymentPending).toBeNull();
+                expect(paid.events).toEqual([expect.objectContaining({ fromStatus: 'reserved', toStatus: 'paid', actorId: BUYER_ID })]);
+
+                expect(provider.calls).toEqual([{
+                    method: 'hold',
+                    idempotencyKey: expect.stringMatching(new RegExp(`^${order.id}:hold:`)),
+                    inTransaction: false
+                }]);
+                expect(getRow(order.id).payment_id).toBe('hold_1');
+                expect(getRow(order.id).transfer_deadline).toBeInstanceOf(Date);
+            });
+
+            it('leaves a declined order reserved and retries with a new key', async () => {
+                const order = seedOrder();
+
+                await expect(orderService.payOrder(order.id, BUYER_ID, { paymentMethod: 'declined' }))
+                    .rejects.toBeInstanceOf(PaymentError);
+                expect(getRow(order.id).status).toBe('reserved');
+                expect(getRow(order.id).payment_action).toBeNull();
+
+                const paid = await orderService.payOrder(order.id, BUYER_ID, { paymentMethod: 'visa' });
+                expect(paid.status).toBe('paid');
+
+                const [declined, accepted] = provider.calls;
+                expect(accepted.idempotencyKey).not.toBe(declined.idempotencyKey);
+            });
+
+            it('keeps a hold whose commit failed pending, and finishes it without charging twice', async () => {
+                const order = seedOrder();
+                db.failNext(/INSERT INTO order_events/);
+
+                await expect(orderService.payOrder(order.id, BUYER_ID, { paymentMethod: 'visa' }))
+                    .rejects.toThrow('connection terminated');
+                expect(getRow(order.id).status).toBe('reserved');
+                expect(getRow(order.id).payment_action).toBe('hold');
+
+                await expect(orderService.cancelOrder(order.id, BUYER_ID)).rejects.toThrow('still being processed');
+
+                // Not retried until the action has been pending a while
+                expect(await orderService.processTimeouts()).toEqual({ expired: 0, paid: 0, refunded: 0, completed: 0 });
+
+                getRow(order.id).payment_action_at = ago(HOUR);
+                expect(await orderService.processTimeouts()).toEqual({ expired: 0, paid: 1, refunded: 0, completed: 0 });
+
+                expect(getRow(order.id).status).toBe('paid');
+                expect(provider.calls).toHaveLength(2);
+                expect(provider.calls[1].idempotencyKey).toBe(provider.calls[0].idempotencyKey);
+                expect(provider.results.size).toBe(1);
+            });
+
+            it('refuses a lapsed reservation without calling the provider', async () => {
+                const order = seedOrder({ reservation_expires_at: ago(1000) });
+
+                await expect(orderService.payOrder(order.id, BUYER_ID, { paymentMethod: 'visa' }))
+                    .rejects.toThrow('This reservation has expired');
+                expect(provider.calls).toHaveLength(0);
+            });
+
+            it('returns null for someone else\'s order', async () => {
+                const order = seedOrder();
+
+                expect(await orderService.payOrder(order.id, 'someone-else', { paymentMethod: 'visa' })).toBeNull();
+                expect(provider.calls).toHaveLength(0);
+            });
+        });
+
+        describe('confirmReceipt', () => {
+            it('releases escrow, completes the order and marks the listing sold', async () => {
+                const order = seedOrder({
+                    status: 'transferred',
+                    payment_provider: 'test',
+                    payment_id: 'hold_1',
+                    confirm_deadline: fromNow(HOUR)
+                });
+
+                const completed = await orderService.confirmReceipt(order.id, BUYER_ID);
+
+                expect(completed.status).toBe('completed');
+                expect(provider.calls).toEqual([{ method: 'release', idempotencyKey: `${order.id}:release`, inTransaction: false }]);
+                expect(getRow(order.id).payout_id).toBe('release_1');
+                expect(transferProofService.respondToProof).toHaveBeenCalledWith(expect.anything(), order.id, 'accepted');
+                expect(scoreHistoryService.recordScore).toHaveBeenCalledWith(SELLER_ID, 'listing_sold');
+                expect(listing().is_sold).toBe(true);
+            });
+
+            it('refuses disputed orders and orders not yet transferred', async () => {
+                const disputed = seedOrder({ status: 'disputed', payment_provider: 'test', payment_id: 'hold_1' });
+                const paid = seedOrder({ status: 'paid', payment_provider: 'test', payment_id: 'hold_2' });
+
+                await expect(orderService.confirmReceipt(disputed.id, BUYER_ID)).rejects.toThrow('under dispute');
+                await expect(orderService.confirmReceipt(paid.id, BUYER_ID)).rejects.toThrow("Order is paid and can't become completed");
+                expect(provider.calls).toHaveLength(0);
+                expect(scoreHistoryService.recordScore).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('cancelOrder', () => {
+            const paidOrder = () => seedOrder({
+                status: 'paid',
+                payment_provider: 'test',
+                payment_id: 'hold_1',
+                transfer_deadline: fromNow(HOUR)
+            });
+
+            it('refunds a buyer who cancels a paid order and puts the tickets back on sale', async () => {
+                const order = paidOrder();
+
+                const refunded = await orderService.cancelOrder(order.id, BUYER_ID, 'Changed my mind');
+
+                expect(refunded.status).toBe('refunded');
+                expect(refunded.cancelReason).toBe('Changed my mind');
+                expect(provider.calls).toEqual([{ method: 'refund', idempotencyKey: `${order.id}:refund`, inTransaction: false }]);
+                expect(listing().quantity_available).toBe(2);
+            });
+
+            it('refunds the buyer without restocking when the seller backs out', async () => {
+                const order = paidOrder();
+
+                const refunded = await orderService.cancelOrder(order.id, SELLER_ID);
+
+                expect(refunded.status).toBe('refunded');
+                expect(refunded.cancelledBy).toBe(SELLER_ID);
+                expect(listing().quantity_available).toBe(0);
+            });
+
+            it('cancels an unpaid reservation without calling the provider', async () => {
+                const order = seedOrder();
+
+                const cancelled = await orderService.cancelOrder(order.id, BUYER_ID);
+
+                expect(cancelled.status).toBe('cancelled');
+                expect(provider.calls).toHaveLength(0);
+                expect(listing().quantity_available).toBe(2);
+            });
+
+            it('refuses while a payment action is pending', async () => {
+                const order = seedOrder({ status: 'paid', payment_action: 'refund', payment_action_at: new Date() });
+
+                await expect(orderService.cancelOrder(order.id, BUYER_ID)).rejects.toThrow('still being processed');
+                expect(provider.calls).toHaveLength(0);
+            });
+        });
+
+        describe('processTimeouts', () => {
+            it('expires lapsed reservations, refunds late transfers and releases confirmed ones', async () => {
+                const reserved = seedOrder({ reservation_expires_at: ago(1000) });
+                const untransferred = seedOrder({
+                    status: 'paid',
+                    payment_provider: 'test',
+                    payment_id: 'hold_1',
+                    transfer_deadline: ago(1000)
+                });
+                const transferred = seedOrder({
+                    status: 'transferred',
+                    payment_provider: 'test',
+                    payment_id: 'hold_2',
+                    confirm_deadline: ago(1000)
+                });
+                const current = seedOrder({ status: 'paid', transfer_deadline: fromNow(HOUR) });
+
+                const counts = await orderService.processTimeouts();
+
+                expect(counts).toEqual({ expired: 1, paid: 0, refunded: 1, completed: 1 });
+                expect(getRow(reserved.id).status).toBe('expired');
+                expect(getRow(untransferred.id).status).toBe('refunded');
+                expect(getRow(transferred.id).status).toBe('completed');
+                expect(getRow(current.id).status).toBe('paid');
+
+                // Only the lapsed reservation goes back on sale
+                expect(listing().quantity_available).toBe(2);
+                expect(provider.calls.map(call => call.method).sort()).toEqual(['refund', 'release']);
+                expect(provider.calls.every(call => !call.inTransaction)).toBe(true);
+            });
+
+            it('keeps retrying a release through a provider outage', async () => {
+                const order = seedOrder({
+                    status: 'transferred',
+                    payment_provider: 'test',
+                    payment_id: 'hold_1',
+                    confirm_deadline: ago(1000)
+                });
+                provider.failNext('release', new Error('provider timeout'));
+
+                expect(await orderService.processTimeouts()).toEqual({ expired: 0, paid: 0, refunded: 0, completed: 0 });
+                expect(getRow(order.id).status).toBe('transferred');
+                expect(getRow(order.id).payment_action).toBe('release');
+
+                getRow(order.id).payment_action_at = ago(HOUR);
+                expect(await orderService.processTimeouts()).toEqual({ expired: 0, paid: 0, refunded: 0, completed: 1 });
+
+                expect(getRow(order.id).status).toBe('completed');
+                expect(getRow(order.id).payment_action).toBeNull();
+                expect(provider.calls.map(call => call.idempotencyKey)).toEqual([`${order.id}:release`, `${order.id}:release`]);
+                expect(scoreHistoryService.recordScore).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+});
+
+describe('Payment Service (fake provider)', () => {
+    it('holds funds in escrow and releases them once', async () => {
+        const hold = await paymentService.holdFunds({ orderId: 'order-1', amountCents: 5000, paymentMethod: 'fake_visa' });
+        expect(hold.provider).toBe('fake');
+
+        const payout = await paymentService.releaseFunds('fake', { paymentId: hold.id, orderId: 'order-1', amountCents: 5000 });
+        expect(payout.id).toMatch(/^fake_payout_/);
+
+        await expect(paymentService.refundFunds('fake', { paymentId: hold.id, orderId: 'order-1', amountCents: 5000 }))
+            .rejects.toThrow('already released');
+    });
+
+    it('replays the first result for a repeated idempotency key', async () => {
+        const params = { orderId: 'order-3', amountCents: 5000, paymentMethod: 'fake_visa', idempotencyKey: 'order-3:hold:1' };
+
+        const first = await paymentService.holdFunds(params);
+        const second = await paymentService.holdFunds(params);
+        expect(second.id).toBe(first.id);
+    });
+
+    it('declines the fake declined payment methods', async () => {
+        await expect(paymentService.holdFunds({ orderId: 'order-2', amountCents: 5000, paymentMethod: 'fake_declined' }))
+            .rejects.toBeInstanceOf(PaymentError);
+    });
+
+    it('is disabled without a configured, registered provider', () => {
+        const configured = config.payments.provider;
+        try {
+            expect(paymentService.isEnabled()).toBe(true);
+
+            config.payments.provider = null;     // production without a real provider
+            expect(paymentService.isEnabled()).toBe(false);
+
+            config.payments.provider = 'stripe'; // named but never registered
+            expect(paymentService.isEnabled()).toBe(false);
+        } finally {
+            config.payments.provider = configured;
+        }
+    });
+
+    it('rejects providers missing part of the interface', () => {
+        expect(() => paymentService.registerPaymentProvider('broken', { hold() {} }))
+            .toThrow('must implement release()');
+    });
+});
@@ -0,0 +1,25 @@
+/**
+ * Phone Verification Service Tests
+ */
+
+import phoneVerificationService from '../src/services/phoneVerification.service.js';
+
+describe('Phone Verification Service', () => {
+    describe('normalizePhoneNumber', () => {
+        it('keeps E.164 numbers and strips formatting', () => {
+            expect(phoneVerificationService.normalizePhoneNumber('+44 20 7946 0000')).toBe('+442079460000');
+            expect(phoneVerificationService.normalizePhoneNumber('0044 (20) 7946-0000')).toBe('+442079460000');
+        });
+
+        it('reads numbers without a country code as North American', () => {
+            expect(phoneVerificationService.normalizePhoneNumber('(415) 555-0123')).toBe('+14155550123');
+            expect(phoneVerificationService.normalizePhoneNumber('1-415-555-0123')).toBe('+14155550123');
+        });
+
+        it('rejects numbers it cannot place', () => {
+            expect(() => phoneVerificationService.normalizePhoneNumber('555-0123')).toThrow('Invalid phone number');
+            expect(() => phoneVerificationService.normalizePhoneNumber('+1 415 CALL NOW')).toThrow('Invalid phone number');
+            expect(() => phoneVerificationService.normalizePhoneNumber('')).toThrow('phoneNumber is required');
+        });
+    });
+});
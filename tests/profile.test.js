@@ -0,0 +1,51 @@
+/**
+ * Public Profile Service Tests
+ */
+
+import profileService from '../src/services/profile.service.js';
+
+const connectedAt = new Date('2026-01-01T00:00:00Z');
+
+const anchors = [
+    { provider: 'gmail', connected_at: connectedAt, is_edu_verified: false },
+    { provider: 'linkedin', connected_at: connectedAt },
+    {
+        provider: 'institution',
+        connected_at: connectedAt,
+        is_edu_verified: true,
+        metadata: { institution_domain: 'stanford.edu', institution_name: 'Stanford' }
+    }
+];
+
+describe('Public Profile Service', () => {
+    describe('summarizeAnchors', () => {
+        it('shows every provider by default', () => {
+            const summary = profileService.summarizeAnchors(anchors);
+
+            expect(Object.keys(summary)).toEqual([
+                'gmail', 'linkedin', 'github', 'microsoft', 'apple', 'phone', 'institution', 'edu'
+            ]);
+            expect(summary.gmail).toEqual({ verified: true, verified_at: connectedAt });
+            expect(summary.github).toEqual({ verified: false });
+            expect(summary.institution).toMatchObject({ verified: true, domain: 'stanford.edu', name: 'Stanford University' });
+            expect(summary.edu.verified).toBe(true);
+        });
+
+        it('leaves hidden providers out entirely', () => {
+            const summary = profileService.summarizeAnchors(anchors, ['linkedin', 'github']);
+
+            expect(summary).toEqual({
+                linkedin: { verified: true, verified_at: connectedAt },
+                github: { verified: false }
+            });
+        });
+
+        it('shows .edu only when a visible anchor proves it', () => {
+            const withGmail = profileService.summarizeAnchors(anchors, ['gmail']);
+            const withInstitution = profileService.summarizeAnchors(anchors, ['institution']);
+
+            expect(withGmail.edu).toEqual({ verified: false });
+            expect(withInstitution.edu).toEqual({ verified: true, verified_at: connectedAt });
+        });
+    });
+});
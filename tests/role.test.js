@@ -0,0 +1,105 @@
+/**
+ * Role Service Tests
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+const db = createFakeDb();
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+
+const { default: roleService } = await import('../src/services/role.service.js');
+
+const ADMIN_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+const OTHER_ADMIN_ID = '1b2c3d4e-5f6a-4b7c-9d8e-0f1a2b3c4d5e';
+
+db.on(/SELECT id FROM users WHERE 'admin' = ANY\(roles\) FOR UPDATE/, (params, tables) => {
+    tables.locks.push(db.inTransaction);
+    return [...tables.users.values()].filter(user => user.roles.includes('admin')).map(({ id }) => ({ id }));
+})
+    .on(/UPDATE users SET roles = array_remove/, ([id, role], tables) => {
+        const user = tables.users.get(id);
+        if (!user) {
+            return [];
+        }
+        user.roles = user.roles.filter(r => r !== role);
+        return [{ roles: user.roles }];
+    });
+
+describe('Role Service', () => {
+    describe('hasPermission', () => {
+        it('grants admins every permission', () => {
+            for (const permission of roleService.PERMISSIONS) {
+                expect(roleService.hasPermission(['admin'], permission)).toBe(true);
+            }
+        });
+
+        it('limits each role to its own area', () => {
+            expect(roleService.hasPermission(['event_manager'], 'events:manage')).toBe(true);
+            expect(roleService.hasPermission(['event_manager'], 'listings:review')).toBe(false);
+            expect(roleService.hasPermission(['moderator'], 'disputes:resolve')).toBe(true);
+            expect(roleService.hasPermission(['moderator'], 'events:manage')).toBe(false);
+        });
+
+        it('keeps analysts read-only', () => {
+            expect(roleService.hasPermission(['analyst'], 'scoring_models:read')).toBe(true);
+            expect(roleService.hasPermission(['analyst'], 'scoring_models:manage')).toBe(false);
+            expect(roleService.hasPermission(['analyst'], 'analytics:query')).toBe(false);
+        });
+
+        it('grants nothing to regular users or unknown roles', () => {
+            expect(roleService.hasPermission([], 'analytics:read')).toBe(false);
+            expect(roleService.hasPermission(['superuser'], 'analytics:read')).toBe(false);
+        });
+    });
+
+    describe('permissionsFor', () => {
+        it('combines the permissions of several roles without duplicates', () => {
+            const permissions = roleService.permissionsFor(['moderator', 'analyst']);
+
+            expect(permissions).toEqual(expect.arrayContaining(['listings:review', 'analytics:export']));
+            expect(permissions.filter(p => p === 'sybil:read')).toHaveLength(1);
+            expect(permissions).not.toContain('roles:manage');
+        });
+    });
+
+    describe('revokeRole', () => {
+        beforeEach(() => {
+            db.tables.locks = [];
+            db.tables.users = new Map([
+                [ADMIN_ID, { id: ADMIN_ID, roles: ['admin', 'moderator'] }],
+                [OTHER_ADMIN_ID, { id: OTHER_ADMIN_ID, roles: ['admin'] }]
+            ]);
+        });
+
+        it('checks for another admin under a lock in the same transaction', async () => {
+            expect(await roleService.revokeRole(ADMIN_ID, 'admin')).toEqual(['moderator']);
+            expect(db.tables.locks).toEqual([true]);
+        });
+
+        it('refuses to revoke the last admin', async () => {
+            await roleService.revokeRole(OTHER_ADMIN_ID, 'admin');
+
+            await expect(roleService.revokeRole(ADMIN_ID, 'admin'))
+                .rejects.toThrow('The last admin cannot be revoked');
+            expect(db.tables.users.get(ADMIN_ID).roles).toContain('admin');
+        });
+
+        it('revokes other roles without locking the admins', async () => {
+            expect(await roleService.revokeRole(ADMIN_ID, 'moderator')).toEqual(['admin']);
+            expect(db.tables.locks).toEqual([]);
+        });
+
+        it('returns null for unknown users', async () => {
+            expect(await roleService.revokeRole('2c3d4e5f-6a7b-4c8d-8e9f-1a2b3c4d5e6f', 'moderator')).toBeNull();
+        });
+    });
+
+    describe('grantRole', () => {
+        it('rejects unknown roles', async () => {
+            await expect(roleService.grantRole(ADMIN_ID, 'superuser'))
+                .rejects.toThrow('role must be one of');
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Score History Service Tests
+ */
+
+import scoreHistoryService from '../src/services/scoreHistory.service.js';
+
+function entry(overrides = {}) {
+    return {
+        trust_score: 62,
+        clearance_level: 2,
+        model_version: 3,
+        trigger: 'recomputed',
+        trigger_details: null,
+        breakdown: {
+            base: { score: 20, max: 20, label: 'En Passant Account' },
+            linkedin: { score: 0, max: 12, label: 'LinkedIn Connected' },
+            linkedin_network: { score: 0, max: 10, label: 'LinkedIn Network', details: 'Not connected' }
+        },
+        ...overrides
+    };
+}
+
+describe('Score History Service', () => {
+    describe('explainChange', () => {
+        it('describes the first entry', () => {
+            const result = scoreHistoryService.explainChange(null, entry());
+
+            expect(result.summary).toBe('Score first recorded at 62 (Player) after a routine recomputation');
+            expect(result.changes).toEqual([]);
+        });
+
+        it('explains a rise with the factors that moved', () => {
+            const previous = entry();
+            const current = entry({
+                trust_score: 84,
+                clearance_level: 3,
+                trigger: 'anchor_connected',
+                trigger_details: 'linkedin',
+                breakdown: {
+                    ...previous.breakdown,
+                    linkedin: { score: 12, max: 12, label: 'LinkedIn Connected' },
+                    linkedin_network: { score: 10, max: 10, label: 'LinkedIn Network', details: '600 connections' }
+                }
+            });
+
+            const result = scoreHistoryService.explainChange(previous, current);
+
+            expect(result.summary).toBe('Score rose from 62 to 84 (+22) after your LinkedIn anchor was connected');
+            expect(result.changes).toEqual([
+                'Clearance rose from Player to Master',
+                'LinkedIn Connected added 12 points',
+                'LinkedIn Network added 10 points: 600 connections'
+            ]);
+        });
+
+        it('explains a drop from marketplace reputation', () => {
+            const previous = entry();
+            const current = entry({
+                trust_score: 52,
+                trigger: 'flag_upheld',
+                breakdown: {
+                    ...previous.breakdown,
+                    marketplace_reputation: {
+                        score: -10, max: 5, label: 'Marketplace Reputation', details: '1 upheld flag (older events count less)'
+                    }
+                }
+            });
+
+            const result = scoreHistoryService.explainChange(previous, current);
+
+            expect(result.summary).toBe('Score fell from 62 to 52 (-10) after a flag against one of your listings was upheld');
+            expect(result.changes).toEqual([
+                'Marketplace Reputation took away 10 points: 1 upheld flag (older events count less)'
+            ]);
+        });
+
+        it('mentions scoring model changes', () => {
+            const result = scoreHistoryService.explainChange(entry({ model_version: 2 }), entry());
+
+            expect(result.summary).toBe('Score stayed at 62 after a routine recomputation');
+            expect(result.changes).toEqual(['Scoring model changed from version 2 to version 3']);
+        });
+    });
+});
@@ -0,0 +1,13 @@
+/**
+ * Test Environment
+ *
+ * Loaded before every test file (jest setupFiles), so services and their
+ * config can be imported directly. A file that needs other values (real
+ * signing keys in crypto.test.js) sets them before importing.
+ */
+
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgresql://localhost/test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ED25519_PRIVATE_KEY = process.env.ED25519_PRIVATE_KEY || 'test';
+process.env.ED25519_PUBLIC_KEY = process.env.ED25519_PUBLIC_KEY || 'test';
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
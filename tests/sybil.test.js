@@ -0,0 +1,150 @@
+/**
+ * Sybil Detection Service Tests
+ */
+
+import sybilService from '../src/services/sybil.service.js';
+
+const users = [
+    { id: 'u1', email: 'alice@example.com' },
+    { id: 'u2', email: 'bob@example.com' },
+    { id: 'u3', email: 'carol@example.com' },
+    { id: 'u4', email: 'dave@example.com' }
+];
+
+const riskFor = (risks, userId) => risks.find(risk => risk.user_id === userId);
+
+describe('Sybil Detection Service', () => {
+    describe('buildLinkage', () => {
+        it('finds no clusters when accounts share nothing', () => {
+            const { clusters, risks } = sybilService.buildLinkage({ users });
+
+            expect(clusters).toEqual([]);
+            expect(risks).toEqual([]);
+        });
+
+        it('flags a provider account shared by two users as high risk', () => {
+            const { clusters, risks } = sybilService.buildLinkage({
+                users,
+                anchors: [
+                    { user_id: 'u1', provider: 'linkedin', provider_user_id: 'li-1', verified: true },
+                    { user_id: 'u2', provider: 'linkedin', provider_user_id: 'li-1', verified: true }
+                ]
+            });
+
+            expect(clusters).toHaveLength(1);
+            expect(clusters[0]).toMatchObject({ user_ids: ['u1', 'u2'], size: 2, risk_level: 'high' });
+            expect(riskFor(risks, 'u1')).toMatchObject({ risk_score: 60, risk_level: 'high' });
+            expect(riskFor(risks, 'u1').signals[0]).toEqual({
+                type: 'shared_provider_account',
+                value: 'linkedin:li-1',
+                linked_user_ids: ['u2']
+            });
+        });
+
+        it('links anchor emails to verified account emails case-insensitively', () => {
+            const { risks } = sybilService.buildLinkage({
+                users: [{ ...users[0], verified: true }, ...users.slice(1)],
+                anchors: [{ user_id: 'u2', provider: 'gmail', provider_user_id: 'g-2', email_address: 'Alice@Example.com', verified: true }]
+            });
+
+            expect(riskFor(risks, 'u2')).toMatchObject({ risk_score: 40, risk_level: 'medium' });
+        });
+
+        it('reports links through unproven anchors and waitlist leads without scoring them', () => {
+            const { clusters, risks } = sybilService.buildLinkage({
+                users,
+                anchors: [
+                    { user_id: 'u1', provider: 'linkedin', provider_user_id: 'li-1', verified: true },
+                    { user_id: 'u2', provider: 'linkedin', provider_user_id: 'li-1', verified: false }
+                ],
+                phones: [
+                    { user_id: 'u1', phone: '+14155550123', verified: true },
+                    { user_id: 'u3', phone: '+14155550123', verified: false }
+                ]
+            });
+
+            expect(risks).toEqual([]);
+            expect(clusters).toHaveLength(1);
+            expect(clusters[0]).toMatchObject({ user_ids: ['u1', 'u2', 'u3'], risk_level: 'low' });
+            expect(clusters[0].signals.every(signal => signal.verified === false)).toBe(true);
+        });
+
+        it('matches phone numbers regardless of formatting', () => {
+            const { risks } = sybilService.buildLinkage({
+                users,
+                phones: [
+                    { user_id: 'u1', phone: '(415) 555-0123', verified: true },
+                    { user_id: 'u3', phone: '+14155550123', verified: true }
+                ]
+            });
+
+            expect(riskFor(risks, 'u3')).toMatchObject({ risk_score: 30, risk_level: 'medium' });
+        });
+
+        it('weighs an IP shared by many accounts more than one shared by two', () => {
+            const pair = sybilService.buildLinkage({
+                users,
+                ips: [{ user_id: 'u1', ip_address: '10.0.0.1', verified: true }, { user_id: 'u2', ip_address: '10.0.0.1', verified: true }]
+            });
+            const farm = sybilService.buildLinkage({
+                users,
+                ips: users.map(user => ({ user_id: user.id, ip_address: '10.0.0.1', verified: true }))
+            });
+
+            expect(riskFor(pair.risks, 'u1')).toMatchObject({ risk_score: 15, risk_level: 'low' });
+            expect(riskFor(farm.risks, 'u1')).toMatchObject({ risk_score: 30, risk_level: 'medium' });
+        });
+
+        it('ignores IPs shared by too many accounts to mean anything', () => {
+            const crowd = Array.from({ length: 30 }, (_, i) => ({ user_id: `v${i}`, ip_address: '192.0.2.1', verified: true }));
+            const { clusters } = sybilService.buildLinkage({ ips: crowd });
+
+            expect(clusters).toEqual([]);
+        });
+
+        it('sums the strongest signal of each type, capped at 100', () => {
+            const { risks } = sybilService.buildLinkage({
+                users,
+                anchors: [
+                    { user_id: 'u1', provider: 'github', provider_user_id: '42', email_address: 'x@example.com', verified: true },
+                    { user_id: 'u2', provider: 'github', provider_user_id: '42', email_address: 'x@example.com', verified: true },
+                    { user_id: 'u1', provider: 'apple', provider_user_id: 'a-1', verified: true },
+                    { user_id: 'u2', provider: 'apple', provider_user_id: 'a-1', verified: true }
+                ],
+                ips: [{ user_id: 'u1', ip_address: '10.0.0.1', verified: true }, { user_id: 'u2', ip_address: '10.0.0.1', verified: true }]
+            });
+
+            // 60 (provider account, counted once) + 40 (email) + 15 (IP)
+            expect(riskFor(risks, 'u1').risk_score).toBe(100);
+            expect(riskFor(risks, 'u1').signals).toHaveLength(4);
+        });
+
+        it('joins accounts linked through different signals into one cluster', () => {
+            const { clusters } = sybilService.buildLinkage({
+                users,
+                anchors: [
+                    { user_id: 'u1', provider: 'github', provider_user_id: '42', verified: true },
+                    { user_id: 'u2', provider: 'github', provider_user_id: '42', verified: true }
+                ],
+                phones: [{ user_id: 'u2', phone: '+442079460000', verified: true }, { user_id: 'u3', phone: '+442079460000', verified: true }]
+            });
+
+            expect(clusters).toHaveLength(1);
+            expect(clusters[0].user_ids).toEqual(['u1', 'u2', 'u3']);
+            expect(clusters[0].signals.map(signal => signal.type)).toEqual(['shared_provider_account', 'shared_phone']);
+        });
+
+        it('orders clusters by risk level, then size', () => {
+            const { clusters } = sybilService.buildLinkage({
+                users,
+                anchors: [
+                    { user_id: 'u3', provider: 'apple', provider_user_id: 'a-1', verified: true },
+                    { user_id: 'u4', provider: 'apple', provider_user_id: 'a-1', verified: true }
+                ],
+                ips: [{ user_id: 'u1', ip_address: '10.0.0.1', verified: true }, { user_id: 'u2', ip_address: '10.0.0.1', verified: true }]
+            });
+
+            expect(clusters.map(cluster => cluster.risk_level)).toEqual(['high', 'low']);
+        });
+    });
+});
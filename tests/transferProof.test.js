@@ -0,0 +1,61 @@
+/**
+ * Transfer Proof Matching Tests
+ */
+
+import transferProofService from '../src/services/transferProof.service.js';
+
+describe('Transfer Proof Service', () => {
+    const listing = { section: '400-Level Corners', row_name: 'Row 12', seat_numbers: '5-8' };
+
+    describe('matchTransferProof', () => {
+        it('matches the seats the order bought, however the confirmation writes them', () => {
+            const match = transferProofService.matchTransferProof(listing, 2, {
+                section: '400',
+                row: '012',
+                seats: '6, 7'
+            });
+
+            expect(match.result).toBe('matched');
+            expect(match.checks).toEqual({ section: 'match', row: 'match', seats: 'match' });
+        });
+
+        it('rejects seats that are not on the listing or the wrong number of them', () => {
+            expect(transferProofService.matchTransferProof(listing, 2, { section: '400', row: '12', seats: '9, 10' }).checks.seats)
+                .toBe('mismatch');
+            expect(transferProofService.matchTransferProof(listing, 2, { section: '400', row: '12', seats: '5' }).checks.seats)
+                .toBe('mismatch');
+        });
+
+        it('flags a different section as a mismatch', () => {
+            const match = transferProofService.matchTransferProof(listing, 1, { section: '401', row: '12', seats: '5' });
+
+            expect(match.result).toBe('mismatch');
+            expect(transferProofService.describeMismatch(match)).toContain('(section)');
+        });
+
+        it('is partial when part of the confirmation is unreadable', () => {
+            const match = transferProofService.matchTransferProof(listing, 1, { section: '400', row: null, seats: '5' });
+
+            expect(match.result).toBe('partial');
+            expect(match.checks.row).toBe('missing');
+        });
+
+        it('is unverified when nothing on the confirmation could be compared', () => {
+            const match = transferProofService.matchTransferProof(listing, 1, { section: null, row: null, seats: null });
+
+            expect(match.result).toBe('unverified');
+            expect(match.checks).toEqual({ section: 'missing', row: 'missing', seats: 'missing' });
+        });
+
+        it('skips what the listing does not specify', () => {
+            const match = transferProofService.matchTransferProof(
+                { section: 'GA Floor', row_name: null, seat_numbers: null },
+                2,
+                { section: 'GA', row: null, seats: null }
+            );
+
+            expect(match.result).toBe('matched');
+            expect(match.checks).toEqual({ section: 'match', row: 'not_listed', seats: 'not_listed' });
+        });
+    });
+});
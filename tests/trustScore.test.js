@@ -2,7 +2,33 @@
  * Trust Score Service Tests
  */
 
-import { calculateTrustScore, getScoringWeights } from '../src/services/trustScore.service.js';
+import {
+    calculateTrustScore,
+    getScoringWeights,
+    getClearanceLevel,
+    checkVerticalRequirements,
+    evaluateClaims,
+    DEFAULT_MODEL
+} from '../src/services/trustScore.service.js';
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// Six-year-old accounts with plenty of activity earn every quality point
+const establishedGmail = {
+    provider: 'gmail',
+    verified_via: 'oauth',
+    account_created_at: daysAgo(6 * 365),
+    metadata: { email_count: 5000, recent_email_count: 50 }
+};
+
+const establishedLinkedin = {
+    provider: 'linkedin',
+    verified_via: 'oauth',
+    account_created_at: daysAgo(6 * 365),
+    connection_count: 600
+};
 
 describe('TrustScore Service', () => {
     describe('calculateTrustScore', () => {
@@ -14,6 +40,7 @@ describe('TrustScore Service', () => {
         it('calculates score with Gmail anchor', () => {
             const anchors = [{
                 provider: 'gmail',
+                verified_via: 'oauth',
                 account_created_at: new Date(Date.now() - 3 * 365 * 24 * 60 * 60 * 1000) // 3 years ago
             }];
 
@@ -25,16 +52,19 @@ describe('TrustScore Service', () => {
         it('calculates higher score with multiple anchors', () => {
             const singleAnchor = [{
                 provider: 'gmail',
+                verified_via: 'oauth',
                 account_created_at: new Date(Date.now() - 3 * 365 * 24 * 60 * 60 * 1000)
             }];
 
             const multipleAnchors = [
                 {
                     provider: 'gmail',
+                    verified_via: 'oauth',
                     account_created_at: new Date(Date.now() - 3 * 365 * 24 * 60 * 60 * 1000)
                 },
                 {
                     provider: 'linkedin',
+                    verified_via: 'oauth',
                     account_created_at: new Date(Date.now() - 5 * 365 * 24 * 60 * 60 * 1000),
                     connection_count: 300
                 }
@@ -50,11 +80,13 @@ describe('TrustScore Service', () => {
             const perfectAnchors = [
                 {
                     provider: 'gmail',
+                    verified_via: 'oauth',
                     account_created_at: new Date(Date.now() - 10 * 365 * 24 * 60 * 60 * 1000),
                     metadata: { email_verified: true }
                 },
                 {
                     provider: 'linkedin',
+                    verified_via: 'oauth',
                     account_created_at: new Date(Date.now() - 10 * 365 * 24 * 60 * 60 * 1000),
                     connection_count: 1000
                 }
@@ -65,10 +97,318 @@ describe('TrustScore Service', () => {
         });
     });
 
+    describe('anchor quality', () => {
+        it('rewards older accounts and real activity', () => {
+            const young = calculateTrustScore([{ ...establishedGmail, account_created_at: daysAgo(60) }]);
+            const old = calculateTrustScore([establishedGmail]);
+
+            expect(young.breakdown.gmail_age.score).toBe(0);
+            expect(old.breakdown.gmail_age.score).toBe(8);
+            expect(old.breakdown.gmail_activity.score).toBe(7);
+            expect(old.score).toBeGreaterThan(young.score);
+        });
+
+        it('grades LinkedIn networks by connection count', () => {
+            const small = calculateTrustScore([{ ...establishedLinkedin, connection_count: 60 }]);
+            const large = calculateTrustScore([establishedLinkedin]);
+
+            expect(small.breakdown.linkedin_network.score).toBe(5);
+            expect(large.breakdown.linkedin_network.score).toBe(10);
+        });
+
+        it('penalizes brand-new accounts', () => {
+            const result = calculateTrustScore([{ ...establishedGmail, account_created_at: daysAgo(5) }]);
+
+            expect(result.breakdown.new_account_penalty.score).toBe(-10);
+            expect(result.breakdown.new_account_penalty.details).toContain('Gmail');
+        });
+
+        it('penalizes empty accounts', () => {
+            const result = calculateTrustScore([
+                { ...establishedGmail, metadata: { email_count: 2, recent_email_count: 0 } },
+                { ...establishedLinkedin, connection_count: 3 }
+            ]);
+
+            expect(result.breakdown.empty_account_penalty.score).toBe(-20);
+        });
+
+        it('neither rewards nor penalizes unknown data', () => {
+            const result = calculateTrustScore([{ provider: 'gmail' }]);
+
+            expect(result.breakdown.gmail_age.score).toBe(0);
+            expect(result.breakdown.new_account_penalty.score).toBe(0);
+            expect(result.breakdown.empty_account_penalty.score).toBe(0);
+            expect(result.score).toBe(30);
+        });
+
+        it('treats the quality of manually connected anchors as unknown', () => {
+            const manual = calculateTrustScore([
+                { ...establishedGmail, verified_via: null },
+                { ...establishedLinkedin, verified_via: null, account_created_at: daysAgo(5), connection_count: 3 }
+            ]);
+            const proven = calculateTrustScore([establishedGmail, establishedLinkedin]);
+
+            expect(manual.breakdown.gmail.score).toBe(proven.breakdown.gmail.score);
+            expect(manual.breakdown.gmail_age).toMatchObject({ score: 0, details: 'Account age unknown' });
+            expect(manual.breakdown.gmail_activity.score).toBe(0);
+            expect(manual.breakdown.linkedin_network).toMatchObject({ score: 0, details: 'Connection count unknown' });
+            expect(manual.breakdown.new_account_penalty.score).toBe(0);
+            expect(manual.breakdown.empty_account_penalty.score).toBe(0);
+        });
+
+        it('never scores below 0', () => {
+            const harsh = { ...DEFAULT_MODEL, penalties: { NEW_ACCOUNT: 100, EMPTY_ACCOUNT: 100 } };
+            const result = calculateTrustScore(
+                [{ provider: 'gmail', verified_via: 'oauth', account_created_at: daysAgo(1), metadata: { email_count: 0 } }],
+                harsh
+            );
+
+            expect(result.score).toBe(0);
+        });
+    });
+
+    describe('marketplace reputation', () => {
+        const anchors = [establishedGmail, establishedLinkedin];
+        const noHistory = { sales: [], upheldFlags: [], rejectedPriceVerifications: [], fraudRejections: [], fraudReviews: [] };
+
+        it('has its own breakdown entry', () => {
+            const result = calculateTrustScore(anchors);
+
+            expect(result.breakdown.marketplace_reputation).toEqual({
+                score: 0,
+                max: 5,
+                label: 'Marketplace Reputation',
+                details: 'No marketplace history'
+            });
+        });
+
+        it('rewards completed sales', () => {
+            const sales = Array.from({ length: 12 }, () => daysAgo(1));
+            const result = calculateTrustScore(anchors, DEFAULT_MODEL, { ...noHistory, sales });
+
+            expect(result.breakdown.marketplace_reputation.score).toBe(5);
+            expect(result.breakdown.marketplace_reputation.details).toContain('12 completed sales');
+            expect(result.score).toBe(80);
+        });
+
+        it('lowers clearance for upheld flags and fraud recommendations', () => {
+            const reputation = { ...noHistory, upheldFlags: [daysAgo(1)], fraudReviews: [daysAgo(1)] };
+            const result = calculateTrustScore(anchors, DEFAULT_MODEL, reputation);
+
+            expect(result.breakdown.marketplace_reputation.score).toBe(-13);
+            expect(result.score).toBe(62);
+            expect(result.clearance.title).toBe('Player');
+        });
+
+        it('decays older events', () => {
+            const recent = calculateTrustScore(anchors, DEFAULT_MODEL, { ...noHistory, fraudRejections: [daysAgo(0)] });
+            const twoHalfLives = calculateTrustScore(anchors, DEFAULT_MODEL, { ...noHistory, fraudRejections: [daysAgo(360)] });
+            const old = calculateTrustScore(anchors, DEFAULT_MODEL, { ...noHistory, fraudRejections: [daysAgo(3 * 365)] });
+
+            expect(recent.breakdown.marketplace_reputation.score).toBe(-15);
+            expect(twoHalfLives.breakdown.marketplace_reputation.score).toBe(-4);
+            expect(old.breakdown.marketplace_reputation.score).toBe(0);
+        });
+
+        it('applies to disclosed clearance claims', () => {
+            const reputation = { ...noHistory, rejectedPriceVerifications: [daysAgo(1)] };
+            const result = evaluateClaims(['clearance_gte_master'], anchors, reputation);
+
+            expect(result.claims).toEqual({});
+            expect(result.unmet).toHaveLength(1);
+        });
+    });
+
+    describe('additional providers', () => {
+        it('scores GitHub account age, repos and followers', () => {
+            const result = calculateTrustScore([{
+                provider: 'github',
+                verified_via: 'oauth',
+                account_created_at: daysAgo(6 * 365),
+                metadata: { public_repos: 40, followers: 30 }
+            }]);
+
+            expect(result.breakdown.github.score).toBe(8);
+            expect(result.breakdown.github_age.score).toBe(6);
+            expect(result.breakdown.github_activity.score).toBe(5);
+            expect(result.score).toBe(39);
+        });
+
+        it('penalizes empty GitHub accounts', () => {
+            const result = calculateTrustScore([{ provider: 'github', verified_via: 'oauth', metadata: { public_repos: 0, followers: 0 } }]);
+
+            expect(result.breakdown.empty_account_penalty.details).toContain('GitHub');
+        });
+
+        it('scores Microsoft mailbox size and Apple presence', () => {
+            const result = calculateTrustScore([
+                { provider: 'microsoft', verified_via: 'oauth', metadata: { email_count: 1200 } },
+                { provider: 'apple', metadata: { is_private_email: true } }
+            ]);
+
+            expect(result.breakdown.microsoft.score).toBe(6);
+            expect(result.breakdown.microsoft_age.score).toBe(0);
+            expect(result.breakdown.microsoft_activity.score).toBe(4);
+            expect(result.breakdown.apple.score).toBe(5);
+        });
+
+        it('gives the .edu bonus for an institution email alongside a personal Gmail', () => {
+            const result = calculateTrustScore([
+                establishedGmail,
+                { provider: 'institution', is_edu_verified: true, metadata: { institution_domain: 'mit.edu' } }
+            ]);
+
+            expect(result.breakdown.edu_bonus.score).toBe(20);
+            expect(result.eduVerified).toBe(true);
+        });
+
+        it('scores a verified phone number', () => {
+            const result = calculateTrustScore([{ provider: 'phone', provider_user_id: '+14155550123' }]);
+
+            expect(result.breakdown.phone.score).toBe(5);
+            expect(result.score).toBe(25);
+        });
+
+        it('never scores above the maximum', () => {
+            const result = calculateTrustScore([
+                { ...establishedGmail, is_edu_verified: true },
+                establishedLinkedin,
+                { provider: 'github', verified_via: 'oauth', account_created_at: daysAgo(6 * 365), metadata: { public_repos: 40, followers: 200 } },
+                { provider: 'apple' }
+            ]);
+
+            expect(result.score).toBe(100);
+        });
+    });
+
+    describe('anchor staleness', () => {
+        it('keeps recently verified anchors at full weight', () => {
+            const result = calculateTrustScore([{ ...establishedGmail, last_verified_at: daysAgo(10) }]);
+
+            expect(result.breakdown.stale_anchor_penalty.score).toBe(0);
+        });
+
+        it('withholds half of a stale anchor\'s points', () => {
+            const result = calculateTrustScore([
+                { ...establishedGmail, last_verified_at: daysAgo(100) },
+                establishedLinkedin
+            ]);
+
+            expect(result.breakdown.stale_anchor_penalty.score).toBe(-13);
+            expect(result.breakdown.stale_anchor_penalty.details).toBe('Gmail not re-verified in 100 days');
+            expect(result.score).toBe(62);
+        });
+
+        it('withholds all points once an anchor has expired', () => {
+            const result = calculateTrustScore([{ ...establishedGmail, last_verified_at: daysAgo(200) }]);
+
+            expect(result.breakdown.stale_anchor_penalty.score).toBe(-25);
+            expect(result.score).toBe(20);
+        });
+
+        it('never decays anchors proven by code or link', () => {
+            const result = calculateTrustScore([{ provider: 'phone', last_verified_at: daysAgo(400) }]);
+
+            expect(result.breakdown.stale_anchor_penalty.score).toBe(0);
+        });
+
+        it('does not decay under models without staleness', () => {
+            const model = { ...DEFAULT_MODEL, penalties: { ...DEFAULT_MODEL.penalties, STALE_ANCHOR: 0 } };
+            const result = calculateTrustScore([{ ...establishedGmail, last_verified_at: daysAgo(200) }], model);
+
+            expect(result.breakdown.stale_anchor_penalty.score).toBe(0);
+        });
+    });
+
+    describe('checkVerticalRequirements', () => {
+        it('accepts users meeting clearance and anchor requirements', () => {
+            const anchors = [establishedGmail, establishedLinkedin];
+            const { clearance } = calculateTrustScore(anchors);
+
+            expect(checkVerticalRequirements('apartments', anchors, clearance)).toEqual({ eligible: true, unmet: [] });
+        });
+
+        it('reports insufficient clearance and missing anchors', () => {
+            const anchors = [establishedGmail];
+            const { clearance } = calculateTrustScore(anchors);
+            const result = checkVerticalRequirements('jobs', anchors, clearance);
+
+            expect(result.eligible).toBe(false);
+            expect(result.unmet).toHaveLength(2);
+        });
+
+        it('accepts GitHub in place of LinkedIn for freelance', () => {
+            const anchors = [establishedGmail, { provider: 'github' }];
+            const { clearance } = calculateTrustScore(anchors);
+
+            expect(checkVerticalRequirements('freelance', anchors, clearance)).toEqual({ eligible: true, unmet: [] });
+            expect(checkVerticalRequirements('freelance', [establishedGmail], clearance).unmet)
+                .toEqual(['Requires a connected linkedin or github anchor']);
+        });
+
+        it('rejects unknown verticals', () => {
+            const { clearance } = calculateTrustScore([establishedGmail]);
+            expect(checkVerticalRequirements('casino', [establishedGmail], clearance).eligible).toBe(false);
+        });
+    });
+
+    describe('evaluateClaims', () => {
+        const anchors = [{ ...establishedGmail, is_edu_verified: true }, establishedLinkedin];
+
+        it('returns only satisfied predicate claims', () => {
+            const result = evaluateClaims(['clearance_gte_master', 'has_edu_anchor'], anchors);
+
+            expect(result.claims).toEqual({ clearance_gte_master: true, has_edu_anchor: true });
+            expect(result.unmet).toEqual([]);
+            expect(result.claims).not.toHaveProperty('trust_score');
+        });
+
+        it('reports unsatisfied and unknown claims', () => {
+            const result = evaluateClaims(['clearance_gte_grandmaster', 'trust_score'], [{ provider: 'gmail' }]);
+
+            expect(result.claims).toEqual({});
+            expect(result.unmet).toHaveLength(2);
+        });
+    });
+
+    describe('scoring models', () => {
+        const anchors = [establishedGmail, establishedLinkedin];
+        const draft = {
+            version: 7,
+            points: { ...DEFAULT_MODEL.points, LINKEDIN: 10 },
+            penalties: DEFAULT_MODEL.penalties,
+            maxScore: 100,
+            clearanceThresholds: { PLAYER: 40, MASTER: 60, GRANDMASTER: 90 }
+        };
+
+        it('scores with the default model and reports its version', () => {
+            const result = calculateTrustScore(anchors);
+
+            expect(result.score).toBe(75);
+            expect(result.modelVersion).toBe(6);
+        });
+
+        it('scores with the weights and thresholds of a given model', () => {
+            const result = calculateTrustScore(anchors, draft);
+
+            expect(result.score).toBe(73);
+            expect(result.clearance.title).toBe('Master');
+            expect(result.modelVersion).toBe(7);
+        });
+
+        it('uses the model thresholds for clearance', () => {
+            expect(getClearanceLevel(60, draft).title).toBe('Master');
+            expect(getClearanceLevel(60).title).toBe('Player');
+        });
+    });
+
     describe('getScoringWeights', () => {
-        it('returns weights that sum to 100', () => {
+        it('returns weights where Gmail, LinkedIn, .edu and sales sum to 100', () => {
             const weights = getScoringWeights();
-            const total = Object.values(weights).reduce((a, b) => a + b, 0);
+            const optional = ['GITHUB', 'GITHUB_AGE', 'GITHUB_ACTIVITY', 'MICROSOFT', 'MICROSOFT_AGE', 'MICROSOFT_ACTIVITY', 'APPLE', 'PHONE'];
+            const total = Object.entries(weights)
+                .filter(([factor]) => !optional.includes(factor))
+                .reduce((sum, [, points]) => sum + points, 0);
             expect(total).toBe(100);
         });
     });
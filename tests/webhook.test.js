@@ -0,0 +1,253 @@
+/**
+ * Webhook Service Tests
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import net from 'net';
+import { jest } from '@jest/globals';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+const db = createFakeDb({ attempts: [] });
+
+jest.unstable_mockModule('../src/db/index.js', () => ({ default: db, ...db }));
+
+const { default: webhookService } = await import('../src/services/webhook.service.js');
+
+const PLATFORM_ID = 'platform-1';
+
+db.on(/SELECT COUNT\(\*\) as count FROM webhook_subscriptions/, () => [{ count: '0' }])
+    .on(/INSERT INTO webhook_subscriptions/, ([platformId, url, events, signingMethod]) => [{
+        id: 'subscription-1',
+        platform_id: platformId,
+        url,
+        events,
+        signing_method: signingMethod,
+        is_active: true
+    }])
+    .on(/SET status = 'delivered'/, ([attempts, statusCode], tables) => {
+        tables.attempts.push({ status: 'delivered', attempts, statusCode });
+        return [];
+    })
+    .on(/UPDATE webhook_deliveries\s+SET status = \$1/, ([status, attempts, statusCode, error], tables) => {
+        tables.attempts.push({ status, attempts, statusCode, error });
+        return [];
+    });
+
+function resolveTo(...addresses) {
+    return jest.spyOn(dns.promises, 'lookup').mockResolvedValue(
+        addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+    );
+}
+
+describe('Webhook Service', () => {
+    describe('getRetryDelayMs', () => {
+        it('doubles the delay after each failed attempt', () => {
+            expect(webhookService.getRetryDelayMs(1)).toBe(30 * 1000);
+            expect(webhookService.getRetryDelayMs(2)).toBe(60 * 1000);
+            expect(webhookService.getRetryDelayMs(3)).toBe(120 * 1000);
+        });
+
+        it('caps the delay at 6 hours', () => {
+            expect(webhookService.getRetryDelayMs(20)).toBe(6 * 60 * 60 * 1000);
+        });
+    });
+
+    describe('isBlockedAddress', () => {
+        it('blocks loopback, private, link-local and metadata addresses', () => {
+            for (const address of [
+                '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+                '100.100.100.200', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1'
+            ]) {
+                expect(webhookService.isBlockedAddress(address)).toBe(true);
+            }
+        });
+
+        it('allows public addresses', () => {
+            for (const address of ['93.184.216.34', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+                expect(webhookService.isBlockedAddress(address)).toBe(false);
+            }
+        });
+    });
+
+    describe('createSubscription', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('refuses URLs pointing at internal addresses', async () => {
+            for (const url of [
+                'http://127.0.0.1/hook',
+                'http://[::1]/hook',
+                'http://[::ffff:127.0.0.1]/hook',
+                'http://169.254.169.254/latest/meta-data/',
+                'http://0x7f.1/hook'
+            ]) {
+                await expect(webhookService.createSubscription(PLATFORM_ID, { url }))
+                    .rejects.toThrow('Webhook URLs must point to a public address');
+            }
+        });
+
+        it('refuses hosts that resolve to an internal address', async () => {
+            resolveTo('93.184.216.34', '10.0.0.5');
+
+            await expect(webhookService.createSubscription(PLATFORM_ID, { url: 'https://hooks.example.com/enpassant' }))
+                .rejects.toThrow('Webhook URLs must point to a public address');
+        });
+
+        it('refuses hosts that do not resolve', async () => {
+            jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+            await expect(webhookService.createSubscription(PLATFORM_ID, { url: 'https://hooks.example.invalid/' }))
+                .rejects.toThrow('Could not resolve hooks.example.invalid');
+        });
+
+        it('accepts hosts with only public addresses', async () => {
+            resolveTo('93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946');
+
+            const { subscription, secret } = await webhookService.createSubscription(PLATFORM_ID, {
+                url: 'https://hooks.example.com/enpassant'
+            });
+
+            expect(subscription.url).toBe('https://hooks.example.com/enpassant');
+            expect(secret).toMatch(/^whsec_/);
+        });
+    });
+
+    describe('deliverDueWebhooks', () => {
+        let server;
+        let port;
+        let received;
+        let lastRequest;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                received++;
+                lastRequest = req;
+                res.end('ok');
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            received = 0;
+            db.tables.attempts = [];
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        function queueDelivery(url) {
+            db.on(/UPDATE webhook_deliveries d/, () => [{
+                id: 'delivery-1',
+                event_type: 'badge.revoked',
+                payload: { badge_token: 'token' },
+                attempts: 0,
+                created_at: new Date(),
+                url,
+                signing_method: 'hmac',
+                secret: 'whsec_test',
+                is_active: true
+            }], { once: true });
+        }
+
+        it('posts signed events to public hosts', async () => {
+            // Let the local test server stand in for a public host
+            jest.spyOn(net.BlockList.prototype, 'check').mockReturnValue(false);
+            resolveTo('127.0.0.1');
+            queueDelivery(`http://hooks.example.com:${port}/enpassant`);
+
+            const summary = await webhookService.deliverDueWebhooks();
+
+            expect(summary).toEqual({ delivered: 1, retrying: 0, failed: 0 });
+            expect(received).toBe(1);
+            expect(lastRequest.method).toBe('POST');
+            expect(lastRequest.headers['x-enpassant-signature']).toMatch(/^v1=[0-9a-f]{64}$/);
+        });
+
+        it('does not connect to a host re-pointed at an internal address after registering', async () => {
+            resolveTo('127.0.0.1');
+            queueDelivery(`http://hooks.example.com:${port}/enpassant`);
+
+            const summary = await webhookService.deliverDueWebhooks();
+
+            expect(summary).toEqual({ delivered: 0, retrying: 1, failed: 0 });
+            expect(received).toBe(0);
+            expect(db.tables.attempts).toEqual([expect.objectContaining({
+                status: 'pending',
+                statusCode: null,
+                error: 'Webhook URLs must point to a public address'
+            })]);
+        });
+
+        it('does not connect to internal IP literals', async () => {
+            queueDelivery(`http://127.0.0.1:${port}/enpassant`);
+
+            const summary = await webhookService.deliverDueWebhooks();
+
+            expect(summary.retrying).toBe(1);
+            expect(received).toBe(0);
+        });
+    });
+
+    describe('sweepExpiredBadges', () => {
+        beforeEach(() => {
+            db.tables.badges = [
+                { id: 'badge-1', expires_at: new Date(Date.now() - 1000), revoked_at: null, expiry_notified_at: null },
+                { id: 'badge-2', expires_at: new Date(Date.now() - 1000), revoked_at: new Date(), expiry_notified_at: null },
+                { id: 'badge-3', expires_at: new Date(Date.now() + 60 * 1000), revoked_at: null, expiry_notified_at: null }
+            ];
+            db.tables.deliveries = [];
+
+            db.on(/UPDATE auth_badges\s+SET expiry_notified_at/, (params, tables) => {
+                const expired = tables.badges.filter(badge => badge.expires_at <= new Date() && !badge.expiry_notified_at);
+                expired.forEach(badge => { badge.expiry_notified_at = new Date(); });
+                return expired.map(({ id, revoked_at }) => ({ id, revoked_at }));
+            })
+                .on(/INSERT INTO webhook_deliveries/, ([eventType, badgeIds], tables) => {
+                    tables.deliveries.push(...badgeIds.map(badgeId => ({ eventType, badgeId })));
+                    return { rows: [], rowCount: badgeIds.length };
+                });
+        });
+
+        it('announces badges that expired without being revoked', async () => {
+            expect(await webhookService.sweepExpiredBadges()).toBe(1);
+
+            expect(db.tables.deliveries).toEqual([{ eventType: 'badge.expired', badgeId: 'badge-1' }]);
+            expect(db.tables.badges.map(badge => Boolean(badge.expiry_notified_at))).toEqual([true, true, false]);
+        });
+
+        it('leaves badges to the next sweep when their deliveries cannot be queued', async () => {
+            db.failNext(/INSERT INTO webhook_deliveries/);
+
+            await expect(webhookService.sweepExpiredBadges()).rejects.toThrow('connection terminated');
+            expect(db.tables.badges.every(badge => !badge.expiry_notified_at)).toBe(true);
+
+            expect(await webhookService.sweepExpiredBadges()).toBe(1);
+            expect(db.tables.deliveries).toHaveLength(1);
+        });
+    });
+
+    describe('computeHmacSignature', () => {
+        it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+            const body = JSON.stringify({ type: 'badge.revoked' });
+            const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+            expect(webhookService.computeHmacSignature('whsec_test', 1700000000, body)).toBe(expected);
+        });
+
+        it('changes when the body is tampered with', () => {
+            const original = webhookService.computeHmacSignature('whsec_test', 1700000000, '{"a":1}');
+            const tampered = webhookService.computeHmacSignature('whsec_test', 1700000000, '{"a":2}');
+
+            expect(tampered).not.toBe(original);
+        });
+    });
+});